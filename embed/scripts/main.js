@@ -7,6 +7,7 @@ const ChatEmbed = {
     messages: [], // Store message history { role: 'user'/'assistant'/'system', content: '...' }
     isLoading: false,
     isConnected: false,
+    streamingMessage: null, // Assistant message being streamed { text, contentElement }
     messageQueue: [], // Queue messages if sent before connection is ready
     // templates: {}, // No longer needed here, will use chatEmbedTemplates from bundle scope
 
@@ -98,20 +99,29 @@ const ChatEmbed = {
                 const data = JSON.parse(event.data);
                 console.log('ChatEmbed: Parsed message data:', data);
 
-                if (data.type === 'chat_response') {
+                if (data.type === 'chat_delta') {
+                    this.appendAssistantDelta(data.data.text || '');
+                } else if (data.type === 'chat_done') {
+                    console.log('ChatEmbed: Processing chat completion');
+                    this.finishAssistantMessage(data.data.text);
+                    this.setLoading(false);
+                } else if (data.type === 'chat_response') {
                     console.log('ChatEmbed: Processing chat response');
                     let content = data.data.text || data.data.message || 'No response content';
                     this.addMessage('Assistant', content); // Pass raw content to addMessage
-                } else if (data.type === 'error') {
+                    this.setLoading(false);
+                } else if (data.type === 'error' || data.type === 'chat_error') {
+                    // chat_error ends a chat stream; the text streamed before the failure is kept
                     console.log('ChatEmbed: Processing error response');
+                    this.finishAssistantMessage();
                     this.addMessage('System', 'Error: ' + (data.data.message || data.message || 'Unknown error'));
+                    this.setLoading(false);
                 } else {
                     console.log('ChatEmbed: Received unhandled message type:', data.type);
                 }
             } catch (error) {
                 console.error('ChatEmbed: Failed to parse WebSocket message:', error);
                 this.addMessage('System', 'Error processing server message.');
-            } finally {
                 this.setLoading(false);
             }
         };
@@ -176,6 +186,10 @@ const ChatEmbed = {
                 query: query,
                 history: history || []
             };
+            // Optional scope: only answer from these specs (ids from GET /api/specs)
+            if (Array.isArray(this.config.specIds) && this.config.specIds.length) {
+                payload.specIds = this.config.specIds;
+            }
             console.log('ChatEmbed: Sending payload:', payload);
             this.ws.send(JSON.stringify(payload));
         } else {
@@ -188,9 +202,52 @@ const ChatEmbed = {
         }
     },
 
-    addMessage: function(sender, text) {
+    appendAssistantDelta: function(text) {
+        if (!this.streamingMessage) {
+            const contentElement = this.addMessage('Assistant', '', { record: false });
+            this.streamingMessage = { text: '', contentElement: contentElement };
+        }
+        this.streamingMessage.text += text;
+        this.renderMessageContent(this.streamingMessage.contentElement, 'assistant', this.streamingMessage.text);
+        if (this.elements.messagesContainer) {
+            this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+        }
+    },
+
+    finishAssistantMessage: function(finalText) {
+        if (!this.streamingMessage) {
+            if (finalText) {
+                this.addMessage('Assistant', finalText);
+            }
+            return;
+        }
+        const text = finalText || this.streamingMessage.text;
+        this.renderMessageContent(this.streamingMessage.contentElement, 'assistant', text);
+        this.messages.push({ role: 'assistant', content: text });
+        this.streamingMessage = null;
+    },
+
+    renderMessageContent: function(contentElement, role, text) {
+        if (!contentElement) {
+            return;
+        }
+        if (role === 'assistant' && typeof marked !== 'undefined') {
+            try {
+                contentElement.innerHTML = marked.parse(text);
+            } catch (e) {
+                console.error("ChatEmbed: Error parsing markdown", e);
+                contentElement.textContent = text;
+            }
+        } else {
+            contentElement.textContent = text;
+        }
+    },
+
+    addMessage: function(sender, text, options) {
         const role = sender.toLowerCase();
-        this.messages.push({ role: role, content: text });
+        if (!options || options.record !== false) {
+            this.messages.push({ role: role, content: text });
+        }
 
         if (this.elements.messagesContainer) {
             const initialMessages = ['Loading chat...', 'Initializing chat...', 'Connected.'];
@@ -207,16 +264,7 @@ const ChatEmbed = {
             messageElement.appendChild(senderElement);
 
             const contentElement = document.createElement('span');
-            if (role === 'assistant' && typeof marked !== 'undefined') {
-                try {
-                    contentElement.innerHTML = marked.parse(text);
-                } catch (e) {
-                    console.error("ChatEmbed: Error parsing markdown", e);
-                    contentElement.textContent = text;
-                }
-            } else {
-                contentElement.textContent = text;
-            }
+            this.renderMessageContent(contentElement, role, text);
             messageElement.appendChild(contentElement);
 
             if (role === 'assistant') {
@@ -225,9 +273,11 @@ const ChatEmbed = {
 
             this.elements.messagesContainer.appendChild(messageElement);
             this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+            return contentElement;
         } else {
             console.error("ChatEmbed Error: Messages container not found.");
         }
+        return null;
     }
 };
 
@@ -24,11 +24,24 @@ if (document.getElementById('app')) {
                 ws: null,
                 inputFormat: localStorage.getItem('inputFormat') || 'json',
                 modelInput: '',
-                isSettingModel: false
+                isSettingModel: false,
+                specs: [],
+                selectedSpecIds: []
             }
         },
 
         methods: {
+            async loadSpecs() {
+                try {
+                    const response = await fetch('/api/specs')
+                    if (!response.ok) throw new Error(response.statusText)
+                    const { data } = await response.json()
+                    this.specs = data.specs
+                } catch (err) {
+                    console.log('index.ejs loadSpecs error', { message: err.message })
+                }
+            },
+
             async setModel() {
                 console.log('index.ejs setModel', { data: { model: this.modelInput } });
                 try {
@@ -69,7 +82,26 @@ if (document.getElementById('app')) {
                         const data = JSON.parse(event.data)
                         console.log('Parsed message data:', data)
                         
-                        if (data.type === 'chat_response') {
+                        if (data.type === 'chat_delta') {
+                            this.appendAssistantDelta(data.data.text || '')
+                        } else if (data.type === 'chat_done') {
+                            console.log('Processing chat completion', { usage: data.data.usage, sources: data.data.sources })
+                            const streamingMessage = this.getStreamingMessage()
+                            const content = data.data.text || (streamingMessage && streamingMessage.content) || 'No response content'
+                            if (streamingMessage) {
+                                streamingMessage.content = content
+                                streamingMessage.streaming = false
+                                streamingMessage.sources = data.data.sources || []
+                            } else {
+                                this.messages.push({
+                                    role: 'assistant',
+                                    content: content,
+                                    sources: data.data.sources || [],
+                                    id: Date.now()
+                                })
+                            }
+                            this.isLoading = false
+                        } else if (data.type === 'chat_response') {
                             console.log('Processing chat response')
                             let content = data.data.text || data.data.message || 'No response content'
                             content = typeof content === 'string' ? content : JSON.stringify(content,null,4)
@@ -79,8 +111,13 @@ if (document.getElementById('app')) {
                                 id: Date.now()
                             })
                             this.isLoading = false
-                        } else if (data.type === 'error') {
+                        } else if (data.type === 'error' || data.type === 'chat_error') {
+                            // chat_error ends a chat stream; the text streamed before the failure is kept
                             console.log('Processing error response')
+                            const streamingMessage = this.getStreamingMessage()
+                            if (streamingMessage) {
+                                streamingMessage.streaming = false
+                            }
                             this.messages.push({
                                 role: 'system',
                                 content: 'Error: ' + (data.data.message || data.message || 'Unknown error'),
@@ -109,6 +146,25 @@ if (document.getElementById('app')) {
                 }
             },
 
+            getStreamingMessage() {
+                const lastMessage = this.messages[this.messages.length - 1]
+                return lastMessage && lastMessage.role === 'assistant' && lastMessage.streaming ? lastMessage : null
+            },
+
+            appendAssistantDelta(text) {
+                const streamingMessage = this.getStreamingMessage()
+                if (streamingMessage) {
+                    streamingMessage.content += text
+                } else {
+                    this.messages.push({
+                        role: 'assistant',
+                        content: text,
+                        streaming: true,
+                        id: Date.now()
+                    })
+                }
+            },
+
             sendMessage() {
                 console.log('sendMessage called with:', this.newMessage)
                 if (!this.newMessage.trim() || this.isLoading) {
@@ -154,7 +210,9 @@ if (document.getElementById('app')) {
                     const payload = {
                         type: 'chat',
                         query: content,
-                        history: history
+                        history: history,
+                        // Only search the selected APIs (all of them when none is selected)
+                        specIds: this.selectedSpecIds.length ? this.selectedSpecIds : undefined
                     }
                     console.log('Sending payload:', {
                         ...payload,
@@ -198,6 +256,7 @@ if (document.getElementById('app')) {
         mounted() {
             console.log('Vue app mounted')
             this.connectWebSocket()
+            this.loadSpecs()
         }
     }).mount('#app')
 }
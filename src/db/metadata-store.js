@@ -0,0 +1,136 @@
+const { connectToMongoDB, isDbSystemEnabled } = require('./config');
+const { isPostgresMetadataEnabled, query, ensureMetadataSchema } = require('./postgres');
+
+/**
+ * Key of an operation's endpoint metadata: specs sharing a path, and methods on one path, keep their own
+ * @param {{endpoint: string, method: string, spec_id?: string}} fields
+ * @returns {string}
+ */
+function endpointKey(fields) {
+    return `${fields.spec_id || ''}:${String(fields.method || '').toUpperCase()} ${fields.endpoint}`;
+}
+
+/**
+ * File and endpoint metadata in MongoDB (the `Metadata` model)
+ */
+class MongoMetadataStore {
+    constructor() {
+        this.type = 'mongo';
+        this.Metadata = require('../models/metadata');
+    }
+
+    async saveFile(record) {
+        await new this.Metadata({ ...record, is_file_metadata: true }).save();
+    }
+
+    async upsertEndpoint(fields) {
+        const result = await this.Metadata.findOneAndUpdate(
+            { endpoint: fields.endpoint, method: fields.method, spec_id: fields.spec_id ?? null },
+            { $set: fields },
+            {
+                upsert: true,
+                new: true,
+                runValidators: true
+            }
+        );
+        return { id: String(result._id) };
+    }
+
+    async findByEndpoints(keys) {
+        await connectToMongoDB();
+        const docs = await this.Metadata.find({
+            $or: keys.map(key => ({ endpoint: key.endpoint, method: key.method, spec_id: key.spec_id ?? null }))
+        });
+        return docs.map(doc => doc.toJSON());
+    }
+
+    async removeFile(fileName) {
+        const result = await this.Metadata.deleteMany({ $or: [{ file_name: fileName }, { vector_id: fileName }] });
+        return result.deletedCount || 0;
+    }
+}
+
+/**
+ * File and endpoint metadata in the PostgreSQL `api_metadata` table. The lookup columns are copied out of
+ * the record, which is kept whole as `data`; with the pgvector store, queries join it (see utils/pgvector).
+ */
+class PostgresMetadataStore {
+    constructor() {
+        this.type = 'postgres';
+    }
+
+    async upsert(key, record) {
+        await ensureMetadataSchema();
+        await query(`
+            INSERT INTO api_metadata (key, vector_id, file_name, endpoint, method, spec_id, is_file_metadata, data)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (key) DO UPDATE SET
+                vector_id = EXCLUDED.vector_id,
+                file_name = EXCLUDED.file_name,
+                spec_id = EXCLUDED.spec_id,
+                data = api_metadata.data || EXCLUDED.data,
+                updated_at = NOW()`,
+        [
+            key,
+            record.vector_id || null,
+            record.file_name || null,
+            record.endpoint || null,
+            record.method || null,
+            record.spec_id || null,
+            !!record.is_file_metadata,
+            JSON.stringify(record)
+        ]);
+    }
+
+    async saveFile(record) {
+        await this.upsert(`file:${record.vector_id || record.file_name}`, { ...record, is_file_metadata: true });
+    }
+
+    // One record per operation of a spec (see endpointKey)
+    async upsertEndpoint(fields) {
+        const key = `endpoint:${endpointKey(fields)}`;
+        await this.upsert(key, fields);
+        return { id: key };
+    }
+
+    async findByEndpoints(keys) {
+        await ensureMetadataSchema();
+        const { rows } = await query(`
+            SELECT data FROM api_metadata
+            WHERE NOT is_file_metadata
+                AND (endpoint, upper(method), COALESCE(spec_id, '')) IN (
+                    SELECT * FROM unnest($1::text[], $2::text[], $3::text[])
+                )
+            ORDER BY updated_at`,
+        [
+            keys.map(key => key.endpoint),
+            keys.map(key => String(key.method || '').toUpperCase()),
+            keys.map(key => key.spec_id || '')
+        ]);
+        return rows.map(row => row.data);
+    }
+
+    async removeFile(fileName) {
+        await ensureMetadataSchema();
+        const result = await query('DELETE FROM api_metadata WHERE file_name = $1 OR vector_id = $1', [fileName]);
+        return result.rowCount;
+    }
+}
+
+/**
+ * Pick the metadata store: PostgreSQL with METADATA_STORE=postgres, MongoDB when configured, none otherwise
+ * @returns {PostgresMetadataStore|MongoMetadataStore|null}
+ */
+function createMetadataStore() {
+    if (isPostgresMetadataEnabled()) {
+        return new PostgresMetadataStore();
+    }
+    return isDbSystemEnabled() ? new MongoMetadataStore() : null;
+}
+
+module.exports = {
+    MongoMetadataStore,
+    PostgresMetadataStore,
+    createMetadataStore,
+    endpointKey
+};
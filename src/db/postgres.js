@@ -0,0 +1,119 @@
+const { createModuleLogger } = require('../utils/logger');
+
+const logger = createModuleLogger('postgres');
+
+let pool = null;
+let metadataSchemaReady = null;
+
+/**
+ * Whether file and endpoint metadata and the keyed records (jobs, sources, spec versions) are kept in
+ * PostgreSQL instead of MongoDB (METADATA_STORE=postgres)
+ * @returns {boolean}
+ */
+function isPostgresMetadataEnabled() {
+    return process.env.METADATA_STORE === 'postgres';
+}
+
+/**
+ * The shared connection pool (POSTGRES_URL), created on first use
+ * @returns {import('pg').Pool}
+ */
+function getPool() {
+    if (!pool) {
+        const { Pool } = require('pg');
+        if (!process.env.POSTGRES_URL) {
+            throw new Error('POSTGRES_URL is not set');
+        }
+
+        pool = new Pool({
+            connectionString: process.env.POSTGRES_URL,
+            max: parseInt(process.env.POSTGRES_POOL_SIZE || '10', 10)
+        });
+        pool.on('error', error => {
+            logger.error('Idle PostgreSQL client failed', 'getPool', { error: error.message });
+        });
+
+        logger.info('Created PostgreSQL pool', 'getPool', {
+            hasUrl: true,
+            max: pool.options.max
+        });
+    }
+    return pool;
+}
+
+/**
+ * Run a parameterized query on the pool
+ * @param {string} text - SQL with $1, $2... placeholders
+ * @param {Array} [params]
+ * @returns {Promise<import('pg').QueryResult>}
+ */
+async function query(text, params = []) {
+    try {
+        return await getPool().query(text, params);
+    } catch (error) {
+        logger.error('PostgreSQL query failed', 'query', {
+            error: error.message,
+            query: text.replace(/\s+/g, ' ').slice(0, 200)
+        });
+        throw error;
+    }
+}
+
+/**
+ * Close the pool, so scripts can exit
+ */
+async function closePool() {
+    if (pool) {
+        await pool.end();
+        pool = null;
+        metadataSchemaReady = null;
+    }
+}
+
+/**
+ * Create the metadata tables once per process: `api_metadata` (the Metadata model: one row per file
+ * and per endpoint, the full record as `data`) and `records` (keyed records of createRecordStore)
+ */
+function ensureMetadataSchema() {
+    if (!metadataSchemaReady) {
+        metadataSchemaReady = (async () => {
+            await query(`
+                CREATE TABLE IF NOT EXISTS api_metadata (
+                    key TEXT PRIMARY KEY,
+                    vector_id TEXT,
+                    file_name TEXT,
+                    endpoint TEXT,
+                    method TEXT,
+                    spec_id TEXT,
+                    is_file_metadata BOOLEAN NOT NULL DEFAULT FALSE,
+                    data JSONB NOT NULL,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                )`);
+            await query('CREATE INDEX IF NOT EXISTS api_metadata_endpoint_idx ON api_metadata (endpoint, method)');
+            await query('CREATE INDEX IF NOT EXISTS api_metadata_file_name_idx ON api_metadata (file_name)');
+            await query(`
+                CREATE TABLE IF NOT EXISTS records (
+                    collection TEXT NOT NULL,
+                    id TEXT NOT NULL,
+                    data JSONB NOT NULL,
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                    PRIMARY KEY (collection, id)
+                )`);
+
+            logger.info('PostgreSQL metadata schema ready', 'ensureMetadataSchema');
+        })().catch(error => {
+            metadataSchemaReady = null;
+            throw error;
+        });
+    }
+    return metadataSchemaReady;
+}
+
+module.exports = {
+    isPostgresMetadataEnabled,
+    getPool,
+    query,
+    closePool,
+    ensureMetadataSchema
+};
@@ -0,0 +1,96 @@
+const { isDbSystemEnabled } = require('./config');
+const { isPostgresMetadataEnabled, query, ensureMetadataSchema } = require('./postgres');
+const { JsonFileStore } = require('../utils/file-store');
+
+/**
+ * Keyed record storage backed by a MongoDB model, with the same interface as JsonFileStore
+ */
+class MongoRecordStore {
+    /**
+     * @param {mongoose.Model} Model - Model with a unique `id` field
+     */
+    constructor(Model) {
+        this.Model = Model;
+    }
+
+    async list() {
+        const docs = await this.Model.find({}).lean();
+        return docs.map(({ _id, __v, ...record }) => record);
+    }
+
+    async get(id) {
+        const doc = await this.Model.findOne({ id }).lean();
+        if (!doc) return null;
+        const { _id, __v, ...record } = doc;
+        return record;
+    }
+
+    async save(record) {
+        await this.Model.updateOne({ id: record.id }, { $set: record }, { upsert: true });
+        return record;
+    }
+
+    async remove(id) {
+        const result = await this.Model.deleteOne({ id });
+        return result.deletedCount > 0;
+    }
+}
+
+/**
+ * Keyed record storage in the PostgreSQL `records` table, one JSONB document per record
+ */
+class PostgresRecordStore {
+    /**
+     * @param {string} collection - Collection name, shared with the file store
+     */
+    constructor(collection) {
+        this.collection = collection;
+    }
+
+    async list() {
+        await ensureMetadataSchema();
+        const { rows } = await query('SELECT data FROM records WHERE collection = $1 ORDER BY updated_at', [this.collection]);
+        return rows.map(row => row.data);
+    }
+
+    async get(id) {
+        await ensureMetadataSchema();
+        const { rows } = await query('SELECT data FROM records WHERE collection = $1 AND id = $2', [this.collection, id]);
+        return rows[0]?.data || null;
+    }
+
+    async save(record) {
+        await ensureMetadataSchema();
+        await query(`
+            INSERT INTO records (collection, id, data) VALUES ($1, $2, $3)
+            ON CONFLICT (collection, id) DO UPDATE SET data = records.data || EXCLUDED.data, updated_at = NOW()`,
+        [this.collection, record.id, JSON.stringify(record)]);
+        return record;
+    }
+
+    async remove(id) {
+        await ensureMetadataSchema();
+        const result = await query('DELETE FROM records WHERE collection = $1 AND id = $2', [this.collection, id]);
+        return result.rowCount > 0;
+    }
+}
+
+/**
+ * Pick the store for a collection: PostgreSQL with METADATA_STORE=postgres, MongoDB when configured,
+ * a JSON file in DATA_DIR otherwise
+ * @param {string} name - Collection name for the file and PostgreSQL stores
+ * @param {Function} loadModel - Returns the mongoose model (required lazily)
+ * @returns {PostgresRecordStore|MongoRecordStore|JsonFileStore}
+ */
+function createRecordStore(name, loadModel) {
+    if (isPostgresMetadataEnabled()) {
+        return new PostgresRecordStore(name);
+    }
+    return isDbSystemEnabled() ? new MongoRecordStore(loadModel()) : new JsonFileStore(name);
+}
+
+module.exports = {
+    MongoRecordStore,
+    PostgresRecordStore,
+    createRecordStore
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// An ingestion job: one upload being chunked and embedded, resumable from its last completed batch
+const ingestJobSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    fileName: {
+        type: String,
+        required: true,
+        index: true
+    },
+    sourceName: String,
+    originalName: String,
+    apiName: String,
+    apiVersion: String,
+    force: Boolean,
+    status: {
+        type: String,
+        index: true
+    },
+    attempts: Number,
+    progress: Number,
+    totalChunks: Number,
+    processedChunks: Number,
+    totalBatches: Number,
+    completedBatches: Number,
+    stats: mongoose.Schema.Types.Mixed,
+    rowErrors: [mongoose.Schema.Types.Mixed], // CSV rows that could not be imported
+    error: String,
+    startedAt: Date,
+    finishedAt: Date
+}, {
+    timestamps: true,
+    strict: false
+});
+
+const IngestJob = mongoose.model('IngestJob', ingestJobSchema);
+
+module.exports = IngestJob;
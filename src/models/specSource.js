@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A specification imported from a URL and, optionally, re-synced on an interval
+const specSourceSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    url: {
+        type: String,
+        required: true,
+        index: true
+    },
+    fileName: String,
+    refreshInterval: Number, // Minutes between re-syncs, 0 disables
+    etag: String,
+    lastModified: String,
+    contentHash: String,
+    status: String,
+    error: String,
+    lastCheckedAt: Date,
+    lastChangedAt: Date,
+    lastChange: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: true,
+    strict: false
+});
+
+const SpecSource = mongoose.model('SpecSource', specSourceSchema);
+
+module.exports = SpecSource;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One uploaded version of a logical API, with the snapshot in DATA_DIR/spec-versions the diffs are computed from
+const specVersionSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    spec_id: {
+        type: String,
+        index: true
+    },
+    api_name: {
+        type: String,
+        index: true
+    },
+    api_version: String,
+    file_name: {
+        type: String,
+        index: true
+    },
+    original_name: String,
+    spec_format: String,
+    title: String,
+    endpoint_count: Number,
+    timestamp: String,
+    created_at: String
+}, {
+    timestamps: true,
+    strict: false
+});
+
+const SpecVersion = mongoose.model('SpecVersion', specVersionSchema);
+
+module.exports = SpecVersion;
@@ -0,0 +1,453 @@
+/**
+ * @module api
+ * @description JSON REST API exposing chat, search and status without a WebSocket connection.
+ * See docs/rest-api.md for the request/response reference.
+ */
+
+const express = require('express');
+const { createModuleLogger } = require('../utils/logger');
+const { formatHttpResponse, formatErrorResponse } = require('../utils/responseFormatter');
+const { getProcessingStatus } = require('../utils/openapi');
+const { querySimilarChunks, listSpecs, normalizeSpecIds, getVectorStoreHealth } = require('../services/vectorDbService');
+const { retrieveContext } = require('../services/retrievalService');
+const { generateOpenAPILLMCompletion } = require('../services/chatService');
+const { buildSources } = require('../services/documentService');
+const { createTrace, destroyTrace } = require('../services/llmMetricsService');
+const { parseSpecContent } = require('../utils/input-format');
+const { specToCSV, csvToSpec } = require('../utils/csv-export');
+const { importFromUrl, syncSource, listSources, removeSource } = require('../services/specSourceService');
+const { listApis, listVersions, diffVersions, checkCandidate } = require('../services/specVersionService');
+const { listFiles, listFileChunks, reindexFile, deleteFile } = require('../services/fileService');
+const { listJobs, getJob, retryJob, formatJobEvent } = require('../services/jobService');
+const { buildChangeReport, formatMarkdownReport } = require('../utils/change-report');
+
+const router = express.Router();
+const logger = createModuleLogger('api');
+
+const MAX_SEARCH_RESULTS = 100;
+
+// Conversion and check endpoints take the document itself as the request body
+const rawDocumentBody = express.text({
+    type: ['text/*', 'application/yaml', 'application/x-yaml'],
+    limit: `${process.env.MAX_FILE_SIZE || 30}mb`
+});
+
+/**
+ * Create an error carrying the HTTP status used by handleError
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function createHttpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = statusCode;
+    return error;
+}
+
+/**
+ * Validate the query field shared by chat and search requests
+ * @param {Object} body - Request body
+ * @returns {string} Trimmed query
+ */
+function requireQuery(body) {
+    const query = typeof body?.query === 'string' ? body.query.trim() : '';
+    if (!query) {
+        throw createHttpError(400, "'query' must be a non-empty string");
+    }
+    return query;
+}
+
+/**
+ * Validate the optional `specIds` scope shared by chat and search requests
+ * @param {Object} body - Request body
+ * @returns {Array<string>|undefined} Spec ids, or undefined to search every spec
+ */
+function readSpecIds(body) {
+    if (body?.specIds === undefined || body.specIds === null) {
+        return undefined;
+    }
+    if (!Array.isArray(body.specIds) || body.specIds.some(id => typeof id !== 'string' || !id.trim())) {
+        throw createHttpError(400, "'specIds' must be an array of spec id strings");
+    }
+    const specIds = normalizeSpecIds(body.specIds);
+    return specIds.length ? specIds : undefined;
+}
+
+/**
+ * Validate the optional hybrid retrieval `weights` shared by chat and search requests
+ * @param {Object} body - Request body
+ * @returns {{vector?: number, keyword?: number}|undefined} Weights, or undefined for the configured defaults
+ */
+function readWeights(body) {
+    if (body?.weights === undefined || body.weights === null) {
+        return undefined;
+    }
+    const { weights } = body;
+    const valid = typeof weights === 'object' && !Array.isArray(weights)
+        && Object.keys(weights).every(key => ['vector', 'keyword'].includes(key))
+        && Object.values(weights).every(weight => typeof weight === 'number' && Number.isFinite(weight) && weight >= 0);
+    if (!valid) {
+        throw createHttpError(400, "'weights' must be an object with non-negative 'vector' and 'keyword' numbers");
+    }
+    if (weights.vector === 0 && weights.keyword === 0) {
+        throw createHttpError(400, "'weights' cannot turn off both the vector and the keyword ranking");
+    }
+    return weights;
+}
+
+/**
+ * Log and send an error using the standard error envelope
+ * @param {Error} error - Error object
+ * @param {Response} res - Express response object
+ * @param {string} operation - Operation name used in logs
+ */
+function handleError(error, res, operation) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+        logger.error('Request failed', operation, {
+            error: error.message,
+            stack: error.stack
+        });
+    } else {
+        logger.warn('Invalid request', operation, { error: error.message });
+    }
+    res.status(statusCode).json(formatErrorResponse(error));
+}
+
+router.post('/chat', async (req, res) => {
+    let traceId;
+    try {
+        const query = requireQuery(req.body);
+        const history = Array.isArray(req.body.history) ? req.body.history : [];
+        const specIds = readSpecIds(req.body);
+        const weights = readWeights(req.body);
+
+        logger.info('Chat requested', 'apiChat', { query, historyLength: history.length, specIds, weights });
+
+        traceId = createTrace({ name: 'apiChat', input: { query }, metadata: { specIds } }).id;
+        const { matches, enrichedDocs } = await retrieveContext(query, { specIds, weights, traceId });
+
+        let usage = null;
+        const text = await generateOpenAPILLMCompletion(query, enrichedDocs, history, {
+            traceId,
+            onUsage: (completionUsage) => {
+                usage = completionUsage;
+            }
+        });
+
+        res.json(formatHttpResponse({
+            text,
+            usage,
+            sources: buildSources(matches)
+        }));
+    } catch (error) {
+        handleError(error, res, 'apiChat');
+    } finally {
+        destroyTrace(traceId);
+    }
+});
+
+router.post('/search', async (req, res) => {
+    try {
+        const query = requireQuery(req.body);
+        const topK = req.body.topK === undefined ? 10 : Number(req.body.topK);
+        if (!Number.isInteger(topK) || topK < 1 || topK > MAX_SEARCH_RESULTS) {
+            throw createHttpError(400, `'topK' must be an integer between 1 and ${MAX_SEARCH_RESULTS}`);
+        }
+
+        const specIds = readSpecIds(req.body);
+        const weights = readWeights(req.body);
+
+        logger.info('Search requested', 'apiSearch', { query, topK, specIds, weights });
+
+        const matches = await querySimilarChunks(query, { topK, specIds, weights });
+
+        res.json(formatHttpResponse({
+            query,
+            results: matches.map((match, index) => ({
+                rank: index + 1,
+                id: match.id,
+                score: match.score,
+                ...(match.scores ? { scores: match.scores, ranks: match.ranks } : {}),
+                ...(match.exact ? { exact: true, matchedBy: match.matchedBy } : {}),
+                metadata: match.metadata || {}
+            }))
+        }));
+    } catch (error) {
+        handleError(error, res, 'apiSearch');
+    }
+});
+
+router.get('/status', async (req, res) => {
+    try {
+        const jobs = await listJobs({ active: true });
+        res.json(formatHttpResponse({ ...getProcessingStatus(), jobs: jobs.map(job => formatJobEvent(job)) }));
+    } catch (error) {
+        handleError(error, res, 'apiStatus');
+    }
+});
+
+router.get('/files', async (req, res) => {
+    try {
+        res.json(formatHttpResponse({ files: await listFiles() }));
+    } catch (error) {
+        handleError(error, res, 'apiFiles');
+    }
+});
+
+router.get('/files/:fileName/chunks', async (req, res) => {
+    try {
+        const result = await listFileChunks(req.params.fileName, {
+            offset: req.query.offset,
+            limit: req.query.limit
+        });
+        res.json(formatHttpResponse(result));
+    } catch (error) {
+        handleError(error, res, 'apiFileChunks');
+    }
+});
+
+router.post('/files/:fileName/reindex', async (req, res) => {
+    try {
+        const force = req.query.force === 'true' || req.body?.force === true;
+        res.json(formatHttpResponse(await reindexFile(req.params.fileName, { force })));
+    } catch (error) {
+        handleError(error, res, 'apiReindexFile');
+    }
+});
+
+router.delete('/files/:fileName', async (req, res) => {
+    try {
+        res.json(formatHttpResponse(await deleteFile(req.params.fileName)));
+    } catch (error) {
+        handleError(error, res, 'apiDeleteFile');
+    }
+});
+
+router.get('/jobs', async (req, res) => {
+    try {
+        const jobs = await listJobs({ status: req.query.status, fileName: req.query.fileName });
+        res.json(formatHttpResponse({ jobs }));
+    } catch (error) {
+        handleError(error, res, 'apiListJobs');
+    }
+});
+
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        res.json(formatHttpResponse(await getJob(req.params.id)));
+    } catch (error) {
+        handleError(error, res, 'apiGetJob');
+    }
+});
+
+router.post('/jobs/:id/retry', async (req, res) => {
+    try {
+        res.json(formatHttpResponse(await retryJob(req.params.id)));
+    } catch (error) {
+        handleError(error, res, 'apiRetryJob');
+    }
+});
+
+router.get('/vector-store/health', async (req, res) => {
+    try {
+        const health = await getVectorStoreHealth();
+        res.status(health.ok ? 200 : 503).json(formatHttpResponse(health));
+    } catch (error) {
+        handleError(error, res, 'apiVectorStoreHealth');
+    }
+});
+
+router.get('/specs', async (req, res) => {
+    try {
+        res.json(formatHttpResponse({ specs: await listSpecs() }));
+    } catch (error) {
+        handleError(error, res, 'apiListSpecs');
+    }
+});
+
+router.get('/sources', async (req, res) => {
+    try {
+        res.json(formatHttpResponse({ sources: await listSources() }));
+    } catch (error) {
+        handleError(error, res, 'apiListSources');
+    }
+});
+
+router.post('/sources', async (req, res) => {
+    try {
+        if (typeof req.body?.url !== 'string' || !req.body.url.trim()) {
+            throw createHttpError(400, "'url' must be a non-empty string");
+        }
+
+        logger.info('URL import requested', 'apiImportSource', { url: req.body.url });
+
+        const { source, changed, result } = await importFromUrl(req.body.url, {
+            refreshInterval: req.body.refreshInterval
+        });
+        res.status(changed ? 202 : 200).json(formatHttpResponse({ source, changed, result }));
+    } catch (error) {
+        handleError(error, res, 'apiImportSource');
+    }
+});
+
+router.post('/sources/:id/sync', async (req, res) => {
+    try {
+        const { source, changed, result, inProgress } = await syncSource(req.params.id, {
+            force: req.query.force === 'true'
+        });
+        res.status(changed ? 202 : 200).json(formatHttpResponse({ source, changed, inProgress: !!inProgress, result }));
+    } catch (error) {
+        handleError(error, res, 'apiSyncSource');
+    }
+});
+
+router.delete('/sources/:id', async (req, res) => {
+    try {
+        res.json(formatHttpResponse(await removeSource(req.params.id)));
+    } catch (error) {
+        handleError(error, res, 'apiRemoveSource');
+    }
+});
+
+router.get('/apis', async (req, res) => {
+    try {
+        res.json(formatHttpResponse({ apis: await listApis() }));
+    } catch (error) {
+        handleError(error, res, 'apiListApis');
+    }
+});
+
+router.get('/apis/:name/versions', async (req, res) => {
+    try {
+        res.json(formatHttpResponse({ name: req.params.name, versions: await listVersions(req.params.name) }));
+    } catch (error) {
+        handleError(error, res, 'apiListVersions');
+    }
+});
+
+router.get('/apis/:name/diff', async (req, res) => {
+    try {
+        const result = await diffVersions(req.params.name, {
+            from: req.query.from,
+            to: req.query.to
+        });
+        res.json(formatHttpResponse(result));
+    } catch (error) {
+        handleError(error, res, 'apiDiffVersions');
+    }
+});
+
+/**
+ * Send a breaking-change report as JSON, or as Markdown with `?format=markdown`
+ * @param {Object} report - Report from buildChangeReport
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response object
+ */
+function sendReport(report, req, res) {
+    if (req.query.format === 'markdown') {
+        res.set('Content-Type', 'text/markdown; charset=utf-8');
+        res.send(formatMarkdownReport(report));
+        return;
+    }
+    res.json(formatHttpResponse(report));
+}
+
+router.get('/apis/:name/report', async (req, res) => {
+    try {
+        const { apiName, from, to, diff } = await diffVersions(req.params.name, {
+            from: req.query.from,
+            to: req.query.to
+        });
+        sendReport(buildChangeReport(diff, { apiName, from, to }), req, res);
+    } catch (error) {
+        handleError(error, res, 'apiVersionReport');
+    }
+});
+
+router.post('/apis/:name/check', rawDocumentBody, async (req, res) => {
+    try {
+        const content = requireDocument(req);
+        const report = await checkCandidate(content, {
+            apiName: req.params.name,
+            against: req.query.against,
+            version: req.query.version,
+            fileName: req.is('text/csv') ? 'candidate.csv' : 'candidate.json'
+        });
+        sendReport(report, req, res);
+    } catch (error) {
+        handleError(error, res, 'apiCheckCandidate');
+    }
+});
+
+/**
+ * Read the document sent to a conversion or check endpoint (raw text body, or `{ content }` JSON)
+ * @param {Request} req - Express request
+ * @returns {string|Object}
+ */
+function requireDocument(req) {
+    const content = typeof req.body === 'string' ? req.body : (req.body?.content ?? req.body);
+    const isEmptyObject = content && typeof content === 'object' && !Object.keys(content).length;
+    if (!content || isEmptyObject) {
+        throw createHttpError(400, 'Request body must contain the document');
+    }
+    return content;
+}
+
+router.post('/convert/csv', rawDocumentBody, (req, res) => {
+    try {
+        const document = requireDocument(req);
+        let result;
+        let title;
+        try {
+            const spec = parseSpecContent(document);
+            if (!spec.openapi && !spec.swagger) {
+                throw new Error('only OpenAPI 3 and Swagger 2.0 documents can be exported to CSV');
+            }
+            title = spec.info?.title;
+            result = specToCSV(spec);
+        } catch (error) {
+            throw createHttpError(400, `Invalid specification: ${error.message}`);
+        }
+
+        const fileName = `${(title || 'openapi').replace(/[^A-Za-z0-9._-]+/g, '_')}.csv`;
+        logger.info('Exported specification to CSV', 'apiConvertCsv', { rowCount: result.rowCount });
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(result.csv);
+    } catch (error) {
+        handleError(error, res, 'apiConvertCsv');
+    }
+});
+
+router.post('/convert/openapi', rawDocumentBody, async (req, res) => {
+    try {
+        const content = requireDocument(req);
+        if (typeof content !== 'string') {
+            throw createHttpError(400, 'CSV content must be sent as text');
+        }
+
+        let result;
+        try {
+            result = await csvToSpec(content, {
+                title: req.query.title,
+                version: req.query.version
+            });
+        } catch (error) {
+            throw createHttpError(400, error.message);
+        }
+
+        logger.info('Rebuilt specification from CSV', 'apiConvertOpenapi', {
+            pathCount: Object.keys(result.spec.paths).length,
+            errorCount: result.errors.length
+        });
+
+        res.json(formatHttpResponse(result));
+    } catch (error) {
+        handleError(error, res, 'apiConvertOpenapi');
+    }
+});
+
+module.exports = router;
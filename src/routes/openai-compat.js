@@ -0,0 +1,244 @@
+const express = require('express');
+const basicAuth = require('express-basic-auth');
+const { v4: uuidv4 } = require('uuid');
+const { createModuleLogger } = require('../utils/logger');
+const { retrieveContext } = require('../services/retrievalService');
+const { generateOpenAPILLMCompletion } = require('../services/chatService');
+const { createTrace, destroyTrace } = require('../services/llmMetricsService');
+
+const router = express.Router();
+const logger = createModuleLogger('openai-compat');
+
+const MODEL_ID = process.env.OPENAI_COMPAT_MODEL_ID || 'chat-openapi-rag';
+
+const basicAuthMiddleware = process.env.BASIC_AUTH_USER && process.env.BASIC_AUTH_PASSWORD
+    ? basicAuth({
+        users: {
+            [process.env.BASIC_AUTH_USER]: process.env.BASIC_AUTH_PASSWORD
+        },
+        challenge: true
+    })
+    : null;
+
+/**
+ * Send an error using the OpenAI error envelope so SDK clients can surface it
+ */
+function sendOpenAIError(res, statusCode, message, type = 'invalid_request_error') {
+    res.status(statusCode).json({
+        error: {
+            message,
+            type,
+            param: null,
+            code: null
+        }
+    });
+}
+
+/**
+ * OpenAI clients authenticate with a bearer token. When OPENAI_COMPAT_API_KEY is set it is required,
+ * otherwise the regular basic auth (if configured) protects these routes like the rest of the app.
+ */
+function authenticate(req, res, next) {
+    const apiKey = process.env.OPENAI_COMPAT_API_KEY;
+    if (apiKey) {
+        if (req.get('authorization') === `Bearer ${apiKey}`) {
+            return next();
+        }
+        return sendOpenAIError(res, 401, 'Incorrect API key provided', 'authentication_error');
+    }
+    if (basicAuthMiddleware) {
+        return basicAuthMiddleware(req, res, next);
+    }
+    next();
+}
+
+/**
+ * Extract plain text from an OpenAI message content (string or array of content parts)
+ */
+function getMessageText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part && part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return '';
+}
+
+/**
+ * Split the OpenAI messages array into the query (last user message) and the chat history
+ */
+function parseMessages(messages) {
+    let queryIndex = -1;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i]?.role === 'user') {
+            queryIndex = i;
+            break;
+        }
+    }
+    if (queryIndex === -1) return null;
+
+    const history = messages.slice(0, queryIndex)
+        .filter(message => message.role === 'user' || message.role === 'assistant')
+        .map(message => ({
+            role: message.role,
+            content: getMessageText(message.content)
+        }));
+
+    return {
+        query: getMessageText(messages[queryIndex].content),
+        history
+    };
+}
+
+function writeEvent(res, payload) {
+    if (!res.writableEnded && !res.destroyed) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    }
+}
+
+router.use(authenticate);
+
+router.get('/models', (req, res) => {
+    res.json({
+        object: 'list',
+        data: [{
+            id: MODEL_ID,
+            object: 'model',
+            created: 0,
+            owned_by: 'chat-openapi'
+        }]
+    });
+});
+
+router.post('/chat/completions', async (req, res) => {
+    const { messages, stream, stream_options: streamOptions } = req.body || {};
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return sendOpenAIError(res, 400, "'messages' must be a non-empty array");
+    }
+
+    const parsed = parseMessages(messages);
+    if (!parsed || !parsed.query.trim()) {
+        return sendOpenAIError(res, 400, "'messages' must contain a user message");
+    }
+
+    const id = `chatcmpl-${uuidv4()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const model = req.body.model || MODEL_ID;
+
+    logger.info('Chat completion requested', 'chatCompletions', {
+        stream: !!stream,
+        messageCount: messages.length,
+        historyLength: parsed.history.length
+    });
+
+    const traceId = createTrace({ name: 'chatCompletions', input: { query: parsed.query }, metadata: { stream: !!stream } }).id;
+
+    // A client that disconnects stops the completion, so the provider does not generate an answer nobody reads
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+        const { enrichedDocs } = await retrieveContext(parsed.query, { traceId });
+
+        if (!stream) {
+            let usage = null;
+            const content = await generateOpenAPILLMCompletion(parsed.query, enrichedDocs, parsed.history, {
+                traceId,
+                signal: controller.signal,
+                onUsage: (completionUsage) => {
+                    usage = completionUsage;
+                }
+            });
+
+            return res.json({
+                id,
+                object: 'chat.completion',
+                created,
+                model,
+                choices: [{
+                    index: 0,
+                    message: {
+                        role: 'assistant',
+                        content
+                    },
+                    finish_reason: 'stop'
+                }],
+                ...(usage && { usage })
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        const chunk = (delta, finishReason = null) => ({
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model,
+            choices: [{
+                index: 0,
+                delta,
+                finish_reason: finishReason
+            }]
+        });
+
+        writeEvent(res, chunk({ role: 'assistant', content: '' }));
+
+        let usage = null;
+        await generateOpenAPILLMCompletion(parsed.query, enrichedDocs, parsed.history, {
+            traceId,
+            signal: controller.signal,
+            onDelta: (text) => {
+                writeEvent(res, chunk({ content: text }));
+            },
+            onUsage: (completionUsage) => {
+                usage = completionUsage;
+            }
+        });
+
+        writeEvent(res, chunk({}, 'stop'));
+
+        // The usage chunk is only sent to clients that ask for it, and only with the provider's usage
+        if (streamOptions?.include_usage && usage) {
+            writeEvent(res, {
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model,
+                choices: [],
+                usage
+            });
+        }
+
+        if (!res.writableEnded) {
+            res.write('data: [DONE]\n\n');
+            res.end();
+        }
+    } catch (error) {
+        if (controller.signal.aborted) {
+            logger.info('Client disconnected, completion stopped', 'chatCompletions', { id });
+            return;
+        }
+        logger.error('Chat completion failed', 'chatCompletions', {
+            error: error.message,
+            stack: error.stack
+        });
+        // A provider failure is a 502, also in the middle of a stream where only an error event can report it
+        if (res.headersSent) {
+            writeEvent(res, { error: { message: 'Failed to generate response', type: 'server_error' } });
+            return res.end();
+        }
+        sendOpenAIError(res, error.statusCode || 500, 'Failed to generate response', 'server_error');
+    } finally {
+        destroyTrace(traceId);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+// Only the report goes to stdout, so it can be piped (e.g. --format=json | jq); logs and usage go to stderr
+console.log = console.info = console.debug = console.error;
+
+const path = require('path');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const { createModuleLogger } = require('../utils/logger');
+const { isDbSystemEnabled, connectToMongoDB } = require('../db/config');
+const { closePool } = require('../db/postgres');
+const { parseSpecContent } = require('../utils/input-format');
+const { diffSpecs } = require('../utils/spec-diff');
+const { buildChangeReport, formatMarkdownReport } = require('../utils/change-report');
+const { checkCandidate } = require('../services/specVersionService');
+
+const logger = createModuleLogger('check-breaking-changes');
+
+// Exit codes for CI: 0 = no breaking changes, 1 = breaking changes, 2 = the check could not run
+const EXIT_BREAKING = 1;
+const EXIT_ERROR = 2;
+
+function printUsage() {
+    console.log('\nUsage:');
+    console.log('  npm run check-breaking -- <candidate.json|yaml|csv> [--api=<name>] [--against=<version>]');
+    console.log('  npm run check-breaking -- <candidate.json|yaml> --base=<previous.json|yaml>');
+    console.log('\nOptions:');
+    console.log('  --api=<name>        API to compare with, by name or spec id (defaults to the candidate\'s info.title)');
+    console.log('  --against=<version> Indexed version to compare with (defaults to the latest version)');
+    console.log('  --base=<file>       Compare with a document on disk instead of the index');
+    console.log('  --json=<path>       Write the JSON report to a file');
+    console.log('  --markdown=<path>   Write the Markdown report to a file');
+    console.log('  --format=json       Print the JSON report instead of Markdown');
+}
+
+/**
+ * Compare a candidate specification with the previously indexed version of its API (or with a
+ * document on disk) and report breaking changes. The index is read from PostgreSQL (METADATA_STORE=postgres)
+ * or MongoDB when configured, otherwise from DATA_DIR, so CI can run against a local copy of any of them.
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const [candidatePath] = args.filter(arg => !arg.startsWith('--'));
+    const options = {};
+
+    args.forEach(arg => {
+        const match = arg.match(/^--(api|against|base|json|markdown|format)=(.*)$/);
+        if (match) {
+            options[match[1]] = match[2];
+        }
+    });
+
+    if (!candidatePath) {
+        console.error('Error: a candidate specification must be provided');
+        printUsage();
+        process.exit(EXIT_ERROR);
+    }
+
+    try {
+        const content = await fs.readFile(candidatePath, 'utf8');
+        const fileName = path.basename(candidatePath);
+        let report;
+
+        if (options.base) {
+            const base = parseSpecContent(await fs.readFile(options.base, 'utf8'));
+            const candidate = parseSpecContent(content);
+            report = buildChangeReport(diffSpecs(base, candidate), {
+                apiName: options.api || candidate.info?.title,
+                from: base.info?.version || path.basename(options.base),
+                to: candidate.info?.version || fileName
+            });
+        } else {
+            const apiName = options.api || (path.extname(fileName).toLowerCase() === '.csv' ? null : parseSpecContent(content).info?.title);
+            if (!apiName) {
+                throw new Error('--api is required when the candidate has no info.title');
+            }
+            if (isDbSystemEnabled()) {
+                await connectToMongoDB();
+            }
+            report = await checkCandidate(content, {
+                apiName,
+                against: options.against,
+                fileName
+            });
+        }
+
+        const markdown = formatMarkdownReport(report);
+        const json = JSON.stringify(report, null, 2);
+
+        if (options.json) {
+            await fs.writeFile(options.json, json);
+        }
+        if (options.markdown) {
+            await fs.writeFile(options.markdown, markdown);
+        }
+        process.stdout.write(`${options.format === 'json' ? json : markdown}\n`);
+
+        process.exitCode = report.breaking ? EXIT_BREAKING : 0;
+    } catch (error) {
+        logger.error('Breaking-change check failed', 'main', { error: error.message });
+        console.error('Fatal error:', error.message);
+        process.exitCode = EXIT_ERROR;
+    } finally {
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.disconnect();
+        }
+        await closePool();
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs').promises;
+const yaml = require('js-yaml');
+const { createModuleLogger } = require('../utils/logger');
+const { parseSpecContent } = require('../utils/input-format');
+const { specToCSV, csvToSpec } = require('../utils/csv-export');
+
+const logger = createModuleLogger('convert-spec');
+
+/**
+ * Convert between OpenAPI/Swagger documents and the CSV import format.
+ * The direction follows the input extension: a .csv input produces an OpenAPI 3 document
+ * (YAML when the output ends in .yaml/.yml), anything else produces a CSV.
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const [inputPath, outputArg] = args.filter(arg => !arg.startsWith('--'));
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg.startsWith('--title=')) {
+            options.title = arg.slice('--title='.length);
+        } else if (arg.startsWith('--version=')) {
+            options.version = arg.slice('--version='.length);
+        }
+    });
+
+    if (!inputPath) {
+        console.error('Error: an input file must be provided');
+        console.log('\nUsage:');
+        console.log('  npm run convert -- <openapi.json|yaml> [output.csv]');
+        console.log('  npm run convert -- <spec.csv> [output.json|yaml] [--title=<title>] [--version=<version>]');
+        process.exit(1);
+    }
+
+    try {
+        const content = await fs.readFile(inputPath);
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        if (path.extname(inputPath).toLowerCase() === '.csv') {
+            const outputPath = outputArg || `${baseName}.openapi.json`;
+            const { spec, errors } = await csvToSpec(content, { title: options.title || baseName, version: options.version });
+            const output = /\.ya?ml$/i.test(outputPath) ? yaml.dump(spec, { noRefs: true }) : JSON.stringify(spec, null, 2);
+
+            await fs.writeFile(outputPath, output);
+            console.log(`Wrote OpenAPI document with ${Object.keys(spec.paths).length} paths to ${outputPath}`);
+            errors.forEach(error => {
+                console.warn(`- ${error.lineNumber ? `line ${error.lineNumber}: ` : ''}${error.error}`);
+            });
+        } else {
+            const outputPath = outputArg || `${baseName}.csv`;
+            const { csv, rowCount } = specToCSV(parseSpecContent(content));
+
+            await fs.writeFile(outputPath, csv);
+            console.log(`Wrote ${rowCount} operations to ${outputPath}`);
+        }
+    } catch (error) {
+        logger.error('Conversion failed', 'main', { error: error.message });
+        console.error('Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
@@ -47,7 +47,7 @@ async function main() {
             return console.log('I could not find any relevant API documentation to help answer your question.');
         }
 
-        // Enrich with MongoDB metadata if available
+        // Enrich with stored metadata (MongoDB or PostgreSQL) if available
         const enrichedDocs = await enrichDocsWithMetadata(relevantDocs);
 
         // Save docs for debugging
@@ -9,21 +9,21 @@ async function searchByMetadata(searchTerm) {
     try {
         logger.info('Starting metadata search', 'searchByMetadata', { searchTerm });
 
-        // Initialize ChromaDB
+        // Initialize the vector store
         const vectorStore = await initVectorDb();
         
         // Get all documents
-        const results = await vectorStore.collection.get();
+        const records = await vectorStore.find();
 
         // Filter documents by searching in metadata fields
-        const matches = results.metadatas.map((metadata, index) => {
+        const matches = records.map(({ id, metadata }) => {
             // Convert all metadata values to strings for searching
             const metadataString = JSON.stringify(metadata).toLowerCase();
             
             // Check if search term exists in any metadata field
             if (metadataString.includes(searchTerm.toLowerCase())) {
                 return {
-                    id: results.ids[index],
+                    id,
                     metadata,
                     text: metadata.text || ''
                 };
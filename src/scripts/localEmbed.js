@@ -166,7 +166,7 @@ async function main() {
                 }
             }));
 
-            await vectorStore.addVectors(vectors);
+            await vectorStore.upsert(vectors);
             totalProcessed += batch.length;
 
             logger.info('Batch processed', 'main', {
@@ -10,14 +10,22 @@ const path = require('path');
 const expressLayouts = require('express-ejs-layouts');
 const multer = require('multer');
 const fs = require('fs').promises;
-const { initPinecone, processOpenAPISpec, getProcessingStatus } = require('./utils/openapi');
-const { querySimilarChunks, initVectorDb } = require('./services/vectorDbService');
+const { getProcessingStatus } = require('./utils/openapi');
+const { initVectorDb, normalizeSpecIds, storeVectors } = require('./services/vectorDbService');
 const { createModuleLogger } = require('./utils/logger');
 const basicAuth = require('express-basic-auth');
 const { connectToMongoDB, isDbSystemEnabled } = require('./db/config');
+const { createMetadataStore } = require('./db/metadata-store');
+const { isPostgresMetadataEnabled, ensureMetadataSchema } = require('./db/postgres');
 const { generateOpenAPILLMCompletion } = require('./services/chatService');
-const { enrichDocsWithMetadata } = require('./services/documentService');
-const { createTrace, createSpan } = require('./services/llmMetricsService');
+const { buildSources } = require('./services/documentService');
+const { retrieveContext } = require('./services/retrievalService');
+const { getEmbeddingDimensions } = require('./services/embeddingService');
+const { bundleSpec, readZipArchive } = require('./utils/ref-resolver');
+const { importFromUrl, startSourceScheduler } = require('./services/specSourceService');
+const { startJobWorkers, jobEvents, formatJobEvent, listJobs, getJob } = require('./services/jobService');
+const { ingestSpec } = require('./services/specVersionService');
+const { createTrace, destroyTrace } = require('./services/llmMetricsService');
 
 const chatEmbedRoutes = require('./routes/chat-embed');
 
@@ -26,7 +34,9 @@ const logger = createModuleLogger('server');
 // Create Express app and HTTP server
 const app = express();
 
-initVectorDb();
+initVectorDb().catch(error => {
+    logger.error('Failed to initialize vector database', 'init', { error: error.message });
+});
 
 // Configure multer for file upload
 const storage = multer.diskStorage({
@@ -45,7 +55,8 @@ const storage = multer.diskStorage({
     }
 });
 
-const upload = multer({ storage: storage });
+// preservePath keeps the directories of multi-file spec parts (`schemas/User.yaml`), which their $refs point to
+const upload = multer({ storage: storage, preservePath: true });
 
 /*
 // Initialize application
@@ -78,6 +89,9 @@ app.set('layout', './layout');
 app.use(express.static('public'));
 app.use(express.json());
 
+// OpenAI-compatible API: mounted before basic auth as it handles bearer token authentication itself
+app.use('/v1', require('./routes/openai-compat'));
+
 if (process.env.BASIC_AUTH_USER && process.env.BASIC_AUTH_PASSWORD) {
     app.use(basicAuth({
         users: {
@@ -98,6 +112,14 @@ app.get('/upload', (req, res) => {
     });
 });
 
+app.get('/versions', (req, res) => {
+    res.render('versions');
+});
+
+app.get('/files', (req, res) => {
+    res.render('files');
+});
+
 app.get('/settings', (req, res) => {
     res.render('settings', {
         inputFormat: process.env.INPUT_FORMAT?.toLowerCase() || 'csv'
@@ -105,20 +127,66 @@ app.get('/settings', (req, res) => {
 
 });
 
-// Initialize Pinecone
-let pineconeIndex;
-initPinecone().then(index => {
-    pineconeIndex = index;
-}).catch(error => {
-    logger.error('Failed to initialize Pinecone', 'init', { error });
-});
-
 // Use the chat embed routes
 app.use('/chat-embed', chatEmbedRoutes);
 app.use('/api/openrouter-settings', require('./routes/openrouter-settings'));
+app.use('/api', require('./routes/api'));
+
+/**
+ * The uploaded file to process. Multi-file specs (a zip archive in `file`, or several `files` parts) are bundled
+ * into one document, as WebSocket uploads are, and stored in place of the uploaded parts
+ * @param {Object} req - Request handled by multer
+ * @returns {Promise<Object|null>} The multer file, or the bundled document in its shape
+ */
+async function resolveUploadedFile(req) {
+    const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+    const isZip = files.length === 1 && path.extname(files[0].originalname).toLowerCase() === '.zip';
+    if (files.length <= 1 && !isZip) {
+        return files[0] || null;
+    }
+
+    let bundle;
+    try {
+        const sources = isZip
+            ? readZipArchive(await fs.readFile(files[0].path))
+            : Object.fromEntries(await Promise.all(files.map(async file => [
+                file.originalname,
+                await fs.readFile(file.path, 'utf8')
+            ])));
+        bundle = bundleSpec(sources, { entryFile: req.body.entryFile });
+    } finally {
+        await Promise.all(files.map(file => fs.rm(file.path, { force: true })));
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filename = `file-${uniqueSuffix}.json`;
+    const filepath = path.join(path.dirname(files[0].path), filename);
+    const content = JSON.stringify(bundle.spec, null, 2);
+    await fs.writeFile(filepath, content);
+
+    logger.info('Bundled multi-file specification', 'upload', {
+        entryFile: bundle.entryFile,
+        sourceFiles: bundle.sourceFiles.length,
+        unresolved: bundle.unresolved
+    });
 
-app.post('/upload', upload.single('file'), async (req, res) => {
+    const originalName = isZip ? files[0].originalname : bundle.entryFile;
+    return {
+        filename,
+        path: filepath,
+        originalname: `${path.basename(originalName, path.extname(originalName))}.json`,
+        size: Buffer.byteLength(content)
+    };
+}
+
+app.post('/upload', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'files' }]), async (req, res) => {
     try {
+        try {
+            req.file = await resolveUploadedFile(req);
+        } catch (error) {
+            logger.warn('Invalid multi-file upload', 'upload', { error: error.message });
+            return res.status(400).json({ error: error.message });
+        }
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
@@ -129,13 +197,7 @@ app.post('/upload', upload.single('file'), async (req, res) => {
             onlyUpload: req.body.onlyUpload === 'true'
         });
 
-        // Create file metadata in Pinecone
-        const pinecone = new Pinecone({
-            apiKey: process.env.PINECONE_API_KEY,
-        });
-        const index = pinecone.index(process.env.PINECONE_INDEX);
-
-        // Store file metadata in Pinecone
+        // Store file metadata in the vector store
         const fileMetadata = {
             is_file_metadata: true,
             file_name: req.file.filename,
@@ -149,16 +211,15 @@ app.post('/upload', upload.single('file'), async (req, res) => {
         const fileVector = {
             id: req.file.filename,
             metadata: fileMetadata,
-            values: new Array(1536).fill(0) // Placeholder vector
+            values: new Array(await getEmbeddingDimensions()).fill(0) // Placeholder vector, sized for the embedding model
         };
 
-        await index.upsert([fileVector]);
+        await storeVectors([fileVector]);
 
-        // Create MongoDB metadata entry for the file
-        const metadataDoc = new Metadata({
+        // Create the metadata store entry for the file (MongoDB or PostgreSQL)
+        await createMetadataStore()?.saveFile({
             vector_id: req.file.filename,
             file_name: req.file.filename,
-            is_file_metadata: true,
             original_name: req.file.originalname,
             upload_date: new Date(),
             file_size: req.file.size,
@@ -166,8 +227,6 @@ app.post('/upload', upload.single('file'), async (req, res) => {
             processed: false
         });
 
-        await metadataDoc.save();
-
         logger.info('File metadata stored', 'upload', {
             filename: req.file.filename,
             vectorId: req.file.filename
@@ -185,8 +244,13 @@ app.post('/upload', upload.single('file'), async (req, res) => {
         }
 
         // Process file if not onlyUpload
-        const fileContent = await fs.readFile(req.file.path, 'utf-8');
-        const result = await processOpenAPISpec(fileContent, req.file.filename);
+        // Read raw bytes so CSV uploads can have their encoding detected
+        const fileContent = await fs.readFile(req.file.path);
+        const result = await ingestSpec(fileContent, req.file.filename, {
+            sourceName: req.file.originalname,
+            apiName: req.body.apiName,
+            version: req.body.apiVersion
+        });
         res.json(result);
     } catch (error) {
         logger.error('Error in file upload', 'upload', {
@@ -204,65 +268,125 @@ async function startServer() {
             await connectToMongoDB();
         }
 
-        // Initialize Pinecone
-        let pineconeIndex;
-        await initPinecone().then(index => {
-            pineconeIndex = index;
-        }).catch(error => {
-            logger.error('Failed to initialize Pinecone', 'init', { error });
-        });
+        // Create the PostgreSQL metadata tables (METADATA_STORE=postgres)
+        if (isPostgresMetadataEnabled()) {
+            await ensureMetadataSchema();
+        }
 
         const server = http.createServer(app);
         const wss = new WebSocket.Server({ server });
 
+        // Ingestion job ids each socket subscribed to; `all` subscribes to every job
+        const jobSubscriptions = new Map();
+
+        // Push job events to the sockets subscribed to the job or to all jobs
+        ['job_progress', 'job_completed', 'job_failed'].forEach(type => {
+            jobEvents.on(type, event => {
+                const message = JSON.stringify({ type, data: event });
+                jobSubscriptions.forEach((subscription, client) => {
+                    if (client.readyState !== WebSocket.OPEN) return;
+                    if (subscription.all || subscription.jobIds.has(event.jobId)) {
+                        client.send(message);
+                    }
+                    if (type !== 'job_progress') {
+                        subscription.jobIds.delete(event.jobId);
+                    }
+                });
+            });
+        });
+
         // WebSocket connection handler
         wss.on('connection', (ws) => {
             logger.info('Client connected', 'wsConnection');
+            const subscription = { all: false, jobIds: new Set() };
+            jobSubscriptions.set(ws, subscription);
 
             ws.on('message', async (message) => {
                 try {
 
                     const data = JSON.parse(message);
 
-                    /*  const traceId = createTrace({
-                         name: 'wsMessage',
-                         metadata: { query: data.query }
-                     }).id */
-
-
-
-
-                    logger.info('Received message', 'wsMessage', { type: data.type, traceId: undefined });
+                    logger.info('Received message', 'wsMessage', { type: data.type });
 
                     switch (data.type) {
                         case 'status':
                             const status = getProcessingStatus();
+                            const activeJobs = await listJobs({ active: true });
                             ws.send(JSON.stringify({
                                 type: 'status_response',
-                                data: status
+                                data: { ...status, jobs: activeJobs.map(job => formatJobEvent(job)) }
                             }));
                             break;
 
-                        case 'chat':
+                        // Job events for one job (`jobId`) or, without a job id, for every job
+                        case 'subscribe':
                             try {
-                                /* const span = createSpan(traceId, {
-                                    name: 'querySimilarChunks',
-                                    input: { query: data.query }
-                                }); */
-
-                                let context = [], enrichedDocs = [];
-
-
-                                context = await querySimilarChunks(data.query);
-                                enrichedDocs = await enrichDocsWithMetadata(context);
+                                const jobs = data.jobId
+                                    ? [await getJob(data.jobId)]
+                                    : await listJobs({ active: true });
+                                if (data.jobId) {
+                                    subscription.jobIds.add(data.jobId);
+                                } else {
+                                    subscription.all = true;
+                                }
+                                ws.send(JSON.stringify({
+                                    type: 'subscribe_response',
+                                    data: {
+                                        jobId: data.jobId || null,
+                                        all: !data.jobId,
+                                        jobs: jobs.map(job => formatJobEvent(job, { includeRowErrors: true }))
+                                    }
+                                }));
+                            } catch (error) {
+                                ws.send(JSON.stringify({
+                                    type: 'error',
+                                    data: { message: error.message }
+                                }));
+                            }
+                            break;
 
+                        case 'unsubscribe':
+                            if (data.jobId) {
+                                subscription.jobIds.delete(data.jobId);
+                            } else {
+                                subscription.all = false;
+                                subscription.jobIds.clear();
+                            }
+                            ws.send(JSON.stringify({
+                                type: 'unsubscribe_response',
+                                data: { jobId: data.jobId || null }
+                            }));
+                            break;
 
-                                /*  span.end({
-                                     output: { enrichedDocs }
-                                 }); */
+                        case 'chat':
+                            let streamedText = '';
+                            const traceId = createTrace({
+                                name: 'wsChat',
+                                input: { query: data.query },
+                                metadata: { specIds: data.specIds }
+                            }).id;
+                            try {
+                                // `specIds` scopes the answer to the chosen specs; without it every spec is searched.
+                                // `weights` overrides the hybrid retrieval weights ({ vector, keyword })
+                                const { matches: context, enrichedDocs } = await retrieveContext(data.query, {
+                                    specIds: normalizeSpecIds(data.specIds),
+                                    weights: data.weights,
+                                    traceId
+                                });
 
+                                let usage = null;
                                 const response = await generateOpenAPILLMCompletion(data.query, enrichedDocs, data.history || [], {
-                                    traceId: undefined
+                                    traceId,
+                                    onDelta: (text) => {
+                                        streamedText += text;
+                                        ws.send(JSON.stringify({
+                                            type: 'chat_delta',
+                                            data: { text }
+                                        }));
+                                    },
+                                    onUsage: (completionUsage) => {
+                                        usage = completionUsage;
+                                    }
                                 });
 
                                 await fs.writeFile('relevantDocs.json', JSON.stringify(enrichedDocs, null, 2));
@@ -270,19 +394,25 @@ async function startServer() {
                                 logger.info('Response:', 'wsChat', { response });
 
                                 ws.send(JSON.stringify({
-                                    type: 'chat_response',
+                                    type: 'chat_done',
                                     data: {
-                                        text: response
+                                        text: response,
+                                        usage,
+                                        sources: buildSources(context)
                                     }
                                 }));
                             } catch (error) {
-                                logger.error('Chat error', 'wsChat', { error });
+                                logger.error('Chat error', 'wsChat', { error: error.message });
+                                // Ends the stream: clients keep the text streamed so far (`text`) and show the error
                                 ws.send(JSON.stringify({
-                                    type: 'error',
+                                    type: 'chat_error',
                                     data: {
-                                        message: 'Failed to generate response'
+                                        message: 'Failed to generate response',
+                                        text: streamedText
                                     }
                                 }));
+                            } finally {
+                                destroyTrace(traceId);
                             }
                             break;
 
@@ -305,9 +435,30 @@ async function startServer() {
                         case 'upload':
                             logger.info('Processing upload', 'wsMessage', {
                                 fileName: data.fileName,
+                                url: data.url,
                                 onlyUpload: data.onlyUpload
                             });
                             try {
+                                // Specs imported from a URL are fetched, stored and tracked by the source service
+                                if (data.url) {
+                                    const { source, changed, result } = await importFromUrl(data.url, {
+                                        refreshInterval: data.refreshInterval
+                                    });
+                                    // The uploading socket gets the events of its own job
+                                    if (result?.jobId) {
+                                        subscription.jobIds.add(result.jobId);
+                                    }
+                                    ws.send(JSON.stringify({
+                                        type: 'upload_response',
+                                        data: {
+                                            ...(result || { status: 'unchanged', message: 'Specification is already up to date' }),
+                                            changed,
+                                            source
+                                        }
+                                    }));
+                                    break;
+                                }
+
                                 // Create uploads directory if it doesn't exist
                                 const uploadDir = path.join(__dirname, 'uploads');
                                 try {
@@ -316,14 +467,36 @@ async function startServer() {
                                     await fs.mkdir(uploadDir, { recursive: true });
                                 }
 
+                                // Multi-file specs (a zip archive or a list of files) are bundled into one document
+                                if (data.fileType === 'zip' || Array.isArray(data.files)) {
+                                    const files = data.fileType === 'zip'
+                                        ? readZipArchive(Buffer.from(data.content, 'base64'))
+                                        : Object.fromEntries(data.files.map(file => [file.fileName, file.content]));
+                                    const bundle = bundleSpec(files, { entryFile: data.entryFile });
+
+                                    logger.info('Bundled multi-file specification', 'wsMessage', {
+                                        fileName: data.fileName,
+                                        entryFile: bundle.entryFile,
+                                        sourceFiles: bundle.sourceFiles.length,
+                                        unresolved: bundle.unresolved
+                                    });
+
+                                    data.content = bundle.spec;
+                                    data.fileName = `${path.basename(data.fileName || bundle.entryFile, path.extname(data.fileName || bundle.entryFile))}.json`;
+                                    data.fileType = 'json';
+                                }
+
                                 // Generate unique filename
                                 const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
                                 const ext = path.extname(data.fileName);
                                 const filename = `file-${uniqueSuffix}${ext}`;
                                 const filepath = path.join(uploadDir, filename);
 
-                                // Save file content
-                                await fs.writeFile(filepath, data.content);
+                                // Save file content (JSON specs arrive already parsed)
+                                const fileContent = typeof data.content === 'string'
+                                    ? data.content
+                                    : JSON.stringify(data.content, null, 2);
+                                await fs.writeFile(filepath, fileContent);
 
                                 if (data.onlyUpload) {
                                     // Store metadata without processing
@@ -337,26 +510,24 @@ async function startServer() {
                                         filepath: filepath
                                     };
 
-                                    // Store in Pinecone
+                                    // Store in the vector store
                                     const fileVector = {
                                         id: filename,
                                         metadata: fileMetadata,
-                                        values: new Array(1536).fill(0) // Placeholder vector
+                                        values: new Array(await getEmbeddingDimensions()).fill(0) // Placeholder vector, sized for the embedding model
                                     };
-                                    await pineconeIndex.upsert([fileVector]);
+                                    await storeVectors([fileVector]);
 
-                                    // Store in MongoDB
-                                    const metadataDoc = new Metadata({
+                                    // Store in the metadata store (MongoDB or PostgreSQL)
+                                    await createMetadataStore()?.saveFile({
                                         vector_id: filename,
                                         file_name: filename,
-                                        is_file_metadata: true,
                                         original_name: data.fileName,
                                         upload_date: new Date(),
                                         file_type: data.fileType,
                                         processed: false,
                                         filepath: filepath
                                     });
-                                    await metadataDoc.save();
 
                                     ws.send(JSON.stringify({
                                         type: 'upload_response',
@@ -368,7 +539,13 @@ async function startServer() {
                                     }));
                                 } else {
                                     // Process the file normally
-                                    const result = await processOpenAPISpec(data.content, filename);
+                                    // Uploads are recorded as versions of their API (info.title or data.apiName)
+                                    const result = await ingestSpec(data.content, filename, {
+                                        sourceName: data.fileName,
+                                        apiName: data.apiName,
+                                        version: data.apiVersion
+                                    });
+                                    subscription.jobIds.add(result.jobId);
                                     ws.send(JSON.stringify({
                                         type: 'upload_response',
                                         data: result
@@ -416,6 +593,7 @@ async function startServer() {
             });
 
             ws.on('close', () => {
+                jobSubscriptions.delete(ws);
                 logger.info('Client disconnected', 'wsClose');
             });
         });
@@ -425,6 +603,14 @@ async function startServer() {
             logger.info(`Server is running on port http://localhost:${port}`, 'startup');
         });
 
+        // Resume ingestion jobs interrupted by the last shutdown and start queued ones
+        await startJobWorkers().catch(error => {
+            logger.error('Failed to start ingestion workers', 'startup', { error: error.message });
+        });
+
+        // Re-sync specifications imported from URLs on their refresh interval
+        startSourceScheduler();
+
     } catch (error) {
         logger.error('Failed to start server', 'startup', {
             error: error.message,
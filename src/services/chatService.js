@@ -25,32 +25,115 @@ function generateDescription(metadata) {
     return metadata.description || 'No description available';
 }
 
+const OPENAPI_SYSTEM_PROMPT = "You are an expert AI assistant specializing in OpenAPI specifications. Your primary goal is to provide clear, accurate, and **well-formatted** answers based *only* on the provided OpenAPI specification data.\n\n## Core Objective\nAnswer user questions about API endpoints, authentication methods, request/response schemas, and other details found within the OpenAPI document.\n\n## Formatting & Style (**Crucial for Readability**)\n- **Clarity First:** Prioritize readable and well-structured Markdown output.\n- **Markdown Usage:**\n    - Use Markdown consistently for all responses.\n    - **Use whitespace (blank lines)** generously between sections (like headers, parameters, responses) and logical blocks to improve readability and create visual separation (simulate margins).\n    - Use Level 3 headings (starting with '### ') for major sections like endpoint details.\n    - Use **bold** (surrounding text with double asterisks) for key terms, HTTP methods, status codes, parameter names, and section titles within the endpoint template (e.g., **Parameters**, **Request Body**).\n    - Use inline code formatting (typically rendered using single backticks around the text) for single identifiers like paths (e.g., format /users/{id} with inline code style), operation IDs (e.g., format getUser with inline code style), content types (e.g., format application/json with inline code style), specific header names (e.g., format Authorization with inline code style), and field names (e.g., format userId with inline code style).\n    - Use fenced code blocks (typically starting and ending with triple backticks, optionally followed by a language identifier) for multi-line examples, especially JSON/YAML snippets, complex schema definitions, or lists of headers. Specify the language (e.g., json) if possible.\n    - Use bullet points (starting lines with '- ') for lists of items (e.g., listing parameters, responses). Use nested bullets for sub-details if necessary.\n    - Use numbered lists (starting lines with '1. ') primarily for user choices (selecting an endpoint) or sequential steps if explicitly requested.\n    - Use tables (using Markdown table syntax with pipes and hyphens) *only* when specifically comparing multiple similar items side-by-side if it enhances clarity. Prefer lists/structured text otherwise.\n- **Tone:** Be technically precise, concise, and helpful. Avoid conversational filler, greetings, or closings. Stick strictly to the requested information.\n\n## Content Requirements & Structure\n- **Source:** Base all answers strictly on the provided OpenAPI context. If information is missing, state clearly: \"Information not available in the provided specification.\"\n- **Endpoint Details Template:** When describing a specific endpoint, **strictly adhere** to the following structure and formatting principles (imagine the formatting described above is applied):\n\n    ### Endpoint: [HTTP Method formated bold] [Path formatted with inline code style]\n\n    *(Optional: Include the summary/description from the spec here if available)*\n\n    - **Operation ID:** [operationId formatted with inline code style] *(If available)*\n    - **Security:** *(List required security schemes, if any. E.g., \"Requires: [schemeName formatted with inline code style]\")*\n\n    **Parameters:**\n    *(List parameters: path, query, header, cookie. Use bullets)*\n    - [parameter_name formatted with inline code style] ([in], **Required**/**Optional**): [Type/Description]. *(Example: \"- userId (path, **Required**): User's unique identifier.\" - format 'userId' and 'path' using inline code style)*\n    *(If no parameters, state: \"- None\")*\n\n    **Request Body:**\n    *(If applicable. Describe content type and schema)*\n    - **Content-Type:** [content-type formatted with inline code style]\n    - **Schema:** *(Provide schema details or reference. Use a fenced code block for complex structures)*\n        (Code block showing JSON Schema Example or Description)\n    *(If no request body, state: \"- None\")*\n\n    **Responses:**\n    *(List relevant status codes and their descriptions/schemas. Use bullets)*\n    - **[Status Code formatted bold]**: [Description]\n        - **Content-Type:** [content-type formatted with inline code style]\n        - **Schema:** *(Provide schema details or reference. Use a fenced code block for complex structures)*\n            (Code block showing JSON Schema Example or Description)\n    *(Example: \"- **200 OK**: Successful retrieval. - **Content-Type:** application/json ...\" - format '200 OK' as bold, 'application/json' using inline code style)*\n\n    *(Ensure blank lines before/after major sections like Parameters, Request Body, Responses)*\n\n- **Authentication Details:** When asked specifically about authentication:\n    - Describe the security scheme(s) defined (e.g., API Key, OAuth2, Basic Auth).\n    - Specify how/where credentials are provided (e.g., Header: [Header Name formatted with inline code style]: Bearer <token>, Query parameter: [param_name formatted with inline code style]=...). Format header and parameter names using inline code style.\n    - Mention relevant flows if applicable (e.g., OAuth2 authorization code flow details).\n- **Webhooks & Callbacks:** Context items with component_type 'webhook' or 'callback' describe requests the API *sends* to the consumer (event name, target URL expression, payload schema). When asked which events the API sends, list them by event name with their HTTP method and payload schema, and make clear the consumer must expose the receiving endpoint.\n\n## Interaction Logic\n- **Multiple Matches:** If a query matches multiple endpoints, list them concisely using numbers and applying **bold** to the method and inline code style to the path:\n  \"Multiple endpoints match your query:\n  1. **POST** /users\n  2. **GET** /users/{userId}\n  Please reply with the number corresponding to the endpoint you're interested in (e.g., '1').\"\n  *(Format paths like '/users' and '/users/{userId}' using inline code style)*.\n- **Focus:** Answer *only* the question asked. Do not provide unsolicited information.\n\n## Constraints\n- **No Speculation:** Do not infer information not present in the spec.\n- **Text-Based:** Provide responses purely in text using the specified Markdown format instructions.";
+// Appended to the system prompt when the retrieved context comes from an AsyncAPI document
+const ASYNCAPI_PROMPT_SECTION = "\n\n## AsyncAPI (Message-Driven APIs)\nSome context items come from AsyncAPI documents (spec_format 'asyncapi'). They describe channels, operations and messages instead of HTTP endpoints: component_type 'channel', 'operation', 'message' and 'server', with the metadata fields channel (address), action ('send' or 'receive', from the application's point of view) and protocol (e.g. kafka, amqp, mqtt, ws).\n- Do not describe these as HTTP endpoints and do not invent HTTP methods or status codes.\n- **Operation Details Template:** When describing an AsyncAPI operation, use this structure:\n\n    ### Operation: [operationId formatted with inline code style]\n\n    *(Optional: summary/description from the spec)*\n\n    - **Action:** **send** or **receive** *(state plainly whether the application publishes or consumes the message)*\n    - **Channel:** [channel address formatted with inline code style] *(list channel parameters if any)*\n    - **Protocol / Servers:** [protocol(s)] *(server names and URLs if available)*\n\n    **Message:**\n    - **Name:** [message name formatted with inline code style]\n    - **Content-Type:** [content-type formatted with inline code style]\n    - **Headers:** *(header fields, or \"- None\")*\n    - **Payload:** *(schema fields; use a fenced code block for examples)*\n\n    **Bindings:** *(protocol-specific bindings such as Kafka keys, AMQP exchanges or MQTT QoS, if present)*\n\n- When asked which events an application publishes or consumes, group the operations by action and list channel, message name and protocol for each.";
+
+// Appended to the system prompt when the context includes a comparison between two versions of an API
+const VERSION_DIFF_PROMPT_SECTION = "\n\n## Version Changes\nSome context items compare two versions of an API (component_type 'version_diff', with api_name, from_version, to_version and the list of changes in text). Use them to answer questions about what changed between versions.\n- Name the API and both versions in the first sentence.\n- List **breaking changes** first (removed endpoints, new required parameters or fields, removed response fields, removed enum values, type and security changes), then added endpoints, removed endpoints and other changes.\n- Format endpoints as inline code (e.g. `GET /pets`) and group changes by endpoint.\n- Only report changes listed in the comparison; if it lists none, say that the versions have no differences.";
+
 /**
- * 
- * @param {*} query 
- * @param {String|Array<Object>} context 
- * @returns 
+ * Whether the retrieved context includes a version comparison
+ * @param {String|Array<Object>} context
+ * @returns {boolean}
+ */
+function hasVersionDiffContext(context) {
+    if (!Array.isArray(context)) return false;
+    return context.some(doc => doc && typeof doc === 'object' && (doc.metadata || doc).component_type === 'version_diff');
+}
+
+/**
+ * Whether the retrieved context includes chunks of an AsyncAPI document
+ * @param {String|Array<Object>} context
+ * @returns {boolean}
  */
-async function generateOpenAPILLMCompletion(query, context, history, options = {}) {
+function hasAsyncAPIContext(context) {
+    if (!Array.isArray(context)) return false;
+    return context.some(doc => doc && typeof doc === 'object' && (doc.metadata || doc).spec_format === 'asyncapi');
+}
+
+function createCompletionError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = statusCode;
+    return error;
+}
+
+/**
+ * Decide which LLM backend answers the completion (Ollama or OpenRouter)
+ * @returns {{useOllama: boolean, model: string, temperature: number}}
+ */
+function resolveCompletionProvider() {
+    let useOllama = !!process.env.OLLAMA_LLM_COMPLETION_MODEL && !!process.env.OLLAMA_BASE_URL;
+    const canUseOpenRouter = !!process.env.OPENROUTER_API_KEY && !!process.env.OPENROUTER_MODEL;
+
+    if (canUseOpenRouter && !!process.env.LLM_COMPLETION_PREFERENCE && process.env.LLM_COMPLETION_PREFERENCE !== 'ollama') {
+        useOllama = false;
+    }
 
-    const { traceId } = options;
+    return {
+        useOllama,
+        model: useOllama ? process.env.OLLAMA_LLM_COMPLETION_MODEL : global.OPENROUTER_MODEL || process.env.OPENROUTER_MODEL,
+        temperature: useOllama ? 0.7 : 0.3
+    };
+}
 
+/**
+ * Create an OpenAI-compatible client (observed by Langfuse) for the selected backend
+ * @param {boolean} useOllama
+ */
+async function createCompletionClient(useOllama, traceId) {
+    // The generation is recorded under the request's trace when there is one
+    const trace = traceId && getTrace(traceId);
+    const langfuseParams = trace ? { parent: trace } : {
+        clientInitParams: {
+            publicKey: process.env.LANGFUSE_PUBLIC_KEY,
+            secretKey: process.env.LANGFUSE_SECRET_KEY,
+            baseUrl: process.env.LANGFUSE_BASEURL,
+        },
+    };
 
+    if (useOllama) {
+        return observeOpenAI(new OpenAI({
+            apiKey: 'ollama',
+            baseURL: `${process.env.OLLAMA_BASE_URL}/v1`,
+        }), langfuseParams);
+    }
 
+    return observeOpenAI(new OpenAI({
+        apiKey: process.env.OPENROUTER_API_KEY,
+        baseURL: 'https://openrouter.ai/api/v1',
+        headers: {
+            'HTTP-Referer': 'http://localhost:3000',
+            'X-App-Name': process.env.APP_NAME || 'chat-openapi-node'
+        }
+    }), langfuseParams);
+}
+
+/**
+ * Build the message list sent to the LLM
+ * @param {string} query
+ * @param {String|Array<Object>} context
+ * @param {Array<Object>} history
+ */
+function buildCompletionMessages(query, context, history = []) {
+    const isAsyncAPI = hasAsyncAPIContext(context);
     const formattedContext = formatDocsContext(context);
+    const systemPrompt = OPENAPI_SYSTEM_PROMPT
+        + (isAsyncAPI ? ASYNCAPI_PROMPT_SECTION : '')
+        + (hasVersionDiffContext(context) ? VERSION_DIFF_PROMPT_SECTION : '');
 
-    // Generate response
-    const messages = [
+    return [
         {
             "role": "system",
-            "content": "You are an expert AI assistant specializing in OpenAPI specifications. Your primary goal is to provide clear, accurate, and **well-formatted** answers based *only* on the provided OpenAPI specification data.\n\n## Core Objective\nAnswer user questions about API endpoints, authentication methods, request/response schemas, and other details found within the OpenAPI document.\n\n## Formatting & Style (**Crucial for Readability**)\n- **Clarity First:** Prioritize readable and well-structured Markdown output.\n- **Markdown Usage:**\n    - Use Markdown consistently for all responses.\n    - **Use whitespace (blank lines)** generously between sections (like headers, parameters, responses) and logical blocks to improve readability and create visual separation (simulate margins).\n    - Use Level 3 headings (starting with '### ') for major sections like endpoint details.\n    - Use **bold** (surrounding text with double asterisks) for key terms, HTTP methods, status codes, parameter names, and section titles within the endpoint template (e.g., **Parameters**, **Request Body**).\n    - Use inline code formatting (typically rendered using single backticks around the text) for single identifiers like paths (e.g., format /users/{id} with inline code style), operation IDs (e.g., format getUser with inline code style), content types (e.g., format application/json with inline code style), specific header names (e.g., format Authorization with inline code style), and field names (e.g., format userId with inline code style).\n    - Use fenced code blocks (typically starting and ending with triple backticks, optionally followed by a language identifier) for multi-line examples, especially JSON/YAML snippets, complex schema definitions, or lists of headers. Specify the language (e.g., json) if possible.\n    - Use bullet points (starting lines with '- ') for lists of items (e.g., listing parameters, responses). Use nested bullets for sub-details if necessary.\n    - Use numbered lists (starting lines with '1. ') primarily for user choices (selecting an endpoint) or sequential steps if explicitly requested.\n    - Use tables (using Markdown table syntax with pipes and hyphens) *only* when specifically comparing multiple similar items side-by-side if it enhances clarity. Prefer lists/structured text otherwise.\n- **Tone:** Be technically precise, concise, and helpful. Avoid conversational filler, greetings, or closings. Stick strictly to the requested information.\n\n## Content Requirements & Structure\n- **Source:** Base all answers strictly on the provided OpenAPI context. If information is missing, state clearly: \"Information not available in the provided specification.\"\n- **Endpoint Details Template:** When describing a specific endpoint, **strictly adhere** to the following structure and formatting principles (imagine the formatting described above is applied):\n\n    ### Endpoint: [HTTP Method formated bold] [Path formatted with inline code style]\n\n    *(Optional: Include the summary/description from the spec here if available)*\n\n    - **Operation ID:** [operationId formatted with inline code style] *(If available)*\n    - **Security:** *(List required security schemes, if any. E.g., \"Requires: [schemeName formatted with inline code style]\")*\n\n    **Parameters:**\n    *(List parameters: path, query, header, cookie. Use bullets)*\n    - [parameter_name formatted with inline code style] ([in], **Required**/**Optional**): [Type/Description]. *(Example: \"- userId (path, **Required**): User's unique identifier.\" - format 'userId' and 'path' using inline code style)*\n    *(If no parameters, state: \"- None\")*\n\n    **Request Body:**\n    *(If applicable. Describe content type and schema)*\n    - **Content-Type:** [content-type formatted with inline code style]\n    - **Schema:** *(Provide schema details or reference. Use a fenced code block for complex structures)*\n        (Code block showing JSON Schema Example or Description)\n    *(If no request body, state: \"- None\")*\n\n    **Responses:**\n    *(List relevant status codes and their descriptions/schemas. Use bullets)*\n    - **[Status Code formatted bold]**: [Description]\n        - **Content-Type:** [content-type formatted with inline code style]\n        - **Schema:** *(Provide schema details or reference. Use a fenced code block for complex structures)*\n            (Code block showing JSON Schema Example or Description)\n    *(Example: \"- **200 OK**: Successful retrieval. - **Content-Type:** application/json ...\" - format '200 OK' as bold, 'application/json' using inline code style)*\n\n    *(Ensure blank lines before/after major sections like Parameters, Request Body, Responses)*\n\n- **Authentication Details:** When asked specifically about authentication:\n    - Describe the security scheme(s) defined (e.g., API Key, OAuth2, Basic Auth).\n    - Specify how/where credentials are provided (e.g., Header: [Header Name formatted with inline code style]: Bearer <token>, Query parameter: [param_name formatted with inline code style]=...). Format header and parameter names using inline code style.\n    - Mention relevant flows if applicable (e.g., OAuth2 authorization code flow details).\n\n## Interaction Logic\n- **Multiple Matches:** If a query matches multiple endpoints, list them concisely using numbers and applying **bold** to the method and inline code style to the path:\n  \"Multiple endpoints match your query:\n  1. **POST** /users\n  2. **GET** /users/{userId}\n  Please reply with the number corresponding to the endpoint you're interested in (e.g., '1').\"\n  *(Format paths like '/users' and '/users/{userId}' using inline code style)*.\n- **Focus:** Answer *only* the question asked. Do not provide unsolicited information.\n\n## Constraints\n- **No Speculation:** Do not infer information not present in the spec.\n- **Text-Based:** Provide responses purely in text using the specified Markdown format instructions."
+            "content": systemPrompt
         },
         ...history,
         {
             role: 'user',
             content: `
             
-            Provided OpenAPI details (context):
+            Provided ${isAsyncAPI ? 'OpenAPI/AsyncAPI' : 'OpenAPI'} details (context):
 
             ${formattedContext}
 
@@ -61,99 +144,117 @@ async function generateOpenAPILLMCompletion(query, context, history, options = {
             `
         }
     ];
+}
 
-    try {
+/**
+ * Consume a streamed completion, forwarding each text delta
+ * @param {AsyncIterable} stream - OpenAI chat completion stream
+ * @param {Function} onDelta - Called with each text fragment
+ * @returns {Promise<{content: string, usage: Object|null}>}
+ */
+async function consumeCompletionStream(stream, onDelta, signal) {
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+        if (signal?.aborted) break;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+            content += delta;
+            onDelta(delta);
+        }
+        if (chunk.usage) {
+            usage = chunk.usage;
+        }
+    }
 
-        let useOllama = !!process.env.OLLAMA_LLM_COMPLETION_MODEL && !!process.env.OLLAMA_BASE_URL;
-        const canUseOpenRouter = !!process.env.OPENROUTER_API_KEY && !!process.env.OPENROUTER_MODEL;
+    return { content, usage };
+}
 
-        if (canUseOpenRouter && !!process.env.LLM_COMPLETION_PREFERENCE && process.env.LLM_COMPLETION_PREFERENCE !== 'ollama') {
-            useOllama = false;
-        }
+/**
+ * 
+ * @param {*} query 
+ * @param {String|Array<Object>} context 
+ * @param {Array<Object>} history 
+ * @param {Object} options 
+ * @param {string} [options.traceId] - Langfuse trace of the request (see llmMetricsService.createTrace)
+ * @param {AbortSignal} [options.signal] - Aborts the provider request, e.g. when the client disconnects
+ * @param {Function} [options.onDelta] - When provided the completion is streamed and each text fragment is passed to it
+ * @param {Function} [options.onUsage] - Called with the token usage reported by the provider (if any)
+ * @returns {Promise<string>} The full completion text
+ * @throws {Error} With statusCode 502 when the provider fails, including in the middle of a stream
+ */
+async function generateOpenAPILLMCompletion(query, context, history = [], options = {}) {
+
+    const { traceId, signal, onDelta, onUsage } = options;
+
+    const messages = buildCompletionMessages(query, context, history);
+
+    try {
+
+        const { useOllama, model, temperature } = resolveCompletionProvider();
 
         logger.info('Generating chat completion', 'generateOpenAPILLMCompletion', {
-            modelName: useOllama ? process.env.OLLAMA_LLM_COMPLETION_MODEL : global.OPENROUTER_MODEL || process.env.OPENROUTER_MODEL,
+            modelName: model,
             messageCount: messages.length,
             contextLength: context.length,
-            contextConsumption: estimateContextConsumption(messages)
+            contextConsumption: estimateContextConsumption(messages),
+            stream: !!onDelta
         });
 
-        let content;
-        if (useOllama) {
-           /*  const response = await axios.post(`${process.env.OLLAMA_BASE_URL}/api/chat`, {
-                model: process.env.OLLAMA_LLM_COMPLETION_MODEL || 'llama2',
-                messages,
-                stream: false,
-                temperature: 0.3,
-                "options": {
-                    "num_ctx": 8192
-                }
-            });
-
-            content = response.data.message.content; */
-
-            const openai = await observeOpenAI(new OpenAI({
-                apiKey: 'ollama',
-                baseURL: `${process.env.OLLAMA_BASE_URL}/v1`,
-            }, {
-                clientInitParams: {
-                    publicKey: process.env.LANGFUSE_PUBLIC_KEY,
-                    secretKey: process.env.LANGFUSE_SECRET_KEY,
-                    baseUrl: process.env.LANGFUSE_BASEURL,
-                },
-            }));
+        const openai = await createCompletionClient(useOllama, traceId);
 
+        if (useOllama) {
             await fs.writeFile('completion.input.json', JSON.stringify(messages, null, 2));
+        }
 
+        let content, usage;
+        if (onDelta) {
+            const stream = await openai.chat.completions.create({
+                model,
+                messages,
+                temperature,
+                stream: true,
+                stream_options: { include_usage: true }
+            }, { signal });
+            ({ content, usage } = await consumeCompletionStream(stream, onDelta, signal));
+        } else {
             const response = await openai.chat.completions.create({
-                model: process.env.OLLAMA_LLM_COMPLETION_MODEL,
+                model,
                 messages,
-                temperature: 0.7
-            });
+                temperature
+            }, { signal });
             content = response.choices[0].message.content;
+            usage = response.usage || null;
+        }
 
+        if (useOllama) {
             await fs.writeFile('completion.output.json', JSON.stringify({
                 content
             }, null, 2));
-
-        } else {
-
-            const openai = await observeOpenAI(new OpenAI({
-                apiKey: process.env.OPENROUTER_API_KEY,
-                baseURL: 'https://openrouter.ai/api/v1',
-                headers: {
-                    'HTTP-Referer': 'http://localhost:3000',
-                    'X-App-Name': process.env.APP_NAME || 'chat-openapi-node'
-                }
-            }, {
-                clientInitParams: {
-                    publicKey: process.env.LANGFUSE_PUBLIC_KEY,
-                    secretKey: process.env.LANGFUSE_SECRET_KEY,
-                    baseUrl: process.env.LANGFUSE_BASEURL,
-                },
-            }));
-
-
-
-            const response = await openai.chat.completions.create({
-                model: global.OPENROUTER_MODEL ||process.env.OPENROUTER_MODEL,
-                messages,
-                temperature: 0.3
-            });
-
-            content = response.choices[0].message.content;
-           
         }
 
         logger.info('Chat completion response', 'generateOpenAPILLMCompletion', {
-            contentLen: content.length
+            contentLen: content.length,
+            usage
         });
 
+        if (onUsage) {
+            onUsage(usage);
+        }
+
         return content || 'No response generated';
 
     } catch (error) {
-        logger.error('Failed to generate chat response', 'generateOpenAPILLMCompletion', { error });
-        return 'I encountered an error while generating the response. Please try again or check if the OpenAPI specification is properly loaded.';
+        if (signal?.aborted) {
+            logger.info('Chat completion aborted', 'generateOpenAPILLMCompletion');
+            throw error;
+        }
+        logger.error('Failed to generate chat response', 'generateOpenAPILLMCompletion', {
+            error: error.message,
+            stack: error.stack
+        });
+        throw createCompletionError(502, 'Failed to generate response');
     }
 }
 
@@ -1,37 +1,48 @@
-const { connectToMongoDB, isDbSystemEnabled } = require('../db/config');
-const Metadata = require('../models/metadata');
+const { createMetadataStore, endpointKey } = require('../db/metadata-store');
 const { createModuleLogger } = require('../utils/logger');
 const logger = createModuleLogger('documentService');
 
 
 async function enrichDocsWithMetadata(relevantDocs) {
-    if (!await isDbSystemEnabled()) return relevantDocs;
+    // The pgvector store joins the endpoint metadata into its matches (METADATA_STORE=postgres)
+    if (relevantDocs.length && relevantDocs.every(doc => 'endpointMetadata' in doc)) {
+        logger.info('Using endpoint metadata joined by the vector store', 'enrichDocsWithMetadata');
+        return relevantDocs.map(({ endpointMetadata, ...doc }) => ({
+            ...doc.metadata,
+            ...(endpointMetadata || {})
+        }));
+    }
+
+    const metadataStore = createMetadataStore();
+    if (!metadataStore) return relevantDocs;
     
-    logger.info('Enriching documents with MongoDB metadata', 'enrichDocsWithMetadata');
+    logger.info('Enriching documents with stored metadata', 'enrichDocsWithMetadata', { store: metadataStore.type });
     try {
-        await connectToMongoDB();
-        const endpoints = relevantDocs.map(doc => doc.metadata.endpoint);
-        const mongoMetadata = await Metadata.find({ endpoint: { $in: endpoints } });
+        // Metadata belongs to one operation of one spec: same path, method and spec id
+        const keys = relevantDocs
+            .map(doc => doc.metadata)
+            .filter(metadata => metadata.endpoint && metadata.method);
+        const records = keys.length ? await metadataStore.findByEndpoints(keys) : [];
         
         // Create a map for quick lookup
-        const metadataMap = new Map(mongoMetadata.map(m => [m.endpoint, m.toJSON()]));
+        const metadataMap = new Map(records.map(m => [endpointKey(m), m]));
         
-        // Enrich each doc with its MongoDB metadata
+        // Enrich each doc with its stored metadata
         const enrichedDocs = relevantDocs.map(doc => {
-            const metadata = metadataMap.get(doc.metadata.endpoint);
+            const metadata = metadataMap.get(endpointKey(doc.metadata));
             return {
                 ...doc.metadata,
                 ...(metadata||{})
             };
         });
 
-        logger.info('Successfully enriched documents with MongoDB metadata', 'enrichDocsWithMetadata', {
+        logger.info('Successfully enriched documents with stored metadata', 'enrichDocsWithMetadata', {
             totalDocs: relevantDocs.length,
-            enrichedCount: mongoMetadata.length
+            enrichedCount: records.length
         });
         return enrichedDocs;
     } catch (err) {
-        logger.error('Failed to enrich documents with MongoDB metadata', 'enrichDocsWithMetadata', {
+        logger.error('Failed to enrich documents with stored metadata', 'enrichDocsWithMetadata', {
             message: err.message,
             stack: err.stack
         });
@@ -39,6 +50,28 @@ async function enrichDocsWithMetadata(relevantDocs) {
     }
 }
 
+/**
+ * Summarize retrieved vector matches as sources that chat clients can cite
+ * @param {Array<Object>} matches - Raw matches returned by querySimilarChunks
+ * @returns {Array<Object>}
+ */
+function buildSources(matches = []) {
+    return matches.map(match => {
+        const metadata = match.metadata || {};
+        return {
+            id: match.id,
+            score: match.score,
+            rerankScore: match.rerankScore,
+            method: metadata.method,
+            path: metadata.path || metadata.endpoint,
+            componentType: metadata.component_type || metadata.type,
+            componentName: metadata.component_name,
+            fileName: metadata.fileName || metadata.computed_filename
+        };
+    });
+}
+
 module.exports = {
-    enrichDocsWithMetadata
+    enrichDocsWithMetadata,
+    buildSources
 }
\ No newline at end of file
@@ -93,6 +93,9 @@ const createEmbeddingsWithLogging = () => {
 logger.info('Initializing embeddings instance', 'embeddingService');
 const embeddings = createEmbeddingsWithLogging();
 
+// Dimensions of the active model, known after the first embedding
+let embeddingDimensions = null;
+
 /**
  * Embeds documents using the created embeddings instance
  * @param {Array} documents - The documents to embed
@@ -105,6 +108,7 @@ const embedDocuments = async (documents) => {
 
     try {
         const result = await embeddings.embedDocuments(documents);
+        embeddingDimensions = result[0]?.length || embeddingDimensions;
 
         logger.debug('Successfully embedded documents', 'embedDocuments', {
             documentCount: documents.length,
@@ -122,6 +126,20 @@ const embedDocuments = async (documents) => {
     }
 };
 
+/**
+ * Dimensions of the vectors the active embedding model produces, for the metadata and placeholder
+ * vectors stored next to the chunks. Measured with a short probe text when nothing was embedded yet.
+ * @returns {Promise<number>}
+ */
+const getEmbeddingDimensions = async () => {
+    if (!embeddingDimensions) {
+        await embedDocuments(['dimensions']);
+        logger.info('Measured embedding dimensions', 'getEmbeddingDimensions', { dimensions: embeddingDimensions });
+    }
+    return embeddingDimensions;
+};
+
 module.exports = {
-    embedDocuments
+    embedDocuments,
+    getEmbeddingDimensions
 };
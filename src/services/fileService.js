@@ -0,0 +1,249 @@
+/**
+ * @module fileService
+ * @description Lists, inspects, re-indexes and deletes uploaded specification files, for the files admin page
+ * and the REST API. Works with every vector store provider (see vectorDbService).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createModuleLogger } = require('../utils/logger');
+const { createMetadataStore } = require('../db/metadata-store');
+const { getProcessingStatus, removeEmbeddedFile } = require('../utils/openapi');
+const { listSpecs, getFileChunks, deleteFileChunks } = require('./vectorDbService');
+const { ingestSpec, findFileVersion, removeFileVersions } = require('./specVersionService');
+const { listJobs, hasActiveJob, removeFileJobs } = require('./jobService');
+
+const logger = createModuleLogger('fileService');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const DEFAULT_CHUNK_LIMIT = 50;
+const MAX_CHUNK_LIMIT = 500;
+
+/**
+ * Create an error carrying an HTTP status, for the REST layer
+ */
+function createFileError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = statusCode;
+    return error;
+}
+
+/**
+ * Path of an upload, rejecting names that would leave the uploads directory
+ * @param {string} fileName - Computed (stored) file name
+ * @returns {string}
+ */
+function uploadPath(fileName) {
+    if (typeof fileName !== 'string' || !fileName || fileName !== path.basename(fileName) || fileName.startsWith('.')) {
+        throw createFileError(400, `Invalid file name: ${fileName}`);
+    }
+    return path.join(UPLOAD_DIR, fileName);
+}
+
+async function readUploads() {
+    try {
+        const names = await fs.readdir(UPLOAD_DIR);
+        const uploads = new Map();
+        for (const name of names.filter(entry => !entry.startsWith('.'))) {
+            const stats = await fs.stat(path.join(UPLOAD_DIR, name));
+            if (stats.isFile()) {
+                uploads.set(name, { size: stats.size, modifiedAt: stats.mtime.toISOString() });
+            }
+        }
+        return uploads;
+    } catch (error) {
+        if (error.code === 'ENOENT') return new Map();
+        throw error;
+    }
+}
+
+/**
+ * Every known file: embedded specs (from the vector store), files being processed and uploads on disk.
+ * Status is `completed`, `queued`, `processing` or `error` for embedded files and `uploaded` for files that were never embedded.
+ * @returns {Promise<Array<Object>>} Files, newest first
+ */
+async function listFiles() {
+    const [specs, uploads, jobs] = await Promise.all([
+        listSpecs().catch(error => {
+            logger.warn('Could not list embedded specs', 'listFiles', { error: error.message });
+            return [];
+        }),
+        readUploads(),
+        listJobs()
+    ]);
+    const files = new Map();
+
+    specs.filter(spec => spec.fileName).forEach(spec => {
+        files.set(spec.fileName, {
+            fileName: spec.fileName,
+            originalName: spec.originalName,
+            specId: spec.specId,
+            apiName: spec.apiName,
+            apiVersion: spec.apiVersion,
+            totalChunks: spec.totalChunks || 0,
+            status: 'completed',
+            timestamp: spec.timestamp
+        });
+    });
+
+    // In-progress and failed processing is only known in memory. A file only gets a spec id when it is
+    // the spec's current upload, since deleting it empties the spec's vectors.
+    (getProcessingStatus().files || []).filter(entry => entry.fileName).forEach(entry => {
+        const file = files.get(entry.fileName) || { fileName: entry.fileName, totalChunks: 0 };
+        files.set(entry.fileName, {
+            ...file,
+            totalChunks: file.totalChunks || entry.totalChunks || 0,
+            status: entry.status || file.status,
+            error: entry.error || undefined,
+            timestamp: file.timestamp || entry.timestamp
+        });
+    });
+
+    // The latest ingestion job of a file outlives restarts, unlike the in-memory status
+    const jobStatus = { queued: 'queued', running: 'processing', failed: 'error' };
+    const latestJobs = new Map();
+    jobs.forEach(job => {
+        if (!latestJobs.has(job.fileName)) latestJobs.set(job.fileName, job);
+    });
+    latestJobs.forEach((job, fileName) => {
+        const file = files.get(fileName) || { fileName, originalName: job.originalName, totalChunks: 0, timestamp: new Date(job.createdAt).toISOString() };
+        files.set(fileName, {
+            ...file,
+            jobId: job.id,
+            progress: job.progress,
+            status: jobStatus[job.status] || file.status || 'uploaded',
+            error: job.status === 'failed' ? job.error : file.error
+        });
+    });
+
+    uploads.forEach((upload, fileName) => {
+        const file = files.get(fileName) || { fileName, totalChunks: 0, status: 'uploaded', timestamp: upload.modifiedAt };
+        files.set(fileName, { ...file, size: upload.size });
+    });
+
+    return [...files.values()]
+        .map(file => ({ ...file, onDisk: uploads.has(file.fileName) }))
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+async function findFile(fileName) {
+    uploadPath(fileName);
+    const file = (await listFiles()).find(entry => entry.fileName === fileName);
+    if (!file) {
+        throw createFileError(404, `File not found: ${fileName}`);
+    }
+    return file;
+}
+
+function formatChunk(match) {
+    const metadata = match.metadata || {};
+    return {
+        id: match.id,
+        type: metadata.type,
+        method: metadata.method,
+        endpoint: metadata.endpoint,
+        componentName: metadata.component_name,
+        summary: metadata.summary,
+        contentHash: metadata.content_hash,
+        text: metadata.text || match.text || ''
+    };
+}
+
+/**
+ * The chunks embedded from a file, ordered by type, endpoint and method
+ * @param {string} fileName - Computed (stored) file name
+ * @param {Object} [options]
+ * @param {number} [options.offset=0]
+ * @param {number} [options.limit=50] - At most 500
+ * @returns {Promise<{file: Object, total: number, offset: number, limit: number, chunks: Array<Object>}>}
+ */
+async function listFileChunks(fileName, options = {}) {
+    const offset = Number(options.offset ?? 0);
+    const limit = Number(options.limit ?? DEFAULT_CHUNK_LIMIT);
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw createFileError(400, "'offset' must be a non-negative integer");
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHUNK_LIMIT) {
+        throw createFileError(400, `'limit' must be an integer between 1 and ${MAX_CHUNK_LIMIT}`);
+    }
+
+    const file = await findFile(fileName);
+    const chunks = (await getFileChunks(fileName, { specId: file.specId }))
+        .map(formatChunk)
+        .sort((a, b) =>
+            String(a.type).localeCompare(String(b.type)) ||
+            String(a.endpoint || a.componentName).localeCompare(String(b.endpoint || b.componentName)) ||
+            String(a.method).localeCompare(String(b.method))
+        );
+
+    return { file, total: chunks.length, offset, limit, chunks: chunks.slice(offset, offset + limit) };
+}
+
+/**
+ * Embed a file from the uploads directory again, under the API name and version it was embedded with.
+ * Only changed chunks are re-embedded unless `force` is set.
+ * @param {string} fileName - Computed (stored) file name
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-embed every chunk
+ * @returns {Promise<Object>} Processing result (see specVersionService.ingestSpec)
+ */
+async function reindexFile(fileName, options = {}) {
+    let content;
+    try {
+        content = await fs.readFile(uploadPath(fileName));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw createFileError(404, `Upload not found on disk: ${fileName}`);
+        }
+        throw error;
+    }
+
+    const file = (await listFiles()).find(entry => entry.fileName === fileName);
+    const version = await findFileVersion(fileName);
+    logger.info('Re-indexing file', 'reindexFile', { fileName, specId: version?.spec_id || file?.specId, force: !!options.force });
+
+    // The version record keeps the API identity, so the chunks land in the same namespace again
+    return ingestSpec(content, fileName, {
+        sourceName: version?.original_name || file?.originalName || fileName,
+        apiKey: version?.api_key,
+        apiName: version?.api_name || file?.apiName,
+        version: version?.api_version || file?.apiVersion,
+        force: !!options.force
+    });
+}
+
+async function deleteFileMetadata(fileName) {
+    const metadataStore = createMetadataStore();
+    return metadataStore ? metadataStore.removeFile(fileName) : 0;
+}
+
+/**
+ * Delete a file's vectors, its metadata, version and job records, and its upload on disk
+ * @param {string} fileName - Computed (stored) file name
+ * @returns {Promise<{fileName: string, vectorsDeleted: number, versionsRemoved: number, metadataRemoved: number, uploadRemoved: boolean}>}
+ */
+async function deleteFile(fileName) {
+    const file = await findFile(fileName);
+    if (file.status === 'processing' || await hasActiveJob(fileName)) {
+        throw createFileError(409, `File is still being processed: ${fileName}`);
+    }
+
+    const vectorsDeleted = await deleteFileChunks(fileName, { specId: file.specId });
+    const versionsRemoved = await removeFileVersions(fileName);
+    const metadataRemoved = await deleteFileMetadata(fileName);
+    const uploadRemoved = await fs.unlink(uploadPath(fileName)).then(() => true, () => false);
+    await removeFileJobs(fileName);
+    removeEmbeddedFile(fileName);
+
+    const result = { fileName, vectorsDeleted, versionsRemoved, metadataRemoved, uploadRemoved };
+    logger.info('Deleted file', 'deleteFile', result);
+    return result;
+}
+
+module.exports = {
+    listFiles,
+    listFileChunks,
+    reindexFile,
+    deleteFile
+};
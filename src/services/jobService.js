@@ -0,0 +1,394 @@
+/**
+ * @module jobService
+ * @description Persistent ingestion jobs. Every upload to embed becomes a job with its own status, progress and errors,
+ * stored in MongoDB, PostgreSQL (METADATA_STORE=postgres) or, without either, in DATA_DIR. Up to INGEST_CONCURRENCY jobs run at once (jobs for the same spec
+ * run one after the other), failed batches are retried INGEST_BATCH_RETRIES times, and a job interrupted by a
+ * restart resumes from its last completed batch. Progress is published on `jobEvents` as `job_progress`,
+ * `job_completed` and `job_failed` events (see formatJobEvent), which the server pushes to subscribed sockets.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { createModuleLogger } = require('../utils/logger');
+const { createRecordStore } = require('../db/record-store');
+
+const logger = createModuleLogger('jobService');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const store = createRecordStore('ingest-jobs', () => require('../models/ingestJob'));
+// Jobs running in this process, by id, with their latest state
+const running = new Map();
+// Where the current run of each running job started, for ETAs: { at, processedChunks }
+const runStarts = new Map();
+const jobEvents = new EventEmitter();
+let draining = false;
+let drainRequested = false;
+
+/**
+ * Create an error carrying an HTTP status, for the REST layer
+ */
+function createJobError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = statusCode;
+    return error;
+}
+
+function getConcurrency() {
+    const concurrency = parseInt(process.env.INGEST_CONCURRENCY || '2', 10);
+    return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : 1;
+}
+
+function getBatchRetries() {
+    const retries = parseInt(process.env.INGEST_BATCH_RETRIES || '3', 10);
+    return Number.isInteger(retries) && retries >= 0 ? retries : 0;
+}
+
+function byCreation(a, b) {
+    return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+}
+
+/**
+ * Seconds until a running job is done, extrapolated from this run's throughput; null until a batch completed
+ */
+function estimateSeconds(job) {
+    const start = runStarts.get(job.id);
+    if (job.status === 'completed') return 0;
+    if (job.status !== 'running' || !start || job.processedChunks <= start.processedChunks) return null;
+
+    const msPerChunk = (Date.now() - start.at) / (job.processedChunks - start.processedChunks);
+    return Math.round((msPerChunk * (job.totalChunks - job.processedChunks)) / 1000);
+}
+
+/**
+ * The payload of a job event
+ * @param {Object} job
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRowErrors] - Include the CSV row errors, not only their count
+ * @returns {Object} { jobId, fileName, originalName, apiName, apiVersion, status, batchNumber, totalBatches,
+ *   processedChunks, totalChunks, progress, etaSeconds, stats, rowErrorCount, rowErrors?, error }
+ */
+function formatJobEvent(job, options = {}) {
+    return {
+        jobId: job.id,
+        fileName: job.fileName,
+        originalName: job.originalName,
+        apiName: job.apiName,
+        apiVersion: job.apiVersion,
+        status: job.status,
+        batchNumber: job.completedBatches,
+        totalBatches: job.totalBatches,
+        processedChunks: job.processedChunks,
+        totalChunks: job.totalChunks,
+        progress: job.progress,
+        etaSeconds: estimateSeconds(job),
+        stats: job.stats,
+        rowErrorCount: (job.rowErrors || []).length,
+        ...(options.includeRowErrors ? { rowErrors: job.rowErrors || [] } : {}),
+        error: job.error
+    };
+}
+
+/**
+ * Save changes to a job, keeping the in-memory copy of a running job current
+ */
+async function updateJob(job, changes) {
+    const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+    if (running.has(job.id)) {
+        running.set(job.id, updated);
+    }
+    await store.save(updated);
+    return updated;
+}
+
+async function runJob(job) {
+    let current = await updateJob(job, {
+        status: 'running',
+        attempts: (job.attempts || 0) + 1,
+        error: null,
+        startedAt: job.startedAt || new Date().toISOString(),
+        finishedAt: null
+    });
+
+    logger.info('Running ingestion job', 'runJob', {
+        jobId: job.id,
+        fileName: job.fileName,
+        attempt: current.attempts,
+        completedBatches: current.completedBatches
+    });
+
+    try {
+        let content;
+        try {
+            content = await fs.readFile(path.join(UPLOAD_DIR, job.fileName));
+        } catch (error) {
+            throw error.code === 'ENOENT' ? new Error(`Upload not found on disk: ${job.fileName}`) : error;
+        }
+
+        // Required here so the module loads without embedding credentials
+        const { processSpecFile } = require('../utils/openapi');
+        const result = await processSpecFile(content, job.fileName, {
+            sourceName: job.sourceName,
+            originalName: job.originalName,
+            apiName: job.apiName,
+            apiVersion: job.apiVersion,
+            force: job.force,
+            startBatch: current.completedBatches,
+            batchRetries: getBatchRetries(),
+            onChunks: async ({ totalChunks, totalBatches, batchSize, rowErrors }) => {
+                runStarts.set(job.id, {
+                    at: Date.now(),
+                    processedChunks: Math.min((current.completedBatches || 0) * batchSize, totalChunks)
+                });
+                current = await updateJob(current, {
+                    totalChunks,
+                    totalBatches,
+                    rowErrors: rowErrors.map(error => ({
+                        rowNumber: error.lineNumber,
+                        endpoint: error.endpoint,
+                        method: error.method,
+                        error: error.error
+                    }))
+                });
+                jobEvents.emit('job_progress', formatJobEvent(current, { includeRowErrors: true }));
+            },
+            onBatch: async ({ batchNumber, processedChunks, totalChunks, embedded, unchanged }) => {
+                current = await updateJob(current, {
+                    completedBatches: batchNumber,
+                    processedChunks,
+                    progress: Math.round((processedChunks / totalChunks) * 100),
+                    stats: {
+                        ...current.stats,
+                        embedded: current.stats.embedded + embedded,
+                        unchanged: current.stats.unchanged + unchanged
+                    }
+                });
+                jobEvents.emit('job_progress', formatJobEvent(current));
+            }
+        });
+
+        current = await updateJob(current, {
+            status: 'completed',
+            progress: 100,
+            processedChunks: result.totalChunks,
+            totalChunks: result.totalChunks,
+            stats: { ...current.stats, deleted: result.deleted },
+            finishedAt: new Date().toISOString()
+        });
+        logger.info('Ingestion job completed', 'runJob', { jobId: job.id, fileName: job.fileName, ...current.stats });
+        jobEvents.emit('job_completed', formatJobEvent(current, { includeRowErrors: true }));
+    } catch (error) {
+        logger.error('Ingestion job failed', 'runJob', {
+            jobId: job.id,
+            fileName: job.fileName,
+            completedBatches: current.completedBatches,
+            error: error.message
+        });
+        current = await updateJob(current, {
+            status: 'failed',
+            error: error.message,
+            finishedAt: new Date().toISOString()
+        });
+        jobEvents.emit('job_failed', formatJobEvent(current, { includeRowErrors: true }));
+    }
+    return current;
+}
+
+function startJob(job) {
+    running.set(job.id, job);
+    runJob(job)
+        .catch(error => {
+            logger.error('Could not record job result', 'startJob', { jobId: job.id, error: error.message });
+        })
+        .finally(() => {
+            running.delete(job.id);
+            runStarts.delete(job.id);
+            scheduleDrain();
+        });
+}
+
+/**
+ * Start queued jobs, oldest first, while workers are free. A job waits while another job of the same
+ * spec is running, since both would write the same namespace.
+ */
+async function drainQueue() {
+    if (draining) {
+        drainRequested = true;
+        return;
+    }
+    draining = true;
+
+    try {
+        do {
+            drainRequested = false;
+            const busySpecs = new Set([...running.values()].map(job => job.sourceName));
+            const queued = (await store.list())
+                .filter(job => job.status === 'queued' && !running.has(job.id))
+                .sort(byCreation);
+
+            for (const job of queued) {
+                if (running.size >= getConcurrency()) break;
+                if (busySpecs.has(job.sourceName)) continue;
+                busySpecs.add(job.sourceName);
+                startJob(job);
+            }
+        } while (drainRequested);
+    } finally {
+        draining = false;
+    }
+}
+
+function scheduleDrain() {
+    drainQueue().catch(error => {
+        logger.error('Failed to start queued jobs', 'drainQueue', { error: error.message });
+    });
+}
+
+/**
+ * Queue an upload for embedding. The file must already be in the uploads directory, which is where
+ * the job reads it from, also after a restart.
+ * @param {string} fileName - Computed (stored) file name
+ * @param {Object} [options]
+ * @param {string} [options.sourceName] - Name identifying the specification across uploads (default `fileName`)
+ * @param {string} [options.originalName] - Original file name or URL
+ * @param {string} [options.apiName] - Logical API name (see specVersionService)
+ * @param {string} [options.apiVersion] - Version of the API this upload is
+ * @param {boolean} [options.force] - Re-embed every chunk, even unchanged ones
+ * @returns {Promise<Object>} The queued job
+ */
+async function enqueueJob(fileName, options = {}) {
+    const now = new Date().toISOString();
+    const job = await store.save({
+        id: uuidv4(),
+        fileName,
+        sourceName: options.sourceName || fileName,
+        originalName: options.originalName || options.sourceName || fileName,
+        apiName: options.apiName,
+        apiVersion: options.apiVersion,
+        force: !!options.force,
+        status: 'queued',
+        attempts: 0,
+        progress: 0,
+        totalChunks: 0,
+        processedChunks: 0,
+        totalBatches: 0,
+        completedBatches: 0,
+        stats: { embedded: 0, unchanged: 0, deleted: 0 },
+        rowErrors: [],
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    logger.info('Queued ingestion job', 'enqueueJob', { jobId: job.id, fileName, sourceName: job.sourceName });
+    jobEvents.emit('job_progress', formatJobEvent(job));
+    scheduleDrain();
+    return job;
+}
+
+/**
+ * Jobs, newest first
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only jobs with this status
+ * @param {string} [options.fileName] - Only jobs of this file
+ * @param {boolean} [options.active] - Only queued and running jobs
+ * @returns {Promise<Array<Object>>}
+ */
+async function listJobs(options = {}) {
+    if (options.status && !JOB_STATUSES.includes(options.status)) {
+        throw createJobError(400, `'status' must be one of ${JOB_STATUSES.join(', ')}`);
+    }
+
+    return (await store.list())
+        .map(job => running.get(job.id) || job)
+        .filter(job => !options.status || job.status === options.status)
+        .filter(job => !options.fileName || job.fileName === options.fileName)
+        .filter(job => !options.active || job.status === 'queued' || job.status === 'running')
+        .sort((a, b) => byCreation(b, a));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getJob(id) {
+    const job = running.get(id) || await store.get(id);
+    if (!job) {
+        throw createJobError(404, `Job not found: ${id}`);
+    }
+    return job;
+}
+
+/**
+ * Queue a failed job again; it continues after its last completed batch
+ * @param {string} id
+ * @returns {Promise<Object>} The queued job
+ */
+async function retryJob(id) {
+    const job = await getJob(id);
+    if (job.status !== 'failed') {
+        throw createJobError(409, `Only failed jobs can be retried, job ${id} is ${job.status}`);
+    }
+
+    const queued = await updateJob(job, { status: 'queued', error: null });
+    logger.info('Retrying ingestion job', 'retryJob', { jobId: id, completedBatches: job.completedBatches });
+    jobEvents.emit('job_progress', formatJobEvent(queued));
+    scheduleDrain();
+    return queued;
+}
+
+/**
+ * Whether a file has a queued or running job
+ * @param {string} fileName
+ * @returns {Promise<boolean>}
+ */
+async function hasActiveJob(fileName) {
+    return (await listJobs({ fileName, active: true })).length > 0;
+}
+
+/**
+ * Forget the finished jobs of a deleted file
+ * @param {string} fileName
+ * @returns {Promise<number>} Number of removed jobs
+ */
+async function removeFileJobs(fileName) {
+    const finished = (await listJobs({ fileName })).filter(job => job.status === 'completed' || job.status === 'failed');
+    for (const job of finished) {
+        await store.remove(job.id);
+    }
+    return finished.length;
+}
+
+/**
+ * Queue the jobs a previous process left running, then start queued jobs. Call once at startup,
+ * after the database connection is up.
+ */
+async function startJobWorkers() {
+    const interrupted = (await store.list()).filter(job => job.status === 'running' && !running.has(job.id));
+    for (const job of interrupted) {
+        await updateJob(job, { status: 'queued' });
+    }
+
+    logger.info('Started ingestion workers', 'startJobWorkers', {
+        concurrency: getConcurrency(),
+        batchRetries: getBatchRetries(),
+        resumed: interrupted.length
+    });
+    scheduleDrain();
+}
+
+module.exports = {
+    jobEvents,
+    formatJobEvent,
+    enqueueJob,
+    listJobs,
+    getJob,
+    retryJob,
+    hasActiveJob,
+    removeFileJobs,
+    startJobWorkers
+};
@@ -0,0 +1,209 @@
+/**
+ * @module keywordIndexService
+ * @description BM25 keyword indexes of the embedded chunks, one per vector store namespace (each spec's
+ * namespace, plus the default namespace for chunks embedded before namespaces were used). Indexes are
+ * updated at ingestion and kept in DATA_DIR/keyword-index; a missing index is rebuilt from the chunk text
+ * stored in the vector store the first time it is searched. The endpoint paths of each namespace are kept in
+ * memory next to the indexes, for the lookup of concrete paths such as `/pets/42` (see vectorDbService).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createModuleLogger } = require('../utils/logger');
+const { getDataDir } = require('../utils/file-store');
+const { MAX_LIST_SIZE } = require('../utils/vector-store');
+const { Bm25Index } = require('../utils/bm25');
+const { reciprocalRankFusion } = require('../utils/rank-fusion');
+
+const logger = createModuleLogger('keywordIndexService');
+
+const indexes = new Map(); // namespace -> Promise<Bm25Index|null>
+const writeQueues = new Map();
+const endpointTemplates = new Map(); // namespace -> Promise<Array<string>>
+
+function indexPath(namespace) {
+    return path.join(getDataDir(), 'keyword-index', `${namespace ? encodeURIComponent(namespace) : '_default'}.json`);
+}
+
+/**
+ * The text a chunk is indexed by: its path, method, operation id and parameter names next to its content,
+ * so exact API tokens match even where the embedding misses them
+ * @param {Object} metadata - Vector metadata written by processChunkBatch
+ * @returns {string}
+ */
+function keywordText(metadata = {}) {
+    return [
+        metadata.method,
+        metadata.endpoint || metadata.path,
+        metadata.operation_id,
+        metadata.component_name,
+        metadata.event_name,
+        metadata.channel,
+        ...(metadata.param_names || []),
+        ...(metadata.tags || []),
+        metadata.summary,
+        metadata.description,
+        metadata.text
+    ].filter(value => typeof value === 'string' && value).join('\n');
+}
+
+async function readIndex(namespace) {
+    try {
+        return Bm25Index.fromJSON(JSON.parse(await fs.readFile(indexPath(namespace), 'utf8')));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Failed to read keyword index, rebuilding it', 'readIndex', {
+                namespace,
+                error: error.message
+            });
+        }
+        return null;
+    }
+}
+
+/**
+ * The stored index of a namespace, or null when there is none
+ */
+function loadIndex(namespace) {
+    if (!indexes.has(namespace)) {
+        indexes.set(namespace, readIndex(namespace));
+    }
+    return indexes.get(namespace);
+}
+
+// Rewrite a namespace's index file, one write at a time per namespace, through a temporary file
+function persistIndex(namespace, index) {
+    const previous = writeQueues.get(namespace) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+        const filePath = indexPath(namespace);
+        if (!index.size) {
+            await fs.rm(filePath, { force: true });
+            return;
+        }
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(index));
+        await fs.rename(tmpPath, filePath);
+    });
+
+    writeQueues.set(namespace, write);
+    return write;
+}
+
+/**
+ * Build a namespace's index from the chunks stored in the vector store
+ */
+async function buildIndex(store, namespace) {
+    const records = await store.find({ namespace, limit: MAX_LIST_SIZE });
+    const index = new Bm25Index();
+    records
+        .filter(record => !record.metadata?.is_metadata)
+        .forEach(record => index.add(record.id, keywordText(record.metadata)));
+
+    await persistIndex(namespace, index);
+    logger.info('Built keyword index from the vector store', 'buildIndex', {
+        namespace,
+        documentCount: index.size
+    });
+    return index;
+}
+
+/**
+ * Add or replace chunks in the index of their namespace
+ * @param {string} namespace
+ * @param {Array<{id: string, metadata: Object}>} vectors - Vectors as upserted to the vector store
+ */
+async function indexChunks(namespace, vectors) {
+    if (!vectors.length) return;
+
+    endpointTemplates.delete(namespace);
+    const index = (await loadIndex(namespace)) || new Bm25Index();
+    indexes.set(namespace, Promise.resolve(index));
+    vectors.forEach(vector => index.add(vector.id, keywordText(vector.metadata)));
+    await persistIndex(namespace, index);
+
+    logger.debug('Indexed chunks', 'indexChunks', { namespace, chunkCount: vectors.length });
+}
+
+/**
+ * Remove chunks from the index of their namespace
+ * @param {string} namespace
+ * @param {Array<string>} ids
+ */
+async function removeChunks(namespace, ids) {
+    if (ids.length) endpointTemplates.delete(namespace);
+    const index = ids.length ? await loadIndex(namespace) : null;
+    if (index?.remove(ids)) {
+        await persistIndex(namespace, index);
+    }
+}
+
+/**
+ * Drop the index of a deleted namespace
+ * @param {string} namespace
+ */
+async function dropIndex(namespace) {
+    endpointTemplates.delete(namespace);
+    indexes.set(namespace, Promise.resolve(new Bm25Index()));
+    await persistIndex(namespace, new Bm25Index());
+}
+
+/**
+ * BM25 search across namespaces. Each namespace's index has its own term statistics, so its scores only rank
+ * its own chunks: the namespaces' rankings are merged by reciprocal rank fusion, equal ranks going to the
+ * higher BM25 score.
+ * @param {Object} store - Vector store adapter, to build missing indexes from
+ * @param {string} query
+ * @param {Object} options
+ * @param {Array<string>} options.namespaces - Namespaces to search
+ * @param {number} options.topK
+ * @returns {Promise<Array<{id: string, score: number, namespace: string}>>} Best first, with the fused `score`
+ *   and the BM25 score and rank in `scores` and `ranks` (keyed by namespace)
+ */
+async function searchKeywords(store, query, { namespaces, topK }) {
+    const results = await Promise.all(namespaces.map(async namespace => {
+        let index = await loadIndex(namespace);
+        if (!index) {
+            const building = buildIndex(store, namespace);
+            indexes.set(namespace, building);
+            index = await building.catch(error => {
+                indexes.delete(namespace);
+                throw error;
+            });
+        }
+        return { name: namespace, weight: 1, matches: index.search(query, topK).map(hit => ({ ...hit, namespace })) };
+    }));
+
+    const bm25Score = hit => hit.scores[hit.namespace];
+    return reciprocalRankFusion(results)
+        .sort((a, b) => b.score - a.score || bm25Score(b) - bm25Score(a))
+        .slice(0, topK);
+}
+
+/**
+ * The distinct endpoint paths (path templates such as `/pets/{petId}`) of a namespace's chunks, read from the
+ * vector store once and kept until chunks of the namespace are indexed or removed
+ * @param {Object} store - Vector store adapter
+ * @param {string} namespace
+ * @returns {Promise<Array<string>>}
+ */
+function listEndpointTemplates(store, namespace) {
+    if (!endpointTemplates.has(namespace)) {
+        const loading = store.find({ namespace, limit: MAX_LIST_SIZE }).then(records => [...new Set(records
+            .filter(record => !record.metadata?.is_metadata && record.metadata?.endpoint)
+            .map(record => record.metadata.endpoint))]);
+        endpointTemplates.set(namespace, loading);
+        loading.catch(() => endpointTemplates.delete(namespace));
+    }
+    return endpointTemplates.get(namespace);
+}
+
+module.exports = {
+    keywordText,
+    indexChunks,
+    removeChunks,
+    dropIndex,
+    searchKeywords,
+    listEndpointTemplates
+};
@@ -46,11 +46,26 @@ function createSpan(traceId, options = {}) {
     });
 }
 
+/**
+ * Like createSpan, but a span without a known trace gets a trace of its own instead of failing,
+ * for pipeline steps that are traced whether or not the request is
+ */
+function startSpan(traceId, options = {}) {
+    const trace = traceId && getTrace(traceId);
+    const body = {
+        ...options,
+        name: options.name||"span",
+        metadata: options.metadata||{},
+    };
+    return trace ? trace.span(body) : langfuse.span(body);
+}
+
 
 module.exports = {
     createTrace,
     getTrace,
     destroyTrace,
-    createSpan
+    createSpan,
+    startSpan
 };
     
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * @module rerankService
+ * @description Second retrieval stage: retrieval over-fetches candidate chunks, a reranker (RERANKER) scores
+ * each against the query and the best ones are kept within a token budget. Rerankers: `cohere` (Cohere rerank
+ * API), `ollama` (a local model scoring each query/chunk pair, as a cross-encoder does), `heuristic` (query term
+ * coverage blended with the retrieval score, no external call) and `none` (retrieval order).
+ */
+
+const fetch = require('node-fetch');
+const { createModuleLogger } = require('../utils/logger');
+const { tokenize } = require('../utils/bm25');
+const { estimateTextTokens } = require('../utils/ai');
+const { keywordText } = require('./keywordIndexService');
+
+const logger = createModuleLogger('rerankService');
+
+// Longest chunk text sent to a reranking model
+const MAX_RERANK_TEXT_LENGTH = 4000;
+
+let cohereClient = null;
+
+/**
+ * Reranking settings from the environment
+ * @returns {{reranker: string, candidates: number, tokenBudget: number, maxDocs: number, minScore: number}}
+ */
+function getRerankConfig() {
+    return {
+        reranker: (process.env.RERANKER || 'heuristic').toLowerCase(),
+        candidates: parseInt(process.env.RERANK_CANDIDATES || '30', 10),
+        tokenBudget: parseInt(process.env.RERANK_TOKEN_BUDGET || '3000', 10),
+        maxDocs: parseInt(process.env.RERANK_MAX_DOCS || '10', 10),
+        minScore: parseFloat(process.env.RERANK_MIN_SCORE || '0')
+    };
+}
+
+function rerankText(match) {
+    return keywordText(match.metadata).slice(0, MAX_RERANK_TEXT_LENGTH);
+}
+
+/**
+ * Cohere rerank API (COHERE_API_KEY, COHERE_RERANK_MODEL)
+ */
+async function cohereScores(query, matches) {
+    if (!process.env.COHERE_API_KEY) {
+        throw new Error('COHERE_API_KEY is not set');
+    }
+    if (!cohereClient) {
+        const { CohereClient } = require('cohere-ai');
+        cohereClient = new CohereClient({ token: process.env.COHERE_API_KEY });
+    }
+
+    const response = await cohereClient.rerank({
+        model: process.env.COHERE_RERANK_MODEL || 'rerank-v3.5',
+        query,
+        documents: matches.map(rerankText),
+        returnDocuments: false
+    });
+
+    const scores = new Array(matches.length).fill(0);
+    response.results.forEach(result => {
+        scores[result.index] = result.relevanceScore;
+    });
+    return scores;
+}
+
+/**
+ * A local Ollama model (OLLAMA_RERANK_MODEL) rating each query/chunk pair from 0 to 10,
+ * OLLAMA_RERANK_CONCURRENCY pairs at a time
+ */
+async function ollamaScores(query, matches) {
+    const baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    const model = process.env.OLLAMA_RERANK_MODEL || process.env.OLLAMA_LLM_COMPLETION_MODEL;
+    if (!model) {
+        throw new Error('OLLAMA_RERANK_MODEL is not set');
+    }
+    const concurrency = parseInt(process.env.OLLAMA_RERANK_CONCURRENCY || '4', 10);
+
+    const score = async match => {
+        const response = await fetch(`${baseUrl}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model,
+                prompt: 'Rate how useful the API documentation excerpt is to answer the question, from 0 (unrelated) '
+                    + 'to 10 (answers it). Reply with the number only.\n\n'
+                    + `Question: ${query}\n\nExcerpt:\n${rerankText(match)}\n\nScore:`,
+                stream: false,
+                options: { temperature: 0, num_predict: 8 }
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`Ollama API error: ${response.status}`);
+        }
+
+        const rating = parseFloat(((await response.json()).response || '').match(/\d+(\.\d+)?/)?.[0]);
+        return Number.isFinite(rating) ? Math.min(Math.max(rating, 0), 10) / 10 : 0;
+    };
+
+    const scores = new Array(matches.length);
+    for (let i = 0; i < matches.length; i += concurrency) {
+        const batch = await Promise.all(matches.slice(i, i + concurrency).map(score));
+        batch.forEach((value, j) => {
+            scores[i + j] = value;
+        });
+    }
+    return scores;
+}
+
+/**
+ * Share of the query terms a chunk contains, blended with its retrieval score relative to the best candidate
+ */
+async function heuristicScores(query, matches) {
+    const queryTerms = new Set(tokenize(query));
+    const bestScore = Math.max(...matches.map(match => match.score || 0)) || 1;
+
+    return matches.map(match => {
+        const terms = new Set(tokenize(keywordText(match.metadata)));
+        const coverage = queryTerms.size
+            ? [...queryTerms].filter(term => terms.has(term)).length / queryTerms.size
+            : 0;
+        return 0.6 * coverage + 0.4 * ((match.score || 0) / bestScore);
+    });
+}
+
+const RERANKERS = {
+    cohere: cohereScores,
+    ollama: ollamaScores,
+    heuristic: heuristicScores
+};
+
+/**
+ * Reorder candidate chunks by relevance to the query. Exact endpoint matches (see findExactMatches) stay first,
+ * in their order; the others are sorted by `rerankScore` and dropped below `minScore`. A failing reranker
+ * falls back to the heuristic one.
+ * @param {string} query
+ * @param {Array<Object>} matches - Candidates from querySimilarChunks
+ * @param {Object} [config] - See getRerankConfig
+ * @returns {Promise<{matches: Array<Object>, reranker: string, fallbackFrom?: string, error?: string}>}
+ */
+async function rerankChunks(query, matches, config = getRerankConfig()) {
+    const exact = matches.filter(match => match.exact);
+    const candidates = matches.filter(match => !match.exact);
+
+    if (config.reranker === 'none' || !candidates.length) {
+        return { matches, reranker: config.reranker };
+    }
+
+    let reranker = RERANKERS[config.reranker] ? config.reranker : 'heuristic';
+    const result = {};
+    if (reranker !== config.reranker) {
+        logger.warn('Unknown reranker, using the heuristic one', 'rerankChunks', { reranker: config.reranker });
+        result.fallbackFrom = config.reranker;
+    }
+
+    let scores;
+    try {
+        scores = await RERANKERS[reranker](query, candidates);
+    } catch (error) {
+        logger.warn('Reranking failed, using the heuristic reranker', 'rerankChunks', {
+            reranker,
+            error: error.message
+        });
+        result.fallbackFrom = reranker;
+        result.error = error.message;
+        reranker = 'heuristic';
+        scores = await heuristicScores(query, candidates);
+    }
+
+    const reranked = candidates
+        .map((match, i) => ({ ...match, rerankScore: scores[i] }))
+        .filter(match => match.rerankScore >= config.minScore)
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+
+    logger.debug('Reranked chunks', 'rerankChunks', {
+        reranker,
+        candidateCount: candidates.length,
+        keptCount: reranked.length,
+        exactCount: exact.length
+    });
+
+    return { ...result, matches: [...exact, ...reranked], reranker };
+}
+
+/**
+ * Number of leading documents that fit the token budget and document limit; the first document is
+ * always kept, however large
+ * @param {Array<string>} texts - Documents as they are sent to the LLM
+ * @param {Object} [config] - See getRerankConfig
+ * @returns {{count: number, tokens: number}}
+ */
+function fitTokenBudget(texts, config = getRerankConfig()) {
+    let tokens = 0;
+    let count = 0;
+    for (const text of texts.slice(0, config.maxDocs)) {
+        const size = estimateTextTokens(text);
+        if (count && tokens + size > config.tokenBudget) break;
+        tokens += size;
+        count++;
+    }
+    return { count, tokens };
+}
+
+module.exports = {
+    getRerankConfig,
+    rerankChunks,
+    fitTokenBudget
+};
@@ -0,0 +1,114 @@
+/**
+ * @module retrievalService
+ * @description Retrieves the context documents used to answer a chat query
+ */
+
+const { createModuleLogger } = require('../utils/logger');
+const { querySimilarChunks } = require('./vectorDbService');
+const { enrichDocsWithMetadata } = require('./documentService');
+const { buildChangeContext } = require('./specVersionService');
+const { getRerankConfig, rerankChunks, fitTokenBudget } = require('./rerankService');
+const { startSpan } = require('./llmMetricsService');
+const { formatDocsContext } = require('../utils/formatters');
+
+const logger = createModuleLogger('retrievalService');
+
+/**
+ * Rerank the candidate chunks and keep the best within the token budget (see rerankService), recording the
+ * reranker, cutoff and outcome in a Langfuse span so answer quality can be compared across settings.
+ * Candidates keep their retrieval order when reranking fails; the span is ended on every path.
+ * @returns {Promise<{matches: Array<Object>, enrichedDocs: Array<Object>}>}
+ */
+async function rerankContext(query, candidates, options = {}) {
+    const config = getRerankConfig();
+    const span = startSpan(options.traceId, {
+        name: 'rerank',
+        input: { query, candidateCount: candidates.length },
+        metadata: config
+    });
+
+    try {
+        let reranked;
+        try {
+            reranked = await rerankChunks(query, candidates, config);
+        } catch (error) {
+            logger.warn('Reranking failed, keeping the retrieval order', 'rerankContext', { error: error.message });
+            reranked = { matches: candidates, reranker: 'none', fallbackFrom: config.reranker, error: error.message };
+        }
+
+        const docs = await enrichDocsWithMetadata(reranked.matches);
+        const { count, tokens } = fitTokenBudget(docs.map(doc => formatDocsContext([doc])), config);
+        const matches = reranked.matches.slice(0, count);
+
+        span.end({
+            output: {
+                reranker: reranked.reranker,
+                fallbackFrom: reranked.fallbackFrom,
+                error: reranked.error,
+                keptCount: count,
+                droppedCount: candidates.length - count,
+                tokens,
+                kept: matches.map(match => ({
+                    id: match.id,
+                    exact: !!match.exact,
+                    score: match.score,
+                    rerankScore: match.rerankScore
+                }))
+            }
+        });
+
+        logger.info('Reranked context', 'rerankContext', {
+            reranker: reranked.reranker,
+            candidateCount: candidates.length,
+            keptCount: count,
+            tokens,
+            tokenBudget: config.tokenBudget
+        });
+
+        return { matches, enrichedDocs: docs.slice(0, count) };
+    } catch (error) {
+        span.end({ level: 'ERROR', statusMessage: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Run the retrieval part of the RAG pipeline for a query: over-fetch candidate chunks (RERANK_CANDIDATES),
+ * then rerank them down to the token budget
+ * @param {string} query - User question
+ * @param {Object} options - Options forwarded to querySimilarChunks (`topK` candidates, `specIds` to scope to
+ *   some specs, `weights` of the vector and keyword rankings), plus the Langfuse `traceId` of the request
+ * @returns {Promise<{matches: Array<Object>, enrichedDocs: Array<Object>}>} Kept matches and the documents used as LLM context
+ */
+async function retrieveContext(query, options = {}) {
+    logger.info('Retrieving context', 'retrieveContext', { query, specIds: options.specIds });
+
+    const candidates = await querySimilarChunks(query, {
+        ...options,
+        topK: options.topK || getRerankConfig().candidates
+    });
+    const { matches, enrichedDocs } = await rerankContext(query, candidates, options);
+
+    // "What changed in v2.3?" questions also get the structured diff between the versions
+    let changeDocs = [];
+    try {
+        changeDocs = await buildChangeContext(query, { specIds: options.specIds });
+    } catch (error) {
+        logger.warn('Failed to build version change context', 'retrieveContext', { error: error.message });
+    }
+
+    logger.debug('Retrieved context', 'retrieveContext', {
+        matchCount: matches.length,
+        changeDocCount: changeDocs.length
+    });
+
+    if (changeDocs.length) {
+        return { matches, enrichedDocs: [...changeDocs, ...enrichedDocs] };
+    }
+
+    return { matches, enrichedDocs };
+}
+
+module.exports = {
+    retrieveContext
+};
@@ -0,0 +1,349 @@
+/**
+ * @module specSourceService
+ * @description Imports specifications from URLs and re-syncs them on a per-source interval.
+ * A re-sync uses ETag/Last-Modified conditional requests and only re-processes when the content hash changes.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const { createModuleLogger } = require('../utils/logger');
+const { createRecordStore } = require('../db/record-store');
+const { parseSpecContent, detectDocumentFormat } = require('../utils/input-format');
+const { deleteFileVectors } = require('../utils/openapi');
+const { ingestSpec } = require('./specVersionService');
+
+const logger = createModuleLogger('specSourceService');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const FETCH_TIMEOUT_MS = 30000;
+
+const store = createRecordStore('spec-sources', () => require('../models/specSource'));
+const syncing = new Set();
+let schedulerTimer = null;
+
+/**
+ * Create an error carrying an HTTP status, for the REST layer
+ */
+function createSourceError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = statusCode;
+    return error;
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Validate an import URL (http/https only)
+ * @param {string} url
+ * @returns {string} Normalized URL
+ */
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch {
+        throw createSourceError(400, `Invalid URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw createSourceError(400, 'Only http and https URLs can be imported');
+    }
+    return parsed.toString();
+}
+
+/**
+ * Refresh interval in minutes; 0 (or empty) disables scheduled re-sync
+ */
+function validateRefreshInterval(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+        throw createSourceError(400, "'refreshInterval' must be a non-negative number of minutes");
+    }
+    return minutes;
+}
+
+/**
+ * Fetch a specification, sending the validators of the previous fetch
+ * @param {string} url
+ * @param {Object} [validators]
+ * @param {string} [validators.etag]
+ * @param {string} [validators.lastModified]
+ * @returns {Promise<{notModified: boolean, content?: string, etag?: string, lastModified?: string, contentType?: string}>}
+ */
+async function fetchSpec(url, validators = {}) {
+    const headers = {
+        Accept: 'application/json, application/yaml, application/x-yaml, text/yaml, */*;q=0.8'
+    };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    let response;
+    try {
+        response = await fetch(url, {
+            headers,
+            timeout: FETCH_TIMEOUT_MS,
+            size: (parseInt(process.env.MAX_FILE_SIZE, 10) || 30) * 1024 * 1024
+        });
+    } catch (error) {
+        throw createSourceError(502, `Failed to fetch ${url}: ${error.message}`);
+    }
+
+    if (response.status === 304) {
+        return { notModified: true };
+    }
+    if (!response.ok) {
+        throw createSourceError(502, `Failed to fetch ${url}: HTTP ${response.status} ${response.statusText}`);
+    }
+
+    let content;
+    try {
+        content = await response.text();
+    } catch (error) {
+        throw createSourceError(502, `Failed to read ${url}: ${error.message}`);
+    }
+
+    return {
+        notModified: false,
+        content,
+        etag: response.headers.get('etag') || undefined,
+        lastModified: response.headers.get('last-modified') || undefined,
+        contentType: response.headers.get('content-type') || ''
+    };
+}
+
+/**
+ * Stable upload file name for a source, keeping the extension the format detection relies on
+ */
+function sourceFileName(source, contentType, content) {
+    let extension = path.extname(new URL(source.url).pathname).toLowerCase();
+    if (!['.json', '.yaml', '.yml'].includes(extension)) {
+        if (/json/.test(contentType)) extension = '.json';
+        else if (/yaml/.test(contentType)) extension = '.yaml';
+        else extension = content.trim().startsWith('{') ? '.json' : '.yaml';
+    }
+    return `url-${source.id}${extension}`;
+}
+
+/**
+ * Paths (or AsyncAPI channels) added and removed between two versions of a document
+ */
+function summarizeChange(previous, current) {
+    const keys = doc => new Set(Object.keys(doc?.paths || doc?.channels || {}));
+    const before = keys(previous);
+    const after = keys(current);
+    return {
+        added: [...after].filter(key => !before.has(key)),
+        removed: [...before].filter(key => !after.has(key)),
+        total: after.size
+    };
+}
+
+async function readPreviousVersion(fileName) {
+    try {
+        return parseSpecContent(await fs.readFile(path.join(UPLOAD_DIR, fileName), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetch a source and re-embed it when its content changed
+ * @param {string} id - Source id
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Skip the conditional request and the hash check
+ * @returns {Promise<{source: Object, changed: boolean, result?: Object}>}
+ */
+async function syncSource(id, options = {}) {
+    const source = await store.get(id);
+    if (!source) {
+        throw createSourceError(404, `Source not found: ${id}`);
+    }
+    if (syncing.has(id)) {
+        return { source, changed: false, inProgress: true };
+    }
+
+    syncing.add(id);
+    const checkedAt = new Date().toISOString();
+    try {
+        logger.info('Syncing source', 'syncSource', { id, url: source.url, force: !!options.force });
+
+        const fetched = await fetchSpec(source.url, options.force ? {} : source);
+        if (fetched.notModified) {
+            const updated = await store.save({ ...source, status: 'unchanged', error: null, lastCheckedAt: checkedAt });
+            logger.info('Source not modified', 'syncSource', { id });
+            return { source: updated, changed: false };
+        }
+
+        const contentHash = hashContent(fetched.content);
+        const validators = { etag: fetched.etag, lastModified: fetched.lastModified };
+        if (!options.force && contentHash === source.contentHash) {
+            const updated = await store.save({ ...source, ...validators, status: 'unchanged', error: null, lastCheckedAt: checkedAt });
+            logger.info('Source content unchanged', 'syncSource', { id });
+            return { source: updated, changed: false };
+        }
+
+        let spec;
+        try {
+            spec = parseSpecContent(fetched.content);
+        } catch (error) {
+            throw createSourceError(422, `The URL did not return JSON or YAML: ${error.message}`);
+        }
+        if (!detectDocumentFormat(spec)) {
+            throw createSourceError(422, 'The URL did not return an OpenAPI, Swagger, AsyncAPI or Postman document');
+        }
+
+        const fileName = source.fileName || sourceFileName(source, fetched.contentType, fetched.content);
+        const lastChange = summarizeChange(await readPreviousVersion(fileName), spec);
+
+        await fs.mkdir(UPLOAD_DIR, { recursive: true });
+        await fs.writeFile(path.join(UPLOAD_DIR, fileName), fetched.content);
+
+        // Chunk ids are stable per API, so only new or changed chunks are re-embedded
+        const result = await ingestSpec(fetched.content, fileName, { sourceName: source.url });
+
+        const updated = await store.save({
+            ...source,
+            ...validators,
+            fileName,
+            contentHash,
+            status: 'synced',
+            error: null,
+            lastCheckedAt: checkedAt,
+            lastChangedAt: checkedAt,
+            lastChange
+        });
+
+        logger.info('Source changed, re-embedding', 'syncSource', {
+            id,
+            fileName,
+            added: lastChange.added.length,
+            removed: lastChange.removed.length
+        });
+
+        return { source: updated, changed: true, result };
+    } catch (error) {
+        logger.error('Source sync failed', 'syncSource', { id, url: source.url, error: error.message });
+        await store.save({ ...source, status: 'error', error: error.message, lastCheckedAt: checkedAt });
+        throw error;
+    } finally {
+        syncing.delete(id);
+    }
+}
+
+/**
+ * Import a specification from a URL. Importing a known URL updates its interval and syncs it.
+ * @param {string} url - Specification URL
+ * @param {Object} [options]
+ * @param {number} [options.refreshInterval=0] - Minutes between scheduled re-syncs, 0 disables
+ * @returns {Promise<{source: Object, changed: boolean, result?: Object}>}
+ */
+async function importFromUrl(url, options = {}) {
+    const normalizedUrl = validateUrl(url);
+    const refreshInterval = validateRefreshInterval(options.refreshInterval);
+
+    const existing = (await store.list()).find(source => source.url === normalizedUrl);
+    const source = existing
+        ? { ...existing, refreshInterval }
+        : {
+            id: uuidv4(),
+            url: normalizedUrl,
+            refreshInterval,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+    await store.save(source);
+
+    logger.info('Importing specification from URL', 'importFromUrl', {
+        id: source.id,
+        url: normalizedUrl,
+        refreshInterval,
+        existing: !!existing
+    });
+
+    return syncSource(source.id);
+}
+
+async function listSources() {
+    return store.list();
+}
+
+/**
+ * Stop tracking a source and remove its upload and vectors
+ * @param {string} id
+ * @returns {Promise<{removed: boolean, vectorsDeleted: number}>}
+ */
+async function removeSource(id) {
+    const source = await store.get(id);
+    if (!source) {
+        throw createSourceError(404, `Source not found: ${id}`);
+    }
+
+    let vectorsDeleted = 0;
+    if (source.fileName) {
+        vectorsDeleted = await deleteFileVectors(source.fileName);
+        await fs.unlink(path.join(UPLOAD_DIR, source.fileName)).catch(() => {});
+    }
+    await store.remove(id);
+
+    logger.info('Removed source', 'removeSource', { id, url: source.url, vectorsDeleted });
+    return { removed: true, vectorsDeleted };
+}
+
+/**
+ * Sync every source whose refresh interval has elapsed
+ */
+async function syncDueSources() {
+    const now = Date.now();
+    const due = (await store.list()).filter(source =>
+        source.refreshInterval > 0 &&
+        (!source.lastCheckedAt || now - new Date(source.lastCheckedAt).getTime() >= source.refreshInterval * 60000)
+    );
+
+    for (const source of due) {
+        try {
+            await syncSource(source.id);
+        } catch {
+            // Already logged and recorded on the source
+        }
+    }
+}
+
+/**
+ * Start checking for due sources every SPEC_SOURCE_CHECK_INTERVAL seconds (default 60)
+ */
+function startSourceScheduler() {
+    if (schedulerTimer) return;
+
+    const seconds = parseInt(process.env.SPEC_SOURCE_CHECK_INTERVAL || '60', 10);
+    schedulerTimer = setInterval(() => {
+        syncDueSources().catch(error => {
+            logger.error('Scheduled source sync failed', 'startSourceScheduler', { error: error.message });
+        });
+    }, seconds * 1000);
+    // Never keep the process alive just for re-syncs
+    schedulerTimer.unref();
+
+    logger.info('Source scheduler started', 'startSourceScheduler', { intervalSeconds: seconds });
+}
+
+function stopSourceScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+module.exports = {
+    fetchSpec,
+    importFromUrl,
+    syncSource,
+    listSources,
+    removeSource,
+    syncDueSources,
+    startSourceScheduler,
+    stopSourceScheduler
+};
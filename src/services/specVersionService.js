@@ -0,0 +1,469 @@
+/**
+ * @module specVersionService
+ * @description Groups uploads under a logical API name with version numbers, and compares versions.
+ * Each version is a record in the `spec-versions` collection (`SpecVersion` model, the PostgreSQL `records` table with
+ * METADATA_STORE=postgres, or a JSON store without a database) and a snapshot of the normalized document in
+ * DATA_DIR/spec-versions, which the diffs are computed from.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createModuleLogger } = require('../utils/logger');
+const { createRecordStore } = require('../db/record-store');
+const { getDataDir } = require('../utils/file-store');
+const { detectInputFormat } = require('../utils/input-format');
+const { convertPostmanToOpenAPI3 } = require('../utils/postman-converter');
+const { isSwagger2, convertSwagger2ToOpenAPI3 } = require('../utils/swagger-converter');
+const { csvToSpec } = require('../utils/csv-export');
+const { specIdFor } = require('../utils/chunk-identity');
+const { diffSpecs, formatDiffText } = require('../utils/spec-diff');
+const { buildChangeReport } = require('../utils/change-report');
+const { enqueueJob } = require('./jobService');
+
+const logger = createModuleLogger('specVersionService');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_CHANGE_CONTEXTS = 3;
+
+// Questions such as "what changed in v2.3?", "breaking changes since 1.4", "diff between 1.0 and 2.0"
+const CHANGE_QUESTION = /\b(what(?:'s| is| has| have)?\s+(?:changed|new)|changes?|changelog|diff(?:erence)?s?|breaking|compared?\s+(?:to|with)|since)\b/i;
+const VERSION_MENTION = /\bv?(\d+(?:\.\d+){0,3}(?:-[\w.]+)?)\b/gi;
+
+const store = createRecordStore('spec-versions', () => require('../models/specVersion'));
+
+/**
+ * Create an error carrying an HTTP status, for the REST layer
+ */
+function createVersionError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = statusCode;
+    return error;
+}
+
+function normalizeVersion(version) {
+    return String(version).trim().replace(/^v(?=\d)/i, '');
+}
+
+/**
+ * Order versions numerically segment by segment (1.9 < 1.10), ignoring a leading `v`
+ */
+function compareVersions(a, b) {
+    return normalizeVersion(a).localeCompare(normalizeVersion(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function snapshotPath(id) {
+    return path.join(getDataDir(), 'spec-versions', `${id}.json`);
+}
+
+/**
+ * Parse an upload into the document kept for diffs: OpenAPI 3 for OpenAPI, Swagger, Postman and CSV, AsyncAPI as is
+ * @returns {Promise<{format: string, document: Object}>}
+ */
+async function normalizeUpload(content, fileName, options) {
+    const { format, spec } = detectInputFormat(fileName, content);
+
+    if (format === 'csv') {
+        const { spec: document } = await csvToSpec(content, {
+            title: options.apiName || path.basename(options.sourceName || fileName, path.extname(options.sourceName || fileName)),
+            version: options.version
+        });
+        return { format, document };
+    }
+    if (format === 'postman') {
+        return { format, document: convertPostmanToOpenAPI3(spec) };
+    }
+    if (format === 'asyncapi') {
+        return { format, document: spec };
+    }
+    return { format, document: isSwagger2(spec) ? convertSwagger2ToOpenAPI3(spec) : spec };
+}
+
+function countEndpoints(document) {
+    if (document.asyncapi) {
+        return Object.keys(document.operations || document.channels || {}).length;
+    }
+    return Object.values(document.paths || {})
+        .reduce((count, pathItem) => count + HTTP_METHODS.filter(method => pathItem?.[method]).length, 0);
+}
+
+/**
+ * Identity of the API an upload belongs to. An explicit API name groups every upload given that name; without
+ * one, uploads are versions of the same API when they come from the same source (file name or URL) and share
+ * `info.title`, so unrelated specs with the same title never share versions or chunks.
+ * @returns {{key: string, specId: string}}
+ */
+function resolveApiIdentity(options, sourceName, title) {
+    if (options.apiKey) {
+        return { key: options.apiKey, specId: specIdFor(`api:${options.apiKey}`) };
+    }
+    const key = options.apiName ? String(options.apiName).trim() : `${sourceName}#${title}`;
+    return { key, specId: specIdFor(`api:${key}`) };
+}
+
+/**
+ * Record an upload as a version of its API (see resolveApiIdentity). The API name defaults to `info.title`
+ * and the version to `info.version`; uploading the same API and version again replaces that version.
+ * @param {string|Buffer|Object} content - Uploaded content
+ * @param {string} fileName - Computed (stored) file name
+ * @param {Object} [options]
+ * @param {string} [options.sourceName] - Original file name or URL
+ * @param {string} [options.apiName] - Logical API name
+ * @param {string} [options.apiKey] - Identity of an already recorded API (`api_key` of its versions), for re-indexing
+ * @param {string} [options.version] - Version number
+ * @returns {Promise<Object>} Version record
+ */
+async function recordVersion(content, fileName, options = {}) {
+    const { format, document } = await normalizeUpload(content, fileName, options);
+    const sourceName = options.sourceName || fileName;
+
+    const title = String(document.info?.title || path.basename(sourceName, path.extname(sourceName))).trim();
+    const apiName = String(options.apiName || title).trim();
+    const version = normalizeVersion(options.version || document.info?.version || '1');
+    const { key, specId } = resolveApiIdentity(options, sourceName, title);
+    const id = specIdFor(`${key}@${version}`);
+    const now = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(snapshotPath(id)), { recursive: true });
+    await fs.writeFile(snapshotPath(id), JSON.stringify(document));
+
+    const existing = await store.get(id);
+    const record = await store.save({
+        id,
+        file_name: fileName,
+        spec_id: specId,
+        api_key: key,
+        api_name: apiName,
+        api_version: version,
+        spec_format: format,
+        title: document.info?.title,
+        original_name: sourceName,
+        endpoint_count: countEndpoints(document),
+        timestamp: now,
+        created_at: existing?.created_at || now
+    });
+
+    logger.info('Recorded spec version', 'recordVersion', {
+        apiName,
+        specId,
+        version,
+        fileName,
+        replaced: !!existing
+    });
+
+    return record;
+}
+
+/**
+ * Record a version and queue an ingestion job embedding the upload (see jobService). Every version of an
+ * API shares one set of chunks, so a new version only re-embeds what changed and the index always answers
+ * about the latest upload. Uploads that cannot be versioned are still embedded.
+ * @param {string|Buffer|Object} content - Uploaded content, already saved in the uploads directory
+ * @param {string} fileName - Computed (stored) file name
+ * @param {Object} [options] - See recordVersion
+ * @param {boolean} [options.force] - Re-embed every chunk, even unchanged ones
+ * @returns {Promise<Object>} Processing result with the `jobId` and the `version` record
+ */
+async function ingestSpec(content, fileName, options = {}) {
+    let version = null;
+    try {
+        version = await recordVersion(content, fileName, options);
+    } catch (error) {
+        logger.warn('Could not record spec version', 'ingestSpec', {
+            fileName,
+            error: error.message
+        });
+    }
+
+    const job = await enqueueJob(fileName, {
+        sourceName: version ? `api:${version.api_key}` : options.sourceName,
+        originalName: options.sourceName,
+        apiName: version?.api_name,
+        apiVersion: version?.api_version,
+        force: options.force
+    });
+
+    return {
+        status: 'processing_started',
+        message: 'File upload successful. Processing started in background.',
+        fileName,
+        jobId: job.id,
+        version
+    };
+}
+
+function formatVersion(record) {
+    return {
+        id: record.id,
+        version: record.api_version,
+        fileName: record.file_name,
+        originalName: record.original_name,
+        specFormat: record.spec_format,
+        endpointCount: record.endpoint_count,
+        uploadedAt: record.timestamp
+    };
+}
+
+function sortVersions(records) {
+    return [...records].sort((a, b) =>
+        compareVersions(a.api_version, b.api_version) || String(a.timestamp).localeCompare(String(b.timestamp))
+    );
+}
+
+/**
+ * Every API with its versions, oldest version first. APIs are told apart by `specId`, since several
+ * APIs can share a name.
+ * @returns {Promise<Array<{name: string, specId: string, latestVersion: string, versions: Array<Object>}>>}
+ */
+async function listApis() {
+    const groups = new Map();
+    (await store.list()).forEach(record => {
+        if (!groups.has(record.spec_id)) groups.set(record.spec_id, []);
+        groups.get(record.spec_id).push(record);
+    });
+
+    return Array.from(groups, ([specId, records]) => {
+        const sorted = sortVersions(records);
+        const latest = sorted[sorted.length - 1];
+        return { name: latest.api_name, specId, latestVersion: latest.api_version, versions: sorted.map(formatVersion) };
+    }).sort((a, b) => a.name.localeCompare(b.name) || a.specId.localeCompare(b.specId));
+}
+
+/**
+ * Versions of an API given by spec id or by name, oldest first. A name shared by several APIs is a conflict.
+ */
+async function getApiVersions(api) {
+    const records = await store.list();
+    const bySpecId = records.filter(record => record.spec_id === api);
+    if (bySpecId.length) {
+        return sortVersions(bySpecId);
+    }
+
+    const named = records.filter(record => record.api_name === api);
+    const specIds = [...new Set(named.map(record => record.spec_id))];
+    if (specIds.length > 1) {
+        throw createVersionError(409, `Several APIs are named ${api}; use one of their spec ids: ${specIds.join(', ')}`);
+    }
+    if (!named.length) {
+        throw createVersionError(404, `API not found: ${api}`);
+    }
+    return sortVersions(named);
+}
+
+/**
+ * Versions of one API, oldest first
+ * @param {string} api - Spec id or name of the API
+ * @returns {Promise<Array<Object>>}
+ */
+async function listVersions(api) {
+    return (await getApiVersions(api)).map(formatVersion);
+}
+
+/**
+ * The version recorded from an upload, if any
+ * @param {string} fileName - Computed (stored) file name
+ * @returns {Promise<Object|null>} Version record
+ */
+async function findFileVersion(fileName) {
+    const records = (await store.list()).filter(record => record.file_name === fileName);
+    return records.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))[0] || null;
+}
+
+/**
+ * Forget the versions recorded from an upload, with their snapshots
+ * @param {string} fileName - Computed (stored) file name
+ * @returns {Promise<number>} Number of removed versions
+ */
+async function removeFileVersions(fileName) {
+    const records = (await store.list()).filter(record => record.file_name === fileName);
+    for (const record of records) {
+        await store.remove(record.id);
+        await fs.unlink(snapshotPath(record.id)).catch(() => {});
+    }
+
+    if (records.length) {
+        logger.info('Removed spec versions of file', 'removeFileVersions', {
+            fileName,
+            versions: records.map(record => `${record.api_name} ${record.api_version}`)
+        });
+    }
+    return records.length;
+}
+
+async function readSnapshot(record) {
+    try {
+        return JSON.parse(await fs.readFile(snapshotPath(record.id), 'utf8'));
+    } catch (error) {
+        throw createVersionError(404, `Snapshot of ${record.api_name} ${record.api_version} is not available: ${error.message}`);
+    }
+}
+
+/**
+ * Compare two versions of an API. `to` defaults to the latest version and `from` to the version before `to`.
+ * @param {string} api - Spec id or name of the API
+ * @param {Object} [options]
+ * @param {string} [options.from] - Base version
+ * @param {string} [options.to] - Revised version
+ * @returns {Promise<{apiName: string, specId: string, from: string, to: string, diff: Object}>}
+ */
+async function diffVersions(api, options = {}) {
+    const records = await getApiVersions(api);
+    const apiName = records[records.length - 1].api_name;
+    const find = version => {
+        const record = records.find(entry => compareVersions(entry.api_version, version) === 0);
+        if (!record) {
+            throw createVersionError(404, `Version ${version} of ${apiName} not found`);
+        }
+        return record;
+    };
+
+    const to = options.to ? find(options.to) : records[records.length - 1];
+    const from = options.from ? find(options.from) : records[records.indexOf(to) - 1];
+    if (!from) {
+        throw createVersionError(422, `${apiName} ${to.api_version} has no previous version to compare with`);
+    }
+    if ([from, to].some(record => record.spec_format === 'asyncapi')) {
+        throw createVersionError(422, 'Version diffs are only available for OpenAPI, Swagger, Postman and CSV uploads');
+    }
+
+    const diff = diffSpecs(await readSnapshot(from), await readSnapshot(to));
+
+    logger.info('Compared spec versions', 'diffVersions', {
+        apiName,
+        specId: to.spec_id,
+        from: from.api_version,
+        to: to.api_version,
+        ...diff.summary
+    });
+
+    return { apiName, specId: to.spec_id, from: from.api_version, to: to.api_version, diff };
+}
+
+/**
+ * Check a candidate document against an indexed version of its API without recording or embedding it
+ * @param {string|Buffer|Object} content - Candidate specification
+ * @param {Object} options
+ * @param {string} options.apiName - Spec id or name of the API to check against
+ * @param {string} [options.against] - Base version (defaults to the latest version)
+ * @param {string} [options.fileName] - Name used to detect the format (defaults to JSON)
+ * @param {string} [options.version] - Candidate version label (defaults to `info.version`)
+ * @returns {Promise<Object>} Report from change-report's buildChangeReport
+ */
+async function checkCandidate(content, options = {}) {
+    const records = await getApiVersions(options.apiName);
+    const base = options.against
+        ? records.find(entry => compareVersions(entry.api_version, options.against) === 0)
+        : records[records.length - 1];
+    if (!base) {
+        throw createVersionError(404, `Version ${options.against} of ${options.apiName} not found`);
+    }
+
+    const fileName = options.fileName || 'candidate.json';
+    let candidate;
+    try {
+        candidate = await normalizeUpload(content, fileName, { ...options, sourceName: fileName });
+    } catch (error) {
+        throw createVersionError(400, `Could not parse the candidate specification: ${error.message}`);
+    }
+    if ([base.spec_format, candidate.format].includes('asyncapi')) {
+        throw createVersionError(422, 'Breaking-change checks are only available for OpenAPI, Swagger, Postman and CSV uploads');
+    }
+
+    const diff = diffSpecs(await readSnapshot(base), candidate.document);
+    const report = buildChangeReport(diff, {
+        apiName: base.api_name,
+        from: base.api_version,
+        to: options.version || candidate.document.info?.version || 'candidate'
+    });
+
+    logger.info('Checked candidate for breaking changes', 'checkCandidate', {
+        apiName: base.api_name,
+        specId: base.spec_id,
+        against: base.api_version,
+        ...report.summary
+    });
+
+    return report;
+}
+
+/**
+ * Version pairs a "what changed" question refers to
+ */
+function resolveChangeQuestion(query, apis) {
+    const text = query.toLowerCase();
+    const named = apis.filter(api => text.includes(api.name.toLowerCase()));
+    const candidates = named.length ? named : apis;
+    const mentioned = Array.from(query.matchAll(VERSION_MENTION), match => normalizeVersion(match[1]));
+    const asksLatest = /\b(latest|last|recent|newest|current)\b/i.test(query);
+
+    return candidates.flatMap(api => {
+        const known = api.versions.map(entry => entry.version);
+        const versions = mentioned.filter(version => known.some(entry => compareVersions(entry, version) === 0));
+
+        if (versions.length >= 2) {
+            const [from, to] = versions.sort(compareVersions).filter((v, i, list) => i === 0 || i === list.length - 1);
+            return [{ specId: api.specId, from, to }];
+        }
+        if (versions.length === 1) {
+            return [{ specId: api.specId, to: versions[0] }];
+        }
+        // Without a version number, only answer for an API that is unambiguous
+        if (!mentioned.length && (named.length || apis.length === 1 || asksLatest) && known.length > 1) {
+            return [{ specId: api.specId }];
+        }
+        return [];
+    }).slice(0, MAX_CHANGE_CONTEXTS);
+}
+
+/**
+ * Context documents describing version changes for questions like "what changed in v2.3?"
+ * @param {string} query - User question
+ * @param {Object} [options]
+ * @param {Array<string>} [options.specIds] - Only consider the APIs with these spec ids
+ * @returns {Promise<Array<Object>>} Documents to add to the chat context (empty for other questions)
+ */
+async function buildChangeContext(query, options = {}) {
+    if (typeof query !== 'string' || !CHANGE_QUESTION.test(query)) return [];
+
+    const scope = options.specIds?.length ? new Set(options.specIds) : null;
+    const apis = (await listApis()).filter(api => !scope || scope.has(api.specId));
+    const contexts = [];
+    for (const request of resolveChangeQuestion(query, apis)) {
+        try {
+            const { apiName, from, to, diff } = await diffVersions(request.specId, request);
+            contexts.push({
+                component_type: 'version_diff',
+                api_name: apiName,
+                from_version: from,
+                to_version: to,
+                summary: diff.summary,
+                text: formatDiffText(diff, { apiName, from, to })
+            });
+        } catch (error) {
+            logger.debug('Skipping version diff for chat context', 'buildChangeContext', {
+                ...request,
+                error: error.message
+            });
+        }
+    }
+
+    if (contexts.length) {
+        logger.info('Added version changes to chat context', 'buildChangeContext', {
+            diffs: contexts.map(({ api_name, from_version, to_version }) => `${api_name} ${from_version}..${to_version}`)
+        });
+    }
+    return contexts;
+}
+
+module.exports = {
+    compareVersions,
+    recordVersion,
+    ingestSpec,
+    listApis,
+    listVersions,
+    findFileVersion,
+    removeFileVersions,
+    diffVersions,
+    checkCandidate,
+    buildChangeContext
+};
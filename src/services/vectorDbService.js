@@ -1,7 +1,9 @@
 const { createModuleLogger } = require('../utils/logger');
 const { embedDocuments } = require('./embeddingService');
-const { wrapPineconeIndex } = require('../utils/pinecone');
-const { wrapChromaStore } = require('../utils/chromadb');
+const { createVectorStore } = require('../utils/vector-store');
+const { reciprocalRankFusion } = require('../utils/rank-fusion');
+const { analyzeQuery, matchesPathTemplate } = require('../utils/query-analyzer');
+const { searchKeywords, removeChunks, dropIndex, listEndpointTemplates } = require('./keywordIndexService');
 const { getProcessingStatus } = require('../config/state');
 
 const logger = createModuleLogger('vectorDbService');
@@ -9,29 +11,25 @@ const logger = createModuleLogger('vectorDbService');
 let vectorStore = null;
 
 /**
- * Initialize vector database based on configuration
+ * Initialize the vector store adapter of VECTOR_STORE_PROVIDER (see utils/vector-store)
  */
 async function initVectorDb() {
     logger.info('Starting vector database initialization', 'initVectorDb');
 
     try {
-        const provider = process.env.VECTOR_STORE_PROVIDER || 'pinecone';
-        
+        const store = createVectorStore();
+
         logger.debug('Creating vector store instance', 'initVectorDb', {
-            provider
+            provider: store.provider
         });
 
-        if (provider === 'chromadb') {
-            vectorStore = await wrapChromaStore().initialize();
-        } else {
-            vectorStore = wrapPineconeIndex();
-        }
+        vectorStore = await store.initialize();
 
         logger.debug('Loading existing embeddings', 'initVectorDb');
         await loadExistingEmbeddings(vectorStore);
 
         logger.info('Vector database initialized successfully', 'initVectorDb', {
-            provider
+            provider: vectorStore.provider
         });
         return vectorStore;
     } catch (error) {
@@ -43,22 +41,44 @@ async function initVectorDb() {
     }
 }
 
+/**
+ * The initialized vector store adapter, initializing it on first use
+ * @returns {Promise<import('../utils/vector-store').VectorStoreAdapter>}
+ */
+async function getVectorStore() {
+    if (!vectorStore) {
+        vectorStore = await createVectorStore().initialize();
+    }
+    return vectorStore;
+}
+
+/**
+ * Health of the configured vector store, including a store that failed to initialize
+ * @returns {Promise<{ok: boolean, provider: string, error?: string}>}
+ */
+async function getVectorStoreHealth() {
+    try {
+        return await (await getVectorStore()).health();
+    } catch (error) {
+        return { ok: false, provider: process.env.VECTOR_STORE_PROVIDER || 'pinecone', error: error.message };
+    }
+}
+
 /**
  * Store vectors in the database
+ * @param {Array<Object>} vectors
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - Spec namespace, defaults to the default namespace
  */
-async function storeVectors(vectors) {
+async function storeVectors(vectors, options = {}) {
     logger.info('Storing vectors', 'storeVectors', {
-        vectorCount: vectors.length
+        vectorCount: vectors.length,
+        namespace: options.namespace
     });
 
     try {
-        if (process.env.VECTOR_STORE_PROVIDER === 'chromadb') {
-            await vectorStore.addVectors(vectors);
-        } else {
-            await vectorStore.upsert({
-                vectors: vectors
-            });
-        }
+        const store = await getVectorStore();
+        await store.upsert(vectors, { namespace: options.namespace });
 
         logger.debug('Successfully stored vectors', 'storeVectors', {
             vectorCount: vectors.length
@@ -73,36 +93,62 @@ async function storeVectors(vectors) {
     }
 }
 
+/**
+ * Keep only well-formed spec ids from a chat or search scope
+ * @param {Array<string>} [specIds]
+ * @returns {Array<string>}
+ */
+function normalizeSpecIds(specIds) {
+    return Array.isArray(specIds)
+        ? [...new Set(specIds.filter(id => typeof id === 'string' && id.trim()).map(id => id.trim()))]
+        : [];
+}
+
+/**
+ * Namespaces to search: the scoped specs, or every non-empty namespace of the store.
+ * The default namespace holds the spec metadata vectors and chunks embedded before namespaces were used.
+ */
+async function resolveNamespaces(store, specIds) {
+    if (specIds.length) {
+        return specIds;
+    }
+    const namespaces = (await store.listNamespaces()).map(namespace => namespace.name);
+    return namespaces.length ? namespaces : [''];
+}
+
 /**
  * Query vectors from the database
+ * @param {Array<number>} queryEmbedding
+ * @param {Object} [options]
+ * @param {number} [options.topK]
+ * @param {Object} [options.filter] - Metadata filter
+ * @param {Array<string>} [options.specIds] - Only search the chunks of these specs
  */
 async function queryVectors(queryEmbedding, options = {}) {
     logger.info('Querying vectors', 'queryVectors', options);
 
     try {
-        // Handle different vector store implementations
-        let results;
-        if (process.env.VECTOR_STORE_PROVIDER === 'chromadb') {
-            // Don't use a filter for simple queries
-            results = await vectorStore.queryVectors(queryEmbedding, {
-                topK: options.topK || 10,
-                filter: options.filter
-            });
-        } else {
-            const queryParams = {
-                vector: queryEmbedding,
-                topK: options.topK || 10,
-                includeMetadata: options.includeMetadata !== false,
-                includeValues: options.includeValues || false
-            };
-            if (options.filter) {
-                queryParams.filter = options.filter;
-            }
-            results = await vectorStore.query(queryParams);
-        }
+        const store = await getVectorStore();
+        const specIds = normalizeSpecIds(options.specIds);
+        const topK = options.topK || 10;
+
+        // Each spec's chunks live in their own namespace; merge the best matches across them
+        const namespaces = await resolveNamespaces(store, specIds);
+        const responses = await Promise.all(namespaces.map(namespace => store.query(queryEmbedding, {
+            namespace,
+            topK,
+            filter: options.filter,
+            includeValues: options.includeValues || false
+        })));
+        const results = {
+            matches: responses
+                .flatMap(response => response.matches || [])
+                .sort((a, b) => (b.score || 0) - (a.score || 0))
+                .slice(0, topK)
+        };
 
         logger.debug('Successfully queried vectors', 'queryVectors', {
-            matchCount: results.matches?.length
+            matchCount: results.matches.length
         });
 
         return results;
@@ -115,6 +161,13 @@ async function queryVectors(queryEmbedding, options = {}) {
     }
 }
 
+/**
+ * The metadata vectors written once per embedded specification
+ */
+async function findMetadataVectors(store) {
+    return store.find({ filter: { is_metadata: true } });
+}
+
 // Load existing embeddings from vector store
 async function loadExistingEmbeddings(store) {
     logger.info('Starting to load existing embeddings', 'loadExistingEmbeddings');
@@ -124,30 +177,15 @@ async function loadExistingEmbeddings(store) {
         // Query for files with metadata flag
         logger.debug('Querying for files with metadata flag', 'loadExistingEmbeddings');
         
-        let queryResponse;
-        if (process.env.VECTOR_STORE_PROVIDER === 'chromadb') {
-            // Use a zero vector with the correct dimensions for ChromaDB
-            const zeroVector = new Array(768).fill(0); // nomic-embed-text dimensions
-            queryResponse = await store.queryVectors(zeroVector, {
-                topK: 10000,
-                filter: { is_metadata: true }
-            });
-        } else {
-            queryResponse = await store.query({
-                vector: new Array(1536).fill(0),
-                topK: 10000,
-                filter: { is_metadata: true },
-                includeMetadata: true
-            });
-        }
+        const records = await findMetadataVectors(store);
 
-        if (queryResponse.matches && queryResponse.matches.length > 0) {
+        if (records.length > 0) {
             logger.debug('Processing metadata files', 'loadExistingEmbeddings', {
-                matchCount: queryResponse.matches.length
+                matchCount: records.length
             });
 
             // Process files with metadata flag
-            for (const match of queryResponse.matches) {
+            for (const match of records) {
                 const { fileName, totalChunks, timestamp, specId } = match.metadata;
                 if (fileName && !embeddedFiles.find(f => f.fileName === fileName)) {
                     logger.debug('Adding file to embedded files list', 'loadExistingEmbeddings', {
@@ -181,44 +219,280 @@ async function loadExistingEmbeddings(store) {
 }
 
 /**
- * 
- * @param {*} query 
- * @param {Object} options 
+ * Embedded specifications that chat and search can be scoped to, newest first
+ * @returns {Promise<Array<{specId: string, name: string, apiName: string, apiVersion: string, fileName: string, originalName: string, totalChunks: number, timestamp: string}>>}
+ */
+async function listSpecs() {
+    const records = await findMetadataVectors(await getVectorStore());
+    const specs = new Map();
+
+    records.forEach(({ metadata = {} }) => {
+        const specId = metadata.spec_id || metadata.specId;
+        if (!specId || specs.has(specId)) return;
+        specs.set(specId, {
+            specId,
+            name: metadata.api_name || metadata.original_filename || metadata.fileName,
+            apiName: metadata.api_name,
+            apiVersion: metadata.api_version,
+            fileName: metadata.fileName,
+            originalName: metadata.original_filename,
+            totalChunks: metadata.totalChunks,
+            timestamp: metadata.timestamp
+        });
+    });
+
+    return [...specs.values()].sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+/**
+ * Chunks embedded from a file, read from the spec's namespace plus any chunks still in the
+ * default namespace from before namespaces were used
+ * @param {string} fileName - Computed file name
+ * @param {Object} [options]
+ * @param {string} [options.specId] - Spec the file was embedded as
+ * @returns {Promise<Array<Object>>} Records with `id` and `metadata` (metadata vectors excluded)
+ */
+async function getFileChunks(fileName, options = {}) {
+    const store = await getVectorStore();
+    const namespaces = options.specId ? [options.specId, ''] : [''];
+    const records = await Promise.all(namespaces.map(namespace =>
+        store.find({ namespace, filter: { computed_filename: fileName } })
+    ));
+
+    return records.flat().filter(record => !record.metadata?.is_metadata);
+}
+
+/**
+ * Delete the chunks embedded from a file. Every ingestion re-labels the spec's chunks with the file it
+ * came from, so only the spec's current upload owns chunks; the spec's metadata vector goes with them,
+ * and the namespace is dropped once it is empty. Other specs and versions are left alone.
+ * @param {string} fileName - Computed file name
+ * @param {Object} [options]
+ * @param {string} [options.specId] - Spec the file was embedded as
+ * @returns {Promise<number>} Number of deleted chunks
+ */
+async function deleteFileChunks(fileName, options = {}) {
+    const store = await getVectorStore();
+
+    // Chunks left in the default namespace and the upload's placeholder vector (id = file name)
+    const legacy = (await getFileChunks(fileName)).map(record => record.id);
+    await store.deleteByIds([...legacy, fileName]);
+    await removeChunks('', [...legacy, fileName]);
+    let deletedCount = legacy.length;
+
+    if (options.specId) {
+        const namespace = options.specId;
+        const ids = (await store.find({ namespace, filter: { computed_filename: fileName } })).map(record => record.id);
+        await store.deleteByIds(ids, { namespace });
+        await removeChunks(namespace, ids);
+        deletedCount += ids.length;
+
+        const metadataId = `metadata-${options.specId}`;
+        const metadataVector = (await store.fetch([metadataId])).get(metadataId);
+        if (metadataVector?.metadata?.computed_filename === fileName) {
+            await store.deleteByIds([metadataId]);
+        }
+
+        if (!(await store.count({ namespace }))) {
+            await store.deleteNamespace(namespace);
+            await dropIndex(namespace);
+        }
+    }
+
+    logger.info('Deleted file vectors', 'deleteFileChunks', {
+        fileName,
+        specId: options.specId,
+        deletedCount
+    });
+
+    return deletedCount;
+}
+
+/**
+ * Weights of the vector and keyword rankings in hybrid retrieval: the request's own, falling back to
+ * RETRIEVAL_VECTOR_WEIGHT and RETRIEVAL_KEYWORD_WEIGHT (both 1). A weight of 0 turns its ranking off.
+ * @param {{vector?: number, keyword?: number}} [weights]
+ * @returns {{vector: number, keyword: number}}
+ */
+function resolveRetrievalWeights(weights = {}) {
+    const pick = (value, fallback) => {
+        const number = Number(value);
+        return value !== undefined && value !== null && Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+    const resolved = {
+        vector: pick(weights?.vector, pick(process.env.RETRIEVAL_VECTOR_WEIGHT, 1)),
+        keyword: pick(weights?.keyword, pick(process.env.RETRIEVAL_KEYWORD_WEIGHT, 1))
+    };
+    return resolved.vector || resolved.keyword ? resolved : { vector: 1, keyword: 0 };
+}
+
+/**
+ * BM25 matches of a query, with the metadata of their vectors
+ */
+async function queryKeywords(store, query, namespaces, topK) {
+    const hits = await searchKeywords(store, query, { namespaces, topK });
+    const byNamespace = new Map();
+    hits.forEach(hit => byNamespace.set(hit.namespace, [...(byNamespace.get(hit.namespace) || []), hit.id]));
+
+    const records = new Map();
+    for (const [namespace, ids] of byNamespace) {
+        (await store.fetch(ids, { namespace })).forEach((record, id) => records.set(id, record));
+    }
+
+    // Hits whose vector is gone (an index lagging behind the store) are dropped; the order is the
+    // namespaces' fused ranking, the score each chunk's own BM25 score
+    return hits
+        .filter(hit => records.has(hit.id))
+        .map(hit => ({ id: hit.id, score: hit.scores[hit.namespace], metadata: records.get(hit.id).metadata || {} }));
+}
+
+/**
+ * Chunks of the endpoints and operations a query names (see query-analyzer), found by metadata filter rather
+ * than similarity: paths equal to a spec path, then concrete paths such as `/users/42/roles` matched against the
+ * spec's path templates, narrowed to the named methods, plus chunks with a named operationId
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {Array<string>} [options.specIds] - Only look in these specs
+ * @returns {Promise<Array<Object>>} Matches with `score` 1, `exact: true` and `matchedBy` (`path` or `operationId`)
+ */
+async function findExactMatches(query, options = {}) {
+    const { methods, paths, operationIds } = analyzeQuery(query);
+    if (!paths.length && !operationIds.length) {
+        return [];
+    }
+
+    const store = await getVectorStore();
+    const namespaces = await resolveNamespaces(store, normalizeSpecIds(options.specIds));
+    const methodFilter = methods.length ? { method: { $in: methods } } : {};
+
+    const found = await Promise.all(namespaces.map(async namespace => {
+        const matches = [];
+        if (paths.length) {
+            const records = await store.find({ namespace, filter: { endpoint: { $in: paths }, ...methodFilter } });
+            matches.push(...records.map(record => ({ ...record, matchedBy: 'path' })));
+
+            // Paths that are no spec path as written may be concrete values of a path template; the
+            // templates are cached per namespace, so only the chunks of matching templates are read
+            const unresolved = paths.filter(path => !records.some(record => record.metadata?.endpoint === path));
+            const templates = unresolved.length
+                ? (await listEndpointTemplates(store, namespace))
+                    .filter(template => unresolved.some(path => matchesPathTemplate(path, template)))
+                : [];
+            if (templates.length) {
+                const endpoints = await store.find({ namespace, filter: { endpoint: { $in: templates }, ...methodFilter } });
+                matches.push(...endpoints.map(record => ({ ...record, matchedBy: 'path' })));
+            }
+        }
+        if (operationIds.length) {
+            const records = await store.find({ namespace, filter: { operation_id: { $in: operationIds } } });
+            matches.push(...records.map(record => ({ ...record, matchedBy: 'operationId' })));
+        }
+        return matches;
+    }));
+
+    const matches = new Map();
+    found.flat()
+        .filter(record => !record.metadata?.is_metadata && !matches.has(record.id))
+        .forEach(record => matches.set(record.id, { ...record, score: 1, exact: true }));
+
+    logger.info('Found exact matches', 'findExactMatches', {
+        methods,
+        paths,
+        operationIds,
+        matchCount: matches.size
+    });
+    return [...matches.values()];
+}
+
+/**
+ * Chunks relevant to a query. Vector similarity is fused with BM25 keyword matches by reciprocal rank
+ * fusion, so exact paths, operation ids and parameter names are found even where the embedding misses them.
+ * Fused matches score 0-1 and carry the `scores` and `ranks` of each ranking; with a keyword weight of 0
+ * the vector matches are returned as they are. Chunks of the endpoints the query names by method and path or
+ * operationId come first (see findExactMatches), even beyond `topK`; the other matches fill the remaining places.
+ * @param {string} query
+ * @param {Object} options
  * @param {number} options.topK - Number of similar chunks to return
- * @returns 
+ * @param {Array<string>} [options.specIds] - Only return chunks of these specs
+ * @param {{vector?: number, keyword?: number}} [options.weights] - Ranking weights, see resolveRetrievalWeights
+ * @returns {Promise<Array<Object>>}
  */
 async function querySimilarChunks(query, options = {}) {
+    const topK = options.topK || 2;
+    const weights = resolveRetrievalWeights(options.weights);
     logger.info('Starting similar chunks query', 'querySimilarChunks', {
         query,
-        queryLength: query.length
+        queryLength: query.length,
+        specIds: options.specIds,
+        weights
     });
 
     try {
-        // Generate query embedding
-        logger.debug('Generating query embedding', 'querySimilarChunks', { query });
-        const [queryEmbedding] = await embedDocuments([query]);
+        // Fusion needs deeper lists than the final topK for ranks to agree
+        const candidateCount = weights.keyword ? Math.max(topK * 4, 20) : topK;
 
-        // Query without filter first
-        logger.debug('Querying vector database', 'querySimilarChunks', {
-            embeddingDimensions: queryEmbedding.length
-        });
+        const vectorSearch = async () => {
+            if (!weights.vector) return [];
+
+            logger.debug('Generating query embedding', 'querySimilarChunks', { query });
+            const [queryEmbedding] = await embedDocuments([query]);
+
+            logger.debug('Querying vector database', 'querySimilarChunks', {
+                embeddingDimensions: queryEmbedding.length
+            });
+            const results = await queryVectors(queryEmbedding, {
+                topK: candidateCount,
+                includeValues: false,
+                specIds: options.specIds
+            });
+            return results.matches || [];
+        };
+
+        // Keyword search is an addition: when it fails, the vector matches are still returned
+        const keywordSearch = async () => {
+            if (!weights.keyword) return [];
+            try {
+                const store = await getVectorStore();
+                const namespaces = await resolveNamespaces(store, normalizeSpecIds(options.specIds));
+                return await queryKeywords(store, query, namespaces, candidateCount);
+            } catch (error) {
+                logger.warn('Keyword search failed', 'querySimilarChunks', { error: error.message });
+                return [];
+            }
+        };
 
-        const results = await queryVectors(queryEmbedding, {
-            topK: options.topK || 2,
-            includeMetadata: true,
-            includeValues: false
+        // Named endpoints are looked up deterministically; a failed lookup leaves semantic search alone
+        const exactSearch = () => findExactMatches(query, options).catch(error => {
+            logger.warn('Exact endpoint lookup failed', 'querySimilarChunks', { error: error.message });
+            return [];
         });
 
+        const [exactMatches, vectorMatches, keywordMatches] = await Promise.all([exactSearch(), vectorSearch(), keywordSearch()]);
+        const similarMatches = weights.keyword
+            ? reciprocalRankFusion([
+                { name: 'vector', matches: vectorMatches, weight: weights.vector },
+                { name: 'keyword', matches: keywordMatches, weight: weights.keyword }
+            ], { k: parseInt(process.env.RETRIEVAL_RRF_K || '60', 10) }).slice(0, topK)
+            : vectorMatches;
+
+        const exactIds = new Set(exactMatches.map(match => match.id));
+        const matches = [...exactMatches, ...similarMatches.filter(match => !exactIds.has(match.id))]
+            .slice(0, Math.max(topK, exactMatches.length));
+
         // Log full results for debugging
         logger.debug('Raw query results', 'querySimilarChunks', {
-            matches: results.matches?.map(m => ({
+            exactMatchCount: exactMatches.length,
+            vectorMatchCount: vectorMatches.length,
+            keywordMatchCount: keywordMatches.length,
+            matches: matches.map(m => ({
                 score: m.score,
+                ranks: m.ranks,
                 metadata: m.metadata,
                 id: m.id
             }))
         });
 
-        return results.matches || [];
+        return matches;
     } catch (error) {
         logger.error('Failed to query similar chunks', 'querySimilarChunks', {
             error: error.message,
@@ -231,8 +505,14 @@ async function querySimilarChunks(query, options = {}) {
 
 module.exports = {
     initVectorDb,
+    getVectorStore,
+    getVectorStoreHealth,
     loadExistingEmbeddings,
     querySimilarChunks,
+    listSpecs,
+    getFileChunks,
+    deleteFileChunks,
+    normalizeSpecIds,
     storeVectors,
     queryVectors
 };
@@ -1,8 +1,30 @@
+const AVG_CHARS_PER_TOKEN = 4; // Average characters per token (approximation)
+const NEWLINE_TOKEN = 1; // Tokens per newline
+
+/**
+ * Rough token count of a text: the higher of its word count and its length in average tokens, plus newlines
+ * @param {string} content
+ * @returns {number}
+ */
+function estimateTextTokens(content) {
+    if (!content) return 0;
+
+    // Split content into "words" by whitespace and punctuation
+    const roughWords = content
+      .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
+      .split(/\s+/)
+      .filter(word => word.length > 0);
+
+    // Adjust for character length (some words are longer/shorter than avg)
+    const charBasedEstimate = Math.ceil(content.length / AVG_CHARS_PER_TOKEN);
+    const newlineCount = (content.match(/\n/g) || []).length;
+
+    return Math.max(roughWords.length, charBasedEstimate) + newlineCount * NEWLINE_TOKEN;
+}
+
 function estimateContextConsumption(messages) {
     // Constants for estimation
-    const AVG_CHARS_PER_TOKEN = 4; // Average characters per token (approximation)
     const ROLE_TOKEN_OVERHEAD = 5; // Rough token overhead per message for role metadata
-    const NEWLINE_TOKEN = 1; // Tokens per newline
   
     let totalTokens = 0;
   
@@ -19,25 +41,7 @@ function estimateContextConsumption(messages) {
       const roleTokens = Math.ceil(role.length / AVG_CHARS_PER_TOKEN) + ROLE_TOKEN_OVERHEAD;
   
       // Estimate tokens for the content
-      let contentTokens = 0;
-      if (content.length > 0) {
-        // Split content into "words" by whitespace and punctuation
-        const roughWords = content
-          .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-          .split(/\s+/)
-          .filter(word => word.length > 0);
-  
-        // Base token count from words
-        contentTokens = roughWords.length;
-  
-        // Adjust for character length (some words are longer/shorter than avg)
-        const charBasedEstimate = Math.ceil(content.length / AVG_CHARS_PER_TOKEN);
-        contentTokens = Math.max(contentTokens, charBasedEstimate); // Take higher estimate
-  
-        // Add tokens for newlines
-        const newlineCount = (content.match(/\n/g) || []).length;
-        contentTokens += newlineCount * NEWLINE_TOKEN;
-      }
+      const contentTokens = estimateTextTokens(content);
   
       // Add to total
       totalTokens += roleTokens + contentTokens;
@@ -46,4 +50,4 @@ function estimateContextConsumption(messages) {
     return totalTokens;
   }
 
-  module.exports = { estimateContextConsumption };
\ No newline at end of file
+  module.exports = { estimateContextConsumption, estimateTextTokens };
\ No newline at end of file
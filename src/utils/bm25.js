@@ -0,0 +1,163 @@
+/**
+ * @module bm25
+ * @description BM25 keyword index over chunk text. The tokenizer is tuned for API vocabulary: accents are
+ * folded (French specs), identifiers are split on camelCase and underscores while also kept whole, so
+ * `itemsPerPage` matches `itemsPerPage`, `items per page` and `itemsperpage`.
+ */
+
+// English and French words too common to help ranking; HTTP methods are kept on purpose
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in',
+    'is', 'it', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'what', 'when', 'which', 'with',
+    'au', 'aux', 'avec', 'ce', 'ces', 'comment', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est', 'et', 'il',
+    'je', 'l', 'la', 'le', 'les', 'leur', 'ou', 'par', 'pas', 'pour', 'qu', 'que', 'quel', 'quelle', 'qui',
+    'sa', 'se', 'ses', 'son', 'sur', 'un', 'une', 'd', 'j', 'n', 's'
+]);
+
+// Light plural folding, shared by English and French: `addresses` and `adresses` lose their final `s`
+function stem(token) {
+    return token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    const folded = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const tokens = [];
+
+    for (const word of folded.match(/[A-Za-z0-9_]+/g) || []) {
+        const parts = word
+            .split(/_+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/)
+            .filter(Boolean)
+            .map(part => part.toLowerCase());
+        if (parts.length > 1) {
+            tokens.push(parts.join(''));
+        }
+        tokens.push(...parts);
+    }
+
+    return tokens.filter(token => !STOPWORDS.has(token)).map(stem);
+}
+
+class Bm25Index {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.k1] - Term frequency saturation
+     * @param {number} [options.b] - Document length normalization
+     */
+    constructor(options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+        this.docs = new Map(); // id -> { length, terms: Map<term, frequency> }
+        this.postings = new Map(); // term -> Map<id, frequency>
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    addTerms(id, terms) {
+        let length = 0;
+        for (const [term, frequency] of terms) {
+            length += frequency;
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(id, frequency);
+        }
+        this.docs.set(id, { length, terms });
+        this.totalLength += length;
+    }
+
+    /**
+     * Index a document, replacing any previous version of it
+     * @param {string} id
+     * @param {string} text
+     */
+    add(id, text) {
+        this.remove([id]);
+        const terms = new Map();
+        for (const token of tokenize(text)) {
+            terms.set(token, (terms.get(token) || 0) + 1);
+        }
+        this.addTerms(id, terms);
+    }
+
+    /**
+     * @param {Array<string>} ids
+     * @returns {number} Number of removed documents
+     */
+    remove(ids) {
+        let removed = 0;
+        for (const id of ids) {
+            const doc = this.docs.get(id);
+            if (!doc) continue;
+
+            for (const term of doc.terms.keys()) {
+                const posting = this.postings.get(term);
+                posting.delete(id);
+                if (!posting.size) this.postings.delete(term);
+            }
+            this.totalLength -= doc.length;
+            this.docs.delete(id);
+            removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Best matching documents, best first
+     * @param {string} query
+     * @param {number} k
+     * @returns {Array<{id: string, score: number}>}
+     */
+    search(query, k) {
+        if (!this.docs.size) return [];
+
+        const averageLength = this.totalLength / this.docs.size || 1;
+        const scores = new Map();
+        for (const term of new Set(tokenize(query))) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            const idf = Math.log(1 + (this.docs.size - posting.size + 0.5) / (posting.size + 0.5));
+            for (const [id, frequency] of posting) {
+                const norm = this.k1 * (1 - this.b + this.b * this.docs.get(id).length / averageLength);
+                scores.set(id, (scores.get(id) || 0) + idf * (frequency * (this.k1 + 1)) / (frequency + norm));
+            }
+        }
+
+        return [...scores]
+            .map(([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    toJSON() {
+        return {
+            k1: this.k1,
+            b: this.b,
+            docs: [...this.docs].map(([id, doc]) => [id, Object.fromEntries(doc.terms)])
+        };
+    }
+
+    /**
+     * Restore an index written by toJSON
+     * @param {Object} data
+     * @returns {Bm25Index}
+     */
+    static fromJSON(data) {
+        const index = new Bm25Index(data);
+        for (const [id, terms] of data.docs || []) {
+            index.addTerms(id, new Map(Object.entries(terms)));
+        }
+        return index;
+    }
+}
+
+module.exports = {
+    Bm25Index,
+    tokenize
+};
@@ -0,0 +1,110 @@
+/**
+ * @module change-report
+ * @description Breaking-change reports (JSON and Markdown) built from a spec diff, for release gates
+ */
+
+/**
+ * Flatten a diff into a report with one entry per change, each classified as breaking or non-breaking
+ * @param {Object} diff - Result of spec-diff's diffSpecs
+ * @param {Object} [labels]
+ * @param {string} [labels.apiName]
+ * @param {string} [labels.from] - Base version
+ * @param {string} [labels.to] - Candidate version
+ * @returns {Object} Report: { apiName, from, to, generatedAt, breaking, summary, changes }
+ */
+function buildChangeReport(diff, labels = {}) {
+    const entry = (severity, fields) => ({ severity, ...fields });
+    const classify = breaking => breaking ? 'breaking' : 'non-breaking';
+
+    const changes = [
+        ...diff.endpoints.removed.map(({ method, path }) => entry('breaking', {
+            type: 'endpoint-removed', method, path, message: `${method} ${path} was removed`
+        })),
+        ...diff.endpoints.added.map(({ method, path }) => entry('non-breaking', {
+            type: 'endpoint-added', method, path, message: `${method} ${path} was added`
+        })),
+        ...diff.endpoints.changed.flatMap(({ method, path, changes: endpointChanges }) => endpointChanges.map(change => entry(classify(change.breaking), {
+            type: change.type, method, path, location: change.location, message: change.message
+        }))),
+        ...diff.security.removed.map(name => entry('breaking', {
+            type: 'security-scheme-removed', location: name, message: `security scheme '${name}' was removed`
+        })),
+        ...diff.security.added.map(name => entry('non-breaking', {
+            type: 'security-scheme-added', location: name, message: `security scheme '${name}' was added`
+        })),
+        ...diff.security.changed.map(change => entry(classify(change.breaking), {
+            type: change.type, location: change.location, message: change.message
+        })),
+        ...diff.schemas.removed.map(name => entry('non-breaking', {
+            type: 'schema-removed', location: name, message: `schema ${name} was removed`
+        })),
+        ...diff.schemas.added.map(name => entry('non-breaking', {
+            type: 'schema-added', location: name, message: `schema ${name} was added`
+        }))
+    ];
+
+    const breakingCount = changes.filter(change => change.severity === 'breaking').length;
+
+    return {
+        apiName: labels.apiName,
+        from: labels.from,
+        to: labels.to,
+        generatedAt: new Date().toISOString(),
+        breaking: breakingCount > 0,
+        summary: {
+            breaking: breakingCount,
+            nonBreaking: changes.length - breakingCount,
+            endpointsAdded: diff.summary.endpointsAdded,
+            endpointsRemoved: diff.summary.endpointsRemoved,
+            endpointsChanged: diff.summary.endpointsChanged
+        },
+        changes
+    };
+}
+
+function escapeCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function changeTable(changes) {
+    return [
+        '| Endpoint | Change | Type |',
+        '|----------|--------|------|',
+        ...changes.map(change => `| ${change.method ? `\`${change.method} ${change.path}\`` : ''} | ${escapeCell(change.message)} | \`${change.type}\` |`)
+    ];
+}
+
+/**
+ * Render a report as Markdown (e.g. for a CI job summary or a PR comment)
+ * @param {Object} report - Result of buildChangeReport
+ * @returns {string}
+ */
+function formatMarkdownReport(report) {
+    const breaking = report.changes.filter(change => change.severity === 'breaking');
+    const nonBreaking = report.changes.filter(change => change.severity !== 'breaking');
+    const title = `${report.apiName || 'API'}${report.from || report.to ? `: ${report.from || '?'} → ${report.to || '?'}` : ''}`;
+
+    const lines = [
+        `# Breaking-change report — ${title}`,
+        '',
+        report.breaking
+            ? `**${breaking.length} breaking change(s)**, ${nonBreaking.length} non-breaking change(s).`
+            : `No breaking changes (${nonBreaking.length} non-breaking change(s)).`,
+        '',
+        `Endpoints: ${report.summary.endpointsAdded} added, ${report.summary.endpointsRemoved} removed, ${report.summary.endpointsChanged} changed.`
+    ];
+
+    if (breaking.length) {
+        lines.push('', '## Breaking changes', '', ...changeTable(breaking));
+    }
+    if (nonBreaking.length) {
+        lines.push('', '## Non-breaking changes', '', ...changeTable(nonBreaking));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    buildChangeReport,
+    formatMarkdownReport
+};
@@ -1,12 +1,42 @@
 const { ChromaClient } = require('chromadb');
 const { createModuleLogger } = require('./logger');
+const { MAX_LIST_SIZE, splitFilter, flattenMetadata, parseMetadata } = require('./vector-store');
 
 const logger = createModuleLogger('chromaUtils');
 
+/**
+ * Translate a contract filter to a Chroma where-filter, which takes one field per clause
+ * @param {Object} [filter]
+ * @returns {Object|undefined}
+ */
+function toChromaWhere(filter) {
+    const clauses = splitFilter(filter).flatMap(clause => {
+        const [key, value] = Object.entries(clause)[0];
+        if (key === '$and' || key === '$or') {
+            const nested = value.map(toChromaWhere).filter(Boolean);
+            if (!nested.length) return [];
+            return [nested.length === 1 ? nested[0] : { [key]: nested }];
+        }
+        return [clause];
+    });
+
+    if (!clauses.length) return undefined;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+function isNotFound(error) {
+    return error?.name === 'ChromaNotFoundError' || /does not exist|not found/i.test(error?.message || '');
+}
+
+/**
+ * ChromaDB adapter of the vector store contract (see vector-store). The default namespace is the
+ * `openapi_specs` collection and every other namespace a collection of its own, `openapi_specs__<namespace>`.
+ */
 class ChromaVectorStore {
     constructor() {
+        this.provider = 'chromadb';
         this.client = null;
-        this.collection = null;
+        this.collections = new Map();
         this.baseUrl = process.env.CHROMA_BASE_URL || 'http://chroma:8000';
         this.collectionName = 'openapi_specs';
         this.dimensions = 768; // Match nomic-embed-text dimensions
@@ -26,16 +56,7 @@ class ChromaVectorStore {
             this.client = new ChromaClient({
                 path: this.baseUrl
             });
-
-            // Get or create collection with specified dimensions
-            this.collection = await this.client.getOrCreateCollection({
-                name: this.collectionName,
-                metadata: { 
-                    "description": "OpenAPI specifications and their embeddings",
-                    "timestamp": new Date().toISOString()
-                },
-                dimensions: this.dimensions // Ensure the collection has the correct dimensions
-            });
+            await this.collection('', { create: true });
 
             logger.info('Successfully initialized ChromaDB', 'initialize', {
                 collection: this.collectionName
@@ -51,53 +72,79 @@ class ChromaVectorStore {
         }
     }
 
-    async addVectors(vectors) {
-        try {
-            logger.info('Adding vectors to ChromaDB', 'addVectors', {
-                vectorCount: vectors.length
-            });
+    collectionFor(namespace) {
+        return namespace ? `${this.collectionName}__${namespace.replace(/[^a-zA-Z0-9_-]/g, '-')}` : this.collectionName;
+    }
 
-            const documents = vectors.map(v => v.metadata.text || '');
-            const metadatas = vectors.map(v => ({
-                ...v.metadata,
-                timestamp: new Date().toISOString()
-            }));
-            const ids = vectors.map(v => v.id);
-            const embeddings = vectors.map(v => {
-                if (v.values.length !== this.dimensions) {
-                    logger.warn('Vector dimensions mismatch', 'addVectors', {
-                        expected: this.dimensions,
-                        actual: v.values.length,
-                        id: v.id
-                    });
-                    // Pad or truncate to match required dimensions
-                    const adjusted = [...v.values];
-                    while (adjusted.length < this.dimensions) {
-                        adjusted.push(0);
-                    }
-                    if (adjusted.length > this.dimensions) {
-                        adjusted.length = this.dimensions;
+    /**
+     * The collection of a namespace; null when it does not exist and `create` is not set
+     */
+    async collection(namespace, { create = false } = {}) {
+        const name = this.collectionFor(namespace);
+        if (this.collections.has(name)) {
+            return this.collections.get(name);
+        }
+
+        let collection;
+        try {
+            collection = create
+                ? await this.client.getOrCreateCollection({
+                    name,
+                    metadata: {
+                        "description": "OpenAPI specifications and their embeddings",
+                        "timestamp": new Date().toISOString()
                     }
-                    return adjusted;
-                }
-                return v.values;
-            });
+                })
+                : await this.client.getCollection({ name });
+        } catch (error) {
+            if (!create && isNotFound(error)) return null;
+            throw error;
+        }
 
-            await this.collection.add({
-                ids,
-                embeddings,
-                metadatas,
-                documents
-            });
+        this.collections.set(name, collection);
+        return collection;
+    }
+
+    // Pad or truncate to the collection dimensions
+    adjustDimensions(values, id) {
+        if (values.length === this.dimensions) {
+            return values;
+        }
+        logger.warn('Vector dimensions mismatch', 'adjustDimensions', {
+            expected: this.dimensions,
+            actual: values.length,
+            id
+        });
+        const adjusted = values.slice(0, this.dimensions);
+        while (adjusted.length < this.dimensions) {
+            adjusted.push(0);
+        }
+        return adjusted;
+    }
+
+    async upsert(vectors, { namespace } = {}) {
+        if (!vectors.length) return;
 
-            logger.debug('Successfully added vectors', 'addVectors', {
-                vectorCount: vectors.length,
-                sampleId: ids[0]
+        try {
+            logger.info('Adding vectors to ChromaDB', 'upsert', {
+                namespace,
+                vectorCount: vectors.length
             });
 
-            return true;
+            const collection = await this.collection(namespace, { create: true });
+
+            // Chunk ids are stable across re-imports, so existing ids are overwritten
+            await collection.upsert({
+                ids: vectors.map(v => v.id),
+                embeddings: vectors.map(v => this.adjustDimensions(v.values, v.id)),
+                metadatas: vectors.map(v => flattenMetadata({
+                    ...v.metadata,
+                    timestamp: v.metadata?.timestamp || new Date().toISOString()
+                })),
+                documents: vectors.map(v => v.metadata?.text || '')
+            });
         } catch (error) {
-            logger.error('Failed to add vectors', 'addVectors', {
+            logger.error('Failed to add vectors', 'upsert', {
                 error: error.message,
                 stack: error.stack,
                 vectorCount: vectors.length
@@ -106,83 +153,145 @@ class ChromaVectorStore {
         }
     }
 
-    async queryVectors(queryEmbedding, options = {}) {
+    async query(vector, { namespace, topK = 10, filter, includeValues = false } = {}) {
         try {
-            const { topK = 10, filter = {} } = options;
-
-            logger.info('Querying vectors from ChromaDB', 'queryVectors', {
+            logger.info('Querying vectors from ChromaDB', 'query', {
+                namespace,
                 topK,
                 filter
             });
 
-            // Ensure queryEmbedding is properly formatted and has correct dimensions
-            let queryEmbeddingArray;
-            if (Array.isArray(queryEmbedding[0])) {
-                // If it's already an array of arrays, use the first one
-                queryEmbeddingArray = queryEmbedding[0];
-            } else {
-                // If it's a single array, use it
-                queryEmbeddingArray = queryEmbedding;
-            }
-
-            // Validate embedding dimensions
-            if (queryEmbeddingArray.length !== this.dimensions) {
-                logger.warn('Query embedding dimensions mismatch', 'queryVectors', {
-                    expected: this.dimensions,
-                    actual: queryEmbeddingArray.length
-                });
-                // Pad or truncate to match required dimensions
-                const adjusted = [...queryEmbeddingArray];
-                while (adjusted.length < this.dimensions) {
-                    adjusted.push(0);
-                }
-                if (adjusted.length > this.dimensions) {
-                    adjusted.length = this.dimensions;
-                }
-                queryEmbeddingArray = adjusted;
-            }
+            const collection = await this.collection(namespace);
+            if (!collection) return { matches: [] };
 
-            const queryParams = {
-                queryEmbeddings: [queryEmbeddingArray],
+            // A nested array is a batch of query embeddings; only the first is used
+            const embedding = this.adjustDimensions(Array.isArray(vector[0]) ? vector[0] : vector);
+            const where = toChromaWhere(filter);
+            const results = await collection.query({
+                queryEmbeddings: [embedding],
                 nResults: topK,
-                include: ["metadatas", "documents", "distances"]
-            };
-
-            // Only add where filter if provided
-            if (filter && Object.keys(filter).length > 0) {
-                queryParams.where = filter;
-            }
-
-            const results = await this.collection.query(queryParams);
+                ...(where ? { where } : {}),
+                include: ["metadatas", "documents", "distances", ...(includeValues ? ["embeddings"] : [])]
+            });
 
-            // Format results to match Pinecone response structure
+            // Distances grow with dissimilarity; scores are turned around so higher is better, as with Pinecone
             const matches = (results.ids?.[0] || []).map((id, index) => ({
                 id,
-                score: results.distances?.[0]?.[index] || 0,
-                metadata: results.metadatas?.[0]?.[index] || {},
-                text: results.documents?.[0]?.[index] || ''
+                score: 1 / (1 + (results.distances?.[0]?.[index] || 0)),
+                metadata: parseMetadata(results.metadatas?.[0]?.[index] || {}),
+                text: results.documents?.[0]?.[index] || '',
+                ...(includeValues ? { values: results.embeddings?.[0]?.[index] } : {})
             }));
 
-            logger.debug('Successfully queried vectors', 'queryVectors', {
+            logger.debug('Successfully queried vectors', 'query', {
                 matchCount: matches.length,
                 topScore: matches[0]?.score
             });
 
             return { matches };
         } catch (error) {
-            logger.error('Failed to query vectors', 'queryVectors', {
+            logger.error('Failed to query vectors', 'query', {
                 error: error.message,
                 stack: error.stack
             });
             throw error;
         }
     }
+
+    async get(namespace, params, include) {
+        const collection = await this.collection(namespace);
+        if (!collection) return [];
+
+        const results = await collection.get({ ...params, include });
+        return (results.ids || []).map((id, index) => ({
+            id,
+            metadata: parseMetadata(results.metadatas?.[index] || {}),
+            ...(include.includes('embeddings') ? { values: results.embeddings?.[index] } : {})
+        }));
+    }
+
+    async fetch(ids, { namespace } = {}) {
+        if (!ids.length) return new Map();
+        const records = await this.get(namespace, { ids }, ["metadatas", "embeddings"]);
+        return new Map(records.map(record => [record.id, record]));
+    }
+
+    async find({ namespace, filter, limit = MAX_LIST_SIZE } = {}) {
+        const where = toChromaWhere(filter);
+        return this.get(namespace, { ...(where ? { where } : {}), limit }, ["metadatas"]);
+    }
+
+    async listIds({ namespace, prefix = '' } = {}) {
+        const records = await this.get(namespace, {}, []);
+        return records.map(record => record.id).filter(id => id.startsWith(prefix));
+    }
+
+    async count({ namespace, filter } = {}) {
+        if (filter && Object.keys(filter).length) {
+            return (await this.find({ namespace, filter })).length;
+        }
+        const collection = await this.collection(namespace);
+        return collection ? collection.count() : 0;
+    }
+
+    async deleteByIds(ids, { namespace } = {}) {
+        const collection = await this.collection(namespace);
+        if (collection && ids.length) {
+            await collection.delete({ ids });
+        }
+    }
+
+    async deleteByFilter(filter, { namespace } = {}) {
+        const ids = (await this.find({ namespace, filter })).map(record => record.id);
+        await this.deleteByIds(ids, { namespace });
+
+        logger.info('Deleted vectors from ChromaDB', 'deleteByFilter', {
+            namespace,
+            filter,
+            deletedCount: ids.length
+        });
+        return ids.length;
+    }
+
+    async deleteNamespace(namespace) {
+        const name = this.collectionFor(namespace);
+        try {
+            await this.client.deleteCollection({ name });
+        } catch (error) {
+            if (!isNotFound(error)) throw error;
+        }
+        this.collections.delete(name);
+    }
+
+    async listNamespaces() {
+        const prefix = `${this.collectionName}__`;
+        const collections = await this.client.listCollections();
+        const namespaces = [{ name: '', count: await this.count() }];
+
+        for (const collection of collections) {
+            const name = typeof collection === 'string' ? collection : collection.name;
+            if (name.startsWith(prefix)) {
+                const namespace = name.slice(prefix.length);
+                namespaces.push({ name: namespace, count: await this.count({ namespace }) });
+            }
+        }
+        return namespaces.filter(namespace => namespace.count > 0);
+    }
+
+    async health() {
+        try {
+            await this.client.heartbeat();
+            return { ok: true, provider: this.provider, baseUrl: this.baseUrl };
+        } catch (error) {
+            return { ok: false, provider: this.provider, error: error.message };
+        }
+    }
 }
 
-function wrapChromaStore() {
+function createChromaStore() {
     return new ChromaVectorStore();
 }
 
 module.exports = {
-    wrapChromaStore
+    createChromaStore
 };
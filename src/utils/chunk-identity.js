@@ -0,0 +1,87 @@
+/**
+ * @module chunk-identity
+ * @description Stable ids and content hashes for chunks, so re-importing a specification only
+ * re-embeds the chunks whose text changed.
+ */
+
+const crypto = require('crypto');
+
+// Metadata that identifies what a chunk describes (never its content)
+const IDENTITY_FIELDS = [
+    'component_type',
+    'type',
+    'method',
+    'path',
+    'endpoint',
+    'component_name',
+    'callback_url',
+    'parent_method',
+    'parent_path'
+];
+
+function sha1(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Stable spec id for a specification source (original file name or URL)
+ * @param {string} sourceName
+ * @returns {string}
+ */
+function specIdFor(sourceName) {
+    return sha1(`spec:${sourceName}`).slice(0, 16);
+}
+
+/**
+ * Identity of a chunk within its specification, e.g. `component_type=path|method=GET|path=/pets`
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string}
+ */
+function chunkIdentityKey(metadata) {
+    return IDENTITY_FIELDS
+        .filter(field => metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== '')
+        .map(field => `${field}=${String(metadata[field])}`)
+        .join('|');
+}
+
+/**
+ * Hash of the embedded text; a chunk whose hash is unchanged keeps its stored embedding
+ * @param {string} text
+ * @returns {string}
+ */
+function contentHash(text) {
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+/**
+ * Replace the per-run spec and chunk ids with ids derived from the source and each chunk's identity,
+ * and record the content hash. Repeated identities (e.g. duplicate CSV rows) are numbered in order.
+ * @param {Array<Object>} chunks - Chunks from a chunker or the CSV processor
+ * @param {string} sourceName - Original file name or URL of the specification
+ * @returns {{specId: string, chunks: Array<Object>}}
+ */
+function assignChunkIdentities(chunks, sourceName) {
+    const specId = specIdFor(sourceName);
+    const seen = new Map();
+
+    chunks.forEach(chunk => {
+        const key = chunkIdentityKey(chunk.metadata);
+        const occurrence = (seen.get(key) || 0) + 1;
+        seen.set(key, occurrence);
+
+        const id = `${specId}-${sha1(occurrence > 1 ? `${key}#${occurrence}` : key).slice(0, 24)}`;
+        chunk.metadata.spec_id = specId;
+        chunk.metadata.chunk_id = id;
+        if (chunk.metadata.vector_id) chunk.metadata.vector_id = id;
+        chunk.metadata.content_hash = contentHash(chunk.text);
+    });
+
+    return { specId, chunks };
+}
+
+module.exports = {
+    specIdFor,
+    chunkIdentityKey,
+    contentHash,
+    assignChunkIdentities
+};
@@ -1,15 +1,26 @@
 const { v4: uuidv4 } = require('uuid');
 const { createModuleLogger } = require('./logger');
 const { OpenAPICSVProcessor } = require('./csv-processor');
+const { isSwagger2, convertSwagger2ToOpenAPI3 } = require('./swagger-converter');
+const { SchemaRenderer } = require('./schema-renderer');
 const logger = createModuleLogger('chunking');
 
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
 /**
  * Chunks an OpenAPI specification into smaller, meaningful pieces
  */
 class OpenAPIChunker {
-  constructor(specification) {
-    this.spec = specification;
+  constructor(specification, options = {}) {
+    // Swagger 2.0 documents are upgraded so they chunk exactly like native OpenAPI 3 specs
+    this.spec = isSwagger2(specification) ? convertSwagger2ToOpenAPI3(specification) : specification;
     this.specId = uuidv4();
+    // Bundled multi-file specs name their root document, single files fall back to the upload name
+    this.sourceFile = this.spec['x-source-file'] || options.sourceFile;
+    this.schemaRenderer = new SchemaRenderer({
+      resolveRef: ref => this.lookupRef(ref),
+      maxDepth: options.schemaDepth
+    });
   }
 
   /**
@@ -22,6 +33,7 @@ class OpenAPIChunker {
       const chunks = [
         ...await this.createInfoChunk(),
         ...await this.createPathChunks(),
+        ...await this.createWebhookChunks(),
         ...await this.createComponentChunks(),
         ...await this.createSchemaChunks()
       ];
@@ -51,7 +63,8 @@ class OpenAPIChunker {
       metadata: {
         spec_id: this.specId,
         chunk_id: uuidv4(),
-        component_type: 'info'
+        component_type: 'info',
+        source_file: this.sourceFile
       }
     };
 
@@ -71,7 +84,7 @@ class OpenAPIChunker {
 
     for (const [path, pathItem] of Object.entries(paths)) {
       for (const [method, operation] of Object.entries(pathItem)) {
-        if (typeof operation !== 'object') continue;
+        if (!HTTP_METHODS.includes(method) || typeof operation !== 'object') continue;
 
         const { text, metadata: schemaMetadata } = this.formatPathText(path, method, operation);
 
@@ -82,7 +95,9 @@ class OpenAPIChunker {
             chunk_id: uuidv4(),
             path,
             method: method.toUpperCase(),
+            operation_id: operation.operationId,
             component_type: 'path',
+            source_file: pathItem['x-source-file'] || this.sourceFile,
             ...schemaMetadata
           }
         };
@@ -94,6 +109,113 @@ class OpenAPIChunker {
           requestSchemas: schemaMetadata.request_schemas,
           responseSchemas: schemaMetadata.response_schemas
         });
+
+        chunks.push(...this.createCallbackChunks(operation.callbacks, {
+          parent_path: path,
+          parent_method: method.toUpperCase(),
+          source_file: chunk.metadata.source_file
+        }));
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Create chunks for top-level webhooks (OpenAPI 3.1): requests the API sends to subscribers
+   */
+  async createWebhookChunks() {
+    logger.debug('Creating webhook chunks', 'createWebhookChunks');
+
+    const chunks = [];
+    const { webhooks } = this.spec;
+
+    if (!webhooks) return chunks;
+
+    for (const [eventName, pathItemOrRef] of Object.entries(webhooks)) {
+      const pathItem = (pathItemOrRef.$ref && this.resolveSchemaRef(pathItemOrRef.$ref)) || pathItemOrRef;
+
+      for (const [method, operation] of Object.entries(pathItem)) {
+        if (!HTTP_METHODS.includes(method) || typeof operation !== 'object') continue;
+
+        const { text, metadata: schemaMetadata } = this.formatPathText(eventName, method, operation, {
+          heading: [
+            `Webhook: ${eventName}`,
+            `The API sends a ${method.toUpperCase()} request to the subscriber's URL when this event occurs.`
+          ]
+        });
+
+        chunks.push({
+          text,
+          metadata: {
+            spec_id: this.specId,
+            chunk_id: uuidv4(),
+            component_type: 'webhook',
+            component_name: eventName,
+            event_name: eventName,
+            method: method.toUpperCase(),
+            operation_id: operation.operationId,
+            payload_schemas: schemaMetadata.request_schemas,
+            source_file: pathItem['x-source-file'] || this.sourceFile,
+            ...schemaMetadata
+          }
+        });
+        logger.debug('Created webhook chunk', 'createWebhookChunks', { eventName, method });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Create chunks for the callbacks of an operation (or callbacks declared under components)
+   * @param {Object} callbacks - Map of callback name to callback object ({ expression: pathItem })
+   * @param {Object} parentMetadata - Metadata describing where the callbacks are declared
+   */
+  createCallbackChunks(callbacks, parentMetadata = {}) {
+    const chunks = [];
+    if (!callbacks || typeof callbacks !== 'object') return chunks;
+
+    for (const [callbackName, callbackOrRef] of Object.entries(callbacks)) {
+      const callback = (callbackOrRef.$ref && this.resolveSchemaRef(callbackOrRef.$ref)) || callbackOrRef;
+
+      for (const [expression, pathItemOrRef] of Object.entries(callback || {})) {
+        if (!pathItemOrRef || typeof pathItemOrRef !== 'object') continue;
+        const pathItem = (pathItemOrRef.$ref && this.resolveSchemaRef(pathItemOrRef.$ref)) || pathItemOrRef;
+
+        for (const [method, operation] of Object.entries(pathItem)) {
+          if (!HTTP_METHODS.includes(method) || typeof operation !== 'object') continue;
+
+          const trigger = parentMetadata.parent_path
+            ? `Triggered by ${parentMetadata.parent_method} ${parentMetadata.parent_path}.`
+            : 'Reusable callback declared under components.';
+          const { text, metadata: schemaMetadata } = this.formatPathText(expression, method, operation, {
+            heading: [
+              `Callback: ${callbackName}`,
+              trigger,
+              `The API sends a ${method.toUpperCase()} request to ${expression}`
+            ]
+          });
+
+          chunks.push({
+            text,
+            metadata: {
+              spec_id: this.specId,
+              chunk_id: uuidv4(),
+              component_type: 'callback',
+              component_name: callbackName,
+              event_name: callbackName,
+              callback_url: expression,
+              method: method.toUpperCase(),
+              operation_id: operation.operationId,
+              payload_schemas: schemaMetadata.request_schemas,
+              ...parentMetadata,
+              source_file: parentMetadata.source_file || this.sourceFile,
+              ...schemaMetadata
+            }
+          });
+          logger.debug('Created callback chunk', 'createCallbackChunks', { callbackName, expression, method });
+        }
       }
     }
 
@@ -113,6 +235,10 @@ class OpenAPIChunker {
 
     for (const [componentType, componentGroup] of Object.entries(components)) {
       if (componentType === 'schemas') continue; // Skip schemas, handled separately
+      if (componentType === 'callbacks') {
+        chunks.push(...this.createCallbackChunks(componentGroup));
+        continue;
+      }
       for (const [name, component] of Object.entries(componentGroup)) {
         const chunk = {
           text: this.formatComponentText(componentType, name, component),
@@ -147,17 +273,12 @@ class OpenAPIChunker {
     if (!components?.schemas) return chunks;
 
     for (const [schemaName, schema] of Object.entries(components.schemas)) {
+      const summary = this.schemaRenderer.summarize(schema);
       const text = [
         `Schema: ${schemaName}`,
         `Description: ${schema.description || 'No description'}`,
-        'Properties:',
-        ...Object.entries(schema.properties || {}).map(([propName, prop]) => {
-          const type = Array.isArray(prop.type) ? prop.type.join(' | ') : prop.type;
-          const required = prop.required ? ' (required)' : '';
-          const format = prop.format ? ` (format: ${prop.format})` : '';
-          const defaultValue = prop.default ? ` (default: ${prop.default})` : '';
-          return `- ${propName}: ${type}${required}${format}${defaultValue}`;
-        })
+        `Type: ${this.schemaRenderer.describeType(schema)}`,
+        ...this.schemaRenderer.render(schema)
       ].join('\n');
 
       const chunk = {
@@ -167,10 +288,13 @@ class OpenAPIChunker {
           chunk_id: uuidv4(),
           component_type: 'schemas',
           component_name: schemaName,
+          source_file: schema['x-source-file'] || this.sourceFile,
           schema_type: schema.type,
           schema_format: schema.format,
-          schema_properties: Object.keys(schema.properties || {}),
-          schema_required: schema.required || []
+          schema_properties: summary.properties,
+          schema_required: summary.required,
+          schema_variants: summary.variants,
+          schema_discriminator: schema.discriminator?.propertyName
         }
       };
 
@@ -196,8 +320,10 @@ class OpenAPIChunker {
 
   /**
    * Format path operation text
+   * @param {Object} [options]
+   * @param {Array<string>} [options.heading] - Lines replacing the `METHOD path` line (webhooks, callbacks)
    */
-  formatPathText(path, method, operation) {
+  formatPathText(path, method, operation, options = {}) {
     const parts = [];
     const schemaRefs = {
       request: new Set(),
@@ -206,67 +332,116 @@ class OpenAPIChunker {
       responseDetails: []  
     };
     
+    if (options.heading) parts.push(...options.heading);
     if (operation.summary) parts.push(operation.summary);
     if (operation.description) parts.push(operation.description);
     
-    parts.push(`${method.toUpperCase()} ${path}`);
+    if (!options.heading) parts.push(`${method.toUpperCase()} ${path}`);
+    if (operation.tags?.length) parts.push(`Tags: ${operation.tags.join(', ')}`);
+
+    // Operation security overrides the global requirement; an empty list means no authentication
+    const security = operation.security || this.spec.security;
+    if (security) {
+      const schemes = security.map(requirement => Object.entries(requirement)
+        .map(([name, scopes]) => scopes?.length ? `${name} (${scopes.join(', ')})` : name)
+        .join(' + '));
+      parts.push(`Security: ${schemes.filter(Boolean).join(' or ') || 'none'}`);
+    }
+
+    // Handle parameters
+    if (Array.isArray(operation.parameters) && operation.parameters.length) {
+      parts.push('\nParameters:');
+      operation.parameters.forEach(paramOrRef => {
+        const param = (paramOrRef.$ref && this.resolveSchemaRef(paramOrRef.$ref)) || paramOrRef;
+        const details = [
+          param.in,
+          param.required ? 'required' : null,
+          ...(param.schema ? this.schemaRenderer.describeConstraints(this.schemaRenderer.resolve(param.schema).schema) : [])
+        ].filter(Boolean);
+        const type = param.schema ? this.schemaRenderer.describeType(param.schema) : 'any';
+        const description = param.description ? ` - ${param.description.replace(/\s+/g, ' ').trim()}` : '';
+        const example = param.example !== undefined ? ` (example: ${this.formatExample(param.example)})` : '';
+        parts.push(`- ${param.name}: ${type} (${details.join(', ')})${description}${example}`);
+      });
+    }
 
     // Handle request body schemas
-    if (operation.requestBody?.content) {
+    const requestBody = operation.requestBody?.$ref
+      ? this.resolveSchemaRef(operation.requestBody.$ref)
+      : operation.requestBody;
+    if (requestBody?.content) {
       parts.push('\nRequest Body:');
-      Object.entries(operation.requestBody.content).forEach(([contentType, content]) => {
+      Object.entries(requestBody.content).forEach(([contentType, content]) => {
         if (content.schema) {
           const schemaRef = content.schema.$ref;
-          if (schemaRef) {
-            const schemaName = schemaRef.split('/').pop();
-            schemaRefs.request.add(schemaName);
-            const schema = this.resolveSchemaRef(schemaRef);
-            if (schema) {
-              schemaRefs.requestDetails.push(
-                `${schemaName}:${contentType}`,
-                ...((schema.required || []).map(prop => `required:${prop}`)),
-                ...(Object.keys(schema.properties || {}).map(prop => `property:${prop}`))
-              );
-              
-              parts.push(`\nContent-Type: ${contentType}`);
-              parts.push(`Schema (${schemaName}):`);
-              Object.entries(schema.properties || {}).forEach(([propName, prop]) => {
-                const type = Array.isArray(prop.type) ? prop.type.join(' | ') : prop.type;
-                const required = schema.required?.includes(propName) ? ' (required)' : '';
-                parts.push(`- ${propName}: ${type}${required}`);
-              });
-            }
-          }
+          // Inline schemas (e.g. form fields) have no name to reference
+          const schemaName = schemaRef ? schemaRef.split('/').pop() : 'inline';
+          if (schemaRef) schemaRefs.request.add(schemaName);
+
+          const summary = this.schemaRenderer.summarize(content.schema);
+          schemaRefs.requestDetails.push(
+            `${schemaName}:${contentType}`,
+            ...summary.required.map(prop => `required:${prop}`),
+            ...summary.properties.map(prop => `property:${prop}`)
+          );
+
+          parts.push(`\nContent-Type: ${contentType}`);
+          parts.push(`Schema (${schemaName}): ${this.schemaRenderer.describeType(content.schema)}`);
+          parts.push(...this.schemaRenderer.render(content.schema));
         }
+        parts.push(...this.formatMediaExamples(content));
       });
     }
 
     // Handle response schemas
     if (operation.responses) {
       parts.push('\nResponses:');
-      Object.entries(operation.responses).forEach(([code, response]) => {
+      Object.entries(operation.responses).forEach(([code, responseOrRef]) => {
+        const response = (responseOrRef.$ref && this.resolveSchemaRef(responseOrRef.$ref)) || responseOrRef;
         parts.push(`\n${code}: ${response.description || 'No description'}`);
         if (response.content) {
+          parts.push(`Content-Types: ${Object.keys(response.content).join(', ')}`);
+          const rendered = new Set();
           Object.entries(response.content).forEach(([contentType, content]) => {
-            if (content.schema) {
-              const schemaRef = content.schema.$ref;
-              if (schemaRef) {
-                const schemaName = schemaRef.split('/').pop();
-                schemaRefs.response.add(schemaName);
-                const schema = this.resolveSchemaRef(schemaRef);
-                if (schema) {
-                  schemaRefs.responseDetails.push(
-                    `${schemaName}:${contentType}:${code}`,
-                    ...(Object.keys(schema.properties || {}).map(prop => `property:${prop}`))
-                  );
-                }
-              }
-            }
+            if (!content.schema) return;
+
+            const schemaRef = content.schema.$ref;
+            const schemaName = schemaRef ? schemaRef.split('/').pop() : 'inline';
+            if (schemaRef) schemaRefs.response.add(schemaName);
+
+            const summary = this.schemaRenderer.summarize(content.schema);
+            schemaRefs.responseDetails.push(
+              `${schemaName}:${contentType}:${code}`,
+              ...summary.properties.map(prop => `property:${prop}`)
+            );
+
+            // The same schema is usually served under several content types, render it once
+            const key = JSON.stringify(content.schema);
+            if (rendered.has(key)) return;
+            rendered.add(key);
+            parts.push(`Schema (${schemaName}): ${this.schemaRenderer.describeType(content.schema)}`);
+            parts.push(...this.schemaRenderer.render(content.schema));
+          });
+          Object.values(response.content).forEach(content => parts.push(...this.formatMediaExamples(content)));
+        }
+        if (response.links) {
+          parts.push('Links:');
+          Object.entries(response.links).forEach(([linkName, link]) => {
+            parts.push(`- ${this.formatLinkText(linkName, link)}`);
           });
         }
       });
     }
 
+    // Callbacks get their own chunks, mention them so the operation chunk points there
+    if (operation.callbacks) {
+      parts.push('\nCallbacks:');
+      Object.entries(operation.callbacks).forEach(([callbackName, callbackOrRef]) => {
+        const callback = (callbackOrRef.$ref && this.resolveSchemaRef(callbackOrRef.$ref)) || callbackOrRef;
+        parts.push(`- ${callbackName}: ${Object.keys(callback || {}).join(', ')}`);
+      });
+    }
+
     return {
       text: parts.join('\n'),
       metadata: {
@@ -278,10 +453,35 @@ class OpenAPIChunker {
     };
   }
 
+  /**
+   * Look up the target of a local reference without resolving nested references
+   * @param {string} ref - Local reference such as `#/components/schemas/User`
+   */
+  lookupRef(ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return null;
+
+    let current = this.spec;
+    for (const part of ref.slice(2).split('/')) {
+      current = current?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+      if (current === undefined) return null;
+    }
+    return current;
+  }
+
   /**
    * Resolve schema reference
+   * @param {string} ref - Local reference such as `#/components/schemas/User`
+   * @param {Set<string>} [seen] - References already being resolved, used to stop on recursive schemas
    */
-  resolveSchemaRef(ref) {
+  resolveSchemaRef(ref, seen = new Set()) {
+    if (seen.has(ref)) return null;
+    seen = new Set(seen).add(ref);
+
+    if (!ref.startsWith('#/')) {
+      logger.warn('External reference was not bundled into the specification', 'resolveSchemaRef', { ref });
+      return null;
+    }
+
     try {
       const parts = ref.split('/');
       let current = this.spec;
@@ -296,18 +496,19 @@ class OpenAPIChunker {
       if (current && typeof current === 'object') {
         const resolvedSchema = { ...current };
         
-        // Resolve property references
+        // Resolve property references (copied so the specification itself is left untouched)
         if (resolvedSchema.properties) {
+          resolvedSchema.properties = { ...resolvedSchema.properties };
           Object.entries(resolvedSchema.properties).forEach(([propName, propSchema]) => {
-            if (propSchema.$ref) {
-              resolvedSchema.properties[propName] = this.resolveSchemaRef(propSchema.$ref) || propSchema;
+            if (propSchema?.$ref) {
+              resolvedSchema.properties[propName] = this.resolveSchemaRef(propSchema.$ref, seen) || propSchema;
             }
           });
         }
         
         // Resolve array item references
         if (resolvedSchema.items && resolvedSchema.items.$ref) {
-          resolvedSchema.items = this.resolveSchemaRef(resolvedSchema.items.$ref) || resolvedSchema.items;
+          resolvedSchema.items = this.resolveSchemaRef(resolvedSchema.items.$ref, seen) || resolvedSchema.items;
         }
         
         return resolvedSchema;
@@ -372,9 +573,475 @@ class OpenAPIChunker {
       return parts.join('\n');
     }
     
+    if (type === 'links') {
+      return `Link: ${this.formatLinkText(name, component)}`;
+    }
+
     // Default handling for other components
     return `${type} ${name}:\n${JSON.stringify(component, null, 2)}`;
   }
+
+  /**
+   * Format example values of a media type object (`example` or named `examples`)
+   */
+  formatMediaExamples(content) {
+    const lines = [];
+    if (content.example !== undefined) {
+      lines.push(`Example:\n${this.formatExample(content.example)}`);
+    }
+    Object.entries(content.examples || {}).forEach(([exampleName, exampleOrRef]) => {
+      const example = (exampleOrRef?.$ref && this.resolveSchemaRef(exampleOrRef.$ref)) || exampleOrRef;
+      if (example?.value !== undefined) {
+        lines.push(`Example (${example.summary || exampleName}):\n${this.formatExample(example.value)}`);
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Serialize an example value, truncated so large payloads do not dominate the chunk
+   */
+  formatExample(value, maxLength = 1000) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+  }
+
+  /**
+   * Describe a response link: the operation it leads to and how its parameters are filled
+   */
+  formatLinkText(name, linkOrRef) {
+    const link = (linkOrRef.$ref && this.resolveSchemaRef(linkOrRef.$ref)) || linkOrRef;
+    const target = link.operationId || link.operationRef || 'unknown operation';
+    const parts = [`${name} -> ${target}`];
+
+    const parameters = Object.entries(link.parameters || {})
+      .map(([param, expression]) => `${param} = ${typeof expression === 'string' ? expression : JSON.stringify(expression)}`);
+    if (parameters.length) parts.push(`(parameters: ${parameters.join(', ')})`);
+    if (link.requestBody !== undefined) {
+      parts.push(`(request body: ${typeof link.requestBody === 'string' ? link.requestBody : JSON.stringify(link.requestBody)})`);
+    }
+    if (link.description) parts.push(`- ${link.description.replace(/\s+/g, ' ').trim()}`);
+
+    return parts.join(' ');
+  }
+}
+
+/**
+ * Chunks an AsyncAPI (2.x or 3.x) document into servers, channels, operations, messages and schemas
+ */
+class AsyncAPIChunker {
+  constructor(specification, options = {}) {
+    this.spec = specification;
+    this.specId = uuidv4();
+    this.version = String(specification.asyncapi || '');
+    this.isV3 = this.version.startsWith('3');
+    this.sourceFile = this.spec['x-source-file'] || options.sourceFile;
+    this.schemaRenderer = new SchemaRenderer({
+      resolveRef: ref => this.lookupRef(ref),
+      maxDepth: options.schemaDepth
+    });
+  }
+
+  /**
+   * Process the AsyncAPI document and generate all chunks
+   */
+  async processSpecification() {
+    logger.info('Starting AsyncAPI processing', 'processSpecification', { version: this.version });
+
+    try {
+      const chunks = [
+        ...this.createInfoChunk(),
+        ...this.createServerChunks(),
+        ...this.createChannelChunks(),
+        ...this.createOperationChunks(),
+        ...this.createMessageChunks(),
+        ...this.createSchemaChunks()
+      ];
+
+      logger.info('AsyncAPI processing complete', 'processSpecification', {
+        totalChunks: chunks.length
+      });
+
+      return chunks;
+    } catch (error) {
+      logger.error('Error processing AsyncAPI document', 'processSpecification', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Base metadata shared by every AsyncAPI chunk
+   */
+  baseMetadata(componentType) {
+    return {
+      spec_id: this.specId,
+      chunk_id: uuidv4(),
+      component_type: componentType,
+      spec_format: 'asyncapi',
+      source_file: this.sourceFile
+    };
+  }
+
+  /**
+   * Look up the target of a local reference
+   */
+  lookupRef(ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return null;
+
+    let current = this.spec;
+    for (const part of ref.slice(2).split('/')) {
+      current = current?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+      if (current === undefined) return null;
+    }
+    return current;
+  }
+
+  /**
+   * Follow $refs (including refs to refs) until a concrete object is reached
+   */
+  deref(value) {
+    const seen = new Set();
+    let current = value;
+    while (current?.$ref && !seen.has(current.$ref)) {
+      seen.add(current.$ref);
+      const target = this.lookupRef(current.$ref);
+      if (!target) break;
+      current = target;
+    }
+    return current || {};
+  }
+
+  createInfoChunk() {
+    const { info } = this.spec;
+    if (!info) return [];
+
+    const parts = [`AsyncAPI ${this.version}`];
+    if (info.title) parts.push(`API Title: ${info.title}`);
+    if (info.version) parts.push(`Version: ${info.version}`);
+    if (info.description) parts.push(`Description: ${info.description}`);
+    if (this.spec.defaultContentType) parts.push(`Default Content-Type: ${this.spec.defaultContentType}`);
+
+    return [{ text: parts.join('\n'), metadata: this.baseMetadata('info') }];
+  }
+
+  createServerChunks() {
+    return Object.entries(this.spec.servers || {}).map(([name, serverOrRef]) => {
+      const server = this.deref(serverOrRef);
+      const url = this.serverUrl(server);
+      const parts = [
+        `Server: ${name}`,
+        `URL: ${url}`,
+        `Protocol: ${server.protocol}${server.protocolVersion ? ` ${server.protocolVersion}` : ''}`
+      ];
+      if (server.description) parts.push(`Description: ${server.description}`);
+      if (server.security?.length) parts.push(`Security: ${this.describeSecurity(server.security)}`);
+      if (server.bindings) parts.push(`Bindings: ${this.formatBindings(server.bindings)}`);
+
+      return {
+        text: parts.join('\n'),
+        metadata: {
+          ...this.baseMetadata('server'),
+          component_name: name,
+          protocol: server.protocol,
+          server_url: url
+        }
+      };
+    });
+  }
+
+  createChannelChunks() {
+    return Object.entries(this.spec.channels || {}).map(([channelKey, channelOrRef]) => {
+      const channel = this.deref(channelOrRef);
+      const address = this.channelAddress(channelKey, channel);
+      const parts = [`Channel: ${address}`];
+
+      if (channel.title) parts.push(channel.title);
+      if (channel.summary) parts.push(channel.summary);
+      if (channel.description) parts.push(`Description: ${channel.description}`);
+      parts.push(`Protocols: ${this.channelProtocols(channel).join(', ') || 'unknown'}`);
+      parts.push(...this.formatChannelParameters(channel));
+      if (channel.bindings) parts.push(`Bindings: ${this.formatBindings(channel.bindings)}`);
+
+      const operations = this.isV3
+        ? Object.entries(this.spec.operations || {})
+          .filter(([, operation]) => this.operationChannelKey(this.deref(operation)) === channelKey)
+          .map(([operationId, operation]) => `${this.deref(operation).action} (${operationId})`)
+        : ['publish', 'subscribe'].filter(verb => channel[verb])
+          .map(verb => `${this.v2Action(verb)} (${channel[verb].operationId || verb})`);
+      if (operations.length) parts.push(`Operations: ${operations.join(', ')}`);
+
+      const messageNames = this.channelMessages(channelKey, channel).map(({ name }) => name);
+      if (messageNames.length) parts.push(`Messages: ${messageNames.join(', ')}`);
+
+      return {
+        text: parts.join('\n'),
+        metadata: {
+          ...this.baseMetadata('channel'),
+          component_name: channelKey,
+          channel: address,
+          protocol: this.channelProtocols(channel).join(','),
+          message_names: messageNames
+        }
+      };
+    });
+  }
+
+  /**
+   * One chunk per operation: AsyncAPI 3 `operations`, or `publish`/`subscribe` of AsyncAPI 2 channels
+   */
+  createOperationChunks() {
+    const operations = [];
+
+    if (this.isV3) {
+      for (const [operationId, operationOrRef] of Object.entries(this.spec.operations || {})) {
+        const operation = this.deref(operationOrRef);
+        const channelKey = this.operationChannelKey(operation);
+        const channel = this.deref(operation.channel);
+        const messages = Array.isArray(operation.messages) && operation.messages.length
+          ? operation.messages.map(message => ({ name: this.refName(message.$ref), message: this.deref(message) }))
+          : this.channelMessages(channelKey, channel);
+        operations.push({ operationId, operation, action: operation.action, channelKey, channel, messages });
+      }
+    } else {
+      for (const [channelKey, channelOrRef] of Object.entries(this.spec.channels || {})) {
+        const channel = this.deref(channelOrRef);
+        for (const verb of ['publish', 'subscribe']) {
+          if (!channel[verb]) continue;
+          const operation = channel[verb];
+          operations.push({
+            operationId: operation.operationId || `${verb} ${channelKey}`,
+            operation,
+            action: this.v2Action(verb),
+            verb,
+            channelKey,
+            channel,
+            messages: this.operationMessagesV2(operation)
+          });
+        }
+      }
+    }
+
+    return operations.map(({ operationId, operation, action, verb, channelKey, channel, messages }) => {
+      const address = this.channelAddress(channelKey, channel);
+      const protocols = this.channelProtocols(channel);
+      const direction = action === 'send'
+        ? 'The application sends (publishes) these messages to the channel.'
+        : 'The application receives (consumes) these messages from the channel.';
+
+      const parts = [`Operation: ${operationId}`];
+      if (operation.title) parts.push(operation.title);
+      if (operation.summary) parts.push(operation.summary);
+      if (operation.description) parts.push(operation.description);
+      parts.push(`Action: ${action}${verb ? ` (AsyncAPI 2 ${verb})` : ''}`);
+      parts.push(direction);
+      parts.push(`Channel: ${address}`);
+      parts.push(`Protocols: ${protocols.join(', ') || 'unknown'}`);
+      if (operation.tags?.length) parts.push(`Tags: ${operation.tags.map(tag => tag.name || tag).join(', ')}`);
+      if (operation.security?.length) parts.push(`Security: ${this.describeSecurity(operation.security)}`);
+      parts.push(...this.formatChannelParameters(channel));
+      if (operation.bindings) parts.push(`Operation Bindings: ${this.formatBindings(operation.bindings)}`);
+      if (channel.bindings) parts.push(`Channel Bindings: ${this.formatBindings(channel.bindings)}`);
+      if (operation.reply) {
+        const reply = this.deref(operation.reply);
+        const replyChannel = reply.channel ? this.channelAddress(this.refName(reply.channel.$ref || ''), this.deref(reply.channel)) : 'dynamic';
+        parts.push(`Reply: on channel ${replyChannel}`);
+      }
+
+      messages.forEach(({ name, message }) => {
+        parts.push('', ...this.formatMessageText(name, message));
+      });
+
+      return {
+        text: parts.join('\n'),
+        metadata: {
+          ...this.baseMetadata('operation'),
+          component_name: operationId,
+          operation_id: operationId,
+          channel: address,
+          action,
+          protocol: protocols.join(','),
+          message_names: messages.map(({ name }) => name),
+          payload_schemas: messages
+            .map(({ message }) => message.payload?.$ref && this.refName(message.payload.$ref))
+            .filter(Boolean)
+        }
+      };
+    });
+  }
+
+  createMessageChunks() {
+    const messages = this.spec.components?.messages || {};
+    return Object.entries(messages).map(([name, messageOrRef]) => {
+      const message = this.deref(messageOrRef);
+      return {
+        text: this.formatMessageText(name, message).join('\n'),
+        metadata: {
+          ...this.baseMetadata('message'),
+          component_name: name,
+          content_type: message.contentType || this.spec.defaultContentType,
+          payload_schemas: message.payload?.$ref ? [this.refName(message.payload.$ref)] : []
+        }
+      };
+    });
+  }
+
+  createSchemaChunks() {
+    const schemas = this.spec.components?.schemas || {};
+    return Object.entries(schemas).map(([schemaName, schema]) => {
+      const summary = this.schemaRenderer.summarize(schema);
+      return {
+        text: [
+          `Schema: ${schemaName}`,
+          `Description: ${schema.description || 'No description'}`,
+          `Type: ${this.schemaRenderer.describeType(schema)}`,
+          ...this.schemaRenderer.render(schema)
+        ].join('\n'),
+        metadata: {
+          ...this.baseMetadata('schemas'),
+          component_name: schemaName,
+          source_file: schema['x-source-file'] || this.sourceFile,
+          schema_properties: summary.properties,
+          schema_required: summary.required,
+          schema_variants: summary.variants
+        }
+      };
+    });
+  }
+
+  /**
+   * Message description with headers, payload schema and examples
+   */
+  formatMessageText(name, message) {
+    const parts = [`Message: ${message.name || name}`];
+    if (message.title) parts.push(message.title);
+    if (message.summary) parts.push(message.summary);
+    if (message.description) parts.push(message.description);
+    parts.push(`Content-Type: ${message.contentType || this.spec.defaultContentType || 'not specified'}`);
+    if (message.correlationId) {
+      const correlation = this.deref(message.correlationId);
+      parts.push(`Correlation ID: ${correlation.location}`);
+    }
+    if (message.bindings) parts.push(`Message Bindings: ${this.formatBindings(message.bindings)}`);
+
+    if (message.headers) {
+      const headers = this.unwrapSchema(message.headers);
+      parts.push(`Headers: ${this.schemaRenderer.describeType(headers)}`);
+      parts.push(...this.schemaRenderer.render(headers, { indent: 1 }));
+    }
+    if (message.payload) {
+      const payload = this.unwrapSchema(message.payload);
+      parts.push(`Payload: ${this.schemaRenderer.describeType(payload)}`);
+      parts.push(...this.schemaRenderer.render(payload, { indent: 1 }));
+    }
+    (message.examples || []).forEach((example, index) => {
+      const value = example.payload !== undefined ? example.payload : example;
+      const text = JSON.stringify(value, null, 2);
+      parts.push(`Example (${example.name || example.summary || index + 1}):\n${text.length > 1000 ? `${text.slice(0, 1000)}...` : text}`);
+    });
+
+    return parts;
+  }
+
+  /**
+   * AsyncAPI 3 allows multi-format schemas ({ schemaFormat, schema })
+   */
+  unwrapSchema(schema) {
+    return schema?.schemaFormat && schema.schema ? schema.schema : schema;
+  }
+
+  /**
+   * AsyncAPI 2 `publish` means clients publish to the application, so the application receives
+   */
+  v2Action(verb) {
+    return verb === 'publish' ? 'receive' : 'send';
+  }
+
+  refName(ref) {
+    return typeof ref === 'string' ? decodeURIComponent(ref.split('/').pop()) : '';
+  }
+
+  operationChannelKey(operation) {
+    return this.refName(operation.channel?.$ref);
+  }
+
+  channelAddress(channelKey, channel) {
+    // AsyncAPI 3 separates the channel id from its address, AsyncAPI 2 keys channels by address
+    return this.isV3 ? (channel.address || channelKey) : channelKey;
+  }
+
+  /**
+   * Messages declared on a channel (AsyncAPI 3) or on its operations (AsyncAPI 2)
+   */
+  channelMessages(channelKey, channel) {
+    if (this.isV3) {
+      return Object.entries(channel.messages || {}).map(([name, message]) => ({
+        name: message.$ref ? this.refName(message.$ref) : name,
+        message: this.deref(message)
+      }));
+    }
+    return ['publish', 'subscribe']
+      .filter(verb => channel[verb])
+      .flatMap(verb => this.operationMessagesV2(channel[verb]));
+  }
+
+  operationMessagesV2(operation) {
+    const message = this.deref(operation.message);
+    const variants = Array.isArray(message.oneOf) ? message.oneOf : (operation.message ? [operation.message] : []);
+    return variants.map((variant, index) => {
+      const resolved = this.deref(variant);
+      return {
+        name: resolved.name || (variant.$ref ? this.refName(variant.$ref) : `${operation.operationId || 'message'}${variants.length > 1 ? index + 1 : ''}`),
+        message: resolved
+      };
+    });
+  }
+
+  /**
+   * Protocols of the servers a channel is available on (all servers when unrestricted)
+   */
+  channelProtocols(channel) {
+    const servers = this.spec.servers || {};
+    const names = this.isV3
+      ? (channel.servers || []).map(server => this.refName(server.$ref))
+      : (channel.servers || []);
+    const selected = names.length ? names : Object.keys(servers);
+    return [...new Set(selected.map(name => this.deref(servers[name]).protocol).filter(Boolean))];
+  }
+
+  serverUrl(server) {
+    if (server.url) return server.url;
+    return `${server.protocol ? `${server.protocol}://` : ''}${server.host || ''}${server.pathname || ''}`;
+  }
+
+  formatChannelParameters(channel) {
+    const parameters = Object.entries(channel.parameters || {});
+    if (!parameters.length) return [];
+
+    return [
+      'Channel Parameters:',
+      ...parameters.map(([name, parameterOrRef]) => {
+        const parameter = this.deref(parameterOrRef);
+        const details = [];
+        if (parameter.schema) details.push(this.schemaRenderer.describeType(parameter.schema));
+        if (parameter.enum) details.push(`enum: ${parameter.enum.join(', ')}`);
+        if (parameter.location) details.push(`location: ${parameter.location}`);
+        const description = parameter.description ? ` - ${parameter.description}` : '';
+        return `- ${name}${details.length ? ` (${details.join(', ')})` : ''}${description}`;
+      })
+    ];
+  }
+
+  formatBindings(bindings) {
+    return Object.entries(this.deref(bindings))
+      .map(([protocol, binding]) => `${protocol} ${JSON.stringify(this.deref(binding))}`)
+      .join('; ');
+  }
+
+  describeSecurity(security) {
+    return security.map(requirement => requirement.$ref
+      ? this.refName(requirement.$ref)
+      : Object.keys(requirement).join(' + ')).join(' or ');
+  }
 }
 
-module.exports = { OpenAPIChunker, OpenAPICSVProcessor };
+module.exports = { OpenAPIChunker, AsyncAPIChunker, OpenAPICSVProcessor };
@@ -0,0 +1,331 @@
+/**
+ * @module csv-export
+ * @description Converts OpenAPI documents to the CSV import format and CSV imports back to OpenAPI 3
+ */
+
+const { stringify } = require('csv-stringify/sync');
+const { createModuleLogger } = require('./logger');
+const { OpenAPICSVProcessor } = require('./csv-processor');
+const { isSwagger2, convertSwagger2ToOpenAPI3 } = require('./swagger-converter');
+
+const logger = createModuleLogger('csv-export');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Column order of the CSV import format (see docs/46638-csv-sample.csv)
+const CSV_COLUMNS = [
+    'ENDPOINT', 'METHOD', 'SUMMARY', 'DESCRIPTION', 'PARAMETERS', 'REQUEST_BODY',
+    'RESPONSES', 'TAGS', 'SECURITY', 'SERVERS', 'SCHEMAS'
+];
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+/**
+ * Look up a local reference in a document
+ * @param {Object} spec - OpenAPI document
+ * @param {string} ref - Reference such as `#/components/parameters/page`
+ * @returns {*} The referenced value, or undefined
+ */
+function lookupRef(spec, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+
+    let current = spec;
+    for (const part of ref.slice(2).split('/')) {
+        current = current?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+        if (current === undefined) return undefined;
+    }
+    return current;
+}
+
+/**
+ * Follow component references (parameters, request bodies, responses) to their definition
+ */
+function derefComponent(spec, value, seen = new Set()) {
+    if (!value?.$ref || seen.has(value.$ref)) return value;
+    const target = lookupRef(spec, value.$ref);
+    return target === undefined ? value : derefComponent(spec, target, new Set(seen).add(value.$ref));
+}
+
+/**
+ * Names of the component schemas referenced by a value, including schemas they reference in turn
+ * @param {Object} spec - OpenAPI document
+ * @param {*} value - Operation fragment to scan
+ * @returns {Array<string>}
+ */
+function collectSchemaNames(spec, value) {
+    const names = new Set();
+    const pending = [value];
+
+    while (pending.length) {
+        const current = pending.pop();
+        if (Array.isArray(current)) {
+            pending.push(...current);
+        } else if (current && typeof current === 'object') {
+            if (typeof current.$ref === 'string' && current.$ref.startsWith(SCHEMA_REF_PREFIX)) {
+                const name = current.$ref.slice(SCHEMA_REF_PREFIX.length);
+                if (!names.has(name)) {
+                    names.add(name);
+                    pending.push(lookupRef(spec, current.$ref));
+                }
+            }
+            pending.push(...Object.values(current));
+        }
+    }
+
+    return Array.from(names);
+}
+
+/**
+ * Copy of a schema with every `$ref` replaced by the referenced schema.
+ * References back into a schema being inlined stay as `$ref` so recursive schemas terminate.
+ * @param {Object} spec - OpenAPI document
+ * @param {*} schema - Schema to inline
+ * @param {Set<string>} stack - References currently being inlined
+ * @returns {*}
+ */
+function inlineSchema(spec, schema, stack = new Set()) {
+    if (Array.isArray(schema)) {
+        return schema.map(item => inlineSchema(spec, item, stack));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    if (typeof schema.$ref === 'string') {
+        const target = lookupRef(spec, schema.$ref);
+        if (target === undefined || stack.has(schema.$ref)) {
+            return { $ref: schema.$ref };
+        }
+        const { $ref, ...siblings } = schema;
+        return { ...inlineSchema(spec, target, new Set(stack).add($ref)), ...siblings };
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, inlineSchema(spec, value, stack)]));
+}
+
+const toCell = value => (value === undefined || value === null ? '' : JSON.stringify(value));
+
+/**
+ * Convert an OpenAPI 3 or Swagger 2.0 document to the CSV import format, one row per operation.
+ * PARAMETERS, REQUEST_BODY and RESPONSES keep their schema `$ref`s; the SCHEMAS column holds
+ * every schema an operation references, inlined.
+ *
+ * @param {Object} specification - Parsed OpenAPI/Swagger document
+ * @returns {{csv: string, rowCount: number}}
+ */
+function specToCSV(specification) {
+    const spec = isSwagger2(specification) ? convertSwagger2ToOpenAPI3(specification) : specification;
+    if (!spec?.paths) {
+        throw new Error('Specification has no paths to export');
+    }
+
+    const rows = [];
+    for (const [pathName, pathItemOrRef] of Object.entries(spec.paths)) {
+        const pathItem = derefComponent(spec, pathItemOrRef) || {};
+
+        for (const method of HTTP_METHODS.filter(m => pathItem[m])) {
+            const operation = pathItem[method];
+
+            // Operation parameters override path-level ones with the same name and location
+            const parameters = new Map();
+            for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+                const resolved = derefComponent(spec, parameter);
+                parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+            }
+
+            const requestBody = operation.requestBody ? derefComponent(spec, operation.requestBody) : undefined;
+            const responses = operation.responses
+                ? Object.fromEntries(Object.entries(operation.responses).map(([code, response]) => [code, derefComponent(spec, response)]))
+                : undefined;
+            const parameterList = Array.from(parameters.values());
+
+            const schemaNames = collectSchemaNames(spec, [parameterList, requestBody, responses]);
+            const schemas = Object.fromEntries(schemaNames
+                .filter(name => spec.components?.schemas?.[name])
+                .map(name => [name, inlineSchema(spec, spec.components.schemas[name], new Set([`${SCHEMA_REF_PREFIX}${name}`]))]));
+
+            rows.push({
+                ENDPOINT: pathName,
+                METHOD: method.toUpperCase(),
+                SUMMARY: operation.summary || '',
+                DESCRIPTION: (operation.description || '').trim(),
+                PARAMETERS: parameterList.length ? toCell(parameterList) : '',
+                REQUEST_BODY: toCell(requestBody),
+                RESPONSES: toCell(responses),
+                TAGS: (operation.tags || []).join(','),
+                SECURITY: toCell(operation.security || spec.security),
+                SERVERS: toCell(operation.servers || pathItem.servers || spec.servers),
+                SCHEMAS: schemaNames.length ? toCell(schemas) : ''
+            });
+        }
+    }
+
+    logger.info('Exported specification to CSV', 'specToCSV', { rowCount: rows.length });
+
+    return {
+        csv: stringify(rows, { header: true, columns: CSV_COLUMNS }),
+        rowCount: rows.length
+    };
+}
+
+/**
+ * Rebuild an OpenAPI 3 document from a CSV in the import format.
+ * Security requirements name schemes the CSV does not define; they are added as placeholder
+ * schemes and reported in `errors` so the document stays valid.
+ *
+ * @param {string|Buffer} fileContent - CSV content
+ * @param {Object} [options]
+ * @param {string} [options.title] - info.title of the generated document
+ * @param {string} [options.version] - info.version of the generated document
+ * @returns {Promise<{spec: Object, errors: Array<{lineNumber: number, endpoint: string, method: string, error: string}>}>}
+ */
+async function csvToSpec(fileContent, options = {}) {
+    const processor = new OpenAPICSVProcessor();
+    const records = await processor.parseCSV(fileContent);
+    const errors = [...processor.parseErrors];
+
+    const spec = {
+        openapi: '3.0.3',
+        info: {
+            title: options.title || 'Imported from CSV',
+            version: options.version || '1.0.0'
+        },
+        paths: {},
+        components: { schemas: {} }
+    };
+    const serversByRow = [];
+    const securityNames = new Set();
+    const tagNames = new Set();
+
+    for (const record of records) {
+        const { lineNumber } = record;
+        const method = (record.METHOD || '').toLowerCase();
+        const endpoint = record.ENDPOINT || '';
+        const reportError = error => errors.push({ lineNumber, endpoint, method: record.METHOD || '', error });
+
+        if (!endpoint || !method) {
+            reportError('Missing required fields: ENDPOINT and METHOD are required');
+            continue;
+        }
+        if (!HTTP_METHODS.includes(method)) {
+            reportError(`Unsupported HTTP method: ${record.METHOD}`);
+            continue;
+        }
+        if (!endpoint.startsWith('/')) {
+            reportError('ENDPOINT must start with "/"');
+            continue;
+        }
+
+        const field = name => processor.parseJsonField(record[name], name, lineNumber);
+        const jsonFields = {};
+        for (const name of ['PARAMETERS', 'REQUEST_BODY', 'RESPONSES', 'SECURITY', 'SERVERS', 'SCHEMAS']) {
+            jsonFields[name] = field(name);
+            if (record[name] && jsonFields[name] === null) {
+                reportError(`${name} is not valid JSON and was ignored`);
+            }
+        }
+
+        const tags = parseTags(record.TAGS);
+        tags.forEach(tag => tagNames.add(tag));
+
+        const operation = {};
+        if (record.SUMMARY) operation.summary = record.SUMMARY;
+        if (record.DESCRIPTION) operation.description = record.DESCRIPTION;
+        if (tags.length) operation.tags = tags;
+        if (Array.isArray(jsonFields.PARAMETERS) && jsonFields.PARAMETERS.length) operation.parameters = jsonFields.PARAMETERS;
+        if (jsonFields.REQUEST_BODY && Object.keys(jsonFields.REQUEST_BODY).length) operation.requestBody = jsonFields.REQUEST_BODY;
+        operation.responses = jsonFields.RESPONSES && Object.keys(jsonFields.RESPONSES).length
+            ? jsonFields.RESPONSES
+            : { default: { description: 'No response documented' } };
+        if (Array.isArray(jsonFields.SECURITY)) {
+            operation.security = jsonFields.SECURITY;
+            jsonFields.SECURITY.forEach(requirement => Object.keys(requirement || {}).forEach(name => securityNames.add(name)));
+        }
+
+        // Path templates must be declared as required path parameters
+        const declared = new Set((operation.parameters || []).filter(p => p.in === 'path').map(p => p.name));
+        for (const [, name] of endpoint.matchAll(/\{([^}]+)\}/g)) {
+            if (!declared.has(name)) {
+                operation.parameters = [...(operation.parameters || []), { name, in: 'path', required: true, schema: { type: 'string' } }];
+                reportError(`Path parameter '${name}' was not declared in PARAMETERS and was added as a string`);
+            }
+        }
+
+        spec.paths[endpoint] = spec.paths[endpoint] || {};
+        if (spec.paths[endpoint][method]) {
+            reportError('Duplicate operation, the later row replaces the earlier one');
+        }
+        spec.paths[endpoint][method] = operation;
+        serversByRow.push({ operation, servers: Array.isArray(jsonFields.SERVERS) ? jsonFields.SERVERS : [] });
+
+        if (jsonFields.SCHEMAS && typeof jsonFields.SCHEMAS === 'object') {
+            Object.assign(spec.components.schemas, jsonFields.SCHEMAS);
+        }
+    }
+
+    // Servers shared by every row become document servers, the others stay on their operation
+    const serverKey = servers => JSON.stringify(servers.map(server => server.url));
+    const firstKey = serversByRow.length ? serverKey(serversByRow[0].servers) : null;
+    if (serversByRow.length && serversByRow.every(({ servers }) => serverKey(servers) === firstKey)) {
+        if (serversByRow[0].servers.length) spec.servers = serversByRow[0].servers;
+    } else {
+        serversByRow.forEach(({ operation, servers }) => {
+            if (servers.length) operation.servers = servers;
+        });
+    }
+
+    if (tagNames.size) {
+        spec.tags = Array.from(tagNames).map(name => ({ name }));
+    }
+    if (securityNames.size) {
+        spec.components.securitySchemes = Object.fromEntries(Array.from(securityNames).map(name => [name, {
+            type: 'apiKey',
+            in: 'header',
+            name,
+            description: 'Placeholder: the CSV format only names security requirements, not their schemes'
+        }]));
+        errors.push({
+            lineNumber: null,
+            endpoint: '',
+            method: '',
+            error: `Security schemes ${Array.from(securityNames).join(', ')} are not defined in the CSV and were added as placeholders`
+        });
+    }
+    if (!Object.keys(spec.components.schemas).length) {
+        delete spec.components.schemas;
+    }
+
+    // Conventional key order for readers of the generated document
+    const { openapi, info, servers, tags, paths, components } = spec;
+    const document = { openapi, info, servers, tags, paths, components };
+    if (!servers) delete document.servers;
+    if (!tags) delete document.tags;
+    if (!Object.keys(components).length) delete document.components;
+
+    logger.info('Rebuilt specification from CSV', 'csvToSpec', {
+        recordCount: records.length,
+        pathCount: Object.keys(spec.paths).length,
+        errorCount: errors.length
+    });
+
+    return { spec: document, errors };
+}
+
+/**
+ * TAGS holds a comma-separated list; JSON arrays written by other tools are accepted too
+ */
+function parseTags(value) {
+    if (!value) return [];
+    if (value.startsWith('[')) {
+        try {
+            return JSON.parse(value).map(String);
+        } catch {
+            // Fall through to the comma-separated form
+        }
+    }
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    specToCSV,
+    csvToSpec
+};
@@ -1,144 +1,169 @@
-const csvParse = require('csv-parse');
+const csvParseSync = require('csv-parse/lib/sync');
 const { v4: uuidv4 } = require('uuid');
 const { createModuleLogger } = require('./logger');
 const path = require('path');
-const Metadata = require('../models/metadata');
+const { createMetadataStore } = require('../db/metadata-store');
 
 const logger = createModuleLogger('csv-processor');
 
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
 class OpenAPICSVProcessor {
-    constructor() {
-        this.specId = uuidv4();
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.specId] - Spec id the rows' chunks are embedded under (see chunk-identity), so the
+     * endpoint metadata stored by processCSVRowsAndStoreMetadata matches them; a random id otherwise
+     */
+    constructor(options = {}) {
+        this.specId = options.specId || uuidv4();
+        this.parseErrors = [];
     }
 
     /**
-     * Pre-process CSV content to handle escaped JSON fields
+     * Decode raw CSV bytes. A BOM wins, then CSV_ENCODING, then UTF-8 when the bytes are valid UTF-8,
+     * otherwise Windows-1252 (what spreadsheet exports usually are)
+     * @param {string|Buffer} content - Raw file content
+     * @param {string} [encoding] - Forced encoding
+     * @returns {string}
      */
-    preprocessCSV(content) {
-        // Split into lines
-        const lines = content.split('\n');
-        const header = lines[0];
-        
-        // Process each data line
-        const processedLines = lines.slice(1).map(line => {
-            // Find all JSON-like fields (starting with [ or {)
-            const parts = [];
-            let inQuote = false;
-            let currentPart = '';
-            let char;
-            
-            for (let i = 0; i < line.length; i++) {
-                char = line[i];
-                
-                if (char === '"' && (i === 0 || line[i-1] !== '\\')) {
-                    inQuote = !inQuote;
-                }
-                
-                if (char === ',' && !inQuote) {
-                    // End of field
-                    parts.push(currentPart);
-                    currentPart = '';
-                } else {
-                    currentPart += char;
-                }
-            }
-            if (currentPart) {
-                parts.push(currentPart);
-            }
+    decodeContent(content, encoding = process.env.CSV_ENCODING) {
+        if (!Buffer.isBuffer(content)) return String(content);
 
-            // Process each part
-            const processedParts = parts.map(part => {
-                // If it looks like JSON (starts with [ or {)
-                if (part.trim().match(/^["']?\[/) || part.trim().match(/^["']?\{/)) {
-                    // Remove surrounding quotes if present
-                    part = part.trim().replace(/^["']|["']$/g, '');
-                    // Fix double-escaped quotes
-                    part = part.replace(/\\"\\"/g, '"').replace(/\\\\/g, '\\');
-                    return `"${part}"`;
-                }
-                return part;
-            });
+        if (content[0] === 0xEF && content[1] === 0xBB && content[2] === 0xBF) {
+            return new TextDecoder('utf-8').decode(content.subarray(3));
+        }
+        if (content[0] === 0xFF && content[1] === 0xFE) {
+            return new TextDecoder('utf-16le').decode(content.subarray(2));
+        }
+        if (content[0] === 0xFE && content[1] === 0xFF) {
+            return new TextDecoder('utf-16be').decode(content.subarray(2));
+        }
+        if (encoding) {
+            return new TextDecoder(encoding).decode(content);
+        }
 
-            return processedParts.join(',');
-        });
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(content);
+        } catch {
+            logger.info('CSV content is not valid UTF-8, decoding as windows-1252', 'decodeContent');
+            return new TextDecoder('windows-1252').decode(content);
+        }
+    }
+
+    /**
+     * Pick the delimiter: explicit option, CSV_DELIMITER, or the candidate most frequent
+     * outside quotes in the header line
+     * @param {string} text - Decoded CSV content
+     * @param {string} [delimiter] - Forced delimiter
+     * @returns {string}
+     */
+    detectDelimiter(text, delimiter = process.env.CSV_DELIMITER) {
+        if (delimiter) return delimiter === '\\t' ? '\t' : delimiter;
+
+        const header = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+        const counts = Object.fromEntries(DELIMITER_CANDIDATES.map(candidate => [candidate, 0]));
+        let inQuotes = false;
+        for (const char of header) {
+            if (char === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && counts[char] !== undefined) counts[char]++;
+        }
 
-        // Reconstruct CSV
-        return [header, ...processedLines].join('\n');
+        const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return count > 0 ? best : ',';
     }
 
     /**
-     * Parse CSV content with OpenAPI specifications, storing raw string values
+     * Parse CSV content (RFC 4180: quoted fields may contain delimiters, newlines and doubled quotes).
+     * Each record gets the `lineNumber` it starts on. A malformed row is recorded in `this.parseErrors`
+     * with its line number and parsing resumes on the following line.
+     * @param {string|Buffer} fileContent - Raw CSV content
+     * @param {Object} [options]
+     * @param {string} [options.delimiter] - Field delimiter, detected when omitted
+     * @param {string} [options.encoding] - Encoding of Buffer content, detected when omitted
+     * @returns {Promise<Array<Object>>} Records keyed by header name
      */
-    async parseCSV(fileContent) {
+    async parseCSV(fileContent, options = {}) {
         logger.info('Starting CSV parsing', 'parseCSV');
 
+        const text = this.decodeContent(fileContent, options.encoding).replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(text, options.delimiter);
+        this.parseErrors = [];
+
         try {
-            // Split into lines
-            const lines = fileContent.trim().split('\n');
-            const headers = lines[0].split(',').map(h => h.trim());
-            
-            logger.debug('CSV headers', 'parseCSV', { headers });
-
-            // Process each line
-            const parsedLines = [];
-            for (let i = 1; i < lines.length; i++) {
-                const fields = [];
-                const line = lines[i];
-                let currentField = '';
-                let inQuotes = false;
-
-                // Parse each character
-                for (let j = 0; j < line.length; j++) {
-                    const char = line[j];
-
-                    if (char === '"' && (j === 0 || line[j-1] !== '\\')) {
-                        inQuotes = !inQuotes;
-                    } else if (char === ',' && !inQuotes) {
-                        fields.push(currentField.trim());
-                        currentField = '';
-                    } else {
-                        currentField += char;
-                    }
-                }
+            const [headers] = csvParseSync(text, { delimiter, trim: true, to_line: 1 });
+            if (!headers) {
+                throw new Error('CSV file is empty');
+            }
+            const columns = headers.map(header => header.trim());
+
+            // Offsets where each line starts, to resume parsing after a malformed row
+            const lineStarts = [0];
+            const newline = /\r\n|\r|\n/g;
+            let match;
+            while ((match = newline.exec(text)) !== null) {
+                lineStarts.push(match.index + match[0].length);
+            }
 
-                // Push the last field
-                if (currentField) {
-                    fields.push(currentField.trim());
-                }
+            const records = [];
+            let fromLine = 2;
+            while (fromLine <= lineStarts.length) {
+                const offset = fromLine - 1;
+                let lastLine = offset;
+                try {
+                    csvParseSync(text.slice(lineStarts[offset]), {
+                        delimiter,
+                        columns,
+                        trim: true,
+                        skip_empty_lines: true,
+                        skip_lines_with_empty_values: true,
+                        relax_column_count_less: true,
+                        on_record: (record, context) => {
+                            // context.lines is the line a record ends on; quoted newlines tell how many lines it spans
+                            const spannedLines = Object.values(record)
+                                .reduce((sum, value) => sum + (String(value).match(/\r\n|\r|\n/g) || []).length, 0);
+                            lastLine = offset + context.lines;
+                            records.push({ ...record, lineNumber: lastLine - spannedLines });
+                            return null;
+                        }
+                    });
+                    break;
+                } catch (error) {
+                    if (!error.code) throw error;
+
+                    let rowStart = lastLine + 1;
+                    while (rowStart < lineStarts.length && !text.slice(lineStarts[rowStart - 1], lineStarts[rowStart]).trim()) {
+                        rowStart++;
+                    }
+                    // An unclosed quote is only noticed at the end of the file, blame the row it opened in
+                    const lineNumber = error.code === 'CSV_QUOTE_NOT_CLOSED' ? rowStart : offset + error.lines;
+                    const message = error.message.replace(/(at|on) line \d+/, `$1 line ${lineNumber}`);
 
-                // Skip empty lines
-                if (fields.some(f => f.length > 0)) {
-                    parsedLines.push(fields);
+                    logger.warn('Skipping malformed CSV row', 'parseCSV', {
+                        lineNumber,
+                        code: error.code,
+                        error: message
+                    });
+                    this.parseErrors.push({
+                        lineNumber,
+                        endpoint: '',
+                        method: '',
+                        error: message
+                    });
+                    fromLine = lineNumber + 1;
                 }
             }
 
             logger.info('CSV parsing complete', 'parseCSV', {
-                totalRecords: parsedLines.length,
-                firstRecord: parsedLines[0] || null
+                delimiter,
+                totalRecords: records.length,
+                skippedRows: this.parseErrors.length,
+                firstRecord: records[0] || null
             });
 
-            // Clean up fields - remove quotes and handle escapes
-            const cleanRecords = parsedLines.map(fields => 
-                fields.map(field => field
-                    .replace(/^"(.*)"$/, '$1') // Remove surrounding quotes
-                    .replace(/\\"/g, '"')     // Un-escape quotes
-                    .trim()
-                )
-            );
-
-            // Convert array of fields to object using headers
-            const recordObjects = cleanRecords.map(fields => {
-                const record = {};
-                headers.forEach((header, index) => {
-                    record[header.trim()] = fields[index] || '';
-                });
-                return record;
-            });
-
-            return recordObjects;
+            return records;
 
         } catch (error) {
-            logger.error('Failed to parse CSV', 'parseCSV', { error });
+            logger.error('Failed to parse CSV', 'parseCSV', { error: error.message });
             throw new Error(`Failed to parse CSV: ${error.message}`);
         }
     }
@@ -155,10 +180,12 @@ class OpenAPICSVProcessor {
         });
 
         for (const record of records) {
+            const { lineNumber } = record;
             try {
                 // Skip records without required fields
                 if (!record.ENDPOINT || !record.METHOD) {
                     errors.push({
+                        lineNumber,
                         endpoint: record.ENDPOINT || '',
                         method: record.METHOD || '',
                         error: 'Missing required fields: ENDPOINT and METHOD are required'
@@ -366,7 +393,7 @@ class OpenAPICSVProcessor {
     }
 
     /**
-     * Process a CSV row and store metadata in MongoDB
+     * Process a CSV row and store metadata in the metadata store (MongoDB or PostgreSQL)
      */
     async processCSVRowAndStoreMetadata(row, csvFilePath) {
         try {
@@ -406,22 +433,18 @@ class OpenAPICSVProcessor {
                 vector_id: metadataFields.vector_id
             });
 
-            // Update or create metadata in MongoDB
-            const result = await Metadata.findOneAndUpdate(
-                { endpoint, method },
-                { $set: metadataFields },
-                { 
-                    upsert: true, 
-                    new: true,
-                    runValidators: true 
-                }
-            );
+            // Update or create the endpoint's metadata record
+            const metadataStore = createMetadataStore();
+            if (!metadataStore) {
+                throw new Error('No metadata store configured (MongoDB or METADATA_STORE=postgres)');
+            }
+            const result = await metadataStore.upsertEndpoint(metadataFields);
 
             return {
                 status: 'updated',
                 endpoint,
                 method,
-                mongoId: result._id
+                metadataId: result.id
             };
 
         } catch (error) {
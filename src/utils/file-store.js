@@ -0,0 +1,109 @@
+/**
+ * @module file-store
+ * @description Small JSON file persistence for server state when MongoDB is not configured
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('file-store');
+
+/**
+ * Directory holding the JSON stores (DATA_DIR, default ./data)
+ * @returns {string}
+ */
+function getDataDir() {
+    return path.resolve(process.cwd(), process.env.DATA_DIR || 'data');
+}
+
+/**
+ * A collection of records keyed by `id`, persisted as one JSON file.
+ * Writes are serialized and go through a temporary file so a crash never leaves a truncated store.
+ */
+class JsonFileStore {
+    /**
+     * @param {string} name - Collection name, used as the file name
+     */
+    constructor(name) {
+        this.name = name;
+        this.filePath = path.join(getDataDir(), `${name}.json`);
+        this.records = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (this.records) return this.records;
+
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.records = new Map(JSON.parse(content).map(record => [record.id, record]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read store, starting empty', 'load', {
+                    store: this.name,
+                    error: error.message
+                });
+            }
+            this.records = new Map();
+        }
+        return this.records;
+    }
+
+    async persist() {
+        const records = Array.from(this.records.values());
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(records, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+        }).catch(error => {
+            logger.error('Failed to write store', 'persist', {
+                store: this.name,
+                error: error.message
+            });
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        return Array.from((await this.load()).values());
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        return (await this.load()).get(id) || null;
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {Object} record - Record with an `id`
+     * @returns {Promise<Object>}
+     */
+    async save(record) {
+        (await this.load()).set(record.id, record);
+        await this.persist();
+        return record;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} Whether a record was removed
+     */
+    async remove(id) {
+        const removed = (await this.load()).delete(id);
+        if (removed) await this.persist();
+        return removed;
+    }
+}
+
+module.exports = {
+    JsonFileStore,
+    getDataDir
+};
@@ -0,0 +1,274 @@
+/**
+ * @module hnsw
+ * @description In-memory HNSW (hierarchical navigable small world) graph for approximate nearest neighbour
+ * search by cosine similarity, used by the local vector store. The graph only holds ids; vectors are read
+ * through the `vectorOf` callback, so the store keeps a single copy of them.
+ */
+
+/**
+ * Cosine similarity of two vectors given their norms
+ * @param {Float32Array|Array<number>} a
+ * @param {number} normA
+ * @param {Float32Array|Array<number>} b
+ * @param {number} normB
+ * @returns {number}
+ * @throws {Error} When the vectors have different dimensions
+ */
+function cosineSimilarity(a, normA, b, normB) {
+    if (a.length !== b.length) {
+        throw new Error(`Cannot compare vectors of ${a.length} and ${b.length} dimensions`);
+    }
+    if (!normA || !normB) return 0;
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+    }
+    return dot / (normA * normB);
+}
+
+/**
+ * Euclidean norm of a vector
+ * @param {Float32Array|Array<number>} vector
+ * @returns {number}
+ */
+function vectorNorm(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+        sum += vector[i] * vector[i];
+    }
+    return Math.sqrt(sum);
+}
+
+// Insert into a list sorted by descending score
+function insertSorted(list, item) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (list[mid].score >= item.score) low = mid + 1;
+        else high = mid;
+    }
+    list.splice(low, 0, item);
+}
+
+class HnswIndex {
+    /**
+     * @param {function(string): {vector: Float32Array, norm: number}} vectorOf - Stored vector of an id
+     * @param {Object} [options]
+     * @param {number} [options.m] - Links per node and layer (twice as many on layer 0)
+     * @param {number} [options.efConstruction] - Candidate list size while inserting
+     * @param {number} [options.efSearch] - Candidate list size while searching
+     */
+    constructor(vectorOf, options = {}) {
+        this.vectorOf = vectorOf;
+        this.m = options.m || 16;
+        this.efConstruction = options.efConstruction || 200;
+        this.efSearch = options.efSearch || 100;
+        this.levelFactor = 1 / Math.log(this.m);
+        this.nodes = new Map(); // id -> { level, neighbors: Array<Array<string>> } (one list per layer)
+        this.entryPoint = null;
+        this.maxLevel = -1;
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(id) {
+        return this.nodes.has(id);
+    }
+
+    similarity(query, queryNorm, id) {
+        const { vector, norm } = this.vectorOf(id);
+        return cosineSimilarity(query, queryNorm, vector, norm);
+    }
+
+    // Greedy best-first search of one layer; the `ef` best nodes found, best first
+    searchLayer(query, queryNorm, entryIds, ef, level) {
+        const visited = new Set(entryIds);
+        const candidates = [];
+        const results = [];
+        for (const id of entryIds) {
+            const item = { id, score: this.similarity(query, queryNorm, id) };
+            insertSorted(candidates, item);
+            insertSorted(results, item);
+        }
+        results.splice(ef);
+
+        while (candidates.length) {
+            const current = candidates.shift();
+            if (results.length >= ef && current.score < results[results.length - 1].score) {
+                break;
+            }
+
+            for (const neighborId of this.nodes.get(current.id)?.neighbors[level] || []) {
+                if (visited.has(neighborId)) continue;
+                visited.add(neighborId);
+
+                const score = this.similarity(query, queryNorm, neighborId);
+                if (results.length < ef || score > results[results.length - 1].score) {
+                    const item = { id: neighborId, score };
+                    insertSorted(candidates, item);
+                    insertSorted(results, item);
+                    if (results.length > ef) results.pop();
+                }
+            }
+        }
+        return results;
+    }
+
+    // Descend the upper layers greedily, down to `level`
+    descend(query, queryNorm, level) {
+        let entry = [this.entryPoint];
+        for (let l = this.maxLevel; l > level; l--) {
+            entry = [this.searchLayer(query, queryNorm, entry, 1, l)[0].id];
+        }
+        return entry;
+    }
+
+    /**
+     * Add a vector; an id already in the graph is re-linked (see removeMany)
+     * @param {string} id
+     */
+    insert(id) {
+        if (this.nodes.has(id)) {
+            this.removeMany([id]);
+        }
+
+        const { vector, norm } = this.vectorOf(id);
+        const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelFactor);
+        const node = { level, neighbors: Array.from({ length: level + 1 }, () => []) };
+
+        if (this.entryPoint === null) {
+            this.nodes.set(id, node);
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        let entry = this.descend(vector, norm, level);
+        this.nodes.set(id, node);
+
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const found = this.searchLayer(vector, norm, entry, this.efConstruction, l).filter(item => item.id !== id);
+            const maxLinks = l === 0 ? this.m * 2 : this.m;
+            node.neighbors[l] = found.slice(0, this.m).map(item => item.id);
+
+            for (const neighborId of node.neighbors[l]) {
+                const links = this.nodes.get(neighborId).neighbors[l];
+                links.push(id);
+                if (links.length > maxLinks) {
+                    this.prune(neighborId, l, maxLinks);
+                }
+            }
+            entry = found.length ? found.map(item => item.id) : entry;
+        }
+
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entryPoint = id;
+        }
+    }
+
+    // Keep a node's closest links on a layer
+    prune(id, level, maxLinks) {
+        const { vector, norm } = this.vectorOf(id);
+        const node = this.nodes.get(id);
+        node.neighbors[level] = node.neighbors[level]
+            .map(neighborId => ({ id: neighborId, score: this.similarity(vector, norm, neighborId) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxLinks)
+            .map(item => item.id);
+    }
+
+    /**
+     * Remove nodes and every link to them. The entry point moves to the highest remaining node.
+     * @param {Array<string>} ids
+     */
+    removeMany(ids) {
+        const removed = new Set(ids.filter(id => this.nodes.has(id)));
+        if (!removed.size) return;
+
+        removed.forEach(id => this.nodes.delete(id));
+        for (const node of this.nodes.values()) {
+            node.neighbors = node.neighbors.map(links => links.filter(id => !removed.has(id)));
+        }
+
+        if (removed.has(this.entryPoint)) {
+            this.entryPoint = null;
+            this.maxLevel = -1;
+            for (const [id, node] of this.nodes) {
+                if (node.level > this.maxLevel) {
+                    this.entryPoint = id;
+                    this.maxLevel = node.level;
+                }
+            }
+        }
+    }
+
+    /**
+     * Approximate nearest neighbours, best first
+     * @param {Float32Array|Array<number>} query
+     * @param {number} k
+     * @param {function(string): boolean} [accept] - Only return ids passing this check
+     * @returns {Array<{id: string, score: number}>}
+     */
+    search(query, k, accept = () => true) {
+        if (this.entryPoint === null) return [];
+
+        const queryNorm = vectorNorm(query);
+        const entry = this.descend(query, queryNorm, 0);
+        return this.searchLayer(query, queryNorm, entry, Math.max(this.efSearch, k), 0)
+            .filter(item => accept(item.id))
+            .slice(0, k);
+    }
+
+    /**
+     * Serialize the graph, with ids replaced by their position in `ids`
+     * @param {Array<string>} ids
+     * @returns {Object}
+     */
+    toJSON(ids) {
+        const positions = new Map(ids.map((id, index) => [id, index]));
+        return {
+            m: this.m,
+            entryPoint: this.entryPoint === null ? null : positions.get(this.entryPoint),
+            maxLevel: this.maxLevel,
+            nodes: ids.map(id => {
+                const node = this.nodes.get(id);
+                return node ? node.neighbors.map(links => links.map(link => positions.get(link))) : null;
+            })
+        };
+    }
+
+    /**
+     * Restore a graph written by toJSON; false when it does not match `ids` (the graph must be rebuilt)
+     * @param {Object} data
+     * @param {Array<string>} ids
+     * @returns {boolean}
+     */
+    load(data, ids) {
+        if (!data || data.m !== this.m || !Array.isArray(data.nodes) || data.nodes.length !== ids.length) {
+            return false;
+        }
+
+        this.nodes = new Map();
+        data.nodes.forEach((layers, index) => {
+            if (layers) {
+                this.nodes.set(ids[index], {
+                    level: layers.length - 1,
+                    neighbors: layers.map(links => links.map(position => ids[position]).filter(Boolean))
+                });
+            }
+        });
+        this.entryPoint = data.entryPoint === null ? null : ids[data.entryPoint];
+        this.maxLevel = data.maxLevel;
+        return this.nodes.size === ids.length;
+    }
+}
+
+module.exports = {
+    HnswIndex,
+    cosineSimilarity,
+    vectorNorm
+};
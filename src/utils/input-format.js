@@ -0,0 +1,87 @@
+/**
+ * @module input-format
+ * @description Detects which kind of API description an uploaded file contains
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { isPostmanCollection } = require('./postman-converter');
+
+const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Parse a JSON or YAML specification; already parsed objects are passed through
+ * @param {string|Buffer|Object} specContent - Raw or parsed content
+ * @returns {Object}
+ */
+function parseSpecContent(specContent) {
+    if (specContent && typeof specContent === 'object' && !Buffer.isBuffer(specContent)) {
+        return specContent;
+    }
+
+    const text = specContent.toString();
+    try {
+        return JSON.parse(text);
+    } catch {
+        const spec = yaml.load(text);
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('Specification must be a JSON or YAML object');
+        }
+        return spec;
+    }
+}
+
+/**
+ * Detect the format of a parsed document
+ * @param {Object} doc - Parsed JSON/YAML document
+ * @returns {'postman'|'asyncapi'|'openapi'|null}
+ */
+function detectDocumentFormat(doc) {
+    if (isPostmanCollection(doc)) return 'postman';
+    if (doc?.asyncapi) return 'asyncapi';
+    if (doc?.openapi || doc?.swagger) return 'openapi';
+    return null;
+}
+
+/**
+ * Detect the input format of an upload from its file name and content.
+ * CSV is chosen by extension; JSON/YAML content is inspected. INPUT_FORMAT is only
+ * the fallback for files whose type cannot be told from the name or content.
+ *
+ * @param {string} fileName - Uploaded file name
+ * @param {string|Buffer|Object} content - File content
+ * @returns {{format: 'csv'|'postman'|'asyncapi'|'openapi', spec: Object|null}}
+ */
+function detectInputFormat(fileName, content) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const fallback = process.env.INPUT_FORMAT?.toLowerCase() || 'csv';
+
+    if (extension === '.csv') {
+        return { format: 'csv', spec: null };
+    }
+
+    let spec = null;
+    try {
+        spec = parseSpecContent(content);
+    } catch (error) {
+        if (SPEC_EXTENSIONS.includes(extension) || fallback !== 'csv') {
+            throw error;
+        }
+        return { format: 'csv', spec: null };
+    }
+
+    const format = detectDocumentFormat(spec);
+    if (format) {
+        return { format, spec };
+    }
+    if (!SPEC_EXTENSIONS.includes(extension) && fallback === 'csv') {
+        return { format: 'csv', spec: null };
+    }
+    return { format: fallback === 'postman' ? 'postman' : 'openapi', spec };
+}
+
+module.exports = {
+    parseSpecContent,
+    detectDocumentFormat,
+    detectInputFormat
+};
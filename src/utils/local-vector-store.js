@@ -0,0 +1,295 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { createModuleLogger } = require('./logger');
+const { getDataDir } = require('./file-store');
+const { MAX_LIST_SIZE } = require('./vector-store');
+const { matchesFilter } = require('./metadata-filter');
+const { HnswIndex, cosineSimilarity, vectorNorm } = require('./hnsw');
+
+const logger = createModuleLogger('local-vector-store');
+
+const FILE_VERSION = 1;
+const INDEX_TYPES = ['flat', 'hnsw'];
+
+function encodeVector(values) {
+    return Buffer.from(new Float32Array(values).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+    // Copied into a fresh buffer, as a Float32Array needs 4-byte alignment
+    return new Float32Array(new Uint8Array(Buffer.from(encoded, 'base64')).buffer);
+}
+
+// Vectors of other dimensions than the namespace's come from another embedding model and cannot be compared
+function assertDimensions(records, values, namespace, id) {
+    const stored = records.values().next().value;
+    if (stored && stored.vector.length !== values.length) {
+        throw new Error(
+            `Vector ${id ? `${id} ` : ''}has ${values.length} dimensions but namespace '${namespace}' holds ` +
+            `${stored.vector.length}-dimension vectors; re-index the spec after changing the embedding model`
+        );
+    }
+}
+
+function sameVector(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Built-in adapter of the vector store contract (see vector-store), for single-node and offline installs: no
+ * server, no dependency. Every namespace is one file in DATA_DIR/vectors (vectors as base64 float32), loaded
+ * into memory on first use and rewritten on every change. LOCAL_VECTOR_INDEX picks exact search over all
+ * vectors (`flat`, default) or an HNSW graph (`hnsw`), persisted with the vectors. Filters are evaluated in
+ * memory with the Pinecone semantics (see metadata-filter).
+ */
+class LocalVectorStore {
+    constructor() {
+        this.provider = 'local';
+        this.directory = path.join(getDataDir(), 'vectors');
+        this.indexType = (process.env.LOCAL_VECTOR_INDEX || 'flat').toLowerCase();
+        this.hnswOptions = {
+            m: parseInt(process.env.LOCAL_HNSW_M || '16', 10),
+            efConstruction: parseInt(process.env.LOCAL_HNSW_EF_CONSTRUCTION || '200', 10),
+            efSearch: parseInt(process.env.LOCAL_HNSW_EF_SEARCH || '100', 10)
+        };
+        this.namespaces = new Map(); // namespace -> Promise<{ records: Map, index: HnswIndex|null }>
+        this.writeQueues = new Map();
+
+        if (!INDEX_TYPES.includes(this.indexType)) {
+            throw new Error(`Invalid LOCAL_VECTOR_INDEX: ${this.indexType} (expected one of ${INDEX_TYPES.join(', ')})`);
+        }
+    }
+
+    async initialize() {
+        await fs.mkdir(this.directory, { recursive: true });
+        logger.info('Initialized local vector store', 'initialize', {
+            directory: this.directory,
+            index: this.indexType
+        });
+        return this;
+    }
+
+    filePath(namespace) {
+        return path.join(this.directory, `${namespace ? encodeURIComponent(namespace) : '_default'}.json`);
+    }
+
+    createIndex(records) {
+        return new HnswIndex(id => records.get(id), this.hnswOptions);
+    }
+
+    /**
+     * The records of a namespace (and its HNSW graph), read from disk once
+     */
+    namespace(namespace = '') {
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, this.load(namespace));
+        }
+        return this.namespaces.get(namespace);
+    }
+
+    async load(namespace) {
+        const records = new Map();
+        let data = null;
+        try {
+            data = JSON.parse(await fs.readFile(this.filePath(namespace), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read vectors, starting empty', 'load', {
+                    namespace,
+                    error: error.message
+                });
+            }
+        }
+
+        for (const record of data?.records || []) {
+            const vector = decodeVector(record.vector);
+            records.set(record.id, { id: record.id, vector, norm: vectorNorm(vector), metadata: record.metadata || {} });
+        }
+
+        let index = null;
+        if (this.indexType === 'hnsw') {
+            index = this.createIndex(records);
+            if (!index.load(data?.hnsw, [...records.keys()])) {
+                logger.info('Building HNSW index', 'load', { namespace, vectorCount: records.size });
+                for (const id of records.keys()) {
+                    index.insert(id);
+                }
+            }
+        }
+
+        return { records, index };
+    }
+
+    // Rewrite a namespace's file, one write at a time per namespace, through a temporary file
+    async persist(namespace) {
+        const { records, index } = await this.namespace(namespace);
+        const previous = this.writeQueues.get(namespace) || Promise.resolve();
+
+        const write = previous.catch(() => {}).then(async () => {
+            const filePath = this.filePath(namespace);
+            if (!records.size) {
+                await fs.rm(filePath, { force: true });
+                return;
+            }
+
+            const ids = [...records.keys()];
+            const content = JSON.stringify({
+                version: FILE_VERSION,
+                namespace,
+                records: ids.map(id => ({
+                    id,
+                    vector: encodeVector(records.get(id).vector),
+                    metadata: records.get(id).metadata
+                })),
+                ...(index ? { hnsw: index.toJSON(ids) } : {})
+            });
+
+            await fs.mkdir(this.directory, { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, content);
+            await fs.rename(tmpPath, filePath);
+        });
+
+        this.writeQueues.set(namespace, write);
+        return write;
+    }
+
+    async upsert(vectors, { namespace = '' } = {}) {
+        if (!vectors.length) return;
+        const { records, index } = await this.namespace(namespace);
+
+        for (const { id, values, metadata } of vectors) {
+            assertDimensions(records, values, namespace, id);
+            const vector = new Float32Array(values);
+            const existing = records.get(id);
+            records.set(id, { id, vector, norm: vectorNorm(vector), metadata: metadata || {} });
+
+            // Unchanged chunks are re-upserted with their stored values; their links stay valid
+            if (index && !(existing && sameVector(existing.vector, vector))) {
+                index.insert(id);
+            }
+        }
+
+        await this.persist(namespace);
+        logger.debug('Upserted vectors', 'upsert', { namespace, vectorCount: vectors.length });
+    }
+
+    async query(vector, { namespace = '', topK = 10, filter, includeValues = false } = {}) {
+        const { records, index } = await this.namespace(namespace);
+        assertDimensions(records, vector, namespace);
+        const accept = id => matchesFilter(records.get(id).metadata, filter);
+
+        let scored = index ? index.search(vector, topK, accept) : [];
+        // Exact scan: the flat index, or a filter too selective for the graph's candidates
+        if (scored.length < Math.min(topK, records.size)) {
+            const queryNorm = vectorNorm(vector);
+            scored = [...records.values()]
+                .filter(record => matchesFilter(record.metadata, filter))
+                .map(record => ({ id: record.id, score: cosineSimilarity(vector, queryNorm, record.vector, record.norm) }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+        }
+
+        return {
+            matches: scored.map(({ id, score }) => ({
+                id,
+                score,
+                metadata: records.get(id).metadata,
+                ...(includeValues ? { values: Array.from(records.get(id).vector) } : {})
+            }))
+        };
+    }
+
+    async fetch(ids, { namespace = '' } = {}) {
+        const { records } = await this.namespace(namespace);
+        return new Map(ids.filter(id => records.has(id)).map(id => {
+            const record = records.get(id);
+            return [id, { id, values: Array.from(record.vector), metadata: record.metadata }];
+        }));
+    }
+
+    async find({ namespace = '', filter, limit = MAX_LIST_SIZE } = {}) {
+        const { records } = await this.namespace(namespace);
+        const found = [];
+        for (const record of records.values()) {
+            if (found.length >= limit) break;
+            if (matchesFilter(record.metadata, filter)) {
+                found.push({ id: record.id, metadata: record.metadata });
+            }
+        }
+        return found;
+    }
+
+    async listIds({ namespace = '', prefix = '' } = {}) {
+        const { records } = await this.namespace(namespace);
+        return [...records.keys()].filter(id => id.startsWith(prefix));
+    }
+
+    async count({ namespace = '', filter } = {}) {
+        const { records } = await this.namespace(namespace);
+        if (!filter || !Object.keys(filter).length) {
+            return records.size;
+        }
+        return [...records.values()].filter(record => matchesFilter(record.metadata, filter)).length;
+    }
+
+    async deleteByIds(ids, { namespace = '' } = {}) {
+        const { records, index } = await this.namespace(namespace);
+        const removed = ids.filter(id => records.delete(id));
+        if (!removed.length) return;
+
+        index?.removeMany(removed);
+        await this.persist(namespace);
+    }
+
+    async deleteByFilter(filter, { namespace = '' } = {}) {
+        const ids = (await this.find({ namespace, filter, limit: Infinity })).map(record => record.id);
+        await this.deleteByIds(ids, { namespace });
+
+        logger.info('Deleted vectors', 'deleteByFilter', { namespace, filter, deletedCount: ids.length });
+        return ids.length;
+    }
+
+    async deleteNamespace(namespace) {
+        const { records, index } = await this.namespace(namespace);
+        index?.removeMany([...records.keys()]);
+        records.clear();
+        await this.persist(namespace);
+    }
+
+    async listNamespaces() {
+        const files = await fs.readdir(this.directory).catch(() => []);
+        const names = new Set(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .map(name => (name === '_default' ? '' : decodeURIComponent(name))));
+
+        const namespaces = [];
+        for (const name of names) {
+            namespaces.push({ name, count: await this.count({ namespace: name }) });
+        }
+        return namespaces.filter(namespace => namespace.count > 0);
+    }
+
+    async health() {
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.access(this.directory, require('fs').constants.W_OK);
+            return { ok: true, provider: this.provider, directory: this.directory, index: this.indexType };
+        } catch (error) {
+            return { ok: false, provider: this.provider, error: error.message };
+        }
+    }
+}
+
+function createLocalStore() {
+    return new LocalVectorStore();
+}
+
+module.exports = {
+    createLocalStore
+};
@@ -0,0 +1,59 @@
+/**
+ * @module metadata-filter
+ * @description Evaluates vector store filters against a record's metadata in memory, with Pinecone's semantics:
+ * a list field equals a value when it contains it, and `$in` matches when any element is in the list.
+ */
+
+function equals(value, expected) {
+    return Array.isArray(value) ? value.includes(expected) : value === expected;
+}
+
+function comparable(value, operand) {
+    return value !== undefined && value !== null && typeof value === typeof operand;
+}
+
+const OPERATORS = {
+    $eq: (value, operand) => equals(value, operand),
+    $ne: (value, operand) => !equals(value, operand),
+    $in: (value, operand) => operand.some(expected => equals(value, expected)),
+    $nin: (value, operand) => !operand.some(expected => equals(value, expected)),
+    $gt: (value, operand) => comparable(value, operand) && value > operand,
+    $gte: (value, operand) => comparable(value, operand) && value >= operand,
+    $lt: (value, operand) => comparable(value, operand) && value < operand,
+    $lte: (value, operand) => comparable(value, operand) && value <= operand,
+    $exists: (value, operand) => (value !== undefined && value !== null) === !!operand
+};
+
+/**
+ * Whether metadata matches a filter (`{ field: value }`, `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`,
+ * `$lt`, `$lte`, `$exists`, `$and`, `$or`); an empty filter matches everything
+ * @param {Object} metadata
+ * @param {Object} [filter]
+ * @returns {boolean}
+ */
+function matchesFilter(metadata = {}, filter) {
+    return Object.entries(filter || {}).every(([key, condition]) => {
+        if (key === '$and') {
+            return condition.every(part => matchesFilter(metadata, part));
+        }
+        if (key === '$or') {
+            return condition.some(part => matchesFilter(metadata, part));
+        }
+
+        const value = metadata[key];
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            return equals(value, condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            if (!OPERATORS[operator]) {
+                throw new Error(`Unsupported filter operator: ${operator}`);
+            }
+            return OPERATORS[operator](value, operand);
+        });
+    });
+}
+
+module.exports = {
+    matchesFilter
+};
@@ -1,74 +1,25 @@
 require('dotenv').config();
 
 const { Pinecone } = require('@pinecone-database/pinecone');
-const { OpenAIEmbeddings } = require('@langchain/openai');
 const { createModuleLogger } = require('./logger');
-const { OpenAPIChunker, OpenAPICSVProcessor } = require('./chunking');
+const { OpenAPIChunker, AsyncAPIChunker, OpenAPICSVProcessor } = require('./chunking');
 const { isDbSystemEnabled, db, mongoose } = require('../db/config');
-const yaml = require('js-yaml');
+const { detectInputFormat } = require('./input-format');
+const { convertPostmanToOpenAPI3 } = require('./postman-converter');
+const { assignChunkIdentities, specIdFor } = require('./chunk-identity');
 const fetch = require('node-fetch');
 const Metadata = require('../models/metadata');
+const { createMetadataStore } = require('../db/metadata-store');
+const { getVectorStore, deleteFileChunks } = require('../services/vectorDbService');
+const { embedDocuments, getEmbeddingDimensions } = require('../services/embeddingService');
+const { indexChunks, removeChunks } = require('../services/keywordIndexService');
 const fs = require('fs').promises;
 const path = require('path');
 let pinecone = null
 const logger = createModuleLogger('openapi');
 
-// Initialize OpenAI embeddings
-const embeddings = new OpenAIEmbeddings({
-    openAIApiKey: process.env.OPENAI_API_KEY,
-    modelName: 'text-embedding-ada-002'
-});
-
-// Wrap embedQuery for logging
-const originalEmbedQuery = embeddings.embedQuery;
-embeddings.embedQuery = async function (...args) {
-    logger.info('Calling OpenAI API for embeddings', 'embedQuery', {
-        textLength: args[0]?.length,
-        preview: args[0]?.substring(0, 100)
-    });
-    try {
-        const result = await originalEmbedQuery.apply(this, args);
-        logger.debug('Got embeddings from OpenAI', 'embedQuery', {
-            resultLength: result?.length,
-            sampleValues: result?.slice(0, 5),
-            hasValues: Array.isArray(result) && result.length > 0
-        });
-        return result;
-    } catch (error) {
-        logger.error('Failed to get embeddings from OpenAI', 'embedQuery', {
-            error: error.message,
-            stack: error.stack,
-            response: error.response?.data
-        });
-        throw error;
-    }
-};
-
-// Wrap embedDocuments for logging
-const originalEmbedDocuments = embeddings.embedDocuments;
-embeddings.embedDocuments = async function (...args) {
-    logger.info('Calling OpenAI API for batch embeddings', 'embedDocuments', {
-        chunks: args[0]?.length,
-        sampleText: args[0]?.[0]?.substring(0, 100)
-    });
-    try {
-        const result = await originalEmbedDocuments.apply(this, args);
-        logger.debug('Got batch embeddings from OpenAI', 'embedDocuments', {
-            resultCount: result?.length,
-            sampleLength: result[0]?.length,
-            sampleValues: result[0]?.slice(0, 5),
-            hasValues: result.every(v => Array.isArray(v) && v.length > 0)
-        });
-        return result;
-    } catch (error) {
-        logger.error('Failed to get batch embeddings from OpenAI', 'embedDocuments', {
-            error: error.message,
-            stack: error.stack,
-            response: error.response?.data
-        });
-        throw error;
-    }
-};
+// Base delay before a failed chunk batch is retried; grows with each attempt
+const BATCH_RETRY_DELAY_MS = 1000;
 
 // Helper functions to extract simplified metadata
 function extractFieldNames(parameters) {
@@ -142,45 +93,36 @@ const wrapPineconeIndex = (index) => {
     return index;
 };
 
+// Embedded files and the files being processed, for /api/status and the files page. Every file has its own
+// entry, so concurrent ingestion jobs (see jobService) don't overwrite each other's progress.
 let processingStatus = {
-    isProcessing: false,
-    progress: 0,
     error: null,
-    totalChunks: 0,
-    processedChunks: 0,
-    currentFile: null,
     embeddedFiles: []
 };
 
-// Reset processing status
-function resetProcessingStatus() {
-    processingStatus = {
-        isProcessing: false,
-        progress: 0,
-        error: null,
-        embeddedFiles: [],
-        processedChunks: 0,
-        totalChunks: 0
-    };
-    logger.debug('Reset processing status', 'resetProcessingStatus');
+// Add or update a file's entry in the embedded files list
+function setFileStatus(fileName, changes) {
+    const index = processingStatus.embeddedFiles.findIndex(f => f.fileName === fileName);
+    const entry = { ...(index >= 0 ? processingStatus.embeddedFiles[index] : { fileName }), ...changes };
+    if (index >= 0) {
+        processingStatus.embeddedFiles[index] = entry;
+    } else {
+        processingStatus.embeddedFiles.push(entry);
+    }
+    return entry;
 }
 
-// Load existing embeddings from Pinecone
-async function loadExistingEmbeddings(index) {
+// Load existing embeddings from the vector store
+async function loadExistingEmbeddings(store) {
     logger.info('Loading existing embeddings', 'loadExistingEmbeddings');
 
     try {
-        // Query for files with metadata flag
-        const queryResponse = await index.query({
-            vector: Array(1536).fill(0),
-            topK: 10000,
-            filter: { is_metadata: true },
-            includeMetadata: true
-        });
+        // Look up files with metadata flag
+        const metadataRecords = await store.find({ filter: { is_metadata: true } });
 
-        if (queryResponse.matches && queryResponse.matches.length > 0) {
+        if (metadataRecords.length > 0) {
             // Process files with metadata flag
-            for (const match of queryResponse.matches) {
+            for (const match of metadataRecords) {
                 const { fileName, totalChunks, timestamp, specId } = match.metadata;
                 if (fileName && !processingStatus.embeddedFiles.find(f => f.fileName === fileName)) {
                     processingStatus.embeddedFiles.push({
@@ -197,15 +139,11 @@ async function loadExistingEmbeddings(index) {
         } else {
             logger.info('No files found with metadata flag, checking legacy records', 'loadExistingEmbeddings');
 
-            // Query all vectors
-            const queryResponse = await index.query({
-                vector: Array(1536).fill(0),
-                topK: 10000,
-                includeMetadata: true
-            });
+            // List all vectors
+            const records = await store.find();
 
-            if (queryResponse.matches && queryResponse.matches.length > 0) {
-                for (const match of queryResponse.matches) {
+            if (records.length > 0) {
+                for (const match of records) {
                     const metadata = match.metadata || {};
                     const specId = metadata.spec_id;
                     const chunkType = metadata.chunk_type;
@@ -239,60 +177,29 @@ async function loadExistingEmbeddings(index) {
             error: error.message,
             stack: error.stack
         });
-        // Non-fatal error, continue with empty embedded files list
-        processingStatus.embeddedFiles = [];
+        // Non-fatal error, continue with the files already known
     }
 }
 
-// Process OpenAPI specification in background
-async function processOpenAPISpec(specContent, fileName) {
+/**
+ * Process an OpenAPI specification in the background.
+ * Chunk ids derive from `options.sourceName` (the original file name or URL, default `fileName`),
+ * so importing the same source again only embeds new or changed chunks and removes vanished ones.
+ * @param {string|Buffer} specContent - Raw file content
+ * @param {string} fileName - Computed (stored) file name
+ * @param {Object} [options] - See processSpecFile
+ */
+async function processOpenAPISpec(specContent, fileName, options = {}) {
     logger.info('Starting OpenAPI processing', 'processOpenAPISpec', {
         fileName
     });
 
-    // Reset processing status
-    processingStatus = {
-        isProcessing: true,
-        progress: 0,
-        error: null,
-        totalChunks: 0,
-        processedChunks: 0,
-        currentFile: fileName,
-        embeddedFiles: processingStatus.embeddedFiles
-    };
-
-    // Add file to embedded files list
-    const fileEntry = {
-        fileName,
-        status: 'processing',
-        error: null,
-        timestamp: new Date().toISOString()
-    };
-
-    const existingIndex = processingStatus.embeddedFiles.findIndex(f => f.fileName === fileName);
-    if (existingIndex >= 0) {
-        processingStatus.embeddedFiles[existingIndex] = fileEntry;
-    } else {
-        processingStatus.embeddedFiles.push(fileEntry);
-    }
-
     // Start background processing
-    processInBackground(specContent, fileName).catch(error => {
+    processSpecFile(specContent, fileName, options).catch(error => {
         logger.error('Background processing failed', 'processOpenAPISpec', {
             error: error.message,
             stack: error.stack
         });
-        processingStatus.error = error.message;
-
-        // Update embedded files list with error status
-        const fileIndex = processingStatus.embeddedFiles.findIndex(f => f.fileName === fileName);
-        if (fileIndex >= 0) {
-            processingStatus.embeddedFiles[fileIndex].status = 'error';
-            processingStatus.embeddedFiles[fileIndex].error = error.message;
-        }
-    }).finally(() => {
-        processingStatus.isProcessing = false;
-        processingStatus.currentFile = null;
     });
 
     return {
@@ -302,34 +209,91 @@ async function processOpenAPISpec(specContent, fileName) {
     };
 }
 
-// Background processing function
-async function processInBackground(specContent, fileName) {
-    // Reset status before starting new processing
-    resetProcessingStatus();
+/**
+ * Process a specification and wait until it is embedded, tracking the file's status in the embedded files list.
+ * Ingestion jobs (see jobService) persist progress through the callbacks and resume with `startBatch`.
+ * @param {string|Buffer} specContent - Raw file content
+ * @param {string} fileName - Computed (stored) file name
+ * @param {Object} [options]
+ * @param {string} [options.sourceName] - Name identifying the specification across uploads
+ * @param {string} [options.originalName] - Original file name or URL, when it differs from `sourceName`
+ * @param {string} [options.apiName] - Logical API name (see specVersionService)
+ * @param {string} [options.apiVersion] - Version of the API this upload is
+ * @param {boolean} [options.force] - Re-embed every chunk, even unchanged ones
+ * @param {number} [options.startBatch=0] - Number of batches already completed by an interrupted run
+ * @param {number} [options.batchRetries=0] - How often a failed batch is retried before processing fails
+ * @param {Function} [options.onChunks] - Called once chunked with { totalChunks, totalBatches, batchSize, rowErrors }
+ * @param {Function} [options.onBatch] - Called after each batch with { batchNumber, totalBatches, processedChunks, totalChunks, embedded, unchanged }
+ * @returns {Promise<{embedded: number, unchanged: number, deleted: number, totalChunks: number}>}
+ */
+async function processSpecFile(specContent, fileName, options = {}) {
+    setFileStatus(fileName, {
+        status: 'processing',
+        error: null,
+        progress: 0,
+        processedChunks: 0,
+        timestamp: new Date().toISOString()
+    });
+
+    try {
+        const stats = await processInBackground(specContent, fileName, options);
+        setFileStatus(fileName, {
+            status: 'completed',
+            progress: 100,
+            totalChunks: stats.totalChunks,
+            timestamp: new Date().toISOString()
+        });
+        return stats;
+    } catch (error) {
+        processingStatus.error = error.message;
+        setFileStatus(fileName, { status: 'error', error: error.message });
+        throw error;
+    }
+}
 
-    processingStatus.isProcessing = true;
-    processingStatus.progress = 0;
+/**
+ * processChunkBatch, retried with a growing delay. Throws once the retries are used up, so processing
+ * stops at the failed batch and a resumed run starts from it.
+ */
+async function processBatchWithRetries(batch, fileName, startIndex, options, retries = 0) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await processChunkBatch(batch, fileName, startIndex, options);
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            logger.warn('Retrying chunk batch', 'processBatchWithRetries', {
+                startIndex,
+                attempt: attempt + 1,
+                retries,
+                error: error.message
+            });
+            await new Promise(resolve => setTimeout(resolve, BATCH_RETRY_DELAY_MS * (attempt + 1)));
+        }
+    }
+}
 
+// Chunk, embed and store a specification
+async function processInBackground(specContent, fileName, options = {}) {
     try {
         let chunks;
-        const fileType = process.env.INPUT_FORMAT?.toLowerCase() || 'csv';
-        const isCSV = fileName.toLowerCase().endsWith('.csv') || fileType === 'csv';
+        let processingErrors = [];
+        const { format, spec } = detectInputFormat(fileName, specContent);
+        const sourceName = options.sourceName || fileName;
+        const originalName = options.originalName || sourceName;
 
         logger.debug('Processing file', 'processInBackground', {
             fileName,
-            fileType,
-            isCSV
+            format
         });
 
-        if (isCSV) {
+        if (format === 'csv') {
             logger.info('Processing CSV file', 'processInBackground', {
                 fileName
             });
-            const csvProcessor = new OpenAPICSVProcessor();
-            const fileContent = specContent.toString();
+            const csvProcessor = new OpenAPICSVProcessor({ specId: specIdFor(sourceName) });
 
-            // Parse and process CSV
-            const records = await csvProcessor.parseCSV(fileContent);
+            // Parse and process CSV; Buffers are passed as-is so their encoding can be detected
+            const records = await csvProcessor.parseCSV(specContent);
             logger.info('Parsed CSV records', 'processInBackground', {
                 recordCount: records.length,
                 firstRecord: records[0] ? Object.keys(records[0]) : []
@@ -338,7 +302,8 @@ async function processInBackground(specContent, fileName) {
             // Generate chunks
             const result = await csvProcessor.generateChunks(records);
             chunks = result.chunks;
-            const processingErrors = result.errors;
+            processingErrors = [...csvProcessor.parseErrors, ...result.errors]
+                .sort((a, b) => (a.lineNumber || 0) - (b.lineNumber || 0));
 
             // Log import errors if any
             if (processingErrors && processingErrors.length > 0) {
@@ -360,54 +325,139 @@ async function processInBackground(specContent, fileName) {
                 fileName
             });
 
+            // The rows' endpoint metadata, found again by path, method and spec id (see documentService)
+            if (createMetadataStore()) {
+                await csvProcessor.processCSVRowsAndStoreMetadata(
+                    records.filter(record => record.ENDPOINT && record.METHOD),
+                    fileName
+                );
+            }
+
         } else {
-            chunks = await processOpenAPISpec(specContent, fileName);
+            // Postman collections are converted to OpenAPI 3 and chunked like any other spec
+            const chunker = format === 'asyncapi'
+                ? new AsyncAPIChunker(spec, { sourceFile: fileName })
+                : new OpenAPIChunker(format === 'postman' ? convertPostmanToOpenAPI3(spec) : spec, { sourceFile: fileName });
+            chunks = await chunker.processSpecification();
+
+            logger.info('Generated chunks from specification', 'processInBackground', {
+                chunkCount: chunks.length,
+                format,
+                fileName
+            });
         }
 
-        // Get existing embeddings
-        const index = await initPinecone();
-        const existingEmbeddings = await loadExistingEmbeddings(index);
+        const { specId } = assignChunkIdentities(chunks, sourceName);
+
+        // Get existing embeddings; each spec's chunks live in a namespace named after its spec id
+        const store = await getVectorStore();
+        await loadExistingEmbeddings(store);
+        const existingVectors = await fetchSpecVectors(store, specId, specId);
+        const namespaceIds = [...existingVectors.keys()];
+
+        // Chunks embedded before namespaces were used are moved over, keeping their embeddings. They are looked
+        // up on every run, so a migration resumed after some batches still removes them from the default namespace
+        const legacyVectors = await fetchSpecVectors(store, specId);
+        const legacyIds = [...legacyVectors.keys()];
+        legacyVectors.forEach((record, id) => {
+            if (!existingVectors.has(id)) existingVectors.set(id, record);
+        });
+        const stats = { embedded: 0, unchanged: 0, deleted: 0 };
 
-        // Process chunks in batches
+        // Process chunks in batches, skipping those completed before an interruption
         const batchSize = 100;
         const totalBatches = Math.ceil(chunks.length / batchSize);
+        const startBatch = Math.min(options.startBatch || 0, totalBatches);
+
+        setFileStatus(fileName, {
+            totalChunks: chunks.length,
+            processedChunks: Math.min(startBatch * batchSize, chunks.length)
+        });
+        await options.onChunks?.({
+            totalChunks: chunks.length,
+            totalBatches,
+            batchSize,
+            rowErrors: processingErrors
+        });
+        if (startBatch > 0) {
+            logger.info('Resuming after completed batches', 'processInBackground', {
+                fileName,
+                completedBatches: startBatch,
+                totalBatches
+            });
+        }
 
-        for (let i = 0; i < chunks.length; i += batchSize) {
+        for (let batchIndex = startBatch; batchIndex < totalBatches; batchIndex++) {
+            const i = batchIndex * batchSize;
             const batch = chunks.slice(i, i + batchSize);
             logger.info('Processing chunk batch', 'processInBackground', {
-                batchNumber: Math.floor(i / batchSize) + 1,
+                batchNumber: batchIndex + 1,
                 totalBatches,
                 batchSize: batch.length
             });
 
-            try {
-                await processChunkBatch(batch, fileName, i);
-                processingStatus.progress = Math.round(((i + batch.length) / chunks.length) * 100);
-            } catch (error) {
-                logger.error('Failed to process batch', 'processInBackground', {
-                    error: error.message,
-                    stack: error.stack,
-                    batchNumber: Math.floor(i / batchSize) + 1,
-                    startIndex: i
-                });
-                // Continue with next batch
-            }
+            const batchStats = await processBatchWithRetries(batch, fileName, i, {
+                existingVectors: options.force ? new Map() : existingVectors,
+                originalName,
+                apiName: options.apiName,
+                apiVersion: options.apiVersion
+            }, options.batchRetries);
+            stats.embedded += batchStats.embedded;
+            stats.unchanged += batchStats.unchanged;
+
+            const processedChunks = i + batch.length;
+            setFileStatus(fileName, {
+                processedChunks,
+                progress: Math.round((processedChunks / chunks.length) * 100)
+            });
+            await options.onBatch?.({
+                batchNumber: batchIndex + 1,
+                totalBatches,
+                processedChunks,
+                totalChunks: chunks.length,
+                ...batchStats
+            });
         }
 
+        // Chunks that disappeared from the specification
+        const currentIds = new Set(chunks.map(chunk => chunk.metadata.chunk_id));
+        const staleIds = namespaceIds.filter(id => !currentIds.has(id));
+        await store.deleteByIds(staleIds, { namespace: specId });
+        await store.deleteByIds(legacyIds);
+        await removeChunks(specId, staleIds);
+        await removeChunks('', legacyIds);
+        stats.deleted = staleIds.length;
+
+        await store.upsert([{
+            id: `metadata-${specId}`,
+            values: Array(await getEmbeddingDimensions()).fill(0.000001), // Small non-zero value, as zero vectors are rejected or unscorable
+            metadata: {
+                is_metadata: true,
+                spec_id: specId,
+                fileName,
+                computed_filename: fileName,
+                original_filename: originalName,
+                ...(options.apiName ? { api_name: options.apiName, api_version: options.apiVersion } : {}),
+                timestamp: new Date().toISOString(),
+                totalChunks: chunks.length
+            }
+        }]);
+
         logger.info('File processing completed', 'processInBackground', {
             fileName,
-            chunks: chunks.length
+            specId,
+            chunks: chunks.length,
+            ...stats
         });
 
+        return { ...stats, totalChunks: chunks.length };
+
     } catch (error) {
         logger.error('Failed to process file', 'processInBackground', {
             error: error.message,
             stack: error.stack
         });
-        processingStatus.error = error.message;
         throw error;
-    } finally {
-        processingStatus.isProcessing = false;
     }
 }
 
@@ -430,6 +480,7 @@ async function logImportErrors(originalFilename, computedFilename, errors) {
     };
 
     try {
+        await fs.mkdir(path.dirname(logFilePath), { recursive: true });
         await fs.writeFile(logFilePath, JSON.stringify(logData, null, 2));
         logger.info('Import errors logged', 'logImportErrors', {
             logFile: logFilePath,
@@ -443,39 +494,100 @@ async function logImportErrors(originalFilename, computedFilename, errors) {
     }
 }
 
-async function processChunkBatch(batch, fileName, startIndex) {
+/**
+ * Fetch the stored vectors of a specification, keyed by chunk id
+ * @param {Object} store - Vector store adapter (see vector-store)
+ * @param {string} specId - Stable spec id
+ * @param {string} [namespace] - Namespace to read, defaults to the default namespace
+ * @returns {Promise<Map<string, Object>>} Records with `values` and `metadata`
+ */
+async function fetchSpecVectors(store, specId, namespace) {
+    const ids = await store.listIds({ namespace, prefix: `${specId}-` });
+    const records = await store.fetch(ids, { namespace });
+
+    logger.info('Fetched existing spec vectors', 'fetchSpecVectors', {
+        specId,
+        vectorCount: records.size
+    });
+
+    return records;
+}
+
+/**
+ * Embed and upsert a batch of chunks. Chunks whose content hash matches the stored vector
+ * keep their embedding and only get their metadata refreshed.
+ * @param {Array<Object>} batch - Chunks with stable ids (see chunk-identity)
+ * @param {string} fileName - Computed file name
+ * @param {number} startIndex - Index of the first chunk of the batch
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.existingVectors] - Stored vectors of the spec
+ * @param {string} [options.originalName] - Original file name or URL
+ * @param {string} [options.apiName] - Logical API name
+ * @param {string} [options.apiVersion] - API version of the upload
+ * @returns {Promise<{embedded: number, unchanged: number}>}
+ */
+async function processChunkBatch(batch, fileName, startIndex, options = {}) {
+    const { existingVectors = new Map(), originalName = fileName, apiName, apiVersion } = options;
     logger.info('Processing chunk batch', 'processChunkBatch', {
         batchSize: batch.length,
         startIndex
     });
 
     try {
-        // Generate embeddings for the batch
-        const texts = batch.map(chunk => chunk.text);
+        // Stored values are reused for unchanged chunks, unless they come from a model with other dimensions
+        const dimensions = await getEmbeddingDimensions();
+        const storedValues = batch.map(chunk => {
+            const existing = existingVectors.get(chunk.metadata.chunk_id);
+            return existing?.metadata?.content_hash === chunk.metadata.content_hash && existing.values?.length === dimensions
+                ? existing.values
+                : null;
+        });
+        const changed = batch.filter((chunk, i) => !storedValues[i]);
+
+        // Generate embeddings for new and changed chunks only
+        const texts = changed.map(chunk => chunk.text);
         logger.info('Generating embeddings for batch', 'processChunkBatch', {
             textCount: texts.length,
+            unchangedCount: batch.length - texts.length,
             sampleText: texts[0]?.substring(0, 100)
         });
 
-        const embeddingResults = await embeddings.embedDocuments(texts);
+        const embeddingResults = texts.length ? await embedDocuments(texts) : [];
         logger.info('Got embeddings for batch', 'processChunkBatch', {
             embeddingCount: embeddingResults.length,
             firstEmbeddingLength: embeddingResults[0]?.length
         });
 
+        const changedValues = new Map(changed.map((chunk, i) => [chunk, embeddingResults[i]]));
+
         // Create vectors for Pinecone with minimal metadata
+        // CSV chunks carry vector_id/type/endpoint, specification chunks chunk_id/component_type/path
         const vectors = batch.map((chunk, i) => ({
-            id: chunk.metadata.vector_id,
-            values: embeddingResults[i],
+            id: chunk.metadata.chunk_id,
+            values: storedValues[i] || changedValues.get(chunk),
             metadata: {
                 spec_id: chunk.metadata.spec_id,
-                type: chunk.metadata.type,
-                endpoint: chunk.metadata.endpoint,
+                type: chunk.metadata.type || chunk.metadata.component_type,
+                endpoint: chunk.metadata.endpoint || chunk.metadata.path,
                 method: chunk.metadata.method,
+                operation_id: chunk.metadata.operation_id,
+                component_name: chunk.metadata.component_name,
+                source_file: chunk.metadata.source_file,
+                event_name: chunk.metadata.event_name,
+                callback_url: chunk.metadata.callback_url,
+                payload_schemas: chunk.metadata.payload_schemas || [],
+                spec_format: chunk.metadata.spec_format || 'openapi',
+                channel: chunk.metadata.channel,
+                action: chunk.metadata.action,
+                protocol: chunk.metadata.protocol,
+                request_schemas: chunk.metadata.request_schemas || [],
+                response_schemas: chunk.metadata.response_schemas || [],
                 line_number: chunk.metadata.line_number,
-                vector_id: chunk.metadata.vector_id,
+                vector_id: chunk.metadata.chunk_id,
+                content_hash: chunk.metadata.content_hash,
                 computed_filename: fileName, // Add computed filename to every vector
-                original_filename: fileName, // Add original filename to every vector
+                original_filename: originalName, // Add original filename to every vector
+                ...(apiName ? { api_name: apiName, api_version: apiVersion } : {}),
                 summary: chunk.metadata.summary || '',
                 description: chunk.metadata.description || '',
                 // Store simplified versions of JSON fields
@@ -495,49 +607,36 @@ async function processChunkBatch(batch, fileName, startIndex) {
             hasValues: vectors.every(v => Array.isArray(v.values) && v.values.length > 0)
         });
 
-        // Create metadata vector at the end of processChunkBatch
-        const metadataVector = {
-            id: `metadata-${batch[0].metadata.spec_id}`,
-            values: Array(1536).fill(0.000001), // Small non-zero value to satisfy Pinecone requirements
-            metadata: {
-                is_metadata: true,
-                spec_id: batch[0].metadata.spec_id,
-                fileName,
-                computed_filename: fileName,
-                original_filename: fileName,
-                timestamp: new Date().toISOString(),
-                totalChunks: batch.length
-            }
-        };
-
-        // Upsert both chunk vectors and metadata vector
-        const index = await initPinecone();
-        logger.info('Upserting vectors to Pinecone', 'processChunkBatch', {
-            vectorCount: vectors.length + 1, // +1 for metadata vector
+        // Upsert chunk vectors into the spec's namespace; the spec's metadata vector is written
+        // to the default namespace once all batches are done
+        const namespace = batch[0].metadata.spec_id;
+        const store = await getVectorStore();
+        logger.info('Upserting vectors to the vector store', 'processChunkBatch', {
+            provider: store.provider,
+            namespace,
+            vectorCount: vectors.length,
             batchStartIndex: startIndex,
             sampleId: vectors[0]?.id,
-            metadataId: metadataVector.id,
             payload: {
                 sample_vector: {
                     id: vectors[0]?.id,
                     metadata: vectors[0]?.metadata
-                },
-                metadata_vector: {
-                    id: metadataVector.id,
-                    metadata: metadataVector.metadata
                 }
             }
         });
 
         try {
-            const upsertResult = await index.upsert([...vectors, metadataVector]);
+            await store.upsert(vectors, { namespace });
+            await indexChunks(namespace, vectors);
 
             // Log successful upsert
-            logger.info('Upserted vectors to Pinecone', 'processChunkBatch', {
-                upsertedCount: upsertResult?.upsertedCount,
-                batchSize: vectors.length + 1,
+            logger.info('Upserted vectors', 'processChunkBatch', {
+                batchSize: vectors.length,
+                embedded: changed.length,
                 startIndex
             });
+
+            return { embedded: changed.length, unchanged: batch.length - changed.length };
         } catch (error) {
             // Enhanced error logging with payload details
             logger.error('Failed to upsert vectors', 'processChunkBatch', {
@@ -551,13 +650,6 @@ async function processChunkBatch(batch, fileName, startIndex) {
                     valuesSample: vectors[0]?.values?.slice(0, 5),
                     hasZeroValues: vectors[0]?.values?.every(v => v === 0),
                     valuesLength: vectors[0]?.values?.length
-                },
-                metadataVector: {
-                    id: metadataVector.id,
-                    metadata: metadataVector.metadata,
-                    valuesSample: metadataVector.values.slice(0, 5),
-                    hasZeroValues: metadataVector.values.every(v => v === 0),
-                    valuesLength: metadataVector.values.length
                 }
             });
             throw error;
@@ -574,6 +666,32 @@ async function processChunkBatch(batch, fileName, startIndex) {
     }
 }
 
+/**
+ * Delete the vectors embedded from a file (see vectorDbService.deleteFileChunks)
+ * @param {string} fileName - Computed file name the vectors were stored under
+ * @returns {Promise<number>} Number of deleted vectors
+ */
+async function deleteFileVectors(fileName) {
+    const store = await getVectorStore();
+
+    // The metadata vector of a spec names its current upload, whose namespace holds the chunks
+    const metadataVectors = await store.find({ filter: { computed_filename: fileName, is_metadata: true } });
+    const specIds = [...new Set(metadataVectors.map(record => record.metadata?.spec_id).filter(Boolean))];
+
+    let deletedCount = 0;
+    for (const specId of specIds.length ? specIds : [undefined]) {
+        deletedCount += await deleteFileChunks(fileName, { specId });
+    }
+
+    logger.info('Deleted file vectors', 'deleteFileVectors', {
+        fileName,
+        specIds,
+        deletedCount
+    });
+
+    return deletedCount;
+}
+
 async function querySimilarChunks(query) {
     logger.info('Querying similar chunks', 'querySimilarChunks', {
         query
@@ -581,7 +699,7 @@ async function querySimilarChunks(query) {
 
     try {
         // Generate query embedding
-        const queryEmbedding = await embeddings.embedQuery(query);
+        const [queryEmbedding] = await embedDocuments([query]);
         if (!queryEmbedding || !Array.isArray(queryEmbedding)) {
             logger.error('Invalid query embedding', 'querySimilarChunks', {
                 embedding: queryEmbedding
@@ -901,16 +1019,33 @@ function generateDescription(metadata) {
     return desc.join('\n');
 }
 
-// Get current processing status
+// Get current processing status, summed over the files being processed
 function getProcessingStatus() {
+    const files = processingStatus.embeddedFiles;
+    const active = files.filter(file => file.status === 'processing');
+    const totalChunks = active.reduce((sum, file) => sum + (file.totalChunks || 0), 0);
+    const processedChunks = active.reduce((sum, file) => sum + (file.processedChunks || 0), 0);
+
     return {
-        ...processingStatus,
-        processedChunksCount: processingStatus.processedChunks,
-        totalChunksCount: processingStatus.totalChunks,
-        files: processingStatus.embeddedFiles
+        isProcessing: active.length > 0,
+        progress: totalChunks ? Math.round((processedChunks / totalChunks) * 100) : 0,
+        error: processingStatus.error,
+        totalChunks,
+        processedChunks,
+        currentFile: active[0]?.fileName || null,
+        processingFiles: active.map(file => file.fileName),
+        embeddedFiles: files,
+        processedChunksCount: processedChunks,
+        totalChunksCount: totalChunks,
+        files
     };
 }
 
+// Drop a deleted file from the embedded files list
+function removeEmbeddedFile(fileName) {
+    processingStatus.embeddedFiles = processingStatus.embeddedFiles.filter(file => file.fileName !== fileName);
+}
+
 // Search OpenAPI specification
 async function searchOpenAPISpec(query, options = {}) {
     logger.info('Searching OpenAPI specification', 'searchOpenAPISpec', {
@@ -919,7 +1054,7 @@ async function searchOpenAPISpec(query, options = {}) {
 
     try {
         const index = wrapPineconeIndex(pinecone.index(process.env.PINECONE_INDEX));
-        const queryEmbedding = await embeddings.embedQuery(query);
+        const [queryEmbedding] = await embedDocuments([query]);
 
         const searchResponse = await index.query({
             vector: queryEmbedding,
@@ -983,8 +1118,11 @@ async function searchOpenAPISpec(query, options = {}) {
 module.exports = {
     initPinecone,
     processOpenAPISpec,
+    processSpecFile,
+    deleteFileVectors,
     querySimilarChunks,
     generateChatResponse,
     getProcessingStatus,
+    removeEmbeddedFile,
     searchOpenAPISpec
 }
@@ -0,0 +1,266 @@
+const { createModuleLogger } = require('./logger');
+const { MAX_LIST_SIZE, splitFilter } = require('./vector-store');
+const { isPostgresMetadataEnabled, query, ensureMetadataSchema } = require('../db/postgres');
+const { getEmbeddingDimensions } = require('../services/embeddingService');
+
+const logger = createModuleLogger('pgvector');
+
+// Rows per INSERT statement, well below the 65535 bind parameters of a query
+const UPSERT_BATCH_SIZE = 500;
+const RANGE_OPERATORS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+function toVectorLiteral(values) {
+    return `[${values.join(',')}]`;
+}
+
+/**
+ * Translate a contract filter to a SQL condition on a JSONB metadata column, pushing its values to `params`.
+ * Equality is JSONB containment, so a list field matches when it contains the value, as with Pinecone.
+ * @param {Object} [filter]
+ * @param {Array} params - Bind parameters of the query
+ * @param {string} [column]
+ * @returns {string|null}
+ */
+function toSqlCondition(filter, params, column = 'metadata') {
+    const bind = value => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const clauses = splitFilter(filter).map(clause => {
+        const [key, condition] = Object.entries(clause)[0];
+
+        if (key === '$and' || key === '$or') {
+            const nested = condition.map(part => toSqlCondition(part, params, column)).filter(Boolean);
+            return nested.length ? `(${nested.join(key === '$and' ? ' AND ' : ' OR ')})` : null;
+        }
+
+        const field = () => `(${column} -> ${bind(key)})`;
+        const json = value => `${bind(JSON.stringify(value))}::jsonb`;
+        const jsonArray = values => `${bind(values.map(value => JSON.stringify(value)))}::jsonb[]`;
+
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            return `${field()} @> ${json(condition)}`;
+        }
+
+        return Object.entries(condition).map(([operator, value]) => {
+            if (operator === '$eq') return `${field()} @> ${json(value)}`;
+            if (operator === '$ne') return `NOT COALESCE(${field()} @> ${json(value)}, FALSE)`;
+            if (operator === '$in') return `${field()} @> ANY(${jsonArray(value)})`;
+            if (operator === '$nin') return `NOT COALESCE(${field()} @> ANY(${jsonArray(value)}), FALSE)`;
+            if (RANGE_OPERATORS[operator]) return `${field()} ${RANGE_OPERATORS[operator]} ${json(value)}`;
+            throw new Error(`Unsupported filter operator for pgvector: ${operator}`);
+        }).join(' AND ');
+    }).filter(Boolean);
+
+    return clauses.length ? clauses.join(' AND ') : null;
+}
+
+/**
+ * pgvector adapter of the vector store contract (see vector-store). All namespaces share one table
+ * (PGVECTOR_TABLE) with a `namespace` column; similarity is cosine. With METADATA_STORE=postgres every
+ * match also carries the `api_metadata` record of its endpoint (same path, method and spec id; stored when
+ * a CSV file is ingested) as `endpointMetadata`, joined in the same query, so documentService needs no
+ * second round-trip.
+ */
+class PgVectorStore {
+    constructor() {
+        this.provider = 'pgvector';
+        this.table = process.env.PGVECTOR_TABLE || 'openapi_vectors';
+        this.dimensions = null;
+
+        if (!/^[a-z_][a-z0-9_]*$/i.test(this.table)) {
+            throw new Error(`Invalid PGVECTOR_TABLE: ${this.table}`);
+        }
+    }
+
+    async initialize() {
+        try {
+            // The embedding model's dimensions unless PGVECTOR_DIMENSIONS overrides them
+            const dimensions = process.env.PGVECTOR_DIMENSIONS
+                ? parseInt(process.env.PGVECTOR_DIMENSIONS, 10)
+                : await getEmbeddingDimensions();
+
+            await query('CREATE EXTENSION IF NOT EXISTS vector');
+            await query(`
+                CREATE TABLE IF NOT EXISTS ${this.table} (
+                    namespace TEXT NOT NULL DEFAULT '',
+                    id TEXT NOT NULL,
+                    embedding vector(${dimensions}) NOT NULL,
+                    metadata JSONB NOT NULL DEFAULT '{}',
+                    PRIMARY KEY (namespace, id)
+                )`);
+            // An existing table keeps the dimensions it was created with
+            const { rows } = await query(
+                "SELECT atttypmod AS dimensions FROM pg_attribute WHERE attrelid = $1::regclass AND attname = 'embedding'",
+                [this.table]
+            );
+            this.dimensions = rows[0]?.dimensions > 0 ? rows[0].dimensions : dimensions;
+
+            await query(`CREATE INDEX IF NOT EXISTS ${this.table}_embedding_idx ON ${this.table} USING hnsw (embedding vector_cosine_ops)`);
+            await query(`CREATE INDEX IF NOT EXISTS ${this.table}_metadata_idx ON ${this.table} USING gin (metadata jsonb_path_ops)`);
+            if (isPostgresMetadataEnabled()) {
+                await ensureMetadataSchema();
+            }
+
+            logger.info('Initialized pgvector store', 'initialize', {
+                table: this.table,
+                dimensions: this.dimensions,
+                joinsMetadata: isPostgresMetadataEnabled()
+            });
+            return this;
+        } catch (error) {
+            logger.error('Failed to initialize pgvector store', 'initialize', {
+                error: error.message,
+                stack: error.stack
+            });
+            throw error;
+        }
+    }
+
+    // Padding or truncating would store vectors no query can match, so a mismatch is a configuration error
+    assertDimensions(values, id) {
+        if (values.length !== this.dimensions) {
+            throw new Error(
+                `Vector ${id ? `${id} ` : ''}has ${values.length} dimensions but ${this.table}.embedding has ${this.dimensions}; ` +
+                'the table was created for another embedding model; use a new PGVECTOR_TABLE'
+            );
+        }
+        return values;
+    }
+
+    // `namespace = $1` plus the filter condition, for the statements reading or deleting rows
+    where(namespace, filter, params, column = 'metadata', prefix = '') {
+        params.push(namespace || '');
+        const namespaceParam = `$${params.length}`;
+        const condition = toSqlCondition(filter, params, column);
+        return `${prefix}namespace = ${namespaceParam}${condition ? ` AND ${condition}` : ''}`;
+    }
+
+    async upsert(vectors, { namespace } = {}) {
+        for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+            const batch = vectors.slice(i, i + UPSERT_BATCH_SIZE);
+            const params = [];
+            const rows = batch.map(vector => {
+                params.push(namespace || '', vector.id, toVectorLiteral(this.assertDimensions(vector.values, vector.id)), JSON.stringify(vector.metadata || {}));
+                const n = params.length;
+                return `($${n - 3}, $${n - 2}, $${n - 1}::vector, $${n}::jsonb)`;
+            });
+
+            await query(`
+                INSERT INTO ${this.table} (namespace, id, embedding, metadata) VALUES ${rows.join(', ')}
+                ON CONFLICT (namespace, id) DO UPDATE SET embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata`,
+            params);
+        }
+
+        logger.info('Upserted vectors', 'upsert', { namespace, vectorCount: vectors.length });
+    }
+
+    async query(vector, { namespace, topK = 10, filter, includeValues = false } = {}) {
+        const params = [toVectorLiteral(this.assertDimensions(vector))];
+        const where = this.where(namespace, filter, params, 'v.metadata', 'v.');
+        params.push(topK);
+        const joinsMetadata = isPostgresMetadataEnabled();
+
+        const { rows } = await query(`
+            SELECT v.id, v.metadata, 1 - (v.embedding <=> $1::vector) AS score
+                ${includeValues ? ', v.embedding::text AS embedding' : ''}
+                ${joinsMetadata ? ', m.data AS endpoint_metadata' : ''}
+            FROM ${this.table} v
+            ${joinsMetadata ? `LEFT JOIN LATERAL (
+                SELECT data FROM api_metadata
+                WHERE NOT is_file_metadata
+                    AND endpoint = v.metadata ->> 'endpoint'
+                    AND upper(method) = upper(v.metadata ->> 'method')
+                    AND spec_id = v.metadata ->> 'spec_id'
+                ORDER BY updated_at DESC LIMIT 1
+            ) m ON TRUE` : ''}
+            WHERE ${where}
+            ORDER BY v.embedding <=> $1::vector
+            LIMIT $${params.length}`,
+        params);
+
+        return {
+            matches: rows.map(row => ({
+                id: row.id,
+                score: Number(row.score),
+                metadata: row.metadata,
+                ...(includeValues ? { values: JSON.parse(row.embedding) } : {}),
+                ...(joinsMetadata ? { endpointMetadata: row.endpoint_metadata } : {})
+            }))
+        };
+    }
+
+    async fetch(ids, { namespace } = {}) {
+        if (!ids.length) return new Map();
+        const { rows } = await query(
+            `SELECT id, metadata, embedding::text AS embedding FROM ${this.table} WHERE namespace = $1 AND id = ANY($2)`,
+            [namespace || '', ids]
+        );
+        return new Map(rows.map(row => [row.id, { id: row.id, metadata: row.metadata, values: JSON.parse(row.embedding) }]));
+    }
+
+    async find({ namespace, filter, limit = MAX_LIST_SIZE } = {}) {
+        const params = [];
+        const where = this.where(namespace, filter, params);
+        params.push(limit);
+        const { rows } = await query(`SELECT id, metadata FROM ${this.table} WHERE ${where} ORDER BY id LIMIT $${params.length}`, params);
+        return rows;
+    }
+
+    async listIds({ namespace, prefix = '' } = {}) {
+        const { rows } = await query(
+            `SELECT id FROM ${this.table} WHERE namespace = $1 AND starts_with(id, $2) ORDER BY id`,
+            [namespace || '', prefix]
+        );
+        return rows.map(row => row.id);
+    }
+
+    async count({ namespace, filter } = {}) {
+        const params = [];
+        const { rows } = await query(`SELECT COUNT(*)::int AS count FROM ${this.table} WHERE ${this.where(namespace, filter, params)}`, params);
+        return rows[0].count;
+    }
+
+    async deleteByIds(ids, { namespace } = {}) {
+        if (!ids.length) return;
+        await query(`DELETE FROM ${this.table} WHERE namespace = $1 AND id = ANY($2)`, [namespace || '', ids]);
+    }
+
+    async deleteByFilter(filter, { namespace } = {}) {
+        const params = [];
+        const result = await query(`DELETE FROM ${this.table} WHERE ${this.where(namespace, filter, params)}`, params);
+
+        logger.info('Deleted vectors', 'deleteByFilter', { namespace, filter, deletedCount: result.rowCount });
+        return result.rowCount;
+    }
+
+    async deleteNamespace(namespace) {
+        await query(`DELETE FROM ${this.table} WHERE namespace = $1`, [namespace || '']);
+    }
+
+    async listNamespaces() {
+        const { rows } = await query(`SELECT namespace AS name, COUNT(*)::int AS count FROM ${this.table} GROUP BY namespace`);
+        return rows;
+    }
+
+    async health() {
+        try {
+            const { rows } = await query("SELECT extversion FROM pg_extension WHERE extname = 'vector'");
+            if (!rows.length) {
+                return { ok: false, provider: this.provider, error: 'The vector extension is not installed' };
+            }
+            return { ok: true, provider: this.provider, table: this.table, version: rows[0].extversion };
+        } catch (error) {
+            return { ok: false, provider: this.provider, error: error.message };
+        }
+    }
+}
+
+function createPgVectorStore() {
+    return new PgVectorStore();
+}
+
+module.exports = {
+    createPgVectorStore
+};
@@ -1,27 +1,44 @@
 const { Pinecone } = require('@pinecone-database/pinecone');
 const { createModuleLogger } = require('./logger');
+const { MAX_LIST_SIZE } = require('./vector-store');
 const logger = createModuleLogger('pinecone');
 
 const CacheManager = require('./cache');
 
+// Pinecone limits: ids per fetch and per delete request
+const FETCH_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 1000;
+
 const pinecone = new Pinecone({
     apiKey: process.env.PINECONE_API_KEY,
 });
 
-const wrapPineconeIndex = (index) => {
+/**
+ * Wrap a Pinecone index (or one of its namespaces) with logging and query caching
+ * @param {Object} [index] - Pinecone index, defaults to PINECONE_INDEX
+ * @param {string} [namespace] - Namespace the index is scoped to, kept apart in the cache
+ */
+const wrapPineconeIndex = (index, namespace) => {
 
     index = index || pinecone.index(process.env.PINECONE_INDEX)
 
-    const cacheManager = new CacheManager('pinecone');
+    const cacheManager = new CacheManager(namespace ? `pinecone-${namespace}` : 'pinecone');
 
     return {
         ...index,
         /**
          * Wrapped query method with logging and caching
-         * @param {...*} args - Arguments passed to the query method
+         * @param {...*} args - Arguments passed to the query method (`cache: false` bypasses the cache)
          * @returns {Promise<Object>} Query results from Pinecone
          */
         query: async (...args) => {
+            // `cache: false` skips the cache, for listings that must reflect the latest writes
+            if (args[0]?.cache === false) {
+                const { cache, ...params } = args[0];
+                logger.info('Calling Pinecone API: query', 'pineconeQuery', { namespace, uncached: true, topK: params.topK });
+                return await index.query(params, ...args.slice(1));
+            }
+
             const cacheKey = cacheManager.generateCacheKey(args);
             
             // Try to get from cache
@@ -59,12 +76,185 @@ const wrapPineconeIndex = (index) => {
          */
         upsert: async (...args) => {
             logger.info('Calling Pinecone API: upsert', 'pineconeUpsert', {
-                vectorCount: args[0]?.vectors?.length || 0,
-                namespace: args[0]?.namespace
+                vectorCount: args[0]?.length || 0
             });
             return await index.upsert(...args);
-        }
+        },
+        /**
+         * Scope the wrapped index to a namespace (one per specification)
+         * @param {string} name - Namespace name
+         * @returns {Object} Wrapped namespaced index
+         */
+        namespace: (name) => wrapPineconeIndex(index.namespace(name), name),
+        /**
+         * Wrapped deleteMany method with logging
+         * @param {Array<string>} ids - Vector ids
+         */
+        deleteMany: async (ids) => {
+            logger.info('Calling Pinecone API: deleteMany', 'pineconeDeleteMany', {
+                namespace,
+                vectorCount: ids.length
+            });
+            return await index.deleteMany(ids);
+        },
+        /**
+         * Delete every vector of the (namespaced) index
+         */
+        deleteAll: async () => {
+            logger.info('Calling Pinecone API: deleteAll', 'pineconeDeleteAll', { namespace });
+            return await index.deleteAll();
+        },
+        /**
+         * Index statistics, including the vector count of every namespace
+         * @returns {Promise<Object>}
+         */
+        describeIndexStats: async () => await index.describeIndexStats(),
+        /**
+         * Vectors by id, with values and metadata
+         * @param {Array<string>} ids
+         */
+        fetch: async (ids) => await index.fetch(ids),
+        /**
+         * A page of vector ids, optionally by prefix (serverless indexes only)
+         * @param {Object} options - `prefix`, `paginationToken`
+         */
+        listPaginated: async (options) => await index.listPaginated(options)
     };
 };
 
-module.exports = {wrapPineconeIndex};
\ No newline at end of file
+/**
+ * Pinecone adapter of the vector store contract (see vector-store). Namespaces are Pinecone namespaces;
+ * queries go through wrapPineconeIndex, so they are logged and cached.
+ */
+class PineconeVectorStore {
+    constructor() {
+        this.provider = 'pinecone';
+        this.index = null;
+        this.dimension = null;
+    }
+
+    async initialize() {
+        this.index = wrapPineconeIndex();
+        logger.info('Initialized Pinecone vector store', 'initialize', { index: process.env.PINECONE_INDEX });
+        return this;
+    }
+
+    scoped(namespace) {
+        return namespace ? this.index.namespace(namespace) : this.index;
+    }
+
+    // Listings query with a near-zero vector of the index dimension
+    async listingVector() {
+        if (!this.dimension) {
+            const stats = await this.index.describeIndexStats();
+            this.dimension = stats?.dimension || 1536;
+        }
+        return Array(this.dimension).fill(0.000001);
+    }
+
+    async upsert(vectors, { namespace } = {}) {
+        if (!vectors.length) return;
+        await this.scoped(namespace).upsert(vectors);
+    }
+
+    async query(vector, { namespace, topK = 10, filter, includeValues = false, cache } = {}) {
+        const params = { vector, topK, includeMetadata: true, includeValues };
+        if (filter && Object.keys(filter).length) {
+            params.filter = filter;
+        }
+        if (cache === false) {
+            params.cache = false;
+        }
+        const response = await this.scoped(namespace).query(params);
+        return { matches: response.matches || [] };
+    }
+
+    async fetch(ids, { namespace } = {}) {
+        const records = new Map();
+        for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+            const response = await this.scoped(namespace).fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+            Object.values(response.records || {}).forEach(record => records.set(record.id, record));
+        }
+        return records;
+    }
+
+    async find({ namespace, filter, limit = MAX_LIST_SIZE } = {}) {
+        const { matches } = await this.query(await this.listingVector(), {
+            namespace,
+            filter,
+            topK: Math.min(limit, MAX_LIST_SIZE),
+            cache: false
+        });
+        return matches.map(({ id, metadata }) => ({ id, metadata: metadata || {} }));
+    }
+
+    async listIds({ namespace, prefix = '' } = {}) {
+        try {
+            const ids = [];
+            let paginationToken;
+            do {
+                const page = await this.scoped(namespace).listPaginated({ prefix, paginationToken });
+                ids.push(...(page.vectors || []).map(vector => vector.id));
+                paginationToken = page.pagination?.next;
+            } while (paginationToken);
+            return ids;
+        } catch (error) {
+            // Listing by prefix is only supported by serverless indexes
+            logger.warn('Listing vectors failed, falling back to a query', 'listIds', {
+                namespace,
+                error: error.message
+            });
+            return (await this.find({ namespace })).map(record => record.id).filter(id => id.startsWith(prefix));
+        }
+    }
+
+    async count({ namespace, filter } = {}) {
+        if (filter && Object.keys(filter).length) {
+            return (await this.find({ namespace, filter })).length;
+        }
+        const { namespaces = {} } = await this.index.describeIndexStats();
+        return namespaces[namespace || '']?.recordCount || 0;
+    }
+
+    async deleteByIds(ids, { namespace } = {}) {
+        for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+            await this.scoped(namespace).deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+        }
+    }
+
+    // Serverless indexes cannot delete by metadata, so matching ids are looked up first
+    async deleteByFilter(filter, { namespace } = {}) {
+        const ids = (await this.find({ namespace, filter })).map(record => record.id);
+        await this.deleteByIds(ids, { namespace });
+        return ids.length;
+    }
+
+    async deleteNamespace(namespace) {
+        await this.scoped(namespace).deleteAll();
+    }
+
+    async listNamespaces() {
+        const { namespaces = {} } = await this.index.describeIndexStats();
+        return Object.entries(namespaces)
+            .map(([name, stats]) => ({ name, count: stats?.recordCount || 0 }))
+            .filter(namespace => namespace.count > 0);
+    }
+
+    async health() {
+        try {
+            const stats = await this.index.describeIndexStats();
+            return { ok: true, provider: this.provider, dimension: stats?.dimension, vectorCount: stats?.totalRecordCount };
+        } catch (error) {
+            return { ok: false, provider: this.provider, error: error.message };
+        }
+    }
+}
+
+function createPineconeStore() {
+    return new PineconeVectorStore();
+}
+
+module.exports = {
+    wrapPineconeIndex,
+    createPineconeStore
+};
\ No newline at end of file
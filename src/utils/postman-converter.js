@@ -0,0 +1,480 @@
+/**
+ * @module postman-converter
+ * @description Converts Postman v2.x collections into an OpenAPI 3 document so they can be chunked like native specs
+ */
+
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('postman-converter');
+
+// Headers that are described by the request body or security schemes instead of header parameters
+const IGNORED_HEADERS = ['content-type', 'authorization', 'accept', 'content-length', 'host', 'user-agent'];
+
+/**
+ * Check whether a parsed document is a Postman collection
+ * @param {Object} doc - Parsed JSON document
+ * @returns {boolean}
+ */
+function isPostmanCollection(doc) {
+    if (!doc || typeof doc !== 'object' || !Array.isArray(doc.item)) return false;
+    const schema = doc.info?.schema || '';
+    return schema.includes('getpostman.com') || !!doc.info?._postman_id;
+}
+
+/**
+ * Postman descriptions are either strings or `{ content, type }` objects
+ */
+function getDescription(description) {
+    if (!description) return undefined;
+    return typeof description === 'string' ? description : description.content;
+}
+
+/**
+ * Replace `{{variable}}` placeholders with collection variable values where known
+ * @param {string} value - Raw value
+ * @param {Object<string, string>} variables - Collection variables
+ * @returns {string}
+ */
+function substituteVariables(value, variables) {
+    if (typeof value !== 'string') return value;
+    return value.replace(/{{\s*([^}\s]+)\s*}}/g, (match, name) =>
+        variables[name] !== undefined && variables[name] !== '' ? String(variables[name]) : match
+    );
+}
+
+/**
+ * Infer a JSON Schema from an example value
+ * @param {*} value - Example value
+ * @returns {Object}
+ */
+function inferSchema(value) {
+    if (value === null) return { nullable: true };
+    if (Array.isArray(value)) {
+        return { type: 'array', items: value.length ? inferSchema(value[0]) : {} };
+    }
+    if (typeof value === 'object') {
+        return {
+            type: 'object',
+            properties: Object.fromEntries(Object.entries(value).map(([key, child]) => [key, inferSchema(child)]))
+        };
+    }
+    if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    if (typeof value === 'boolean') return { type: 'boolean' };
+    return { type: 'string' };
+}
+
+/**
+ * Parse a raw body as JSON when possible
+ */
+function parseJSON(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) return undefined;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Normalize a Postman URL (string or object) into server, path and query parts
+ * @param {string|Object} url - Postman URL
+ * @param {Object<string, string>} variables - Collection variables
+ * @returns {{server: string|null, path: string, query: Array<Object>, pathVariables: Array<Object>, variableHost: boolean}}
+ * `variableHost` tells whether the server comes from a variable such as `{{baseUrl}}`
+ */
+function parseUrl(url, variables) {
+    if (!url) return { server: null, path: '/', query: [], pathVariables: [], variableHost: false };
+
+    const raw = typeof url === 'string' ? url : url.raw || '';
+    let host = typeof url === 'object' && url.host ? [].concat(url.host).join('.') : null;
+    let protocol = typeof url === 'object' ? url.protocol : null;
+    let pathSegments = typeof url === 'object' && url.path ? [].concat(url.path) : null;
+    const query = (typeof url === 'object' && url.query) ||
+        Array.from(new URLSearchParams(raw.split('?')[1]?.split('#')[0] || '')).map(([key, value]) => ({ key, value }));
+    const pathVariables = (typeof url === 'object' && url.variable) || [];
+
+    if (!pathSegments) {
+        // Only a raw URL: split it ourselves, a leading {{baseUrl}} style variable is the host
+        let rest;
+        const baseVariable = raw.match(/^({{\s*[^}\s]+\s*}})(.*)$/);
+        if (baseVariable) {
+            host = host || baseVariable[1];
+            rest = baseVariable[2];
+        } else {
+            const match = substituteVariables(raw, variables).match(/^(?:(\w+):\/\/)?([^/?#]*)(.*)$/);
+            protocol = protocol || match?.[1];
+            host = host || match?.[2] || null;
+            rest = match?.[3] || '';
+        }
+        pathSegments = rest.replace(/[?#].*$/, '').split('/').filter(Boolean);
+    }
+
+    const resolvedHost = host ? substituteVariables(host, variables) : null;
+    let server = null;
+    if (resolvedHost) {
+        // A host variable may expand to a full base URL such as https://api.example.com/v1
+        const hostMatch = resolvedHost.match(/^(\w+:\/\/)?([^/]*)(\/.*)?$/);
+        server = `${hostMatch[1] || `${protocol || 'https'}://`}${hostMatch[2]}${(hostMatch[3] || '').replace(/\/$/, '')}`;
+    }
+
+    const path = '/' + pathSegments
+        .map(segment => typeof segment === 'string' ? segment : segment.value)
+        .map(segment => segment.startsWith(':') ? `{${segment.slice(1)}}` : segment.replace(/{{\s*([^}\s]+)\s*}}/g, '{$1}'))
+        .join('/');
+
+    return {
+        server,
+        path: path.replace(/\/+/g, '/'),
+        query,
+        pathVariables,
+        variableHost: !!host && /{{\s*[^}\s]+\s*}}/.test(host)
+    };
+}
+
+/**
+ * The resolved base URLs of the requests whose host is a variable (`{{baseUrl}}`), longest first
+ * @param {Array<Object>} items - Collection items, folders included
+ * @param {Object<string, string>} variables - Collection variables
+ * @returns {Array<string>}
+ */
+function collectBaseUrls(items, variables) {
+    const baseUrls = new Set();
+    const visit = (children) => {
+        for (const item of children) {
+            if (Array.isArray(item.item)) {
+                visit(item.item);
+                continue;
+            }
+            const url = typeof item.request === 'string' ? item.request : item.request?.url;
+            const { server, variableHost } = parseUrl(url, variables);
+            if (server && variableHost && !server.includes('{{')) baseUrls.add(server);
+        }
+    };
+    visit(items);
+    return Array.from(baseUrls).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Split a literal request URL on a known base URL, so requests written with `{{baseUrl}}` and with the
+ * URL it stands for share one server and one path prefix
+ * @param {string|null} server
+ * @param {string} path
+ * @param {Array<string>} baseUrls - See collectBaseUrls
+ * @returns {{server: string|null, path: string}}
+ */
+function rebaseUrl(server, path, baseUrls) {
+    if (!server) return { server, path };
+    const url = server + (path === '/' ? '' : path);
+    const baseUrl = baseUrls.find(base => url.toLowerCase() === base.toLowerCase() || url.toLowerCase().startsWith(`${base.toLowerCase()}/`));
+    if (!baseUrl || baseUrl.length <= server.length) return { server, path };
+    return { server: baseUrl, path: url.slice(baseUrl.length) || '/' };
+}
+
+/**
+ * Convert Postman auth into an OpenAPI security scheme
+ * @param {Object} auth - Postman auth object
+ * @returns {{name: string, scheme: Object, scopes: Array<string>}|null}
+ */
+function convertAuth(auth) {
+    if (!auth || !auth.type || auth.type === 'noauth') return null;
+
+    // Postman stores auth settings as [{ key, value }]
+    const settings = Object.fromEntries((auth[auth.type] || []).map(entry => [entry.key, entry.value]));
+
+    switch (auth.type) {
+        case 'bearer':
+            return { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer' }, scopes: [] };
+        case 'basic':
+            return { name: 'basicAuth', scheme: { type: 'http', scheme: 'basic' }, scopes: [] };
+        case 'digest':
+            return { name: 'digestAuth', scheme: { type: 'http', scheme: 'digest' }, scopes: [] };
+        case 'apikey': {
+            const location = settings.in === 'query' ? 'query' : 'header';
+            const keyName = settings.key || 'X-API-Key';
+            return {
+                name: `apiKey_${keyName.replace(/[^A-Za-z0-9_-]/g, '_')}`,
+                scheme: { type: 'apiKey', in: location, name: keyName },
+                scopes: []
+            };
+        }
+        case 'oauth2': {
+            const scopes = (settings.scope || '').split(/[\s,]+/).filter(Boolean);
+            const scopeMap = Object.fromEntries(scopes.map(scope => [scope, '']));
+            const grantType = settings.grant_type || (settings.authUrl ? 'authorization_code' : 'client_credentials');
+            let flows;
+            if (grantType === 'client_credentials') {
+                flows = { clientCredentials: { tokenUrl: settings.accessTokenUrl || '', scopes: scopeMap } };
+            } else if (grantType === 'password_credentials') {
+                flows = { password: { tokenUrl: settings.accessTokenUrl || '', scopes: scopeMap } };
+            } else if (grantType === 'implicit') {
+                flows = { implicit: { authorizationUrl: settings.authUrl || '', scopes: scopeMap } };
+            } else {
+                flows = {
+                    authorizationCode: {
+                        authorizationUrl: settings.authUrl || '',
+                        tokenUrl: settings.accessTokenUrl || '',
+                        scopes: scopeMap
+                    }
+                };
+            }
+            return { name: 'oauth2', scheme: { type: 'oauth2', flows }, scopes };
+        }
+        default:
+            return {
+                name: `${auth.type}Auth`,
+                scheme: { type: 'http', scheme: auth.type, description: `Postman ${auth.type} authentication` },
+                scopes: []
+            };
+    }
+}
+
+/**
+ * Build an OpenAPI request body from a Postman body
+ * @param {Object} body - Postman request body
+ * @param {Array<Object>} headers - Request headers, used to find the content type
+ * @returns {Object|undefined}
+ */
+function convertRequestBody(body, headers) {
+    if (!body || !body.mode || body.disabled) return undefined;
+
+    const headerType = headers.find(header => header.key?.toLowerCase() === 'content-type')?.value;
+
+    if (body.mode === 'raw') {
+        if (!body.raw) return undefined;
+        const language = body.options?.raw?.language;
+        const example = parseJSON(body.raw);
+        const contentType = headerType || (example !== undefined || language === 'json' ? 'application/json'
+            : language === 'xml' ? 'application/xml' : 'text/plain');
+        return {
+            content: {
+                [contentType]: {
+                    schema: example !== undefined ? inferSchema(example) : { type: 'string' },
+                    example: example !== undefined ? example : body.raw
+                }
+            }
+        };
+    }
+
+    if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+        const fields = (body[body.mode] || []).filter(field => !field.disabled);
+        const contentType = body.mode === 'urlencoded' ? 'application/x-www-form-urlencoded' : 'multipart/form-data';
+        const schema = {
+            type: 'object',
+            properties: Object.fromEntries(fields.map(field => [field.key, {
+                ...(field.type === 'file' ? { type: 'string', format: 'binary' } : { type: 'string' }),
+                ...(getDescription(field.description) && { description: getDescription(field.description) })
+            }]))
+        };
+        const example = Object.fromEntries(fields.filter(field => field.type !== 'file').map(field => [field.key, field.value]));
+        return { content: { [contentType]: { schema, example } } };
+    }
+
+    if (body.mode === 'graphql') {
+        const variables = parseJSON(body.graphql?.variables);
+        return {
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: { query: { type: 'string' }, variables: { type: 'object' } }
+                    },
+                    example: { query: body.graphql?.query, ...(variables !== undefined && { variables }) }
+                }
+            }
+        };
+    }
+
+    if (body.mode === 'file') {
+        return { content: { [headerType || 'application/octet-stream']: { schema: { type: 'string', format: 'binary' } } } };
+    }
+
+    return undefined;
+}
+
+/**
+ * Convert Postman saved responses (examples) into OpenAPI responses
+ * @param {Array<Object>} savedResponses - Postman responses
+ * @returns {Object}
+ */
+function convertResponses(savedResponses = []) {
+    const responses = {};
+
+    for (const saved of savedResponses) {
+        const code = String(saved.code || 'default');
+        const headers = saved.header || [];
+        const contentType = headers.find(header => header.key?.toLowerCase() === 'content-type')?.value?.split(';')[0]
+            || (parseJSON(saved.body) !== undefined ? 'application/json' : 'text/plain');
+        const example = parseJSON(saved.body);
+
+        // The first saved example per status code wins, later ones are kept as named examples
+        const response = responses[code] || { description: saved.name || saved.status || 'Response' };
+        if (saved.body) {
+            response.content = response.content || {};
+            const media = response.content[contentType] || {
+                schema: example !== undefined ? inferSchema(example) : { type: 'string' },
+                examples: {}
+            };
+            media.examples[saved.name || `example${Object.keys(media.examples).length + 1}`] = {
+                value: example !== undefined ? example : saved.body
+            };
+            response.content[contentType] = media;
+        }
+
+        const responseHeaders = headers.filter(header => !IGNORED_HEADERS.includes(header.key?.toLowerCase()));
+        if (responseHeaders.length && !response.headers) {
+            response.headers = Object.fromEntries(responseHeaders.map(header => [header.key, {
+                schema: { type: 'string' },
+                example: header.value
+            }]));
+        }
+
+        responses[code] = response;
+    }
+
+    if (!Object.keys(responses).length) {
+        responses.default = { description: 'No saved response in the Postman collection' };
+    }
+
+    return responses;
+}
+
+/**
+ * Convert a Postman v2.x collection into an OpenAPI 3.0 document
+ * @param {Object} collection - Parsed Postman collection
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function convertPostmanToOpenAPI3(collection) {
+    logger.info('Converting Postman collection to OpenAPI 3', 'convertPostmanToOpenAPI3', {
+        name: collection.info?.name
+    });
+
+    const variables = Object.fromEntries((collection.variable || []).map(variable => [variable.key, variable.value]));
+    const spec = {
+        openapi: '3.0.3',
+        info: {
+            title: collection.info?.name || 'Postman Collection',
+            version: variables.version || collection.info?.version || '1.0.0',
+            ...(getDescription(collection.info?.description) && { description: getDescription(collection.info.description) })
+        },
+        tags: [],
+        paths: {}
+    };
+    const servers = new Set();
+    const securitySchemes = {};
+    const baseUrls = collectBaseUrls(collection.item, variables);
+
+    const registerAuth = (auth) => {
+        const converted = convertAuth(auth);
+        if (!converted) return auth?.type === 'noauth' ? [] : null;
+        securitySchemes[converted.name] = converted.scheme;
+        return [{ [converted.name]: converted.scopes }];
+    };
+
+    const collectionSecurity = registerAuth(collection.auth);
+    if (collectionSecurity?.length) spec.security = collectionSecurity;
+
+    const visit = (items, folderTags, inheritedSecurity) => {
+        for (const item of items) {
+            // Folders carry an `item` array: they become tags for the requests they contain
+            if (Array.isArray(item.item)) {
+                if (!spec.tags.some(tag => tag.name === item.name)) {
+                    spec.tags.push({
+                        name: item.name,
+                        ...(getDescription(item.description) && { description: getDescription(item.description) })
+                    });
+                }
+                const folderSecurity = item.auth ? registerAuth(item.auth) : inheritedSecurity;
+                visit(item.item, [...folderTags, item.name].slice(-1), folderSecurity);
+                continue;
+            }
+
+            const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+            if (!request) continue;
+
+            const method = (request.method || 'GET').toLowerCase();
+            const parsedUrl = parseUrl(request.url, variables);
+            const { query, pathVariables } = parsedUrl;
+            const { server, path } = rebaseUrl(parsedUrl.server, parsedUrl.path, baseUrls);
+            if (server) servers.add(server);
+
+            const headers = (request.header || []).filter(header => !header.disabled);
+            const parameters = [
+                ...pathVariables.map(variable => ({
+                    name: variable.key,
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'string' },
+                    ...(variable.value && { example: variable.value }),
+                    ...(getDescription(variable.description) && { description: getDescription(variable.description) })
+                })),
+                ...query.filter(param => !param.disabled && param.key).map(param => ({
+                    name: param.key,
+                    in: 'query',
+                    schema: { type: 'string' },
+                    ...(param.value && { example: param.value }),
+                    ...(getDescription(param.description) && { description: getDescription(param.description) })
+                })),
+                ...headers.filter(header => header.key && !IGNORED_HEADERS.includes(header.key.toLowerCase())).map(header => ({
+                    name: header.key,
+                    in: 'header',
+                    schema: { type: 'string' },
+                    ...(header.value && { example: header.value }),
+                    ...(getDescription(header.description) && { description: getDescription(header.description) })
+                }))
+            ];
+
+            // Path variables written as {{var}} have no `variable` entry, declare them too
+            for (const [, name] of path.matchAll(/{([^}]+)}/g)) {
+                if (!parameters.some(param => param.in === 'path' && param.name === name)) {
+                    parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+                }
+            }
+
+            const operation = {
+                summary: item.name,
+                ...(getDescription(request.description) && { description: getDescription(request.description) }),
+                ...(folderTags.length && { tags: folderTags }),
+                ...(parameters.length && { parameters }),
+                responses: convertResponses(item.response)
+            };
+
+            const requestBody = convertRequestBody(request.body, headers);
+            if (requestBody) operation.requestBody = requestBody;
+
+            const security = request.auth ? registerAuth(request.auth) : inheritedSecurity;
+            if (security && JSON.stringify(security) !== JSON.stringify(spec.security || null)) {
+                operation.security = security;
+            }
+
+            spec.paths[path] = spec.paths[path] || {};
+            if (spec.paths[path][method]) {
+                logger.warn('Duplicate request in Postman collection, keeping the first one', 'convertPostmanToOpenAPI3', {
+                    method: method.toUpperCase(),
+                    path,
+                    name: item.name
+                });
+                continue;
+            }
+            spec.paths[path][method] = operation;
+        }
+    };
+
+    visit(collection.item, [], collectionSecurity);
+
+    if (servers.size) spec.servers = Array.from(servers).map(url => ({ url }));
+    if (!spec.tags.length) delete spec.tags;
+    if (Object.keys(securitySchemes).length) spec.components = { securitySchemes };
+
+    logger.info('Converted Postman collection', 'convertPostmanToOpenAPI3', {
+        pathCount: Object.keys(spec.paths).length,
+        tagCount: spec.tags?.length || 0,
+        securitySchemeCount: Object.keys(securitySchemes).length
+    });
+
+    return spec;
+}
+
+module.exports = {
+    isPostmanCollection,
+    convertPostmanToOpenAPI3
+};
@@ -0,0 +1,279 @@
+const fetch = require('node-fetch');
+const { v5: uuidv5 } = require('uuid');
+const { createModuleLogger } = require('./logger');
+const { MAX_LIST_SIZE, splitFilter } = require('./vector-store');
+
+const logger = createModuleLogger('qdrant');
+
+// Qdrant point ids are integers or UUIDs, so string ids are mapped to name-based UUIDs
+const POINT_ID_NAMESPACE = '6f1f7c58-4b7a-4f0e-9a51-3c8a2f0d9e14';
+const SCROLL_PAGE_SIZE = 1000;
+
+const RANGE_OPERATORS = { $gt: 'gt', $gte: 'gte', $lt: 'lt', $lte: 'lte' };
+
+/**
+ * Translate a contract filter to a Qdrant filter
+ * @param {Object} [filter]
+ * @returns {Object|undefined}
+ */
+function toQdrantFilter(filter) {
+    const must = [];
+    const mustNot = [];
+
+    for (const clause of splitFilter(filter)) {
+        const [key, condition] = Object.entries(clause)[0];
+
+        if (key === '$and') {
+            must.push(...condition.map(toQdrantFilter).filter(Boolean));
+            continue;
+        }
+        if (key === '$or') {
+            must.push({ should: condition.map(toQdrantFilter).filter(Boolean) });
+            continue;
+        }
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            must.push({ key, match: { value: condition } });
+            continue;
+        }
+
+        const range = {};
+        for (const [operator, value] of Object.entries(condition)) {
+            if (operator === '$eq') must.push({ key, match: { value } });
+            else if (operator === '$ne') mustNot.push({ key, match: { value } });
+            else if (operator === '$in') must.push({ key, match: { any: value } });
+            else if (operator === '$nin') mustNot.push({ key, match: { any: value } });
+            else if (RANGE_OPERATORS[operator]) range[RANGE_OPERATORS[operator]] = value;
+            else throw new Error(`Unsupported filter operator for Qdrant: ${operator}`);
+        }
+        if (Object.keys(range).length) {
+            must.push({ key, range });
+        }
+    }
+
+    if (!must.length && !mustNot.length) return undefined;
+    return {
+        ...(must.length ? { must } : {}),
+        ...(mustNot.length ? { must_not: mustNot } : {})
+    };
+}
+
+/**
+ * Qdrant adapter of the vector store contract (see vector-store), over the Qdrant REST API. The default
+ * namespace is the QDRANT_COLLECTION collection and every other namespace a collection of its own,
+ * `<collection>__<namespace>`, created on the first upsert with the dimension of its vectors.
+ */
+class QdrantVectorStore {
+    constructor() {
+        this.provider = 'qdrant';
+        this.baseUrl = (process.env.QDRANT_URL || 'http://localhost:6333').replace(/\/$/, '');
+        this.apiKey = process.env.QDRANT_API_KEY;
+        this.collectionName = process.env.QDRANT_COLLECTION || 'openapi_specs';
+        this.knownCollections = new Set();
+    }
+
+    async initialize() {
+        const health = await this.health();
+        if (!health.ok) {
+            logger.error('Failed to connect to Qdrant', 'initialize', { baseUrl: this.baseUrl, error: health.error });
+            throw new Error(`Qdrant is not reachable at ${this.baseUrl}: ${health.error}`);
+        }
+
+        logger.info('Initialized Qdrant vector store', 'initialize', {
+            baseUrl: this.baseUrl,
+            collection: this.collectionName,
+            version: health.version
+        });
+        return this;
+    }
+
+    /**
+     * Call the REST API; resolves to the `result` of the response, or null for a missing collection
+     */
+    async request(method, path, body) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'api-key': this.apiKey } : {})
+            },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = payload?.status?.error || response.statusText;
+            logger.error('Qdrant request failed', 'request', { method, path, status: response.status, error: message });
+            throw new Error(`Qdrant ${method} ${path} failed (${response.status}): ${message}`);
+        }
+        return payload.result ?? payload;
+    }
+
+    collectionFor(namespace) {
+        return namespace ? `${this.collectionName}__${namespace.replace(/[^a-zA-Z0-9_-]/g, '-')}` : this.collectionName;
+    }
+
+    pointsPath(namespace, action = '') {
+        return `/collections/${encodeURIComponent(this.collectionFor(namespace))}/points${action}`;
+    }
+
+    async ensureCollection(namespace, size) {
+        const name = this.collectionFor(namespace);
+        if (this.knownCollections.has(name)) return;
+
+        const existing = await this.request('GET', `/collections/${encodeURIComponent(name)}`);
+        if (!existing) {
+            logger.info('Creating Qdrant collection', 'ensureCollection', { collection: name, size });
+            await this.request('PUT', `/collections/${encodeURIComponent(name)}`, {
+                vectors: { size, distance: 'Cosine' }
+            });
+        }
+        this.knownCollections.add(name);
+    }
+
+    toRecord(point) {
+        const { _id, ...metadata } = point.payload || {};
+        return {
+            id: _id ?? String(point.id),
+            metadata,
+            ...(point.vector ? { values: point.vector } : {}),
+            ...(point.score !== undefined ? { score: point.score } : {})
+        };
+    }
+
+    async upsert(vectors, { namespace } = {}) {
+        if (!vectors.length) return;
+        await this.ensureCollection(namespace, vectors[0].values.length);
+
+        logger.info('Upserting vectors to Qdrant', 'upsert', { namespace, vectorCount: vectors.length });
+        await this.request('PUT', `${this.pointsPath(namespace)}?wait=true`, {
+            points: vectors.map(vector => ({
+                id: uuidv5(vector.id, POINT_ID_NAMESPACE),
+                vector: vector.values,
+                payload: { ...vector.metadata, _id: vector.id }
+            }))
+        });
+    }
+
+    async query(vector, { namespace, topK = 10, filter, includeValues = false } = {}) {
+        const result = await this.request('POST', this.pointsPath(namespace, '/search'), {
+            vector,
+            limit: topK,
+            filter: toQdrantFilter(filter),
+            with_payload: true,
+            with_vector: includeValues
+        });
+        return { matches: (result || []).map(point => this.toRecord(point)) };
+    }
+
+    async fetch(ids, { namespace } = {}) {
+        if (!ids.length) return new Map();
+        const result = await this.request('POST', this.pointsPath(namespace), {
+            ids: ids.map(id => uuidv5(id, POINT_ID_NAMESPACE)),
+            with_payload: true,
+            with_vector: true
+        });
+        return new Map((result || []).map(point => {
+            const record = this.toRecord(point);
+            return [record.id, record];
+        }));
+    }
+
+    // Page through the points of a namespace
+    async scroll(namespace, { filter, limit = MAX_LIST_SIZE, withPayload = true } = {}) {
+        const records = [];
+        let offset;
+        do {
+            const result = await this.request('POST', this.pointsPath(namespace, '/scroll'), {
+                limit: Math.min(SCROLL_PAGE_SIZE, limit - records.length),
+                filter: toQdrantFilter(filter),
+                with_payload: withPayload ? true : ['_id'],
+                with_vector: false,
+                ...(offset !== undefined ? { offset } : {})
+            });
+            if (!result) break;
+            records.push(...result.points.map(point => this.toRecord(point)));
+            offset = result.next_page_offset ?? undefined;
+        } while (offset !== undefined && records.length < limit);
+        return records;
+    }
+
+    async find({ namespace, filter, limit = MAX_LIST_SIZE } = {}) {
+        return this.scroll(namespace, { filter, limit });
+    }
+
+    async listIds({ namespace, prefix = '' } = {}) {
+        const records = await this.scroll(namespace, { limit: Infinity, withPayload: false });
+        return records.map(record => record.id).filter(id => id.startsWith(prefix));
+    }
+
+    async count({ namespace, filter } = {}) {
+        const result = await this.request('POST', this.pointsPath(namespace, '/count'), {
+            filter: toQdrantFilter(filter),
+            exact: true
+        });
+        return result?.count || 0;
+    }
+
+    async deleteByIds(ids, { namespace } = {}) {
+        if (!ids.length) return;
+        await this.request('POST', `${this.pointsPath(namespace, '/delete')}?wait=true`, {
+            points: ids.map(id => uuidv5(id, POINT_ID_NAMESPACE))
+        });
+    }
+
+    async deleteByFilter(filter, { namespace } = {}) {
+        const qdrantFilter = toQdrantFilter(filter);
+        if (!qdrantFilter) {
+            throw new Error('deleteByFilter needs a filter; use deleteNamespace to delete everything');
+        }
+
+        const count = await this.count({ namespace, filter });
+        if (count) {
+            await this.request('POST', `${this.pointsPath(namespace, '/delete')}?wait=true`, { filter: qdrantFilter });
+        }
+
+        logger.info('Deleted vectors from Qdrant', 'deleteByFilter', { namespace, filter, deletedCount: count });
+        return count;
+    }
+
+    async deleteNamespace(namespace) {
+        const name = this.collectionFor(namespace);
+        await this.request('DELETE', `/collections/${encodeURIComponent(name)}`);
+        this.knownCollections.delete(name);
+    }
+
+    async listNamespaces() {
+        const prefix = `${this.collectionName}__`;
+        const result = await this.request('GET', '/collections');
+        const namespaces = [];
+
+        for (const { name } of result?.collections || []) {
+            if (name === this.collectionName || name.startsWith(prefix)) {
+                const namespace = name === this.collectionName ? '' : name.slice(prefix.length);
+                namespaces.push({ name: namespace, count: await this.count({ namespace }) });
+            }
+        }
+        return namespaces.filter(namespace => namespace.count > 0);
+    }
+
+    async health() {
+        try {
+            const info = await this.request('GET', '/');
+            return { ok: true, provider: this.provider, baseUrl: this.baseUrl, version: info?.version };
+        } catch (error) {
+            return { ok: false, provider: this.provider, error: error.message };
+        }
+    }
+}
+
+function createQdrantStore() {
+    return new QdrantVectorStore();
+}
+
+module.exports = {
+    createQdrantStore
+};
@@ -0,0 +1,80 @@
+/**
+ * @module query-analyzer
+ * @description Detects the API references a chat or search query names: HTTP methods, paths (templates such as
+ * `/users/{id}/roles` or concrete paths such as `/users/42/roles`) and operationIds. Retrieval looks these up
+ * exactly instead of relying on semantic similarity.
+ */
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'TRACE'];
+
+// Uppercase methods anywhere, lowercase ones only right before a path ("get /users"), as "get" is also a word
+const METHOD_PATTERN = new RegExp(`\\b(${HTTP_METHODS.join('|')})(?=\\s+/)|\\b(${HTTP_METHODS.join('|')})\\b`, 'gi');
+// A path starts a word (or follows a quote or bracket) and has at least one segment
+const PATH_PATTERN = /(?:^|[\s`'"(\[])(\/[A-Za-z0-9\-._~%{}:@$/]*[A-Za-z0-9\-_~%}])/g;
+// camelCase identifiers and anything in backticks are operationId candidates
+const OPERATION_ID_PATTERN = /`([A-Za-z_][A-Za-z0-9_.-]*)`|\b([a-z][a-z0-9]*[A-Z][A-Za-z0-9]*)\b/g;
+
+function unique(values) {
+    return [...new Set(values)];
+}
+
+function isTemplateSegment(segment) {
+    return /^\{[^{}]+\}$/.test(segment);
+}
+
+function splitPath(path) {
+    return path.split('/').filter(Boolean);
+}
+
+/**
+ * Whether a path names an endpoint of the spec: literal segments are equal (ignoring case) and template
+ * segments (`{id}`) match any value, or any template segment of a path written as a template
+ * @param {string} path - Path from the query, e.g. `/users/42/roles` or `/users/{userId}/roles`
+ * @param {string} template - Endpoint path of the spec, e.g. `/users/{id}/roles`
+ * @returns {boolean}
+ */
+function matchesPathTemplate(path, template) {
+    const segments = splitPath(path);
+    const templateSegments = splitPath(template);
+    if (segments.length !== templateSegments.length) {
+        return false;
+    }
+
+    return templateSegments.every((templateSegment, i) => {
+        if (isTemplateSegment(templateSegment)) {
+            return true;
+        }
+        return !isTemplateSegment(segments[i]) && segments[i].toLowerCase() === templateSegment.toLowerCase();
+    });
+}
+
+/**
+ * API references named in a query
+ * @param {string} query
+ * @returns {{methods: Array<string>, paths: Array<string>, operationIds: Array<string>}} Methods are uppercase;
+ * paths have no query string or trailing slash. OperationIds are only candidates, to be confirmed by a lookup.
+ */
+function analyzeQuery(query) {
+    const text = String(query || '');
+
+    const methods = unique([...text.matchAll(METHOD_PATTERN)]
+        .filter(match => match[1] || match[2] === match[2].toUpperCase())
+        .map(match => (match[1] || match[2]).toUpperCase()));
+
+    const pathMatches = [...text.matchAll(PATH_PATTERN)];
+    const paths = unique(pathMatches
+        .map(match => match[1].split('?')[0].replace(/\/+$/, ''))
+        .filter(path => path.length > 1));
+
+    // Path parameters are not operationIds
+    const withoutPaths = pathMatches.reduce((rest, match) => rest.replace(match[1], ' '), text);
+    const operationIds = unique([...withoutPaths.matchAll(OPERATION_ID_PATTERN)]
+        .map(match => match[1] || match[2]));
+
+    return { methods, paths, operationIds };
+}
+
+module.exports = {
+    analyzeQuery,
+    matchesPathTemplate
+};
@@ -0,0 +1,38 @@
+/**
+ * @module rank-fusion
+ * @description Reciprocal rank fusion (RRF) of ranked result lists. Only ranks count, so lists whose scores
+ * are not comparable (cosine similarity, BM25) can be merged.
+ */
+
+/**
+ * Merge ranked lists of `{ id, score, ... }` matches. Each match scores `weight / (k + rank)` in every list it
+ * appears in; the sum is divided by its maximum, so the best possible match scores 1.
+ * @param {Array<{name: string, matches: Array<Object>, weight: number}>} lists
+ * @param {Object} [options]
+ * @param {number} [options.k] - Rank constant, higher values flatten the difference between ranks
+ * @returns {Array<Object>} Matches best first, with the fused `score`, plus `scores` and `ranks` per list name
+ */
+function reciprocalRankFusion(lists, options = {}) {
+    const k = options.k ?? 60;
+    const weighted = lists.filter(list => list.weight > 0);
+    const maxScore = weighted.reduce((sum, list) => sum + list.weight, 0) / (k + 1);
+    const fused = new Map();
+
+    for (const { name, matches, weight } of weighted) {
+        matches.forEach((match, index) => {
+            const entry = fused.get(match.id) || { ...match, fusedScore: 0, scores: {}, ranks: {} };
+            entry.fusedScore += weight / (k + index + 1);
+            entry.scores[name] = match.score;
+            entry.ranks[name] = index + 1;
+            fused.set(match.id, entry);
+        });
+    }
+
+    return [...fused.values()]
+        .map(({ fusedScore, ...match }) => ({ ...match, score: maxScore ? fusedScore / maxScore : 0 }))
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    reciprocalRankFusion
+};
@@ -0,0 +1,292 @@
+/**
+ * @module ref-resolver
+ * @description Bundles a specification split across several files into a single document by resolving external $refs
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const AdmZip = require('adm-zip');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('ref-resolver');
+
+const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Keys whose values are schemas; once inside a schema every nested $ref is a schema ref
+const SCHEMA_KEYS = ['schema', 'items', 'additionalProperties', 'not', 'contains', 'propertyNames'];
+const SCHEMA_MAP_KEYS = ['properties', 'patternProperties', 'schemas', 'definitions', '$defs'];
+const SCHEMA_LIST_KEYS = ['allOf', 'oneOf', 'anyOf', 'prefixItems'];
+
+/**
+ * Normalize a file path to a forward-slash relative path
+ * @param {string} filePath - Path inside the upload
+ * @returns {string}
+ */
+function normalizeFilePath(filePath) {
+    return path.posix.normalize(filePath.replace(/\\/g, '/')).replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+}
+
+/**
+ * Parse a JSON or YAML document
+ * @param {string} content - Raw file content
+ * @param {string} filePath - File path, used for error messages
+ * @returns {Object}
+ */
+function parseDocument(content, filePath) {
+    if (content && typeof content === 'object') return content;
+
+    try {
+        return JSON.parse(content);
+    } catch {
+        try {
+            return yaml.load(content);
+        } catch (error) {
+            throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Read the specification files contained in a zip archive
+ * @param {Buffer} buffer - Zip archive content
+ * @returns {Object<string, string>} Map of file path to file content
+ */
+function readZipArchive(buffer) {
+    const zip = new AdmZip(buffer);
+    const files = {};
+
+    for (const entry of zip.getEntries()) {
+        const entryName = normalizeFilePath(entry.entryName);
+        if (entry.isDirectory || entryName.startsWith('__MACOSX/')) continue;
+        if (!SPEC_EXTENSIONS.includes(path.posix.extname(entryName).toLowerCase())) continue;
+
+        files[entryName] = entry.getData().toString('utf8');
+    }
+
+    logger.info('Read zip archive', 'readZipArchive', {
+        fileCount: Object.keys(files).length
+    });
+
+    return files;
+}
+
+/**
+ * Pick the root document: an OpenAPI/Swagger document with paths (or an AsyncAPI document with channels), closest to the archive root
+ * @param {Object<string, Object>} documents - Parsed documents by file path
+ * @returns {string|null}
+ */
+function findEntryFile(documents) {
+    const candidates = Object.entries(documents)
+        .filter(([, doc]) => doc && (doc.openapi || doc.swagger || doc.asyncapi))
+        .sort(([pathA, docA], [pathB, docB]) =>
+            (docB.paths || docB.channels ? 1 : 0) - (docA.paths || docA.channels ? 1 : 0) ||
+            pathA.split('/').length - pathB.split('/').length ||
+            pathA.localeCompare(pathB)
+        );
+
+    return candidates[0]?.[0] || null;
+}
+
+/**
+ * Decode a JSON pointer into its segments
+ * @param {string} pointer - Pointer such as `/components/schemas/User`
+ * @returns {Array<string>}
+ */
+function parsePointer(pointer) {
+    if (!pointer || pointer === '/') return [];
+    return pointer.replace(/^\//, '').split('/').map(segment =>
+        decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')
+    );
+}
+
+/**
+ * Bundle a multi-file specification into one document.
+ *
+ * Refs found inside schemas are hoisted into `components.schemas` (or `definitions` for Swagger 2.0)
+ * and tagged with `x-source-file`; any other external ref (parameters, responses, path items) is inlined.
+ * Recursive schemas are kept as refs to the hoisted schema, recursive inlined refs raise an error.
+ *
+ * @param {Object<string, string|Object>} files - Map of file path to content
+ * @param {Object} [options]
+ * @param {string} [options.entryFile] - Root document; detected when omitted
+ * @returns {{spec: Object, entryFile: string, sourceFiles: Array<string>, unresolved: Array<string>}}
+ */
+function bundleSpec(files, options = {}) {
+    const documents = {};
+    for (const [filePath, content] of Object.entries(files)) {
+        documents[normalizeFilePath(filePath)] = parseDocument(content, filePath);
+    }
+
+    const entryFile = options.entryFile ? normalizeFilePath(options.entryFile) : findEntryFile(documents);
+    if (!entryFile || !documents[entryFile]) {
+        throw new Error('No OpenAPI, Swagger or AsyncAPI root document found among the uploaded files');
+    }
+
+    logger.info('Bundling specification', 'bundleSpec', {
+        entryFile,
+        fileCount: Object.keys(documents).length
+    });
+
+    const root = documents[entryFile];
+    const isSwagger = !!root.swagger;
+    const schemaPrefix = isSwagger ? '#/definitions/' : '#/components/schemas/';
+    const schemaContainer = isSwagger
+        ? (root.definitions = root.definitions || {})
+        : ((root.components = root.components || {}).schemas = root.components.schemas || {});
+
+    const hoisted = new Map(); // `${file}#${pointer}` -> schema name
+    const sourceFiles = new Set([entryFile]);
+    const unresolved = [];
+
+    const rootSchemaNames = Object.keys(schemaContainer);
+    for (const schema of Object.values(schemaContainer)) {
+        if (schema && typeof schema === 'object' && !schema['x-source-file']) {
+            schema['x-source-file'] = entryFile;
+        }
+    }
+
+    const allocateName = (filePath, segments) => {
+        const base = (segments.length ? segments[segments.length - 1] : path.posix.basename(filePath, path.posix.extname(filePath)))
+            .replace(/[^A-Za-z0-9._-]/g, '_');
+        let name = base;
+        for (let i = 2; schemaContainer[name] !== undefined; i++) {
+            name = `${base}_${i}`;
+        }
+        return name;
+    };
+
+    const lookup = (filePath, segments) => {
+        let current = documents[filePath];
+        for (const segment of segments) {
+            if (current === undefined || current === null) return undefined;
+            current = current[segment];
+        }
+        return current;
+    };
+
+    const resolveRef = (ref, currentFile, inSchema, stack) => {
+        const [filePart, pointer = ''] = ref.split('#');
+
+        // Local refs in the root document already point into the bundled document
+        if (!filePart && currentFile === entryFile) {
+            return { $ref: ref };
+        }
+        if (/^[a-z]+:\/\//i.test(filePart)) {
+            unresolved.push(ref);
+            return { $ref: ref };
+        }
+
+        const targetFile = filePart
+            ? normalizeFilePath(path.posix.join(path.posix.dirname(currentFile), filePart))
+            : currentFile;
+        if (targetFile === entryFile) {
+            return { $ref: `#${pointer}` };
+        }
+
+        const segments = parsePointer(pointer);
+        const target = lookup(targetFile, segments);
+        if (target === undefined) {
+            logger.warn('Unresolved reference', 'bundleSpec', { ref, currentFile, targetFile });
+            unresolved.push(`${currentFile}: ${ref}`);
+            return { $ref: ref };
+        }
+
+        sourceFiles.add(targetFile);
+        const key = `${targetFile}#${pointer}`;
+
+        if (inSchema) {
+            if (!hoisted.has(key)) {
+                const name = allocateName(targetFile, segments);
+                hoisted.set(key, name);
+                schemaContainer[name] = {}; // Reserve the name so recursive refs terminate
+                const schema = walk(target, targetFile, true, stack);
+                schemaContainer[name] = schema && typeof schema === 'object' && !Array.isArray(schema)
+                    ? { ...schema, 'x-source-file': targetFile }
+                    : schema;
+            }
+            return { $ref: `${schemaPrefix}${hoisted.get(key)}` };
+        }
+
+        if (stack.includes(key)) {
+            throw new Error(`Circular reference detected: ${[...stack, key].join(' -> ')}`);
+        }
+        return walk(target, targetFile, false, [...stack, key]);
+    };
+
+    const walk = (value, currentFile, inSchema, stack) => {
+        if (Array.isArray(value)) {
+            return value.map(item => walk(item, currentFile, inSchema, stack));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (typeof value.$ref === 'string') {
+            return resolveRef(value.$ref, currentFile, inSchema, stack);
+        }
+
+        const result = {};
+        for (const [key, child] of Object.entries(value)) {
+            if (SCHEMA_KEYS.includes(key)) {
+                result[key] = walk(child, currentFile, true, stack);
+            } else if (SCHEMA_MAP_KEYS.includes(key) && child && typeof child === 'object' && !Array.isArray(child)) {
+                result[key] = Object.fromEntries(Object.entries(child).map(([name, schema]) => [
+                    name,
+                    walk(schema, currentFile, true, stack)
+                ]));
+            } else if (SCHEMA_LIST_KEYS.includes(key)) {
+                result[key] = walk(child, currentFile, true, stack);
+            } else {
+                result[key] = walk(child, currentFile, inSchema, stack);
+            }
+        }
+        return result;
+    };
+
+    // Walk everything except the schema container first, then the root schemas themselves
+    const rest = { ...root };
+    delete rest[isSwagger ? 'definitions' : 'components'];
+    const spec = walk(rest, entryFile, false, []);
+
+    if (!isSwagger) {
+        const { schemas, ...otherComponents } = root.components;
+        spec.components = walk(otherComponents, entryFile, false, []);
+    }
+    // Hoisted schemas were walked when first referenced, only the root document's own schemas remain
+    for (const name of rootSchemaNames) {
+        schemaContainer[name] = walk(schemaContainer[name], entryFile, true, []);
+    }
+    if (isSwagger) {
+        spec.definitions = schemaContainer;
+    } else {
+        spec.components.schemas = schemaContainer;
+    }
+
+    // Path items pulled in from other files keep track of where they were defined
+    for (const [pathName, pathItem] of Object.entries(root.paths || {})) {
+        const filePart = typeof pathItem?.$ref === 'string' ? pathItem.$ref.split('#')[0] : '';
+        if (filePart && spec.paths[pathName] && typeof spec.paths[pathName] === 'object' && !spec.paths[pathName].$ref) {
+            spec.paths[pathName]['x-source-file'] = normalizeFilePath(path.posix.join(path.posix.dirname(entryFile), filePart));
+        }
+    }
+    spec['x-source-file'] = entryFile;
+
+    logger.info('Bundled specification', 'bundleSpec', {
+        entryFile,
+        sourceFileCount: sourceFiles.size,
+        hoistedSchemaCount: hoisted.size,
+        unresolvedCount: unresolved.length
+    });
+
+    return {
+        spec,
+        entryFile,
+        sourceFiles: Array.from(sourceFiles),
+        unresolved
+    };
+}
+
+module.exports = {
+    bundleSpec,
+    readZipArchive,
+    findEntryFile
+};
@@ -0,0 +1,349 @@
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('schema-renderer');
+
+const COMPOSITION_KEYS = ['oneOf', 'anyOf'];
+
+/**
+ * Renders JSON Schemas (as used by OpenAPI) into readable text for chunking.
+ * Flattens allOf, lists oneOf/anyOf variants with their discriminator mapping
+ * and expands nested objects up to a configurable depth.
+ */
+class SchemaRenderer {
+    /**
+     * @param {Object} [config]
+     * @param {Function} [config.resolveRef] - Resolves a `$ref` string to its schema, or null
+     * @param {number} [config.maxDepth] - Nesting depth expanded below the top-level properties
+     */
+    constructor(config = {}) {
+        this.resolveRef = config.resolveRef || (() => null);
+        this.maxDepth = config.maxDepth ?? parseInt(process.env.SCHEMA_RENDER_DEPTH || '3', 10);
+    }
+
+    /**
+     * Name of the schema a `$ref` points to
+     */
+    refName(ref) {
+        return ref.split('/').pop();
+    }
+
+    /**
+     * Follow a `$ref` (if any) and flatten allOf compositions
+     * @param {Object} schema - Schema or reference
+     * @param {Set<string>} seen - References on the current path, to stop on recursive schemas
+     * @returns {{schema: Object, name: string|null, recursive: boolean}}
+     */
+    resolve(schema, seen = new Set()) {
+        if (!schema || typeof schema !== 'object') {
+            return { schema: {}, name: null, recursive: false };
+        }
+        if (schema.$ref) {
+            const name = this.refName(schema.$ref);
+            if (seen.has(schema.$ref)) {
+                return { schema: {}, name, recursive: true };
+            }
+            const target = this.resolveRef(schema.$ref);
+            if (!target) {
+                return { schema: {}, name, recursive: false };
+            }
+            return {
+                schema: this.flattenAllOf(target, new Set(seen).add(schema.$ref)),
+                name,
+                recursive: false
+            };
+        }
+        return { schema: this.flattenAllOf(schema, seen), name: null, recursive: false };
+    }
+
+    /**
+     * Merge allOf members into a single schema (properties, required, constraints)
+     * @param {Object} schema - Schema possibly using allOf
+     * @param {Set<string>} seen - References on the current path
+     * @returns {Object}
+     */
+    flattenAllOf(schema, seen = new Set()) {
+        if (!Array.isArray(schema.allOf)) return schema;
+
+        const { allOf, ...base } = schema;
+        const merged = { ...base, properties: {}, required: [...(base.required || [])] };
+        const inherits = [];
+
+        for (const member of allOf) {
+            const { schema: resolved, name } = this.resolve(member, seen);
+            if (name) inherits.push(name);
+
+            for (const [key, value] of Object.entries(resolved)) {
+                if (key === 'properties') {
+                    merged.properties = { ...merged.properties, ...value };
+                } else if (key === 'required') {
+                    merged.required.push(...value);
+                } else if (merged[key] === undefined) {
+                    merged[key] = value;
+                }
+            }
+        }
+
+        // Properties declared next to allOf take precedence over inherited ones
+        merged.properties = { ...merged.properties, ...(base.properties || {}) };
+        if (!merged.type && Object.keys(merged.properties).length) merged.type = 'object';
+        if (!Object.keys(merged.properties).length) delete merged.properties;
+        merged.required = [...new Set(merged.required)];
+        if (inherits.length) merged['x-inherits'] = inherits;
+
+        return merged;
+    }
+
+    /**
+     * Short type description such as `string`, `array<Pet>`, `map<string, integer>` or `oneOf<Cat | Dog>`
+     * @param {Object} schema - Schema or reference
+     * @returns {string}
+     */
+    describeType(schema) {
+        if (!schema || typeof schema !== 'object') return 'any';
+        if (schema.$ref) return this.refName(schema.$ref);
+
+        for (const key of COMPOSITION_KEYS) {
+            if (Array.isArray(schema[key])) {
+                return `${key}<${schema[key].map(variant => this.describeType(variant)).join(' | ')}>`;
+            }
+        }
+        if (Array.isArray(schema.allOf)) {
+            const names = schema.allOf.filter(member => member.$ref).map(member => this.refName(member.$ref));
+            return names.length ? `allOf<${names.join(' & ')}>` : 'object';
+        }
+
+        let type = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type;
+        if (!type) {
+            if (schema.properties) type = 'object';
+            else if (schema.items) type = 'array';
+            else if (schema.enum) type = typeof schema.enum[0];
+            else type = 'any';
+        }
+
+        if (type === 'array') {
+            type = `array<${this.describeType(schema.items)}>`;
+        } else if (type === 'object' && !schema.properties && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            type = `map<string, ${this.describeType(schema.additionalProperties)}>`;
+        }
+
+        return schema.nullable ? `${type} | null` : type;
+    }
+
+    /**
+     * Enum values, formats and validation constraints of a schema
+     * @param {Object} schema - Resolved schema
+     * @returns {Array<string>}
+     */
+    describeConstraints(schema) {
+        const constraints = [];
+        const add = (label, value) => {
+            if (value !== undefined) constraints.push(`${label}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        };
+
+        add('format', schema.format);
+        if (Array.isArray(schema.enum)) {
+            constraints.push(`enum: ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`);
+        }
+        add('const', schema.const);
+        add('default', schema.default);
+        add(schema.exclusiveMinimum === true ? 'exclusive min' : 'min', schema.minimum);
+        add(schema.exclusiveMaximum === true ? 'exclusive max' : 'max', schema.maximum);
+        if (typeof schema.exclusiveMinimum === 'number') add('exclusive min', schema.exclusiveMinimum);
+        if (typeof schema.exclusiveMaximum === 'number') add('exclusive max', schema.exclusiveMaximum);
+        add('multiple of', schema.multipleOf);
+        add('min length', schema.minLength);
+        add('max length', schema.maxLength);
+        add('pattern', schema.pattern);
+        add('min items', schema.minItems);
+        add('max items', schema.maxItems);
+        if (schema.uniqueItems) constraints.push('unique items');
+        add('min properties', schema.minProperties);
+        add('max properties', schema.maxProperties);
+        if (schema.readOnly) constraints.push('read-only');
+        if (schema.writeOnly) constraints.push('write-only');
+        if (schema.deprecated) constraints.push('deprecated');
+
+        return constraints;
+    }
+
+    /**
+     * Render a schema as indented lines
+     * @param {Object} schema - Schema or reference
+     * @param {Object} [options]
+     * @param {number} [options.indent=0] - Indentation level
+     * @param {number} [options.depth=0] - Current nesting depth
+     * @param {Set<string>} [options.seen] - References on the current path
+     * @returns {Array<string>}
+     */
+    render(schema, options = {}) {
+        const { indent = 0, depth = 0, seen = new Set() } = options;
+        const pad = '  '.repeat(indent);
+        const lines = [];
+
+        const { schema: resolved, name, recursive } = this.resolve(schema, seen);
+        const nextSeen = schema?.$ref ? new Set(seen).add(schema.$ref) : seen;
+
+        if (recursive) {
+            return [`${pad}(recursive reference to ${name})`];
+        }
+
+        if (resolved['x-inherits']) {
+            lines.push(`${pad}Inherits: ${resolved['x-inherits'].join(', ')}`);
+        }
+
+        const constraints = this.describeConstraints(resolved);
+        if (depth === 0 && constraints.length && !resolved.properties) {
+            lines.push(`${pad}Constraints: ${constraints.join(', ')}`);
+        }
+
+        if (resolved.properties) {
+            lines.push(`${pad}Properties:`);
+            lines.push(...this.renderProperties(resolved, { indent, depth, seen: nextSeen }));
+        }
+
+        if (resolved.additionalProperties !== undefined && resolved.additionalProperties !== false && resolved.properties) {
+            lines.push(`${pad}Additional properties: ${resolved.additionalProperties === true ? 'any' : this.describeType(resolved.additionalProperties)}`);
+        } else if (resolved.additionalProperties === false && resolved.properties) {
+            lines.push(`${pad}Additional properties: not allowed`);
+        }
+
+        // Map schemas (additionalProperties only): the value schema is the structure
+        if (this.isMap(resolved)) {
+            const valueSchema = resolved.additionalProperties;
+            const { schema: resolvedValue } = this.resolve(valueSchema, nextSeen);
+            const valueConstraints = this.describeConstraints(valueSchema.$ref ? { ...resolvedValue, ...valueSchema } : resolvedValue);
+            let line = `${pad}Values: ${this.describeType(valueSchema)}`;
+            if (valueConstraints.length) line += ` (${valueConstraints.join(', ')})`;
+            lines.push(line);
+
+            if (depth < this.maxDepth && this.isExpandable(resolvedValue)) {
+                lines.push(...this.render(valueSchema, { indent: indent + 1, depth: depth + 1, seen: nextSeen }));
+            }
+        }
+
+        for (const key of COMPOSITION_KEYS) {
+            if (Array.isArray(resolved[key])) {
+                lines.push(...this.renderVariants(resolved, key, { indent, depth, seen: nextSeen }));
+            }
+        }
+
+        const isArray = resolved.type === 'array' || (!resolved.type && resolved.items);
+        if (isArray && resolved.items && depth < this.maxDepth) {
+            const itemLines = this.render(resolved.items, { indent: indent + 1, depth: depth + 1, seen: nextSeen });
+            if (itemLines.length) {
+                lines.push(`${pad}Items (${this.describeType(resolved.items)}):`);
+                lines.push(...itemLines);
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Render the properties of an object schema, expanding nested objects up to maxDepth
+     */
+    renderProperties(schema, { indent, depth, seen }) {
+        const pad = '  '.repeat(indent);
+        const required = schema.required || [];
+        const lines = [];
+
+        for (const [propName, prop] of Object.entries(schema.properties)) {
+            const { schema: resolvedProp } = this.resolve(prop, seen);
+            // Keep sibling keywords of a $ref (description, constraints) visible
+            const described = prop?.$ref ? { ...resolvedProp, ...prop } : resolvedProp;
+            const details = [
+                required.includes(propName) ? 'required' : null,
+                ...this.describeConstraints(described)
+            ].filter(Boolean);
+
+            let line = `${pad}- ${propName}: ${this.describeType(prop)}`;
+            if (details.length) line += ` (${details.join(', ')})`;
+            if (described.description) line += ` - ${described.description.replace(/\s+/g, ' ').trim()}`;
+            lines.push(line);
+
+            if (depth < this.maxDepth && this.isExpandable(resolvedProp)) {
+                lines.push(...this.render(prop, { indent: indent + 1, depth: depth + 1, seen }));
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Render oneOf/anyOf variants and the discriminator mapping
+     */
+    renderVariants(schema, key, { indent, depth, seen }) {
+        const pad = '  '.repeat(indent);
+        const label = key === 'oneOf' ? 'One of' : 'Any of';
+        const lines = [`${pad}${label}:`];
+        const discriminator = schema.discriminator;
+
+        if (discriminator?.propertyName) {
+            lines.push(`${pad}Discriminator: ${discriminator.propertyName}`);
+            for (const [value, ref] of Object.entries(discriminator.mapping || {})) {
+                lines.push(`${pad}  ${discriminator.propertyName} = ${JSON.stringify(value)} -> ${this.refName(ref)}`);
+            }
+        }
+
+        schema[key].forEach((variant, index) => {
+            const { schema: resolvedVariant } = this.resolve(variant, seen);
+            const title = variant.$ref ? this.refName(variant.$ref) : (resolvedVariant.title || `Variant ${index + 1}`);
+            const description = resolvedVariant.description ? ` - ${resolvedVariant.description.replace(/\s+/g, ' ').trim()}` : '';
+            lines.push(`${pad}- ${title}: ${this.describeType(variant.$ref ? resolvedVariant : variant)}${description}`);
+
+            if (depth < this.maxDepth && this.isExpandable(resolvedVariant)) {
+                lines.push(...this.render(variant, { indent: indent + 1, depth: depth + 1, seen }));
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Whether a schema has structure worth expanding below its type line
+     */
+    isExpandable(schema, seen = new Set()) {
+        if (this.isMap(schema)) {
+            const valueRef = schema.additionalProperties.$ref;
+            const { schema: valueSchema, recursive } = this.resolve(schema.additionalProperties, seen);
+            if (recursive) return false;
+            return this.isExpandable(valueSchema, valueRef ? new Set(seen).add(valueRef) : seen) ||
+                this.describeConstraints(valueSchema).length > 0;
+        }
+        return !!(schema.properties || schema.oneOf || schema.anyOf || schema['x-inherits'] ||
+            ((schema.type === 'array' || schema.items) && schema.items && this.isExpandable(this.resolve(schema.items).schema)));
+    }
+
+    /**
+     * Whether a schema is a map: an object described only by its additionalProperties schema
+     */
+    isMap(schema) {
+        return !schema.properties && !!schema.additionalProperties && typeof schema.additionalProperties === 'object';
+    }
+
+    /**
+     * Property names of a schema after flattening allOf
+     * @param {Object} schema - Schema or reference
+     * @returns {{properties: Array<string>, required: Array<string>, variants: Array<string>}}
+     */
+    summarize(schema) {
+        try {
+            const { schema: resolved } = this.resolve(schema);
+            const variants = COMPOSITION_KEYS.flatMap(key =>
+                (resolved[key] || []).map((variant, index) =>
+                    variant.$ref ? this.refName(variant.$ref) : (variant.title || `Variant ${index + 1}`)
+                )
+            );
+            return {
+                properties: Object.keys(resolved.properties || {}),
+                required: resolved.required || [],
+                variants
+            };
+        } catch (error) {
+            logger.error('Failed to summarize schema', 'summarize', { error: error.message });
+            return { properties: [], required: [], variants: [] };
+        }
+    }
+}
+
+module.exports = { SchemaRenderer };
@@ -0,0 +1,518 @@
+/**
+ * @module spec-diff
+ * @description Structured comparison of two versions of an OpenAPI document: added, removed and changed
+ * endpoints, parameter/body/response schema changes classified as breaking or not, and security changes.
+ */
+
+const { isSwagger2, convertSwagger2ToOpenAPI3 } = require('./swagger-converter');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SCHEMA_DEPTH = 8;
+
+/**
+ * Look up a local reference in a document
+ */
+function lookupRef(spec, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+
+    let current = spec;
+    for (const part of ref.slice(2).split('/')) {
+        current = current?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+        if (current === undefined) return undefined;
+    }
+    return current;
+}
+
+/**
+ * Follow references (including refs to refs) to their definition
+ */
+function deref(spec, value, seen = new Set()) {
+    if (!value?.$ref || seen.has(value.$ref)) return value;
+    const target = lookupRef(spec, value.$ref);
+    return target === undefined ? value : deref(spec, target, new Set(seen).add(value.$ref));
+}
+
+function normalizeDocument(document) {
+    return isSwagger2(document) ? convertSwagger2ToOpenAPI3(document) : document;
+}
+
+/**
+ * Key of an endpoint that ignores path parameter names, so `/pets/{id}` matches `/pets/{petId}`
+ */
+function endpointKey(method, path) {
+    return `${method.toUpperCase()} ${path.replace(/\{[^}]+\}/g, '{}')}`;
+}
+
+function collectOperations(spec) {
+    const operations = new Map();
+    for (const [path, pathItemOrRef] of Object.entries(spec.paths || {})) {
+        const pathItem = deref(spec, pathItemOrRef) || {};
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method];
+            if (!operation || typeof operation !== 'object') continue;
+            operations.set(endpointKey(method, path), {
+                method: method.toUpperCase(),
+                path,
+                operation,
+                pathParameters: pathItem.parameters || []
+            });
+        }
+    }
+    return operations;
+}
+
+function describeType(schema) {
+    if (!schema) return undefined;
+    if (Array.isArray(schema.type)) return schema.type.join('|');
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    const variants = schema.oneOf || schema.anyOf;
+    if (variants) return variants.map(variant => variant.$ref ? variant.$ref.split('/').pop() : describeType(variant) || 'any').join('|');
+    return undefined;
+}
+
+/**
+ * Flatten a schema into `location -> {type, required, enum}` entries.
+ * `allOf` members are merged, array items use `[]`, references are followed once per branch.
+ * @param {Object} spec - Document the schema belongs to
+ * @param {Object} schema - Schema (or reference)
+ * @returns {Map<string, Object>}
+ */
+function flattenSchema(spec, schema) {
+    const fields = new Map();
+
+    const visit = (value, location, required, depth, seen) => {
+        if (!value || typeof value !== 'object' || depth > MAX_SCHEMA_DEPTH) return;
+        if (value.$ref) {
+            if (seen.has(value.$ref)) return;
+            seen = new Set(seen).add(value.$ref);
+            value = deref(spec, value);
+            if (!value || value.$ref) return;
+        }
+
+        const members = (value.allOf || []).map(member => deref(spec, member) || {});
+        const properties = Object.assign({}, ...members.map(member => member.properties || {}), value.properties || {});
+        const requiredNames = new Set([...members.flatMap(member => member.required || []), ...(value.required || [])]);
+        const enumValues = value.enum || members.find(member => member.enum)?.enum;
+
+        fields.set(location, {
+            type: describeType(value) || members.map(describeType).find(Boolean) || (Object.keys(properties).length ? 'object' : undefined),
+            required,
+            enum: enumValues
+        });
+
+        for (const [name, property] of Object.entries(properties)) {
+            visit(property, location ? `${location}.${name}` : name, requiredNames.has(name), depth + 1, seen);
+        }
+        if (value.items) {
+            visit(value.items, `${location}[]`, true, depth + 1, seen);
+        }
+    };
+
+    visit(schema, '', true, 0, new Set());
+    return fields;
+}
+
+/**
+ * Location of the object or array holding a field: `a.b[]` -> `a.b`, `a.b` -> `a`, `a` -> ``
+ */
+function parentOf(location) {
+    const match = location.match(/^(.*?)(\.[^.[\]]+|\[\])$/);
+    return match ? match[1] : '';
+}
+
+function change(type, message, breaking, location) {
+    return { type, breaking, message, ...(location ? { location } : {}) };
+}
+
+/**
+ * Compare two schemas as seen from one side of the exchange.
+ * In requests, new required fields break clients; in responses, removed fields and fields that became
+ * optional do. Removed enum values break both: requests using them are rejected, and responses that no
+ * longer use them break clients that branch on every documented value.
+ * @param {Object} base - Base document and schema: { spec, schema }
+ * @param {Object} revision - Revised document and schema
+ * @param {'request'|'response'} direction
+ * @param {string} label - Prefix for messages, e.g. `request body` or `response 200`
+ * @returns {Array<Object>} Changes
+ */
+function compareSchemas(base, revision, direction, label) {
+    const before = flattenSchema(base.spec, base.schema);
+    const after = flattenSchema(revision.spec, revision.schema);
+    const isRequest = direction === 'request';
+    const changes = [];
+    const name = location => location ? `field '${location}'` : 'schema';
+
+    for (const [location, field] of before) {
+        const next = after.get(location);
+        if (!next) {
+            // Only report the outermost removed field
+            if (location && !after.has(parentOf(location))) continue;
+            changes.push(change(`${direction}-field-removed`, `${label}: ${name(location)} was removed`, !isRequest, location));
+            continue;
+        }
+        if (field.type && next.type && field.type !== next.type) {
+            changes.push(change(`${direction}-type-changed`, `${label}: ${name(location)} changed type from ${field.type} to ${next.type}`, true, location));
+        }
+        if (location && field.required !== next.required) {
+            const nowRequired = next.required;
+            changes.push(change(
+                `${direction}-field-${nowRequired ? 'required' : 'optional'}`,
+                `${label}: ${name(location)} became ${nowRequired ? 'required' : 'optional'}`,
+                isRequest ? nowRequired : !nowRequired,
+                location
+            ));
+        }
+        if (field.enum || next.enum) {
+            const removed = (field.enum || []).filter(value => !(next.enum || []).includes(value));
+            const added = field.enum && next.enum ? next.enum.filter(value => !field.enum.includes(value)) : [];
+            if (removed.length && next.enum) {
+                changes.push(change(`${direction}-enum-value-removed`, `${label}: ${name(location)} no longer allows ${removed.map(v => JSON.stringify(v)).join(', ')}`, true, location));
+            }
+            if (added.length) {
+                changes.push(change(`${direction}-enum-value-added`, `${label}: ${name(location)} now allows ${added.map(v => JSON.stringify(v)).join(', ')}`, false, location));
+            }
+        }
+    }
+
+    for (const [location, field] of after) {
+        if (before.has(location) || (location && !before.has(parentOf(location)))) continue;
+        const breaking = isRequest && field.required;
+        changes.push(change(`${direction}-field-added`, `${label}: ${field.required && isRequest ? 'required ' : ''}${name(location)} was added`, breaking, location));
+    }
+
+    return changes;
+}
+
+function collectParameters(spec, entry) {
+    const parameters = new Map();
+    [...entry.pathParameters, ...(entry.operation.parameters || [])].forEach(parameterOrRef => {
+        const parameter = deref(spec, parameterOrRef);
+        if (parameter?.name && parameter.in) {
+            // Path parameters are matched by position, since renaming them does not change the URL
+            const key = parameter.in === 'path' ? `path:${(entry.path.match(/\{[^}]+\}/g) || []).indexOf(`{${parameter.name}}`)}` : `${parameter.in}:${parameter.name}`;
+            parameters.set(key, parameter);
+        }
+    });
+    return parameters;
+}
+
+function compareParameters(base, revision, baseEntry, revisionEntry) {
+    const before = collectParameters(base, baseEntry);
+    const after = collectParameters(revision, revisionEntry);
+    const changes = [];
+
+    for (const [key, parameter] of after) {
+        const previous = before.get(key);
+        const label = `${parameter.in} parameter '${parameter.name}'`;
+        if (!previous) {
+            changes.push(change('parameter-added', `${parameter.required ? 'Required' : 'Optional'} ${label} was added`, !!parameter.required, label));
+            continue;
+        }
+        if (!previous.required && parameter.required) {
+            changes.push(change('parameter-required', `${label} became required`, true, label));
+        } else if (previous.required && !parameter.required) {
+            changes.push(change('parameter-optional', `${label} became optional`, false, label));
+        }
+        changes.push(...compareSchemas(
+            { spec: base, schema: previous.schema },
+            { spec: revision, schema: parameter.schema },
+            'request',
+            label
+        ).map(entry => ({ ...entry, location: entry.location ? `${label}.${entry.location}` : label })));
+    }
+
+    for (const [key, parameter] of before) {
+        if (after.has(key)) continue;
+        const label = `${parameter.in} parameter '${parameter.name}'`;
+        changes.push(change('parameter-removed', `${label} was removed`, false, label));
+    }
+
+    return changes;
+}
+
+function mediaSchemas(content = {}) {
+    return Object.fromEntries(Object.entries(content).map(([mediaType, media]) => [mediaType, media?.schema]));
+}
+
+function compareContent(base, revision, beforeContent, afterContent, direction, label) {
+    const before = mediaSchemas(beforeContent);
+    const after = mediaSchemas(afterContent);
+    const changes = [];
+
+    for (const mediaType of Object.keys(before)) {
+        if (!(mediaType in after)) {
+            changes.push(change(`${direction}-media-type-removed`, `${label}: ${mediaType} is no longer ${direction === 'request' ? 'accepted' : 'returned'}`, true, label));
+            continue;
+        }
+        changes.push(...compareSchemas(
+            { spec: base, schema: before[mediaType] },
+            { spec: revision, schema: after[mediaType] },
+            direction,
+            label
+        ));
+    }
+    for (const mediaType of Object.keys(after)) {
+        if (!(mediaType in before)) {
+            changes.push(change(`${direction}-media-type-added`, `${label}: ${mediaType} was added`, false, label));
+        }
+    }
+
+    return changes;
+}
+
+function compareRequestBodies(base, revision, baseEntry, revisionEntry) {
+    const before = deref(base, baseEntry.operation.requestBody);
+    const after = deref(revision, revisionEntry.operation.requestBody);
+
+    if (!before && !after) return [];
+    if (!before) {
+        return [change('request-body-added', `${after.required ? 'Required request' : 'Request'} body was added`, !!after.required, 'request body')];
+    }
+    if (!after) {
+        return [change('request-body-removed', 'Request body was removed', false, 'request body')];
+    }
+
+    const changes = [];
+    if (!before.required && after.required) {
+        changes.push(change('request-body-required', 'Request body became required', true, 'request body'));
+    }
+    changes.push(...compareContent(base, revision, before.content, after.content, 'request', 'request body'));
+    return changes;
+}
+
+function compareResponses(base, revision, baseEntry, revisionEntry) {
+    const before = baseEntry.operation.responses || {};
+    const after = revisionEntry.operation.responses || {};
+    const changes = [];
+
+    for (const status of Object.keys(before)) {
+        const label = `response ${status}`;
+        if (!(status in after)) {
+            // Clients rely on success responses; dropping a documented error is not breaking
+            changes.push(change('response-removed', `${label} was removed`, /^2/.test(status), label));
+            continue;
+        }
+        changes.push(...compareContent(
+            base,
+            revision,
+            deref(base, before[status])?.content,
+            deref(revision, after[status])?.content,
+            'response',
+            label
+        ));
+    }
+    for (const status of Object.keys(after)) {
+        if (!(status in before)) {
+            changes.push(change('response-added', `response ${status} was added`, false, `response ${status}`));
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Security requirement alternatives of an operation, e.g. ['oauth2(read:pets)', 'apiKey']
+ */
+function effectiveSecurity(spec, operation) {
+    const requirements = operation.security || spec.security || [];
+    return requirements.map(requirement => Object.entries(requirement || {})
+        .map(([scheme, scopes]) => scopes?.length ? `${scheme}(${[...scopes].sort().join(',')})` : scheme)
+        .sort()
+        .join(' + ') || 'none');
+}
+
+function compareOperationSecurity(base, revision, baseEntry, revisionEntry) {
+    const before = effectiveSecurity(base, baseEntry.operation);
+    const after = effectiveSecurity(revision, revisionEntry.operation);
+    const format = alternatives => alternatives.length ? alternatives.join(' or ') : 'none';
+
+    if (format(before) === format(after)) return [];
+
+    // Removing an accepted alternative (or requiring auth where none was needed) locks clients out
+    const wasOpen = !before.length || before.includes('none');
+    const breaking = wasOpen ? !!after.length && !after.includes('none') : before.some(alternative => !after.includes(alternative));
+    return [change('security-changed', `security changed from ${format(before)} to ${format(after)}`, breaking, 'security')];
+}
+
+function compareSecuritySchemes(base, revision) {
+    const before = base.components?.securitySchemes || {};
+    const after = revision.components?.securitySchemes || {};
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [name, schemeOrRef] of Object.entries(before)) {
+        const scheme = deref(base, schemeOrRef);
+        const next = deref(revision, after[name]);
+        if (!next) {
+            result.removed.push(name);
+            continue;
+        }
+        const describe = value => [value.type, value.scheme, value.in, value.name, value.bearerFormat].filter(Boolean).join(' ');
+        if (describe(scheme) !== describe(next)) {
+            result.changed.push(change('security-scheme-changed', `security scheme '${name}' changed from ${describe(scheme)} to ${describe(next)}`, true, name));
+        }
+        const flows = value => Object.entries(value.flows || {}).map(([flow, config]) => `${flow}:${Object.keys(config.scopes || {}).sort().join(',')}`).sort().join(';');
+        if (flows(scheme) !== flows(next)) {
+            const removedScopes = Object.values(scheme.flows || {}).flatMap(flow => Object.keys(flow.scopes || {}))
+                .filter(scope => !Object.values(next.flows || {}).some(flow => scope in (flow.scopes || {})));
+            result.changed.push(change(
+                'security-flows-changed',
+                `security scheme '${name}' OAuth flows changed${removedScopes.length ? ` (scopes removed: ${removedScopes.join(', ')})` : ''}`,
+                removedScopes.length > 0,
+                name
+            ));
+        }
+    }
+    result.added = Object.keys(after).filter(name => !(name in before));
+
+    return result;
+}
+
+function compareComponentSchemas(base, revision) {
+    const before = base.components?.schemas || {};
+    const after = revision.components?.schemas || {};
+    const result = {
+        added: Object.keys(after).filter(name => !(name in before)),
+        removed: Object.keys(before).filter(name => !(name in after)),
+        changed: []
+    };
+
+    for (const name of Object.keys(before)) {
+        if (!(name in after)) continue;
+        // Component schemas are compared field by field; whether a change breaks clients depends
+        // on where the schema is used, which the endpoint changes report
+        const changes = compareSchemas(
+            { spec: base, schema: before[name] },
+            { spec: revision, schema: after[name] },
+            'response',
+            `schema ${name}`
+        ).map(({ breaking, ...entry }) => ({ ...entry, type: entry.type.replace(/^response-/, 'schema-') }));
+        if (changes.length) {
+            result.changed.push({ name, changes });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compare two versions of an OpenAPI (or Swagger 2.0) document
+ * @param {Object} baseDocument - Previous version
+ * @param {Object} revisionDocument - New version
+ * @returns {Object} Diff with `endpoints`, `schemas`, `security`, `breakingChanges` and `summary`
+ */
+function diffSpecs(baseDocument, revisionDocument) {
+    const base = normalizeDocument(baseDocument);
+    const revision = normalizeDocument(revisionDocument);
+    const before = collectOperations(base);
+    const after = collectOperations(revision);
+
+    const endpoints = { added: [], removed: [], changed: [] };
+    for (const [key, entry] of after) {
+        if (!before.has(key)) {
+            endpoints.added.push({ method: entry.method, path: entry.path, summary: entry.operation.summary });
+        }
+    }
+    for (const [key, entry] of before) {
+        const next = after.get(key);
+        if (!next) {
+            endpoints.removed.push({ method: entry.method, path: entry.path, summary: entry.operation.summary });
+            continue;
+        }
+
+        const changes = [
+            ...(entry.path !== next.path ? [change('path-renamed', `path parameters renamed: ${entry.path} is now ${next.path}`, false)] : []),
+            ...(!entry.operation.deprecated && next.operation.deprecated ? [change('deprecated', 'endpoint was deprecated', false)] : []),
+            ...compareParameters(base, revision, entry, next),
+            ...compareRequestBodies(base, revision, entry, next),
+            ...compareResponses(base, revision, entry, next),
+            ...compareOperationSecurity(base, revision, entry, next)
+        ];
+        if (changes.length) {
+            endpoints.changed.push({ method: next.method, path: next.path, summary: next.operation.summary, changes });
+        }
+    }
+
+    const security = compareSecuritySchemes(base, revision);
+    const globalBefore = effectiveSecurity(base, {});
+    const globalAfter = effectiveSecurity(revision, {});
+    if (globalBefore.join(' or ') !== globalAfter.join(' or ')) {
+        security.changed.push(change(
+            'global-security-changed',
+            `default security changed from ${globalBefore.join(' or ') || 'none'} to ${globalAfter.join(' or ') || 'none'}`,
+            false
+        ));
+    }
+
+    const breakingChanges = [
+        ...endpoints.removed.map(({ method, path }) => ({ ...change('endpoint-removed', `${method} ${path} was removed`, true), method, path })),
+        ...endpoints.changed.flatMap(({ method, path, changes }) => changes
+            .filter(entry => entry.breaking)
+            .map(entry => ({ ...entry, method, path }))),
+        ...security.removed.map(name => change('security-scheme-removed', `security scheme '${name}' was removed`, true, name)),
+        ...security.changed.filter(entry => entry.breaking)
+    ];
+
+    return {
+        endpoints,
+        schemas: compareComponentSchemas(base, revision),
+        security,
+        breakingChanges,
+        summary: {
+            endpointsAdded: endpoints.added.length,
+            endpointsRemoved: endpoints.removed.length,
+            endpointsChanged: endpoints.changed.length,
+            breakingChanges: breakingChanges.length
+        }
+    };
+}
+
+/**
+ * Plain-text rendering of a diff, used as chat context
+ * @param {Object} diff - Result of diffSpecs
+ * @param {Object} [labels]
+ * @param {string} [labels.apiName]
+ * @param {string} [labels.from] - Base version
+ * @param {string} [labels.to] - Revised version
+ * @returns {string}
+ */
+function formatDiffText(diff, labels = {}) {
+    const lines = [`Changes in ${labels.apiName || 'the API'} from version ${labels.from || '?'} to ${labels.to || '?'}:`];
+    const endpoint = ({ method, path, summary }) => `${method} ${path}${summary ? ` (${summary})` : ''}`;
+
+    lines.push(diff.breakingChanges.length
+        ? `Breaking changes (${diff.breakingChanges.length}):`
+        : 'No breaking changes.');
+    diff.breakingChanges.forEach(entry => {
+        lines.push(`- ${entry.method && !entry.message.startsWith(entry.method) ? `${entry.method} ${entry.path}: ` : ''}${entry.message}`);
+    });
+
+    if (diff.endpoints.added.length) {
+        lines.push('Added endpoints:', ...diff.endpoints.added.map(entry => `- ${endpoint(entry)}`));
+    }
+    if (diff.endpoints.removed.length) {
+        lines.push('Removed endpoints:', ...diff.endpoints.removed.map(entry => `- ${endpoint(entry)}`));
+    }
+    if (diff.endpoints.changed.length) {
+        lines.push('Changed endpoints:');
+        diff.endpoints.changed.forEach(entry => {
+            lines.push(`- ${endpoint(entry)}`, ...entry.changes.map(item => `  - ${item.message}${item.breaking ? ' [breaking]' : ''}`));
+        });
+    }
+    if (diff.schemas.added.length) lines.push(`Added schemas: ${diff.schemas.added.join(', ')}`);
+    if (diff.schemas.removed.length) lines.push(`Removed schemas: ${diff.schemas.removed.join(', ')}`);
+    diff.schemas.changed.forEach(({ name, changes }) => {
+        lines.push(`Schema ${name} changed:`, ...changes.map(item => `  - ${item.message}`));
+    });
+    if (diff.security.added.length) lines.push(`Added security schemes: ${diff.security.added.join(', ')}`);
+    if (diff.security.removed.length) lines.push(`Removed security schemes: ${diff.security.removed.join(', ')}`);
+    diff.security.changed.forEach(entry => lines.push(`- ${entry.message}`));
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    diffSpecs,
+    compareSchemas,
+    formatDiffText
+};
@@ -0,0 +1,437 @@
+/**
+ * @module swagger-converter
+ * @description Upgrades Swagger 2.0 documents to an equivalent OpenAPI 3 document so they can be chunked like native v3 specs
+ */
+
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('swagger-converter');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const DEFAULT_MEDIA_TYPE = 'application/json';
+
+// Parameter fields that move into the `schema` object in OpenAPI 3
+const SCHEMA_FIELDS = [
+    'type', 'format', 'items', 'collectionFormat', 'default', 'maximum', 'exclusiveMaximum',
+    'minimum', 'exclusiveMinimum', 'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems',
+    'uniqueItems', 'enum', 'multipleOf'
+];
+
+const OAUTH2_FLOWS = {
+    implicit: 'implicit',
+    password: 'password',
+    application: 'clientCredentials',
+    accessCode: 'authorizationCode'
+};
+
+/**
+ * Check whether a parsed document is a Swagger 2.0 specification
+ * @param {Object} spec - Parsed specification
+ * @returns {boolean}
+ */
+function isSwagger2(spec) {
+    return !!spec && typeof spec === 'object' && String(spec.swagger).startsWith('2');
+}
+
+/**
+ * Rewrite Swagger 2.0 $ref pointers to their OpenAPI 3 location
+ * @param {string} ref - Original reference
+ * @param {Object} spec - Swagger document (used to know whether a parameter ref is a body parameter)
+ * @returns {string}
+ */
+function convertRef(ref, spec) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return ref;
+
+    if (ref.startsWith('#/definitions/')) {
+        return ref.replace('#/definitions/', '#/components/schemas/');
+    }
+    if (ref.startsWith('#/parameters/')) {
+        const name = ref.slice('#/parameters/'.length);
+        const target = spec.parameters?.[name];
+        return target?.in === 'body'
+            ? `#/components/requestBodies/${name}`
+            : `#/components/parameters/${name}`;
+    }
+    if (ref.startsWith('#/responses/')) {
+        return ref.replace('#/responses/', '#/components/responses/');
+    }
+    return ref;
+}
+
+/**
+ * Deep copy a value, rewriting every $ref and Swagger-only schema constructs
+ * @param {*} value - Value to convert
+ * @param {Object} spec - Swagger document
+ * @returns {*}
+ */
+function convertRefs(value, spec) {
+    if (Array.isArray(value)) {
+        return value.map(item => convertRefs(item, spec));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+        if (key === '$ref') {
+            result[key] = convertRef(child, spec);
+        } else {
+            result[key] = convertRefs(child, spec);
+        }
+    }
+
+    // `type: file` has no OpenAPI 3 equivalent other than binary strings
+    if (result.type === 'file') {
+        result.type = 'string';
+        result.format = 'binary';
+    }
+    // Swagger 2 `x-nullable` became a first-class keyword
+    if (result['x-nullable'] !== undefined) {
+        result.nullable = result['x-nullable'];
+        delete result['x-nullable'];
+    }
+
+    return result;
+}
+
+/**
+ * Convert a non-body Swagger parameter into an OpenAPI 3 parameter
+ * @param {Object} param - Swagger parameter
+ * @param {Object} spec - Swagger document
+ * @returns {Object}
+ */
+function convertParameter(param, spec) {
+    if (param.$ref) {
+        return { $ref: convertRef(param.$ref, spec) };
+    }
+
+    const converted = {};
+    const schema = {};
+
+    for (const [key, value] of Object.entries(param)) {
+        if (SCHEMA_FIELDS.includes(key)) {
+            if (key !== 'collectionFormat') {
+                schema[key] = convertRefs(value, spec);
+            }
+        } else {
+            converted[key] = convertRefs(value, spec);
+        }
+    }
+
+    if (param.collectionFormat) {
+        const styles = { csv: 'form', ssv: 'spaceDelimited', pipes: 'pipeDelimited', multi: 'form' };
+        converted.style = param.in === 'query' ? (styles[param.collectionFormat] || 'form') : 'simple';
+        converted.explode = param.collectionFormat === 'multi';
+    }
+
+    if (param.in === 'path') {
+        converted.required = true;
+    }
+
+    if (schema.type === 'file') {
+        schema.type = 'string';
+        schema.format = 'binary';
+    }
+
+    converted.schema = Object.keys(schema).length ? schema : { type: 'string' };
+    return converted;
+}
+
+/**
+ * Build an OpenAPI 3 request body from a Swagger body parameter
+ * @param {Object} param - Swagger body parameter
+ * @param {Array<string>} consumes - Accepted media types
+ * @param {Object} spec - Swagger document
+ * @returns {Object}
+ */
+function convertBodyParameter(param, consumes, spec) {
+    const schema = convertRefs(param.schema || {}, spec);
+    const requestBody = {
+        content: Object.fromEntries(consumes.map(mediaType => [mediaType, { schema }]))
+    };
+
+    if (param.description) requestBody.description = param.description;
+    if (param.required) requestBody.required = true;
+    if (param['x-examples']) {
+        for (const [mediaType, example] of Object.entries(param['x-examples'])) {
+            if (requestBody.content[mediaType]) {
+                requestBody.content[mediaType].example = example;
+            }
+        }
+    }
+
+    return requestBody;
+}
+
+/**
+ * Build an OpenAPI 3 request body from Swagger formData parameters
+ * @param {Array<Object>} params - Swagger formData parameters
+ * @param {Array<string>} consumes - Accepted media types
+ * @param {Object} spec - Swagger document
+ * @returns {Object}
+ */
+function convertFormDataParameters(params, consumes, spec) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const param of params) {
+        const { schema: propertySchema } = convertParameter({ ...param, in: 'query' }, spec);
+        if (param.description) propertySchema.description = param.description;
+        schema.properties[param.name] = propertySchema;
+        if (param.required) required.push(param.name);
+    }
+    if (required.length) schema.required = required;
+
+    const hasFile = params.some(param => param.type === 'file');
+    const formTypes = consumes.filter(mediaType =>
+        mediaType === 'multipart/form-data' || mediaType === 'application/x-www-form-urlencoded'
+    );
+    const mediaTypes = formTypes.length
+        ? formTypes
+        : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+    return {
+        content: Object.fromEntries(mediaTypes.map(mediaType => [mediaType, { schema }])),
+        ...(required.length && { required: true })
+    };
+}
+
+/**
+ * Convert a Swagger response object
+ * @param {Object} response - Swagger response
+ * @param {Array<string>} produces - Produced media types
+ * @param {Object} spec - Swagger document
+ * @returns {Object}
+ */
+function convertResponse(response, produces, spec) {
+    if (response.$ref) {
+        return { $ref: convertRef(response.$ref, spec) };
+    }
+
+    const converted = {
+        description: response.description || ''
+    };
+
+    if (response.schema) {
+        const schema = convertRefs(response.schema, spec);
+        converted.content = Object.fromEntries(produces.map(mediaType => [mediaType, { schema }]));
+    }
+
+    if (response.examples) {
+        converted.content = converted.content || {};
+        for (const [mediaType, example] of Object.entries(response.examples)) {
+            converted.content[mediaType] = { ...(converted.content[mediaType] || {}), example };
+        }
+    }
+
+    if (response.headers) {
+        converted.headers = Object.fromEntries(Object.entries(response.headers).map(([name, header]) => {
+            const { description, ...schema } = header;
+            return [name, {
+                ...(description && { description }),
+                schema: convertRefs(schema, spec)
+            }];
+        }));
+    }
+
+    for (const [key, value] of Object.entries(response)) {
+        if (key.startsWith('x-')) converted[key] = value;
+    }
+
+    return converted;
+}
+
+/**
+ * Resolve a parameter that may be a local reference to `#/parameters/...`
+ */
+function resolveParameter(param, spec) {
+    if (param?.$ref?.startsWith('#/parameters/')) {
+        return spec.parameters?.[param.$ref.slice('#/parameters/'.length)] || param;
+    }
+    return param;
+}
+
+/**
+ * Convert one operation
+ * @param {Object} operation - Swagger operation
+ * @param {Array<Object>} pathParameters - Parameters declared at path level
+ * @param {Object} spec - Swagger document
+ * @returns {Object}
+ */
+function convertOperation(operation, pathParameters, spec) {
+    const consumes = operation.consumes || spec.consumes || [DEFAULT_MEDIA_TYPE];
+    const produces = operation.produces || spec.produces || [DEFAULT_MEDIA_TYPE];
+
+    // Operation parameters override path parameters with the same name and location
+    const merged = new Map();
+    for (const param of [...pathParameters, ...(operation.parameters || [])]) {
+        const resolved = resolveParameter(param, spec);
+        merged.set(`${resolved.in}:${resolved.name}`, param);
+    }
+
+    const converted = {};
+    for (const [key, value] of Object.entries(operation)) {
+        if (['parameters', 'responses', 'consumes', 'produces', 'schemes'].includes(key)) continue;
+        converted[key] = convertRefs(value, spec);
+    }
+
+    const parameters = [];
+    const formData = [];
+    for (const param of merged.values()) {
+        const resolved = resolveParameter(param, spec);
+        if (resolved.in === 'body') {
+            converted.requestBody = param.$ref
+                ? { $ref: convertRef(param.$ref, spec) }
+                : convertBodyParameter(resolved, consumes, spec);
+        } else if (resolved.in === 'formData') {
+            formData.push(resolved);
+        } else {
+            parameters.push(convertParameter(param, spec));
+        }
+    }
+
+    if (parameters.length) converted.parameters = parameters;
+    if (formData.length) converted.requestBody = convertFormDataParameters(formData, consumes, spec);
+
+    converted.responses = Object.fromEntries(
+        Object.entries(operation.responses || {}).map(([code, response]) => [
+            code,
+            convertResponse(response, produces, spec)
+        ])
+    );
+
+    if (operation.schemes) {
+        const servers = buildServers({ ...spec, schemes: operation.schemes });
+        if (servers.length) converted.servers = servers;
+    }
+
+    return converted;
+}
+
+/**
+ * Build the OpenAPI 3 servers list from host, basePath and schemes
+ */
+function buildServers(spec) {
+    if (!spec.host && !spec.basePath) return [];
+
+    const schemes = spec.schemes?.length ? spec.schemes : ['https'];
+    const basePath = spec.basePath || '';
+
+    if (!spec.host) {
+        return [{ url: basePath }];
+    }
+    return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+}
+
+/**
+ * Convert a Swagger security definition into an OpenAPI 3 security scheme
+ * @param {Object} definition - Swagger security definition
+ * @returns {Object}
+ */
+function convertSecurityDefinition(definition) {
+    const { type, description } = definition;
+    const base = description ? { description } : {};
+
+    if (type === 'basic') {
+        return { ...base, type: 'http', scheme: 'basic' };
+    }
+    if (type === 'apiKey') {
+        return { ...base, type: 'apiKey', name: definition.name, in: definition.in };
+    }
+    if (type === 'oauth2') {
+        const flowName = OAUTH2_FLOWS[definition.flow] || definition.flow;
+        const flow = { scopes: definition.scopes || {} };
+        if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+        if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+        return { ...base, type: 'oauth2', flows: { [flowName]: flow } };
+    }
+    return { ...definition };
+}
+
+/**
+ * Convert a Swagger 2.0 document into an equivalent OpenAPI 3.0 document
+ * @param {Object} spec - Swagger 2.0 document
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function convertSwagger2ToOpenAPI3(spec) {
+    logger.info('Converting Swagger 2.0 specification to OpenAPI 3', 'convertSwagger2ToOpenAPI3', {
+        title: spec.info?.title,
+        pathCount: Object.keys(spec.paths || {}).length
+    });
+
+    const converted = {
+        openapi: '3.0.3',
+        info: spec.info || { title: 'Untitled API', version: '' }
+    };
+
+    const servers = buildServers(spec);
+    if (servers.length) converted.servers = servers;
+    if (spec.tags) converted.tags = spec.tags;
+    if (spec.externalDocs) converted.externalDocs = spec.externalDocs;
+    if (spec.security) converted.security = spec.security;
+
+    converted.paths = {};
+    for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+        if (path.startsWith('x-')) {
+            converted.paths[path] = pathItem;
+            continue;
+        }
+
+        const convertedItem = {};
+        const pathParameters = pathItem.parameters || [];
+        for (const [key, value] of Object.entries(pathItem)) {
+            if (HTTP_METHODS.includes(key)) {
+                convertedItem[key] = convertOperation(value, pathParameters, spec);
+            } else if (key !== 'parameters') {
+                convertedItem[key] = convertRefs(value, spec);
+            }
+        }
+        converted.paths[path] = convertedItem;
+    }
+
+    const components = {};
+    if (spec.definitions) {
+        components.schemas = convertRefs(spec.definitions, spec);
+    }
+    if (spec.parameters) {
+        for (const [name, param] of Object.entries(spec.parameters)) {
+            if (param.in === 'body') {
+                components.requestBodies = components.requestBodies || {};
+                components.requestBodies[name] = convertBodyParameter(param, spec.consumes || [DEFAULT_MEDIA_TYPE], spec);
+            } else if (param.in !== 'formData') {
+                components.parameters = components.parameters || {};
+                components.parameters[name] = convertParameter(param, spec);
+            }
+        }
+    }
+    if (spec.responses) {
+        components.responses = Object.fromEntries(Object.entries(spec.responses).map(([name, response]) => [
+            name,
+            convertResponse(response, spec.produces || [DEFAULT_MEDIA_TYPE], spec)
+        ]));
+    }
+    if (spec.securityDefinitions) {
+        components.securitySchemes = Object.fromEntries(Object.entries(spec.securityDefinitions).map(([name, definition]) => [
+            name,
+            convertSecurityDefinition(definition)
+        ]));
+    }
+    if (Object.keys(components).length) converted.components = components;
+
+    for (const [key, value] of Object.entries(spec)) {
+        if (key.startsWith('x-')) converted[key] = value;
+    }
+
+    logger.debug('Converted Swagger 2.0 specification', 'convertSwagger2ToOpenAPI3', {
+        schemaCount: Object.keys(components.schemas || {}).length,
+        securitySchemeCount: Object.keys(components.securitySchemes || {}).length
+    });
+
+    return converted;
+}
+
+module.exports = {
+    isSwagger2,
+    convertSwagger2ToOpenAPI3
+};
@@ -0,0 +1,116 @@
+/**
+ * @module vector-store
+ * @description The contract every vector store adapter implements, and the factory picking the adapter
+ * from VECTOR_STORE_PROVIDER. Services only talk to the contract (see vectorDbService), so a new backend is
+ * one adapter in utils plus an entry in ADAPTERS.
+ *
+ * Vectors are `{ id, values, metadata }`. Every method takes an optional `namespace`; the default namespace
+ * (`''`) holds the spec metadata vectors and chunks embedded before namespaces were used, each spec's chunks
+ * live in the namespace named after its spec id. Filters use the Pinecone/MongoDB-style operators every adapter
+ * translates: `{ field: value }`, `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`, `$lt`, `$lte`, `$and` and `$or`.
+ *
+ * @typedef {Object} VectorRecord
+ * @property {string} id
+ * @property {Array<number>} [values]
+ * @property {Object} metadata
+ *
+ * @typedef {Object} VectorMatch
+ * @property {string} id
+ * @property {number} score - Higher is more similar
+ * @property {Object} metadata
+ * @property {Array<number>} [values] - With `includeValues`
+ *
+ * @typedef {Object} VectorStoreAdapter
+ * @property {string} provider - Provider name, e.g. `pinecone`
+ * @property {function(): Promise<VectorStoreAdapter>} initialize - Connect; resolves to the adapter
+ * @property {function(Array<VectorRecord>, {namespace?: string}=): Promise<void>} upsert - Insert or replace by id
+ * @property {function(Array<number>, {namespace?: string, topK?: number, filter?: Object, includeValues?: boolean}=): Promise<{matches: Array<VectorMatch>}>} query - Nearest neighbours, best first
+ * @property {function(Array<string>, {namespace?: string}=): Promise<Map<string, VectorRecord>>} fetch - Records by id, with values
+ * @property {function({namespace?: string, filter?: Object, limit?: number}=): Promise<Array<VectorRecord>>} find - Records (without values) matching a filter
+ * @property {function({namespace?: string, prefix?: string}=): Promise<Array<string>>} listIds - Ids, optionally by prefix
+ * @property {function({namespace?: string, filter?: Object}=): Promise<number>} count - Number of records
+ * @property {function(Array<string>, {namespace?: string}=): Promise<void>} deleteByIds
+ * @property {function(Object, {namespace?: string}=): Promise<number>} deleteByFilter - Resolves to the number of deleted records
+ * @property {function(string): Promise<void>} deleteNamespace - Delete every record of a namespace
+ * @property {function(): Promise<Array<{name: string, count: number}>>} listNamespaces - Non-empty namespaces
+ * @property {function(): Promise<{ok: boolean, provider: string, error?: string}>} health
+ */
+
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('vector-store');
+
+// Adapters are required on demand, so a deployment only needs the configuration of the store it uses
+const ADAPTERS = {
+    pinecone: () => require('./pinecone').createPineconeStore(),
+    chromadb: () => require('./chromadb').createChromaStore(),
+    qdrant: () => require('./qdrant').createQdrantStore(),
+    pgvector: () => require('./pgvector').createPgVectorStore(),
+    local: () => require('./local-vector-store').createLocalStore()
+};
+
+// Upper bound for listings, matching the largest Pinecone topK
+const MAX_LIST_SIZE = 10000;
+
+/**
+ * Create the adapter of a provider (not yet initialized)
+ * @param {string} [provider] - Defaults to VECTOR_STORE_PROVIDER, then `pinecone`
+ * @returns {VectorStoreAdapter}
+ */
+function createVectorStore(provider = process.env.VECTOR_STORE_PROVIDER || 'pinecone') {
+    const create = ADAPTERS[provider];
+    if (!create) {
+        throw new Error(`Unknown vector store provider: ${provider} (expected one of ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    logger.info('Creating vector store adapter', 'createVectorStore', { provider });
+    return create();
+}
+
+/**
+ * Split a filter into its conditions: `{ a: 1, b: { $in: [...] } }` becomes `[{ a: 1 }, { b: { $in: [...] } }]`,
+ * for adapters that need one field per clause
+ * @param {Object} [filter]
+ * @returns {Array<Object>}
+ */
+function splitFilter(filter) {
+    return Object.entries(filter || {}).map(([key, value]) => ({ [key]: value }));
+}
+
+/**
+ * Metadata values a store can index: scalars stay, arrays and objects are stored as JSON, empty values are dropped.
+ * See parseMetadata for the way back.
+ * @param {Object} metadata
+ * @returns {Object}
+ */
+function flattenMetadata(metadata = {}) {
+    return Object.fromEntries(Object.entries(metadata)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value]));
+}
+
+/**
+ * Restore metadata written by flattenMetadata
+ * @param {Object} metadata
+ * @returns {Object}
+ */
+function parseMetadata(metadata = {}) {
+    return Object.fromEntries(Object.entries(metadata).map(([key, value]) => {
+        if (typeof value === 'string' && /^[[{]/.test(value)) {
+            try {
+                return [key, JSON.parse(value)];
+            } catch {
+                // Plain text that happens to start with a bracket
+            }
+        }
+        return [key, value];
+    }));
+}
+
+module.exports = {
+    MAX_LIST_SIZE,
+    createVectorStore,
+    splitFilter,
+    flattenMetadata,
+    parseMetadata
+};
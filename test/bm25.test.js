@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Bm25Index, tokenize } = require('../src/utils/bm25');
+
+test('tokenize splits paths and identifiers and keeps identifiers whole', () => {
+    assert.deepEqual(tokenize('GET /aggregate/addresses itemsPerPage'), [
+        'get', 'aggregate', 'addresse', 'itemsperpage', 'item', 'per', 'page'
+    ]);
+    assert.deepEqual(tokenize('user_id HTTPServer'), ['userid', 'user', 'id', 'httpserver', 'http', 'server']);
+});
+
+test('tokenize folds accents, plurals and stopwords in English and French', () => {
+    assert.deepEqual(tokenize('Récupérer les adresses'), ['recuperer', 'adresse']);
+    assert.deepEqual(tokenize('How do I list the addresses?'), ['list', 'addresse']);
+    assert.deepEqual(tokenize('access'), ['access']);
+});
+
+function petsIndex() {
+    const index = new Bm25Index();
+    index.add('list-addresses', 'GET /aggregate/addresses\nList addresses, paginated with itemsPerPage and page');
+    index.add('get-address', 'GET /aggregate/addresses/{id}\nGet one address');
+    index.add('list-pets', 'GET /pets\nList pets with a limit');
+    index.add('create-pet', 'POST /pets\nCreate a pet');
+    return index;
+}
+
+test('search ranks the chunk with the exact API tokens first', () => {
+    const index = petsIndex();
+
+    assert.equal(index.search('GET /aggregate/addresses itemsPerPage', 3)[0].id, 'list-addresses');
+    assert.equal(index.search('items per page', 3)[0].id, 'list-addresses');
+    assert.equal(index.search('itemsperpage', 3)[0].id, 'list-addresses');
+    assert.equal(index.search('create pets', 3)[0].id, 'create-pet');
+});
+
+test('search only returns matching documents, at most k', () => {
+    const index = petsIndex();
+
+    assert.deepEqual(index.search('webhook', 5), []);
+    assert.equal(index.search('GET', 2).length, 2);
+    assert.deepEqual(new Bm25Index().search('pets', 5), []);
+});
+
+test('add replaces a document and remove drops it', () => {
+    const index = petsIndex();
+
+    index.add('list-pets', 'GET /owners\nList owners');
+    assert.ok(!index.search('pets', 5).some(hit => hit.id === 'list-pets'));
+    assert.equal(index.search('owners', 5)[0].id, 'list-pets');
+
+    assert.equal(index.remove(['list-pets', 'unknown']), 1);
+    assert.equal(index.size, 3);
+    assert.deepEqual(index.search('owners', 5), []);
+});
+
+test('an index restored from toJSON scores like the original', () => {
+    const index = petsIndex();
+    const restored = Bm25Index.fromJSON(JSON.parse(JSON.stringify(index)));
+
+    assert.equal(restored.size, index.size);
+    assert.deepEqual(restored.search('list addresses page', 4), index.search('list addresses page', 4));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpenAPIChunker } = require('../src/utils/chunking');
+const { specIdFor, chunkIdentityKey, assignChunkIdentities } = require('../src/utils/chunk-identity');
+
+function petsSpec({ listSummary = 'List pets', extraPaths = {} } = {}) {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Pets', version: '1.0' },
+        paths: {
+            '/pets': {
+                get: { operationId: 'listPets', summary: listSummary, responses: { 200: { description: 'ok' } } },
+                post: { operationId: 'createPet', summary: 'Create a pet', responses: { 201: { description: 'created' } } }
+            },
+            ...extraPaths
+        },
+        components: {
+            schemas: { Pet: { type: 'object', properties: { name: { type: 'string' } } } }
+        }
+    };
+}
+
+async function ingest(spec, sourceName = 'pets.json') {
+    const chunks = await new OpenAPIChunker(spec).processSpecification();
+    assignChunkIdentities(chunks, sourceName);
+    return new Map(chunks.map(chunk => [chunkIdentityKey(chunk.metadata), chunk.metadata]));
+}
+
+test('chunkIdentityKey describes what a chunk is, not its content', () => {
+    const key = chunkIdentityKey({ component_type: 'path', method: 'GET', path: '/pets', summary: 'List pets', text: '…' });
+    assert.equal(key, 'component_type=path|method=GET|path=/pets');
+    assert.equal(chunkIdentityKey({ component_type: 'path', method: 'GET', path: '/pets', operation_id: 'listPets' }), key);
+});
+
+test('re-ingesting an unchanged spec gives the same ids and hashes', async () => {
+    const first = await ingest(petsSpec());
+    const second = await ingest(petsSpec());
+
+    assert.ok(first.size >= 3);
+    for (const [key, metadata] of first) {
+        assert.equal(second.get(key).chunk_id, metadata.chunk_id, key);
+        assert.equal(second.get(key).content_hash, metadata.content_hash, key);
+    }
+});
+
+test('an edited operation keeps its id and only its hash changes', async () => {
+    const before = await ingest(petsSpec());
+    const after = await ingest(petsSpec({ listSummary: 'List every pet' }));
+
+    const changed = [...after].filter(([key, metadata]) => before.get(key).content_hash !== metadata.content_hash);
+    assert.deepEqual(changed.map(([key]) => key), ['component_type=path|method=GET|path=/pets']);
+    for (const [key, metadata] of after) {
+        assert.equal(metadata.chunk_id, before.get(key).chunk_id);
+    }
+});
+
+test('adding an endpoint does not renumber the other chunks', async () => {
+    const before = await ingest(petsSpec());
+    const after = await ingest(petsSpec({
+        extraPaths: { '/pets/{id}': { get: { operationId: 'getPet', responses: { 200: { description: 'ok' } } } } }
+    }));
+
+    assert.equal(after.size, before.size + 1);
+    for (const [key, metadata] of before) {
+        assert.equal(after.get(key).chunk_id, metadata.chunk_id, key);
+    }
+});
+
+test('ids are prefixed with the spec id of the source', async () => {
+    const chunks = await ingest(petsSpec(), 'pets.json');
+    const other = await ingest(petsSpec(), 'other.json');
+
+    for (const [key, metadata] of chunks) {
+        assert.equal(metadata.spec_id, specIdFor('pets.json'));
+        assert.ok(metadata.chunk_id.startsWith(`${metadata.spec_id}-`));
+        assert.notEqual(other.get(key).chunk_id, metadata.chunk_id);
+    }
+});
+
+test('repeated identities are numbered in order', () => {
+    const row = () => ({ text: 'GET /pets', metadata: { component_type: 'endpoint', method: 'GET', endpoint: '/pets' } });
+    const { chunks } = assignChunkIdentities([row(), row()], 'pets.csv');
+    const again = assignChunkIdentities([row(), row()], 'pets.csv').chunks;
+
+    assert.notEqual(chunks[0].metadata.chunk_id, chunks[1].metadata.chunk_id);
+    assert.deepEqual(again.map(chunk => chunk.metadata.chunk_id), chunks.map(chunk => chunk.metadata.chunk_id));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Pool } = require('pg');
+
+// An in-memory api_metadata table behind the pg pool, answering the statements of PostgresMetadataStore
+const rows = new Map();
+Pool.prototype.query = async function (text, params = []) {
+    if (/INSERT INTO api_metadata/.test(text)) {
+        const [key, , , endpoint, method, specId, isFileMetadata, data] = params;
+        rows.set(key, { endpoint, method, spec_id: specId, is_file_metadata: isFileMetadata, data: JSON.parse(data) });
+    } else if (/SELECT data FROM api_metadata/.test(text)) {
+        const [endpoints, methods, specIds] = params;
+        return {
+            rows: [...rows.values()].filter(row => !row.is_file_metadata && endpoints.some((endpoint, i) =>
+                endpoint === row.endpoint && methods[i] === row.method.toUpperCase() && specIds[i] === (row.spec_id || '')))
+        };
+    }
+    return { rows: [], rowCount: 0 };
+};
+process.env.METADATA_STORE = 'postgres';
+process.env.POSTGRES_URL = 'postgres://localhost/test';
+
+const { createMetadataStore } = require('../src/db/metadata-store');
+const { closePool } = require('../src/db/postgres');
+const { enrichDocsWithMetadata } = require('../src/services/documentService');
+
+// Stands in for Ollama: embeds a text as its letter counts
+const ollama = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', data => { body += data; });
+    req.on('end', () => {
+        const embedding = Array(26).fill(0.01);
+        for (const char of JSON.parse(body).prompt.toLowerCase()) {
+            const letter = char.charCodeAt(0) - 97;
+            if (letter >= 0 && letter < 26) embedding[letter]++;
+        }
+        res.end(JSON.stringify({ embedding }));
+    });
+});
+
+let dataDir;
+test.before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'endpoint-metadata-'));
+    await new Promise(resolve => ollama.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        VECTOR_STORE_PROVIDER: 'local',
+        OLLAMA_EMBEDDING_ENABLED: '1',
+        OLLAMA_BASE_URL: `http://127.0.0.1:${ollama.address().port}`
+    });
+});
+test.after(async () => {
+    await closePool();
+    ollama.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('endpoint metadata is matched on path, method and spec id', async () => {
+    const store = createMetadataStore();
+    await store.upsertEndpoint({ endpoint: '/users', method: 'GET', spec_id: 'spec-a', summary: 'List users of A' });
+    await store.upsertEndpoint({ endpoint: '/users', method: 'POST', spec_id: 'spec-a', summary: 'Create a user in A' });
+    await store.upsertEndpoint({ endpoint: '/users', method: 'GET', spec_id: 'spec-b', summary: 'List users of B' });
+
+    const docs = await enrichDocsWithMetadata([
+        { id: 'b-get', metadata: { endpoint: '/users', method: 'GET', spec_id: 'spec-b' } },
+        { id: 'a-post', metadata: { endpoint: '/users', method: 'post', spec_id: 'spec-a' } },
+        { id: 'a-get', metadata: { endpoint: '/users', method: 'GET', spec_id: 'spec-a' } },
+        { id: 'c-get', metadata: { endpoint: '/users', method: 'GET', spec_id: 'spec-c', summary: 'Own summary' } }
+    ]);
+
+    assert.deepEqual(docs.map(doc => doc.summary), ['List users of B', 'Create a user in A', 'List users of A', 'Own summary']);
+});
+
+test('ingesting a CSV file stores the endpoint metadata its chunks are enriched with', async () => {
+    const { processSpecFile } = require('../src/utils/openapi');
+    const { querySimilarChunks } = require('../src/services/vectorDbService');
+    const csv = [
+        'ENDPOINT,METHOD,SUMMARY,DESCRIPTION,SCHEMAS',
+        '/pets,GET,List pets,Lists the pets,Pet',
+        '/pets,POST,Create a pet,Adds a pet,NewPet'
+    ].join('\n');
+
+    await processSpecFile(Buffer.from(csv), 'file-pets.csv', { sourceName: 'pets.csv' });
+
+    const docs = await enrichDocsWithMetadata(await querySimilarChunks('create a pet', { topK: 2, weights: { keyword: 0 } }));
+    assert.deepEqual(docs.map(doc => [doc.method, doc.schemas, doc.file_name]).sort(), [
+        ['GET', 'Pet', 'file-pets.csv'],
+        ['POST', 'NewPet', 'file-pets.csv']
+    ]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Stands in for Ollama; exact matches do not depend on the embeddings
+const ollama = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.end(JSON.stringify({ embedding: [1, 0.5, 0.25] })));
+});
+
+let dataDir;
+test.before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'exact-match-'));
+    await new Promise(resolve => ollama.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        VECTOR_STORE_PROVIDER: 'local',
+        OLLAMA_EMBEDDING_ENABLED: '1',
+        OLLAMA_BASE_URL: `http://127.0.0.1:${ollama.address().port}`
+    });
+});
+test.after(async () => {
+    ollama.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+function spec(paths) {
+    return Buffer.from(JSON.stringify({
+        openapi: '3.0.0',
+        info: { title: 'Users', version: '1.0' },
+        paths: Object.fromEntries(paths.map(([endpoint, operationId]) => [endpoint, {
+            get: { operationId, summary: `Call ${operationId}`, responses: { 200: { description: 'OK' } } }
+        }]))
+    }));
+}
+
+async function exactMatches(query) {
+    const { querySimilarChunks } = require('../src/services/vectorDbService');
+    const matches = await querySimilarChunks(query, { topK: 5 });
+    return matches.filter(match => match.exact).map(match => `${match.matchedBy} ${match.metadata.method} ${match.metadata.endpoint}`);
+}
+
+test('concrete paths, templates and operationIds are looked up exactly', async () => {
+    const { processSpecFile } = require('../src/utils/openapi');
+    await processSpecFile(spec([['/users/{id}', 'getUser'], ['/users/{id}/roles', 'getUserRoles']]), 'file-users-1.json', { sourceName: 'users.json' });
+
+    assert.deepEqual(await exactMatches('What does GET /users/42/roles return?'), ['path GET /users/{id}/roles']);
+    assert.deepEqual(await exactMatches('GET /users/{userId}'), ['path GET /users/{id}']);
+    assert.deepEqual(await exactMatches('POST /users/42'), []);
+    assert.deepEqual(await exactMatches('How is getUserRoles paginated?'), ['operationId GET /users/{id}/roles']);
+});
+
+test('the endpoint templates are read again after re-ingestion and deletion', async () => {
+    const { processSpecFile } = require('../src/utils/openapi');
+    const { deleteFileChunks } = require('../src/services/vectorDbService');
+    const { specIdFor } = require('../src/utils/chunk-identity');
+
+    assert.deepEqual(await exactMatches('GET /users/42'), ['path GET /users/{id}']);
+
+    await processSpecFile(spec([['/accounts/{id}', 'getAccount']]), 'file-users-2.json', { sourceName: 'users.json' });
+    assert.deepEqual(await exactMatches('GET /accounts/7'), ['path GET /accounts/{id}']);
+    assert.deepEqual(await exactMatches('GET /users/42'), []);
+
+    await deleteFileChunks('file-users-2.json', { specId: specIdFor('users.json') });
+    assert.deepEqual(await exactMatches('GET /accounts/7'), []);
+
+    await processSpecFile(spec([['/users/{id}', 'getUser']]), 'file-users-3.json', { sourceName: 'users.json' });
+    assert.deepEqual(await exactMatches('GET /users/42'), ['path GET /users/{id}']);
+    assert.deepEqual(await exactMatches('GET /accounts/7'), []);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HnswIndex, cosineSimilarity, vectorNorm } = require('../src/utils/hnsw');
+
+// Deterministic pseudo-random vectors, so a failure can be reproduced
+function randomVectors(count, dimensions, seed = 1) {
+    let state = seed;
+    const next = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648 - 0.5;
+    };
+    return Array.from({ length: count }, () => Float32Array.from({ length: dimensions }, next));
+}
+
+function buildIndex(vectors, options) {
+    const records = new Map(vectors.map((vector, i) => [`v${i}`, { vector, norm: vectorNorm(vector) }]));
+    const index = new HnswIndex(id => records.get(id), options);
+    records.forEach((record, id) => index.insert(id));
+    return { index, records };
+}
+
+function exactNearest(records, query, k) {
+    const queryNorm = vectorNorm(query);
+    return [...records]
+        .map(([id, record]) => ({ id, score: cosineSimilarity(query, queryNorm, record.vector, record.norm) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(item => item.id);
+}
+
+test('cosineSimilarity scores parallel, orthogonal and opposite vectors', () => {
+    const similarity = (a, b) => Math.round(cosineSimilarity(a, vectorNorm(a), b, vectorNorm(b)) * 1e6) / 1e6;
+    assert.equal(similarity([1, 2], [2, 4]), 1);
+    assert.equal(similarity([1, 0], [0, 3]), 0);
+    assert.equal(similarity([1, 1], [-1, -1]), -1);
+    assert.equal(similarity([0, 0], [1, 1]), 0);
+});
+
+test('cosineSimilarity rejects vectors of different dimensions', () => {
+    assert.throws(() => cosineSimilarity([1, 0, 0], 1, [1, 0], 1), /3 and 2 dimensions/);
+});
+
+test('search finds the exact nearest neighbours of a small set', () => {
+    const vectors = randomVectors(200, 16);
+    const { index, records } = buildIndex(vectors, { m: 8, efConstruction: 100, efSearch: 100 });
+
+    for (const query of randomVectors(10, 16, 7)) {
+        const found = index.search(query, 5).map(item => item.id);
+        assert.deepEqual(found, exactNearest(records, query, 5));
+    }
+});
+
+test('search applies the accept filter', () => {
+    const { index } = buildIndex(randomVectors(50, 8));
+    const even = id => Number(id.slice(1)) % 2 === 0;
+
+    const found = index.search(randomVectors(1, 8, 3)[0], 5, even);
+    assert.equal(found.length, 5);
+    assert.ok(found.every(item => even(item.id)));
+});
+
+test('removed nodes are no longer found and the graph stays searchable', () => {
+    const vectors = randomVectors(60, 8);
+    const { index } = buildIndex(vectors);
+    const removed = Array.from({ length: 30 }, (_, i) => `v${i}`);
+
+    index.removeMany(removed);
+    assert.equal(index.size, 30);
+    const found = index.search(vectors[0], 10).map(item => item.id);
+    assert.equal(found.length, 10);
+    assert.ok(found.every(id => !removed.includes(id)));
+});
+
+test('a graph restored from toJSON answers like the original', () => {
+    const vectors = randomVectors(80, 8);
+    const { index, records } = buildIndex(vectors);
+    const ids = [...records.keys()];
+
+    const restored = new HnswIndex(id => records.get(id));
+    assert.equal(restored.load(JSON.parse(JSON.stringify(index.toJSON(ids))), ids), true);
+    const query = randomVectors(1, 8, 11)[0];
+    assert.deepEqual(restored.search(query, 5), index.search(query, 5));
+
+    assert.equal(new HnswIndex(id => records.get(id), { m: 4 }).load(index.toJSON(ids), ids), false);
+});
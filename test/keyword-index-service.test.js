@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { keywordText, indexChunks, removeChunks, dropIndex, searchKeywords, listEndpointTemplates } = require('../src/services/keywordIndexService');
+
+const chunks = [
+    { id: 'list-addresses', metadata: { method: 'GET', endpoint: '/aggregate/addresses', param_names: ['itemsPerPage', 'page'], summary: 'List addresses' } },
+    { id: 'create-address', metadata: { method: 'POST', endpoint: '/aggregate/addresses', summary: 'Create an address' } },
+    { id: 'list-pets', metadata: { method: 'GET', endpoint: '/pets', operation_id: 'listPets', summary: 'List pets' } }
+];
+
+// A vector store holding the chunks, for indexes that have to be built from it
+function storeOf(records) {
+    return {
+        finds: 0,
+        async find({ namespace }) {
+            this.finds++;
+            return records.filter(record => record.namespace === namespace);
+        }
+    };
+}
+
+let dataDir;
+test.before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'keyword-index-'));
+    process.env.DATA_DIR = dataDir;
+});
+test.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+test('keywordText puts the API tokens next to the chunk content', () => {
+    const text = keywordText({ ...chunks[0].metadata, text: 'GET /aggregate/addresses ...', tags: ['addresses'] });
+    assert.equal(text, 'GET\n/aggregate/addresses\nitemsPerPage\npage\naddresses\nList addresses\nGET /aggregate/addresses ...');
+});
+
+test('indexed chunks are found by their path and parameter names', async () => {
+    await indexChunks('spec-a', chunks);
+    const store = storeOf([]);
+
+    const hits = await searchKeywords(store, 'GET /aggregate/addresses itemsPerPage', { namespaces: ['spec-a'], topK: 2 });
+    assert.deepEqual(hits.map(hit => hit.id), ['list-addresses', 'create-address']);
+    assert.equal(hits[0].namespace, 'spec-a');
+    assert.equal(store.finds, 0);
+
+    const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'keyword-index', 'spec-a.json'), 'utf8'));
+    assert.equal(stored.docs.length, 3);
+});
+
+test('removed chunks and dropped indexes are no longer found', async () => {
+    await indexChunks('spec-b', chunks);
+
+    await removeChunks('spec-b', ['list-pets']);
+    assert.deepEqual(await searchKeywords(storeOf([]), 'pets', { namespaces: ['spec-b'], topK: 5 }), []);
+
+    await dropIndex('spec-b');
+    assert.deepEqual(await searchKeywords(storeOf([]), 'addresses', { namespaces: ['spec-b'], topK: 5 }), []);
+    await assert.rejects(fs.access(path.join(dataDir, 'keyword-index', 'spec-b.json')));
+});
+
+test('a missing index is built once from the vector store, without metadata vectors', async () => {
+    const store = storeOf([
+        ...chunks.map(chunk => ({ ...chunk, namespace: 'spec-c' })),
+        { id: 'metadata-spec-c', namespace: 'spec-c', metadata: { is_metadata: true, summary: 'pets' } }
+    ]);
+
+    const hits = await searchKeywords(store, 'pets', { namespaces: ['spec-c'], topK: 5 });
+    assert.deepEqual(hits.map(hit => hit.id), ['list-pets']);
+    await searchKeywords(store, 'addresses', { namespaces: ['spec-c'], topK: 5 });
+    assert.equal(store.finds, 1);
+});
+
+test('search merges namespaces best first', async () => {
+    await indexChunks('spec-d', [chunks[2]]);
+    await indexChunks('spec-e', [{ id: 'list-stores', metadata: { method: 'GET', endpoint: '/stores', summary: 'List stores' } }]);
+
+    const hits = await searchKeywords(storeOf([]), 'list stores', { namespaces: ['spec-d', 'spec-e'], topK: 1 });
+    assert.deepEqual(hits.map(hit => [hit.namespace, hit.id]), [['spec-e', 'list-stores']]);
+});
+
+test('namespaces are merged by rank, not by their incomparable BM25 scores', async () => {
+    // `webhook` is rare in the small spec, so its chunks score higher there than the best one of the large spec
+    const filler = ['orders', 'invoices', 'stores', 'carts', 'payments', 'refunds', 'coupons', 'reviews'];
+    await indexChunks('spec-small', filler.map((word, i) => ({
+        id: `small-${i}`,
+        metadata: { summary: i < 2 ? `List ${word} webhook` : `List ${word}` }
+    })));
+    await indexChunks('spec-large', filler.map((word, i) => ({
+        id: `large-${i}`,
+        metadata: { summary: i < 4 ? `Webhook for ${word}, webhook retries` : `Get ${word}` }
+    })));
+
+    const hits = await searchKeywords(storeOf([]), 'webhook', { namespaces: ['spec-small', 'spec-large'], topK: 2 });
+    assert.deepEqual(hits.map(hit => hit.namespace).sort(), ['spec-large', 'spec-small']);
+    assert.deepEqual(hits.map(hit => hit.ranks[hit.namespace]), [1, 1]);
+});
+
+test('endpoint templates are read once and again after the namespace changes', async () => {
+    const store = storeOf([
+        ...chunks.map(chunk => ({ ...chunk, namespace: 'spec-f' })),
+        { id: 'metadata-spec-f', namespace: 'spec-f', metadata: { is_metadata: true, endpoint: '/metadata' } }
+    ]);
+
+    assert.deepEqual(await listEndpointTemplates(store, 'spec-f'), ['/aggregate/addresses', '/pets']);
+    await listEndpointTemplates(store, 'spec-f');
+    assert.equal(store.finds, 1);
+
+    await removeChunks('spec-f', ['list-pets']);
+    await listEndpointTemplates(store, 'spec-f');
+    assert.equal(store.finds, 2);
+});
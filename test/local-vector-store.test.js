@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { createLocalStore } = require('../src/utils/local-vector-store');
+
+async function withStore(indexType, run) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-vector-store-'));
+    const previous = { DATA_DIR: process.env.DATA_DIR, LOCAL_VECTOR_INDEX: process.env.LOCAL_VECTOR_INDEX };
+    process.env.DATA_DIR = dataDir;
+    process.env.LOCAL_VECTOR_INDEX = indexType;
+    try {
+        await run(await createLocalStore().initialize(), dataDir);
+    } finally {
+        Object.entries(previous).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+const vectors = [
+    { id: 'get-pets', values: [1, 0, 0], metadata: { method: 'GET', path: '/pets' } },
+    { id: 'post-pets', values: [0.9, 0.1, 0], metadata: { method: 'POST', path: '/pets' } },
+    { id: 'get-stores', values: [0, 0, 1], metadata: { method: 'GET', path: '/stores' } }
+];
+
+for (const indexType of ['flat', 'hnsw']) {
+    test(`${indexType}: queries rank by similarity and apply filters`, () => withStore(indexType, async store => {
+        await store.upsert(vectors, { namespace: 'spec' });
+
+        const { matches } = await store.query([1, 0, 0], { namespace: 'spec', topK: 2 });
+        assert.deepEqual(matches.map(match => match.id), ['get-pets', 'post-pets']);
+
+        const filtered = await store.query([1, 0, 0], { namespace: 'spec', topK: 2, filter: { path: '/stores' } });
+        assert.deepEqual(filtered.matches.map(match => match.id), ['get-stores']);
+    }));
+}
+
+test('vectors are persisted and read back by a new store', () => withStore('hnsw', async (store, dataDir) => {
+    await store.upsert(vectors, { namespace: 'spec' });
+    await store.deleteByIds(['post-pets'], { namespace: 'spec' });
+
+    process.env.DATA_DIR = dataDir;
+    const reopened = await createLocalStore().initialize();
+    assert.equal(await reopened.count({ namespace: 'spec' }), 2);
+    assert.deepEqual((await reopened.fetch(['get-pets'], { namespace: 'spec' })).get('get-pets').values, [1, 0, 0]);
+}));
+
+test('vectors of other dimensions than the namespace are rejected', () => withStore('flat', async store => {
+    await store.upsert(vectors, { namespace: 'spec' });
+
+    await assert.rejects(
+        store.upsert([{ id: 'short', values: [1, 0], metadata: {} }], { namespace: 'spec' }),
+        /has 2 dimensions but namespace 'spec' holds 3-dimension vectors/
+    );
+    await assert.rejects(store.query([1, 0], { namespace: 'spec' }), /2 dimensions/);
+
+    // Another namespace can hold another model's vectors
+    await store.upsert([{ id: 'short', values: [1, 0], metadata: {} }], { namespace: 'other' });
+    assert.equal(await store.count({ namespace: 'other' }), 1);
+}));
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesFilter } = require('../src/utils/metadata-filter');
+
+const chunk = { method: 'GET', path: '/pets', line_number: 12, tags: ['pets', 'public'], is_metadata: false };
+
+test('an empty filter matches everything', () => {
+    assert.equal(matchesFilter(chunk), true);
+    assert.equal(matchesFilter(chunk, {}), true);
+});
+
+test('equality on a list field matches when the list contains the value', () => {
+    assert.equal(matchesFilter(chunk, { method: 'GET' }), true);
+    assert.equal(matchesFilter(chunk, { tags: 'pets' }), true);
+    assert.equal(matchesFilter(chunk, { tags: { $eq: 'admin' } }), false);
+    assert.equal(matchesFilter(chunk, { tags: { $ne: 'admin' } }), true);
+});
+
+test('$in and $nin match any element', () => {
+    assert.equal(matchesFilter(chunk, { method: { $in: ['POST', 'GET'] } }), true);
+    assert.equal(matchesFilter(chunk, { tags: { $in: ['admin', 'public'] } }), true);
+    assert.equal(matchesFilter(chunk, { tags: { $nin: ['admin', 'public'] } }), false);
+});
+
+test('range operators only compare values of the same type', () => {
+    assert.equal(matchesFilter(chunk, { line_number: { $gte: 12, $lt: 20 } }), true);
+    assert.equal(matchesFilter(chunk, { line_number: { $gt: 12 } }), false);
+    assert.equal(matchesFilter(chunk, { line_number: { $lt: '20' } }), false);
+    assert.equal(matchesFilter(chunk, { missing: { $lt: 20 } }), false);
+});
+
+test('$ne matches a missing field, $exists tells missing fields apart', () => {
+    assert.equal(matchesFilter({}, { is_metadata: { $ne: true } }), true);
+    assert.equal(matchesFilter(chunk, { summary: { $exists: false } }), true);
+    assert.equal(matchesFilter(chunk, { path: { $exists: true } }), true);
+});
+
+test('$and and $or combine filters', () => {
+    const filter = { $or: [{ method: 'POST' }, { $and: [{ path: '/pets' }, { tags: 'public' }] }] };
+    assert.equal(matchesFilter(chunk, filter), true);
+    assert.equal(matchesFilter({ ...chunk, tags: [] }, filter), false);
+});
+
+test('unknown operators are rejected', () => {
+    assert.throws(() => matchesFilter(chunk, { method: { $regex: 'G' } }), /Unsupported filter operator: \$regex/);
+});
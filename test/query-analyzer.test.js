@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeQuery, matchesPathTemplate } = require('../src/utils/query-analyzer');
+
+test('concrete paths match the path templates of the spec', () => {
+    assert.equal(matchesPathTemplate('/users/42/roles', '/users/{id}/roles'), true);
+    assert.equal(matchesPathTemplate('/Users/42/Roles', '/users/{id}/roles'), true);
+    assert.equal(matchesPathTemplate('/users/{userId}/roles', '/users/{id}/roles'), true);
+    assert.equal(matchesPathTemplate('/users/me/roles', '/users/me/roles'), true);
+
+    assert.equal(matchesPathTemplate('/users/42', '/users/{id}/roles'), false);
+    assert.equal(matchesPathTemplate('/users/42/groups', '/users/{id}/roles'), false);
+    // A template segment of the query is no literal segment of the spec
+    assert.equal(matchesPathTemplate('/users/{id}/roles', '/users/me/roles'), false);
+});
+
+test('methods are found uppercase anywhere and lowercase only before a path', () => {
+    assert.deepEqual(analyzeQuery('How do I call GET /users/42/roles?').methods, ['GET']);
+    assert.deepEqual(analyzeQuery('get /pets/{petId} and post /pets/').methods, ['GET', 'POST']);
+    assert.deepEqual(analyzeQuery('DELETE "/stores/7"').methods, ['DELETE']);
+    assert.deepEqual(analyzeQuery('Get the roles of a user').methods, []);
+});
+
+test('paths lose their query string and trailing slash', () => {
+    assert.deepEqual(analyzeQuery('get /pets/{petId} and post /pets/').paths, ['/pets/{petId}', '/pets']);
+    assert.deepEqual(analyzeQuery('Call /users/{userId}/roles?limit=5').paths, ['/users/{userId}/roles']);
+    assert.deepEqual(analyzeQuery('DELETE "/stores/7"').paths, ['/stores/7']);
+    assert.deepEqual(analyzeQuery('see https://api.example.com/v1/pets').paths, []);
+});
+
+test('camelCase and backticked identifiers are operationId candidates, path parameters are not', () => {
+    assert.deepEqual(analyzeQuery('What does `listPets` return, and getUserRoles?').operationIds, ['listPets', 'getUserRoles']);
+    assert.deepEqual(analyzeQuery('GET /users/{userId}/roles').operationIds, []);
+    assert.deepEqual(analyzeQuery('Get the roles of a user'), { methods: [], paths: [], operationIds: [] });
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reciprocalRankFusion } = require('../src/utils/rank-fusion');
+
+const vector = { name: 'vector', weight: 1, matches: [{ id: 'a', score: 0.91 }, { id: 'b', score: 0.9 }, { id: 'c', score: 0.5 }] };
+const keyword = { name: 'keyword', weight: 1, matches: [{ id: 'c', score: 12.4 }, { id: 'a', score: 3.1 }] };
+
+test('matches found by both rankings come first', () => {
+    const fused = reciprocalRankFusion([vector, keyword]);
+
+    assert.deepEqual(fused.map(match => match.id), ['a', 'c', 'b']);
+    assert.deepEqual(fused[0].ranks, { vector: 1, keyword: 2 });
+    assert.deepEqual(fused[0].scores, { vector: 0.91, keyword: 3.1 });
+    assert.deepEqual(fused[2].ranks, { vector: 2 });
+});
+
+test('the best possible match scores 1', () => {
+    const fused = reciprocalRankFusion([vector, { ...keyword, matches: [{ id: 'a', score: 5 }] }]);
+
+    assert.equal(fused[0].id, 'a');
+    assert.equal(fused[0].score, 1);
+    assert.ok(fused.slice(1).every(match => match.score < 1));
+});
+
+test('a weight of 0 leaves the other ranking unchanged', () => {
+    const fused = reciprocalRankFusion([vector, { ...keyword, weight: 0 }]);
+
+    assert.deepEqual(fused.map(match => match.id), ['a', 'b', 'c']);
+    assert.ok(fused.every(match => !('keyword' in match.ranks)));
+    assert.equal(fused[0].score, 1);
+});
+
+test('weights favour one ranking', () => {
+    const fused = reciprocalRankFusion([{ ...vector, weight: 0.2 }, { ...keyword, weight: 2 }]);
+    assert.deepEqual(fused.map(match => match.id), ['c', 'a', 'b']);
+});
+
+test('no weighted ranking gives no matches', () => {
+    assert.deepEqual(reciprocalRankFusion([{ ...vector, weight: 0 }]), []);
+    assert.deepEqual(reciprocalRankFusion([]), []);
+});
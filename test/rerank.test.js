@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CohereClient } = require('cohere-ai');
+const { estimateTextTokens } = require('../src/utils/ai');
+
+process.env.OLLAMA_EMBEDDING_ENABLED = '1';
+
+// Retrieval, reranking and tracing stand-ins, in place before retrievalService takes its references
+const vectorDbService = require('../src/services/vectorDbService');
+const rerankService = require('../src/services/rerankService');
+const llmMetricsService = require('../src/services/llmMetricsService');
+const documentService = require('../src/services/documentService');
+const { rerankChunks, fitTokenBudget } = rerankService;
+
+const stubs = {};
+const spans = [];
+vectorDbService.querySimilarChunks = async () => candidates.map(match => ({ ...match }));
+rerankService.rerankChunks = (...args) => (stubs.rerankChunks || rerankChunks)(...args);
+documentService.enrichDocsWithMetadata = async docs => (stubs.enrich ? stubs.enrich(docs) : docs.map(doc => doc.metadata));
+llmMetricsService.startSpan = (traceId, options) => {
+    const span = { traceId, options, end: body => { span.ended = body; } };
+    spans.push(span);
+    return span;
+};
+const { retrieveContext } = require('../src/services/retrievalService');
+
+const candidates = [
+    { id: 'exact', score: 1, exact: true, metadata: { method: 'GET', endpoint: '/orders', summary: 'List orders' } },
+    { id: 'stores', score: 0.9, metadata: { method: 'GET', endpoint: '/stores', summary: 'List stores' } },
+    { id: 'pets', score: 0.8, metadata: { method: 'GET', endpoint: '/pets', summary: 'List pets with a limit' } },
+    { id: 'owners', score: 0.7, metadata: { method: 'GET', endpoint: '/owners', summary: 'List owners' } }
+];
+const config = { reranker: 'heuristic', candidates: 30, tokenBudget: 3000, maxDocs: 10, minScore: 0 };
+
+test.afterEach(() => {
+    Object.keys(stubs).forEach(key => delete stubs[key]);
+    spans.length = 0;
+    delete process.env.COHERE_API_KEY;
+});
+
+test('none keeps the retrieval order', async () => {
+    const result = await rerankChunks('list pets', candidates, { ...config, reranker: 'none' });
+    assert.equal(result.reranker, 'none');
+    assert.deepEqual(result.matches.map(match => match.id), ['exact', 'stores', 'pets', 'owners']);
+});
+
+test('the heuristic reranker keeps exact matches first and drops scores below minScore', async () => {
+    const result = await rerankChunks('list pets', candidates, config);
+    assert.equal(result.reranker, 'heuristic');
+    assert.deepEqual(result.matches.map(match => match.id), ['exact', 'pets', 'stores', 'owners']);
+
+    const filtered = await rerankChunks('list pets', candidates, { ...config, minScore: 0.9 });
+    assert.deepEqual(filtered.matches.map(match => match.id), ['exact', 'pets']);
+});
+
+test('cohere falls back to the heuristic reranker without a key or when it fails', async t => {
+    const withoutKey = await rerankChunks('list pets', candidates, { ...config, reranker: 'cohere' });
+    assert.equal(withoutKey.reranker, 'heuristic');
+    assert.equal(withoutKey.fallbackFrom, 'cohere');
+    assert.match(withoutKey.error, /COHERE_API_KEY/);
+
+    process.env.COHERE_API_KEY = 'key';
+    const rerank = t.mock.method(CohereClient.prototype, 'rerank', async () => ({
+        results: [{ index: 2, relevanceScore: 0.9 }, { index: 0, relevanceScore: 0.5 }, { index: 1, relevanceScore: 0.1 }]
+    }));
+    const reranked = await rerankChunks('list owners', candidates, { ...config, reranker: 'cohere' });
+    assert.equal(reranked.reranker, 'cohere');
+    assert.deepEqual(reranked.matches.map(match => match.id), ['exact', 'owners', 'stores', 'pets']);
+    assert.equal(rerank.mock.calls[0].arguments[0].documents.length, 3);
+
+    rerank.mock.mockImplementation(async () => {
+        throw new Error('Rate limited');
+    });
+    const failed = await rerankChunks('list pets', candidates, { ...config, reranker: 'cohere' });
+    assert.deepEqual([failed.reranker, failed.fallbackFrom, failed.error], ['heuristic', 'cohere', 'Rate limited']);
+    assert.equal(failed.matches[1].id, 'pets');
+});
+
+test('fitTokenBudget keeps the leading documents within the budget and document limit', () => {
+    const texts = ['a b c d e f g h', 'a b c d', 'a b', 'a'];
+    const sizes = texts.map(estimateTextTokens);
+
+    const budget = sizes[0] + sizes[1];
+    assert.deepEqual(fitTokenBudget(texts, { ...config, tokenBudget: budget }), { count: 2, tokens: budget });
+    assert.deepEqual(fitTokenBudget(texts, { ...config, maxDocs: 1 }), { count: 1, tokens: sizes[0] });
+    // The first document is kept even when it alone exceeds the budget
+    assert.deepEqual(fitTokenBudget(texts, { ...config, tokenBudget: 1 }), { count: 1, tokens: sizes[0] });
+});
+
+test('retrieveContext records the reranking in a span of the request trace', async () => {
+    const { matches } = await retrieveContext('list pets', { traceId: 'trace-1' });
+
+    assert.deepEqual(matches.map(match => match.id), ['exact', 'pets', 'stores', 'owners']);
+    assert.equal(spans[0].traceId, 'trace-1');
+    assert.equal(spans[0].ended.output.reranker, 'heuristic');
+    assert.equal(spans[0].ended.output.keptCount, 4);
+});
+
+test('a failed reranking keeps the retrieval order and still ends the span', async () => {
+    stubs.rerankChunks = async () => {
+        throw new Error('Reranker crashed');
+    };
+
+    const { matches } = await retrieveContext('list pets');
+
+    assert.deepEqual(matches.map(match => match.id), ['exact', 'stores', 'pets', 'owners']);
+    assert.equal(spans[0].ended.output.reranker, 'none');
+    assert.equal(spans[0].ended.output.error, 'Reranker crashed');
+});
+
+test('a failure after reranking ends the span with the error', async () => {
+    stubs.enrich = async () => {
+        throw new Error('Metadata store down');
+    };
+
+    await assert.rejects(retrieveContext('list pets'), /Metadata store down/);
+    assert.deepEqual(spans[0].ended, { level: 'ERROR', statusMessage: 'Metadata store down' });
+});
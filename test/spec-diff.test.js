@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSpecs, formatDiffText } = require('../src/utils/spec-diff');
+
+function petsSpec({ listParameters = [], petProperties = { id: { type: 'integer' }, name: { type: 'string' } }, statusEnum = ['available', 'sold'], extraPaths = {} } = {}) {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Pets', version: '1.0' },
+        paths: {
+            '/pets': {
+                get: {
+                    parameters: listParameters,
+                    responses: {
+                        200: {
+                            description: 'ok',
+                            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } }
+                        }
+                    }
+                },
+                post: {
+                    requestBody: {
+                        content: {
+                            'application/json': {
+                                schema: { type: 'object', properties: { status: { type: 'string', enum: statusEnum } } }
+                            }
+                        }
+                    },
+                    responses: { 201: { description: 'created' } }
+                }
+            },
+            '/pets/{petId}': {
+                get: {
+                    parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: { 200: { description: 'ok' } }
+                }
+            },
+            ...extraPaths
+        },
+        components: {
+            schemas: { Pet: { type: 'object', properties: petProperties } }
+        }
+    };
+}
+
+function changesOf(diff, method, path) {
+    return diff.endpoints.changed.find(entry => entry.method === method && entry.path === path)?.changes || [];
+}
+
+test('identical documents have no changes', () => {
+    const diff = diffSpecs(petsSpec(), petsSpec());
+    assert.deepEqual(diff.summary, { endpointsAdded: 0, endpointsRemoved: 0, endpointsChanged: 0, breakingChanges: 0 });
+});
+
+test('added endpoints are not breaking, removed endpoints are', () => {
+    const base = petsSpec({ extraPaths: { '/owners': { get: { responses: { 200: { description: 'ok' } } } } } });
+    const revision = petsSpec({ extraPaths: { '/stores': { get: { responses: { 200: { description: 'ok' } } } } } });
+    const diff = diffSpecs(base, revision);
+
+    assert.deepEqual(diff.endpoints.added.map(({ method, path }) => `${method} ${path}`), ['GET /stores']);
+    assert.deepEqual(diff.endpoints.removed.map(({ method, path }) => `${method} ${path}`), ['GET /owners']);
+    assert.deepEqual(diff.breakingChanges.map(entry => entry.type), ['endpoint-removed']);
+});
+
+test('a new required parameter is breaking, a new optional one is not', () => {
+    const limit = { name: 'limit', in: 'query', schema: { type: 'integer' } };
+    const diff = diffSpecs(petsSpec(), petsSpec({ listParameters: [limit, { name: 'tenant', in: 'header', required: true, schema: { type: 'string' } }] }));
+
+    const changes = changesOf(diff, 'GET', '/pets');
+    assert.deepEqual(changes.map(entry => [entry.type, entry.breaking]), [
+        ['parameter-added', false],
+        ['parameter-added', true]
+    ]);
+    assert.equal(diff.summary.breakingChanges, 1);
+});
+
+test('renaming a path parameter keeps the endpoint', () => {
+    const revision = petsSpec();
+    revision.paths['/pets/{id}'] = revision.paths['/pets/{petId}'];
+    revision.paths['/pets/{id}'].get.parameters = [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }];
+    delete revision.paths['/pets/{petId}'];
+    const diff = diffSpecs(petsSpec(), revision);
+
+    assert.equal(diff.summary.endpointsRemoved, 0);
+    assert.deepEqual(changesOf(diff, 'GET', '/pets/{id}').map(entry => entry.type), ['path-renamed']);
+    assert.equal(diff.summary.breakingChanges, 0);
+});
+
+test('removing a request enum value is breaking', () => {
+    const diff = diffSpecs(petsSpec(), petsSpec({ statusEnum: ['available'] }));
+
+    const [removed] = changesOf(diff, 'POST', '/pets');
+    assert.equal(removed.type, 'request-enum-value-removed');
+    assert.equal(removed.breaking, true);
+    assert.match(removed.message, /no longer allows "sold"/);
+});
+
+test('removing a response enum value is breaking', () => {
+    const status = values => ({ id: { type: 'integer' }, name: { type: 'string' }, status: { type: 'string', enum: values } });
+    const diff = diffSpecs(petsSpec({ petProperties: status(['available', 'sold']) }), petsSpec({ petProperties: status(['available']) }));
+
+    const [removed] = changesOf(diff, 'GET', '/pets');
+    assert.equal(removed.type, 'response-enum-value-removed');
+    assert.equal(removed.breaking, true);
+    assert.equal(diff.summary.breakingChanges, 1);
+});
+
+test('removing a response field is breaking, adding one is not', () => {
+    const diff = diffSpecs(petsSpec(), petsSpec({ petProperties: { id: { type: 'integer' }, tag: { type: 'string' } } }));
+
+    const changes = changesOf(diff, 'GET', '/pets');
+    assert.deepEqual(changes.map(entry => [entry.type, entry.location, entry.breaking]), [
+        ['response-field-removed', '[].name', true],
+        ['response-field-added', '[].tag', false]
+    ]);
+});
+
+test('a field that changed type is breaking', () => {
+    const diff = diffSpecs(petsSpec(), petsSpec({ petProperties: { id: { type: 'string' }, name: { type: 'string' } } }));
+
+    const [changed] = changesOf(diff, 'GET', '/pets');
+    assert.equal(changed.type, 'response-type-changed');
+    assert.equal(changed.breaking, true);
+});
+
+test('the chat text names the versions and the breaking changes', () => {
+    const diff = diffSpecs(petsSpec(), petsSpec({ statusEnum: ['available'] }));
+    const text = formatDiffText(diff, { apiName: 'Pets', from: '1.0', to: '1.1' });
+
+    assert.match(text, /^Changes in Pets from version 1\.0 to 1\.1:/);
+    assert.match(text, /no longer allows "sold"/);
+});
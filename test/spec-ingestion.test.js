@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Stands in for Ollama, with one embedding for every text
+const ollama = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.end(JSON.stringify({ embedding: [1, 0.5, 0.25] })));
+});
+
+let dataDir;
+test.before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-ingestion-'));
+    await new Promise(resolve => ollama.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        VECTOR_STORE_PROVIDER: 'local',
+        OLLAMA_EMBEDDING_ENABLED: '1',
+        OLLAMA_BASE_URL: `http://127.0.0.1:${ollama.address().port}`
+    });
+});
+test.after(async () => {
+    ollama.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const spec = Buffer.from(JSON.stringify({
+    openapi: '3.0.0',
+    info: { title: 'Pets', version: '1.0' },
+    paths: {
+        '/pets': { get: { operationId: 'listPets', responses: { 200: { description: 'OK' } } } },
+        '/pets/{id}': { get: { operationId: 'getPet', responses: { 200: { description: 'OK' } } } }
+    }
+}));
+
+test('a resumed migration removes the chunks left in the default namespace', async () => {
+    const { processSpecFile } = require('../src/utils/openapi');
+    const { getVectorStore, querySimilarChunks } = require('../src/services/vectorDbService');
+    const { specIdFor } = require('../src/utils/chunk-identity');
+    const specId = specIdFor('pets.json');
+
+    await processSpecFile(spec, 'file-pets-1.json', { sourceName: 'pets.json' });
+    const store = await getVectorStore();
+    const chunkIds = await store.listIds({ namespace: specId, prefix: `${specId}-` });
+
+    // An interrupted migration: the batch is in the spec's namespace, the legacy copies are still in the default one
+    const chunks = await store.fetch(chunkIds, { namespace: specId });
+    await store.upsert([...chunks.values()], {});
+
+    await processSpecFile(spec, 'file-pets-1.json', { sourceName: 'pets.json', startBatch: 1 });
+
+    assert.deepEqual(await store.listIds({ prefix: `${specId}-` }), []);
+    assert.deepEqual(await store.listIds({ namespace: specId, prefix: `${specId}-` }), chunkIds);
+    const ids = (await querySimilarChunks('list pets', { topK: 10 })).map(match => match.id);
+    assert.equal(new Set(ids).size, ids.length);
+});